@@ -0,0 +1,909 @@
+// lib/cleanManifest.js
+// VERSION 1.0 - Dry-run manifest: what the clean pipeline changed (input vs output), mapped to detection IDs
+
+import JSZip from "jszip";
+import { PDFDocument, PDFDict, PDFName, PDFRef, PDFStream, PDFArray } from "pdf-lib";
+import { listPartFields } from "./docxFields.js";
+import { countRsidAttributes } from "./docxFingerprints.js";
+
+const EXCERPT_MAX = 120;
+
+// ---------- Part classification (OOXML) ----------
+const PART_KINDS = [
+  [/^docProps\/(core|app|custom)\.xml$/, "metadata"],
+  [/^xl\/persons\//, "comment_authors"],
+  [/(^|\/)(comments\w*|commentAuthors|threadedComment\w*)\d*\.xml$|\/comments\/|\/persons\/|\/threadedComments\//i, "comments"],
+  [/\/notesSlides\//, "speaker_notes"],
+  [/\/notesMasters\//, "notes_master"],
+  [/^ppt\/slides\/slide\d+\.xml$/, "slide"],
+  [/vbaProject\.bin$|vbaData\.xml$/i, "macros"],
+  [/\/embeddings\//, "embedded_object"],
+  [/\/activeX\//, "activex"],
+  [/vmlDrawing\d*\.vml$/i, "comment_anchor"],
+  [/\/media\//, "media"],
+  [/^customXml\//, "custom_xml"],
+  [/(^|\/)people\.xml$/, "people"],
+  [/thumbnail/i, "thumbnail"],
+  [/\/worksheets\/sheet\d+\.xml$/, "worksheet"],
+  [/\/externalLinks\//, "external_link"],
+  [/(^|\/)connections\.xml$/, "data_connection"],
+  [/\/queryTables\//, "query_table"],
+  [/(^|\/)calcChain\.xml$/, "calc_chain"],
+  [/\/pivotCacheRecords\d*\.xml$/, "pivot_records"],
+  [/\/pivotCacheDefinition\d*\.xml$/, "pivot_cache"],
+  [/\/pivotTables\//, "pivot_table"],
+  [/sharedStrings\.xml$/, "shared_strings"],
+  [/\/theme\//, "theme"],
+];
+
+const PART_REMOVAL_REASONS = {
+  metadata: "Document properties part removed",
+  comments: "Comments part removed",
+  comment_authors: "Comment author directory removed",
+  speaker_notes: "Speaker notes removed",
+  notes_master: "Notes master removed (no notes left)",
+  slide: "Hidden slide removed",
+  macros: "VBA macro project removed",
+  embedded_object: "Embedded object removed",
+  activex: "ActiveX control removed",
+  media: "Media no longer referenced after cleaning",
+  custom_xml: "Custom XML data removed",
+  people: "Reviewer identities removed",
+  thumbnail: "Thumbnail preview removed",
+  worksheet: "Hidden worksheet removed",
+  external_link: "External workbook link broken (formulas keep cached values)",
+  data_connection: "Data connections removed",
+  query_table: "Query table refresh definition removed",
+  calc_chain: "Calculation chain dropped (rebuilt by Excel)",
+  pivot_records: "Pivot cache records removed (copy of the source rows)",
+  pivot_cache: "Pivot cache removed (pivot converted to static values)",
+  pivot_table: "Pivot table definition removed (rendered values kept)",
+  comment_anchor: "Note shapes removed (drawing only anchored comments)",
+};
+
+// Elements whose disappearance is reported individually (other changes show up in the text diff)
+const ELEMENT_RULES = [
+  { tag: "w:ins", kind: "tracked_insertion", reason: "Tracked insertion accepted" },
+  { tag: "w:del", kind: "tracked_deletion", reason: "Tracked deletion removed (changes accepted)" },
+  { tag: "w:moveFrom", kind: "tracked_move", reason: "Tracked move source removed" },
+  { tag: "w:moveTo", kind: "tracked_move", reason: "Tracked move accepted" },
+  { tag: "w:rPrChange", kind: "tracked_formatting", reason: "Tracked formatting change accepted" },
+  { tag: "w:pPrChange", kind: "tracked_formatting", reason: "Tracked formatting change accepted" },
+  { tag: "w:commentRangeStart", kind: "comment_anchor", reason: "Comment anchor removed" },
+  { tag: "w:commentReference", kind: "comment_anchor", reason: "Comment reference removed" },
+  { tag: "w:vanish", kind: "hidden_text", reason: "Hidden text formatting removed" },
+  { tag: "w:updateFields", kind: "update_fields_on_open", reason: "Update-fields-on-open setting removed" },
+  { tag: "w:rsids", kind: "revision_fingerprint", reason: "Editing-session IDs removed" },
+  { tag: "w:docVar", kind: "document_variable", reason: "Document variable removed" },
+  { tag: "w:proofState", kind: "proof_state", reason: "Proofing state removed" },
+  { tag: "w14:docId", kind: "document_id", reason: "Document ID removed" },
+  { tag: "w15:docId", kind: "document_id", reason: "Document ID removed" },
+  { tag: "a:hlinkClick", kind: "hyperlink", reason: "Hyperlink removed" },
+  { tag: "p:custDataLst", kind: "custom_data", reason: "Custom shape data removed" },
+  { tag: "sheet", kind: "sheet", reason: "Sheet entry changed (visibility or removal)" },
+  { tag: "col", kind: "column", reason: "Column definition changed (hidden columns)" },
+  { tag: "definedName", kind: "defined_name", reason: "Defined name removed" },
+  { tag: "legacyDrawing", kind: "comment_anchor", reason: "Note drawing anchor removed" },
+];
+
+// Detection categories an operation kind may refer to
+const KIND_CATEGORIES = {
+  metadata: ["metadata"],
+  thumbnail: ["metadata"],
+  people: ["metadata"],
+  revision_fingerprint: ["metadata"],
+  document_variable: ["metadata"],
+  proof_state: ["metadata"],
+  document_id: ["metadata"],
+  comments: ["comments"],
+  comment_anchor: ["comments"],
+  comment_authors: ["excelHiddenData", "comments"],
+  speaker_notes: ["comments"],
+  tracked_insertion: ["trackChanges", "comments"],
+  tracked_deletion: ["trackChanges", "comments"],
+  tracked_move: ["trackChanges", "comments"],
+  tracked_formatting: ["trackChanges"],
+  hidden_text: ["hiddenContent"],
+  slide: ["hiddenContent"],
+  macros: ["macros"],
+  embedded_object: ["embeddedObjects", "hiddenContent"],
+  activex: ["embeddedObjects"],
+  sheet: ["hiddenSheets", "excelHiddenData"],
+  worksheet: ["hiddenSheets", "excelHiddenData"],
+  external_link: ["externalLinks", "sensitiveFormulas"],
+  data_connection: ["externalLinks"],
+  query_table: ["externalLinks"],
+  pivot_records: ["pivotCaches", "excelHiddenData"],
+  pivot_cache: ["pivotCaches", "excelHiddenData"],
+  column: ["hiddenColumns", "excelHiddenData"],
+  concealed_cells: ["hiddenColumns", "concealedCells", "excelHiddenData"],
+  text: ["sensitiveData", "spellingErrors", "hiddenContent", "visualObjects", "comments"],
+  annotation: ["comments", "brokenLinks"],
+  document: ["metadata", "comments", "embeddedObjects", "hiddenContent", "brokenLinks"],
+  embedded_file: ["embeddedObjects"],
+  embedded_document: ["embeddedObjects"],
+  external_resource: ["externalResources"],
+  field_code: ["fieldCodes"],
+  update_fields_on_open: ["fieldCodes"],
+  unsafe_redaction: ["unsafeRedactions"],
+  acroform: ["hiddenContent"],
+  pdf_revision: ["trackChanges", "metadata"],
+};
+
+const TEXT_REASONS = {
+  sensitiveData: "Sensitive data redacted",
+  spellingErrors: "Spelling correction applied",
+  hiddenContent: "Hidden text removed",
+  visualObjects: "Shape text removed",
+  comments: "Comment text removed",
+};
+
+function excerpt(s) {
+  const t = String(s || "").replace(/\s+/g, " ").trim();
+  return t.length > EXCERPT_MAX ? t.slice(0, EXCERPT_MAX - 3) + "..." : t;
+}
+
+function decodeXml(s) {
+  return String(s || "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(parseInt(n, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+function xmlText(xml) {
+  return decodeXml(
+    String(xml || "")
+      .replace(/<(w:tab|w:br|a:br)\b[^>]*\/>/g, " ")
+      .replace(/<\/(w:p|a:p)>/g, " ")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function classifyPart(name) {
+  for (const [re, kind] of PART_KINDS) if (re.test(name)) return kind;
+  return "part";
+}
+
+function isPackagePlumbing(name) {
+  return name === "[Content_Types].xml" || /\.rels$/i.test(name);
+}
+
+// ---------- Detection index ----------
+function detectionNeedles(item) {
+  return [item.value, item.text, item.newText, item.originalText, item.content, item.error, item.formula, item.name, item.sheetName]
+    .filter((v) => typeof v === "string" && v.trim().length >= 3)
+    .map((v) => v.replace(/\s+/g, " ").trim().toLowerCase());
+}
+
+function buildDetectionIndex(detections) {
+  const index = [];
+  for (const [category, list] of Object.entries(detections || {})) {
+    if (!Array.isArray(list)) continue;
+    for (const item of list) {
+      if (!item?.id) continue;
+      index.push({ id: item.id, category, type: item.type || null, item, needles: detectionNeedles(item) });
+      for (const child of Array.isArray(item.items) ? item.items : []) {
+        if (!child?.id) continue;
+        // Runs of a finding merged from an embedded document belong to the same embedding
+        const entry = item.embeddedPart ? { ...child, embeddedPart: item.embeddedPart } : child;
+        index.push({ id: child.id, category, type: child.type || null, item: entry, needles: detectionNeedles(child) });
+      }
+    }
+  }
+  return index;
+}
+
+const PROPERTY_KEY_ALIASES = { moddate: "modificationdate", created: "creationdate", modified: "modificationdate" };
+
+// "dcterms:created" / "CreationDate" / "Creation Date" -> one comparable key
+function propertyKey(key) {
+  const k = String(key || "").replace(/^\w+:/, "").replace(/\s+/g, "").toLowerCase();
+  return PROPERTY_KEY_ALIASES[k] || k;
+}
+
+// Operation kind -> analyzer metadata type (DOCX editing-session fingerprints)
+const FINGERPRINT_FINDINGS = {
+  revision_fingerprint: "revision_fingerprint",
+  document_variable: "document_variable",
+  proof_state: "proof_state",
+  document_id: "document_id",
+  people: "reviewer_identity",
+};
+
+// Categories the cleaner only touches when the caller selected the finding (or approved the correction)
+const SELECTION_CATEGORIES = new Set(["sensitiveData", "hiddenContent", "visualObjects", "spellingErrors"]);
+
+function matchDetections(index, op, fullText, selectedIds) {
+  // Embedded document cleaned in place: the findings merged from it (selection-only categories aside)
+  // and its own embeddedObjects entry
+  if (op.kind === "embedded_document") {
+    return index.filter(
+      (d) =>
+        (d.item.embeddedPart === op.part && !SELECTION_CATEGORIES.has(d.category)) ||
+        (d.category === "embeddedObjects" && d.item.path === op.part && !d.item.embeddedPart)
+    );
+  }
+
+  const host = matchHostDetections(
+    index.filter((d) => !d.item.embeddedPart),
+    op,
+    fullText,
+    selectedIds
+  );
+  // Removing an embedding part takes every finding merged from the embedded document
+  const embedded = op.op === "remove_part" ? index.filter((d) => d.item.embeddedPart === op.part) : [];
+  return embedded.length ? [...host, ...embedded] : host;
+}
+
+function matchHostDetections(index, op, fullText, selectedIds) {
+  const categories = KIND_CATEGORIES[op.kind];
+  if (!categories) return [];
+  const hay = String(fullText || "").replace(/\s+/g, " ").trim().toLowerCase();
+  const partName = op.part ? op.part.split("/").pop().toLowerCase() : "";
+
+  if (op.kind === "slide" && op._location) {
+    return index.filter((d) => d.type === "hidden_slide" && d.item.location === op._location);
+  }
+  // Same field code may appear several times (page numbers): instruction + part identify it
+  if (op.kind === "field_code") {
+    return index.filter((d) => categories.includes(d.category) && d.item.part === op.part && d.item.value === op._text);
+  }
+
+  // Fingerprints: one finding per kind (document variables by name, document IDs by value)
+  if (FINGERPRINT_FINDINGS[op.kind]) {
+    return index.filter(
+      (d) =>
+        categories.includes(d.category) &&
+        d.type === FINGERPRINT_FINDINGS[op.kind] &&
+        (op.kind !== "document_variable" || d.item.name === op._text) &&
+        (op.kind !== "document_id" || String(op.before).includes(d.item.value))
+    );
+  }
+
+  // PDF objects: the indirect reference identifies the finding (annotations, form widgets, file specifications)
+  const objectRef = String(op.part || "").match(/^Object (\d+ \d+ R)$/)?.[1];
+  if (objectRef) {
+    const byRef = index.filter((d) => d.item.objectRef === objectRef || (d.item.widgetRefs || []).includes(objectRef));
+    if (byRef.length) return byRef;
+  }
+  // Removing the AcroForm removes every field value
+  if (op.kind === "acroform") return index.filter((d) => d.type === "form_field");
+  // Flattening drops every earlier revision and what only they contained
+  if (op.kind === "pdf_revision") {
+    return index.filter((d) => d.type === "revision_history" || d.type === "incremental_updates");
+  }
+
+  // Several relationships per part: the target identifies the finding
+  if (op.kind === "external_resource") {
+    return index.filter((d) => categories.includes(d.category) && d.item.part === op.part && d.item.target === op._text);
+  }
+
+  const hits = index.filter((d) => {
+    if (!categories.includes(d.category)) return false;
+    if (SELECTION_CATEGORIES.has(d.category) && d.type !== "hidden_slide" && !selectedIds.has(d.id)) return false;
+    if (hay && d.needles.some((n) => hay.includes(n) || (hay.length >= 8 && n.includes(hay)))) return true;
+    return !!partName && JSON.stringify(d.item).toLowerCase().includes(partName);
+  });
+
+  // Same value under several properties (Creator/Producer), or a value the analyzer reformatted (dates)
+  if (op._key) {
+    const key = propertyKey(op._key);
+    if (hits.length > 1) {
+      const sameKey = hits.filter((d) => propertyKey(d.item.key) === key);
+      if (sameKey.length) return sameKey;
+    }
+    if (!hits.length) {
+      return index.filter((d) => categories.includes(d.category) && propertyKey(d.item.key) === key);
+    }
+  }
+
+  // Part-level removals (macros, speaker notes...) and the text-only rebuild: attach the whole category
+  if (!hits.length && ["macros", "speaker_notes", "document"].includes(op.kind)) {
+    return index.filter(
+      (d) => categories.includes(d.category) && (op.kind !== "speaker_notes" || d.type === "speaker_note")
+    );
+  }
+  return hits;
+}
+
+// ---------- OOXML diff ----------
+function extractElements(xml, tag) {
+  const esc = tag.replace(":", "\\:");
+  const re = new RegExp(`<${esc}\\b[^>]*?(?:/>|>[\\s\\S]*?</${esc}>)`, "g");
+  return String(xml).match(re) || [];
+}
+
+// Order/whitespace-insensitive identity, so re-serialized XML does not show up as changed
+function elementKey(el) {
+  const open = el.match(/^<[^>]*>/)?.[0] || "";
+  const attrs = [...open.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)]
+    .map((m) => `${m[1]}=${m[3] ?? m[4]}`)
+    .sort()
+    .join(" ");
+  return `${attrs}|${xmlText(el)}`;
+}
+
+function multisetMinus(before, after, keyFn) {
+  const counts = new Map();
+  for (const a of after) {
+    const k = keyFn(a);
+    counts.set(k, (counts.get(k) || 0) + 1);
+  }
+  const out = [];
+  for (const b of before) {
+    const k = keyFn(b);
+    const n = counts.get(k) || 0;
+    if (n > 0) counts.set(k, n - 1);
+    else out.push(b);
+  }
+  return out;
+}
+
+function textNodes(xml) {
+  return [...String(xml).matchAll(/<(w:t|a:t|t)\b[^>]*>([\s\S]*?)<\/\1>/g)].map((m) => decodeXml(m[2]));
+}
+
+function propertyValues(xml) {
+  const props = {};
+  for (const m of String(xml).matchAll(/<([\w:]+)\b[^>]*>([^<]+)<\/\1>/g)) {
+    props[m[1]] = decodeXml(m[2]).trim();
+  }
+  return props;
+}
+
+// Slides in presentation order: [{ id, path, notes }] (sldId ids survive renumbering)
+async function pptxSlides(zip) {
+  const pres = await zip.file("ppt/presentation.xml")?.async("string");
+  const rels = await zip.file("ppt/_rels/presentation.xml.rels")?.async("string");
+  if (!pres || !rels) return [];
+
+  const targets = new Map();
+  for (const m of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = m[0].match(/\bId="([^"]+)"/)?.[1];
+    const target = m[0].match(/\bTarget="([^"]+)"/)?.[1];
+    if (id && target) targets.set(id, "ppt/" + target.replace(/^\/?ppt\//, "").replace(/^\.\//, ""));
+  }
+
+  const slides = [];
+  for (const m of pres.matchAll(/<p:sldId\b[^>]*>/g)) {
+    const id = m[0].match(/\bid="(\d+)"/)?.[1];
+    const path = targets.get(m[0].match(/\br:id="([^"]+)"/)?.[1]);
+    if (!id || !path) continue;
+    const slideRels = await zip.file(path.replace(/([^/]+)$/, "_rels/$1.rels"))?.async("string");
+    const notes = slideRels?.match(/Target="\.\.\/notesSlides\/([^"]+)"/)?.[1];
+    slides.push({ id, path, notes: notes ? `ppt/notesSlides/${notes}` : null });
+  }
+  return slides;
+}
+
+// Removing hidden slides renumbers the remaining ones: map each original slide/notes part to its new path
+async function pptxPartRenames(zipA, zipB) {
+  const [slidesA, slidesB] = await Promise.all([pptxSlides(zipA), pptxSlides(zipB)]);
+  const byId = new Map(slidesB.map((s) => [s.id, s]));
+  const renames = new Map();
+  const locations = new Map();
+
+  slidesA.forEach((a, i) => {
+    locations.set(a.path, `Slide ${i + 1}`);
+    if (a.notes) locations.set(a.notes, `Slide ${i + 1}`);
+    const b = byId.get(a.id);
+    renames.set(a.path, b ? b.path : null);
+    if (a.notes) renames.set(a.notes, b?.notes || null);
+  });
+  return { renames, locations };
+}
+
+// One op per property that was cleared or reset (xb = "" when the whole part was dropped)
+function metadataOps(part, xa, xb) {
+  const pa = propertyValues(xa);
+  const pb = propertyValues(xb);
+  const ops = [];
+  for (const [key, value] of Object.entries(pa)) {
+    if (!value || pb[key] === value) continue;
+    ops.push({
+      op: "clear_property",
+      part,
+      kind: "metadata",
+      before: excerpt(`${key}: ${value}`),
+      reason: pb[key] ? `Metadata property reset (now "${excerpt(pb[key])}")` : "Metadata property removed",
+      _text: value,
+      _key: key,
+    });
+  }
+  return ops;
+}
+
+async function xlsxSharedStrings(zip) {
+  const xml = (await zip.file("xl/sharedStrings.xml")?.async("string")) || "";
+  return [...xml.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>|<si\s*\/>/g)].map((m) => xmlText(m[1] || ""));
+}
+
+// Resolved cell values of a worksheet (shared strings looked up), position-independent
+function xlsxCellValues(xml, sharedStrings) {
+  const values = [];
+  for (const m of String(xml).matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+    const inner = m[2] || "";
+    const t = m[1].match(/\bt="([^"]+)"/)?.[1];
+    const v = inner.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+    if (t === "s" && v !== undefined) values.push(sharedStrings[Number(v)] ?? "");
+    else if (t === "inlineStr") values.push(xmlText(inner));
+    else if (v !== undefined) values.push(decodeXml(v));
+  }
+  return values.filter((v) => v !== "");
+}
+
+// DOCX external relationships (remote template, linked images...) removed or pointed at about:blank
+async function externalRelationshipOps(part, zipA, zipB) {
+  const external = (xml) =>
+    [...String(xml).matchAll(/<Relationship\b[^>]*>/g)]
+      .map((m) => m[0])
+      .filter((tag) => /TargetMode="External"/.test(tag) && !/Type="[^"]*\/hyperlink"/.test(tag));
+  const [xa, xb] = await Promise.all([zipA.file(part).async("string"), zipB.file(part).async("string")]);
+  const kept = new Set(external(xb).map((tag) => tag.match(/\bId="([^"]*)"/)?.[1] + "|" + tag.match(/\bTarget="([^"]*)"/)?.[1]));
+  return external(xa)
+    .filter((tag) => !kept.has(tag.match(/\bId="([^"]*)"/)?.[1] + "|" + tag.match(/\bTarget="([^"]*)"/)?.[1]))
+    .map((tag) => {
+      const target = decodeXml(tag.match(/\bTarget="([^"]*)"/)?.[1] || "");
+      let decoded = target;
+      try {
+        decoded = decodeURI(target);
+      } catch {
+        /* keep raw */
+      }
+      return {
+        op: "remove_relationship",
+        part: part.replace(/_rels\/([^/]+)\.rels$/, "$1"),
+        kind: "external_resource",
+        element: (tag.match(/\bType="[^"]*\/([^"/]+)"/)?.[1]) || "relationship",
+        before: excerpt(decoded),
+        reason: "External resource neutralized (nothing is fetched when the document opens)",
+        _text: decoded,
+      };
+    });
+}
+
+// Worksheet part path -> sheet name (removed hidden sheets are reported by name)
+async function xlsxSheetNames(zip) {
+  const wb = await zip.file("xl/workbook.xml")?.async("string");
+  const rels = await zip.file("xl/_rels/workbook.xml.rels")?.async("string");
+  const names = new Map();
+  if (!wb || !rels) return names;
+
+  const targets = new Map();
+  for (const m of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = m[0].match(/\bId="([^"]+)"/)?.[1];
+    const target = m[0].match(/\bTarget="([^"]+)"/)?.[1];
+    if (id && target) targets.set(id, target.startsWith("/") ? target.slice(1) : `xl/${target}`);
+  }
+  for (const m of wb.matchAll(/<sheet\b[^>]*>/g)) {
+    const path = targets.get(m[0].match(/\br:id="([^"]+)"/)?.[1]);
+    const name = m[0].match(/\bname="([^"]+)"/)?.[1];
+    if (path && name) names.set(path, decodeXml(name));
+  }
+  return names;
+}
+
+async function diffOoxml(before, after) {
+  const [zipA, zipB] = await Promise.all([JSZip.loadAsync(before), JSZip.loadAsync(after)]);
+  const names = (z) => Object.keys(z.files).filter((n) => !z.files[n].dir);
+  const namesA = names(zipA);
+  const namesB = new Set(names(zipB));
+  const { renames, locations } = await pptxPartRenames(zipA, zipB);
+  const sheetNames = await xlsxSheetNames(zipA);
+  const [sstA, sstB] = await Promise.all([xlsxSharedStrings(zipA), xlsxSharedStrings(zipB)]);
+  const targetOf = (part) => (renames.has(part) ? renames.get(part) : part);
+  const ops = [];
+
+  for (const part of namesA) {
+    if (/^word\/(?:[^/]+\/)?_rels\/[^/]+\.rels$/.test(part) && namesB.has(part)) {
+      ops.push(...(await externalRelationshipOps(part, zipA, zipB)));
+      continue;
+    }
+    if (isPackagePlumbing(part)) continue;
+    const kind = classifyPart(part);
+    const isXml = /\.(xml|vml)$/i.test(part);
+    const target = targetOf(part);
+
+    if (!target || !namesB.has(target)) {
+      const content = isXml ? await zipA.file(part).async("string") : null;
+      const text = content ? xmlText(content) : "";
+      const propertyOps = kind === "metadata" ? metadataOps(part, content, "") : [];
+      if (propertyOps.length) {
+        ops.push(...propertyOps);
+        continue;
+      }
+      const sheetName = sheetNames.get(part);
+      ops.push({
+        op: "remove_part",
+        part,
+        kind,
+        before: sheetName
+          ? `Sheet "${sheetName}"`
+          : text
+            ? excerpt(text)
+            : `${(await zipA.file(part).async("nodebuffer")).length} bytes`,
+        reason: PART_REMOVAL_REASONS[kind] || "Part removed by the cleaner",
+        _text: sheetName || text,
+        _location: locations.get(part),
+      });
+      continue;
+    }
+
+    // Embedded documents / chart workbooks rewritten by embeddedDocumentMode
+    if (!isXml && /^(word|ppt|xl)\/embeddings\//.test(part)) {
+      const [ba, bb] = await Promise.all([zipA.file(part).async("nodebuffer"), zipB.file(target).async("nodebuffer")]);
+      if (!ba.equals(bb)) {
+        ops.push({
+          op: "replace_part",
+          part,
+          kind: "embedded_document",
+          before: `${ba.length} bytes → ${bb.length} bytes`,
+          reason: "Embedded document cleaned or replaced by its chart values",
+          _text: "",
+        });
+      }
+      continue;
+    }
+
+    if (!isXml) continue;
+    const [xa, xb] = await Promise.all([zipA.file(part).async("string"), zipB.file(target).async("string")]);
+    if (xa === xb) continue;
+
+    if (kind === "metadata") {
+      ops.push(...metadataOps(part, xa, xb));
+      continue;
+    }
+
+    for (const rule of ELEMENT_RULES) {
+      const removed = multisetMinus(extractElements(xa, rule.tag), extractElements(xb, rule.tag), elementKey);
+      for (const el of removed) {
+        const text = xmlText(el) || decodeXml(el.match(/^<[^>]*\bname="([^"]+)"/)?.[1] || "");
+        ops.push({
+          op: "remove_element",
+          part,
+          kind: rule.kind,
+          element: rule.tag,
+          before: excerpt(text || el.match(/^<[^>]*>/)?.[0] || el),
+          reason: rule.reason,
+          _text: text,
+        });
+      }
+    }
+
+    // rsid attributes: one operation per part
+    if (/^word\//.test(part)) {
+      const rsids = countRsidAttributes(xa) - countRsidAttributes(xb);
+      if (rsids > 0) {
+        ops.push({
+          op: "strip_attributes",
+          part,
+          kind: "revision_fingerprint",
+          before: `${rsids} w:rsid* attribute(s)`,
+          reason: "Editing-session IDs (rsid) removed",
+          _text: "",
+        });
+      }
+    }
+
+    // Fields unlinked to their cached result (the result text stays, so no text op follows)
+    if (/^word\//.test(part)) {
+      const unlinked = multisetMinus(listPartFields(xa), listPartFields(xb), (f) => f.instruction);
+      for (const f of unlinked) {
+        ops.push({
+          op: "unlink_field",
+          part,
+          kind: "field_code",
+          before: excerpt(`${f.instruction}${f.result ? ` → ${f.result}` : ""}`),
+          reason: "Field replaced by its last result text",
+          _text: f.instruction,
+        });
+      }
+    }
+
+    // Cleared / deleted cell values (concealed rows, columns and cells): one operation per sheet
+    if (kind === "worksheet") {
+      const cleared = multisetMinus(xlsxCellValues(xa, sstA), xlsxCellValues(xb, sstB), (v) => v);
+      if (cleared.length) {
+        ops.push({
+          op: "clear_cells",
+          part,
+          kind: "concealed_cells",
+          before: excerpt(`${cleared.length} value${cleared.length > 1 ? "s" : ""}: ${cleared.slice(0, 5).join(", ")}`),
+          reason: "Concealed cell values removed",
+          _text: cleared.join(" "),
+        });
+      }
+    }
+
+    // w:delText is covered by w:del above; text nodes that disappeared or were rewritten
+    for (const text of multisetMinus(textNodes(xa), textNodes(xb), (t) => t)) {
+      if (!text.trim()) continue;
+      ops.push({ op: "modify_text", part, kind: "text", before: excerpt(text), reason: null, _text: text });
+    }
+  }
+
+  const mapped = new Set(namesA.map(targetOf));
+  for (const part of namesB) {
+    if (isPackagePlumbing(part) || mapped.has(part)) continue;
+    ops.push({ op: "add_part", part, kind: classifyPart(part), before: null, reason: "Part created by the cleaner (renumbering / repair)" });
+  }
+
+  return ops;
+}
+
+// ---------- PDF diff ----------
+function pdfKind(obj) {
+  const d = obj instanceof PDFStream ? obj.dict : obj instanceof PDFDict ? obj : null;
+  if (!d) return { kind: "object", label: "object" };
+  const type = d.lookup(PDFName.of("Type"))?.asString?.() || "";
+  const subtype = d.lookup(PDFName.of("Subtype"))?.asString?.() || "";
+  if (type === "/Metadata" || subtype === "/XML") return { kind: "metadata", label: "XMP metadata stream" };
+  if (type === "/Annot") return { kind: "annotation", label: `Annotation ${subtype}` };
+  if (type === "/EmbeddedFile" || type === "/Filespec") return { kind: "embedded_file", label: `Embedded file ${type}` };
+  if (d.has(PDFName.of("JS"))) return { kind: "javascript", label: "JavaScript action" };
+  if (type === "/Action" || d.has(PDFName.of("S"))) return { kind: "action", label: "Action" };
+  if (obj instanceof PDFStream) return { kind: "stream", label: `Stream ${subtype || type}`.trim() };
+  return { kind: "object", label: type || "Dictionary" };
+}
+
+function pdfDictSummary(obj) {
+  const d = obj instanceof PDFStream ? obj.dict : obj instanceof PDFDict ? obj : null;
+  if (!d) return String(obj);
+  const parts = [];
+  for (const [k, v] of d.entries()) {
+    if (parts.length >= 6) break;
+    const key = k.asString().slice(1);
+    if (["Length", "Filter", "DecodeParms", "P", "Parent"].includes(key)) continue;
+    let val = v instanceof PDFRef || v instanceof PDFDict || v instanceof PDFArray ? "…" : v?.decodeText?.() ?? String(v);
+    parts.push(`${key}: ${val}`);
+  }
+  return parts.join(", ");
+}
+
+async function diffPdf(before, after) {
+  const [a, b] = await Promise.all([
+    PDFDocument.load(before, { updateMetadata: false }),
+    PDFDocument.load(after, { updateMetadata: false }),
+  ]);
+  const ops = [];
+
+  const infoRef = a.context.trailerInfo.Info;
+  const info = infoRef ? a.context.lookup(infoRef) : null;
+  if (info instanceof PDFDict && !b.context.trailerInfo.Info) {
+    for (const [k, v] of info.entries()) {
+      const value = v?.decodeText?.() ?? String(v);
+      ops.push({
+        op: "remove_key",
+        part: "Trailer /Info",
+        kind: "metadata",
+        before: excerpt(`${k.asString().slice(1)}: ${value}`),
+        reason: "Document Info dictionary removed",
+        _text: value,
+        _key: k.asString().slice(1),
+      });
+    }
+  }
+
+  const afterRefs = new Map(b.context.enumerateIndirectObjects().map(([ref, obj]) => [ref.toString(), obj]));
+  for (const [ref, obj] of a.context.enumerateIndirectObjects()) {
+    if (infoRef && ref.toString() === infoRef.toString()) continue;
+    const { kind, label } = pdfKind(obj);
+    const next = afterRefs.get(ref.toString());
+
+    if (!next) {
+      if (kind === "object" || kind === "stream") continue; // orphan collection, reported in summary counts
+      const summary = pdfDictSummary(obj);
+      ops.push({
+        op: "remove_object",
+        part: `Object ${ref.toString()}`,
+        kind,
+        before: excerpt(`${label}${summary ? ` (${summary})` : ""}`),
+        reason: `${label} removed`,
+        _text: summary,
+      });
+      continue;
+    }
+
+    // Keys removed from a surviving dictionary (catalog /OpenAction, page /AA, /PieceInfo...)
+    const da = obj instanceof PDFStream ? obj.dict : obj instanceof PDFDict ? obj : null;
+    const db = next instanceof PDFStream ? next.dict : next instanceof PDFDict ? next : null;
+    if (!da || !db) continue;
+    for (const [k] of da.entries()) {
+      const key = k.asString().slice(1);
+      if (db.has(k) || ["Length", "Filter", "DecodeParms"].includes(key)) continue;
+      const owner = da.lookup(PDFName.of("Type"))?.asString?.() || "Dictionary";
+      ops.push({
+        op: "remove_key",
+        part: `Object ${ref.toString()} ${owner}`,
+        kind: key === "Metadata" ? "metadata" : key === "Annots" ? "annotation" : key.toLowerCase(),
+        before: `/${key}`,
+        reason: `/${key} entry removed from ${owner}`,
+      });
+    }
+
+    // Annotation arrays emptied in place
+    if (db.lookup(PDFName.of("Annots")) instanceof PDFArray && da.lookup(PDFName.of("Annots")) instanceof PDFArray) {
+      const na = da.lookup(PDFName.of("Annots")).size();
+      const nb = db.lookup(PDFName.of("Annots")).size();
+      if (na > nb) {
+        ops.push({
+          op: "remove_element",
+          part: `Object ${ref.toString()} /Page`,
+          kind: "annotation",
+          before: `${na} annotation(s)`,
+          reason: `${na - nb} annotation(s) removed from page`,
+        });
+      }
+    }
+  }
+
+  return ops;
+}
+
+// ---------- Public API ----------
+
+/**
+ * Build the list of operations the clean pipeline performed on one file.
+ * before/after: original and cleaned buffers. For PDFs, `sanitizeInput` is the buffer
+ * cleanPDF received (after content-stream redaction, which is reported from `pdfRedaction`).
+ * selectedIds: findings the request selected (sensitive / hidden / visual) + spelling fixes applied.
+ * plannedSpellingFixes: dry runs skip the correction pass; each fix it would apply is listed as a correct_spelling op.
+ */
+export async function buildCleanManifest({
+  filename,
+  ext,
+  before,
+  after,
+  detections = null,
+  cleaning = null,
+  pdfMode = null,
+  pdfRedaction = null,
+  sensitiveDataToRemove = [],
+  selectedIds = [],
+  sanitizeInput = null,
+  plannedSpellingFixes = [],
+}) {
+  const index = buildDetectionIndex(detections);
+  const selected = new Set(selectedIds);
+  let ops = [];
+
+  if (["docx", "pptx", "xlsx"].includes(ext)) {
+    ops = await diffOoxml(before, after);
+    for (const fix of plannedSpellingFixes || []) {
+      const from = fix?.error ?? fix?.before;
+      const to = fix?.correction ?? fix?.after;
+      if (typeof from !== "string" || typeof to !== "string" || !from.trim() || from === to) continue;
+      ops.push({
+        op: "correct_spelling",
+        part: "Document text",
+        kind: "text",
+        before: excerpt(from),
+        reason: `Planned spelling fix: “${excerpt(from)}” → “${excerpt(to)}” (applied on export)`,
+        detectionIds: fix.id ? [fix.id] : [],
+      });
+    }
+  } else if (ext === "pdf") {
+    for (const item of sensitiveDataToRemove || []) {
+      const value = String(item?.value || "");
+      if (!value) continue;
+      const pages = (pdfRedaction?.examples || []).filter((e) => e.value === value.slice(0, 80)).map((e) => e.location);
+      const missing = (pdfRedaction?.notFound || []).some((n) => (n.id && item.id ? n.id === item.id : n.value === value.slice(0, 80)));
+      ops.push({
+        op: missing ? "redact_text_not_found" : "redact_text",
+        part: pages.length ? [...new Set(pages)].join(", ") : "Page content streams",
+        kind: "text",
+        before: excerpt(item.maskedValue || value),
+        reason: missing ? "Selected value not found in page content" : "Sensitive data removed from page content",
+        detectionIds: item.id ? [item.id] : [],
+      });
+    }
+
+    // Text hidden under boxes / unapplied redaction marks, removed before sanitize (fixUnsafeRedactions)
+    const sameBox = (a, b) => JSON.stringify(a || null) === JSON.stringify(b || null);
+    for (const r of cleaning?.fixedRedactions || []) {
+      ops.push({
+        op: "remove_covered_text",
+        part: `Page ${r.page}`,
+        kind: "unsafe_redaction",
+        before: excerpt(r.text),
+        reason: "Text under the redaction box removed from page content (box kept)",
+        detectionIds: index
+          .filter(
+            (d) =>
+              d.category === "unsafeRedactions" &&
+              d.item.page === r.page &&
+              d.type === r.technique &&
+              sameBox(d.item.boundingBox, r.boundingBox)
+          )
+          .map((d) => d.id),
+      });
+    }
+
+    // Invisible / background-colored / tiny / off-page text, removed before sanitize (removeHiddenPdfText)
+    for (const h of cleaning?.removedHiddenText || []) {
+      ops.push({
+        op: "remove_hidden_text",
+        part: `Page ${h.page}`,
+        kind: "hidden_text",
+        before: excerpt(h.text),
+        reason: "Hidden text removed from page content",
+        detectionIds: index
+          .filter((d) => d.category === "hiddenContent" && d.item.page === h.page && d.item.reason === h.reason)
+          .map((d) => d.id),
+      });
+    }
+
+    if (pdfMode === "text-only") {
+      ops.push({
+        op: "rebuild_document",
+        part: "Document",
+        kind: "document",
+        before: null,
+        reason: "Text-only rebuild: graphics, fonts, annotations, attachments and metadata are dropped",
+      });
+    } else {
+      ops.push(...(await diffPdf(sanitizeInput || before, after)));
+    }
+
+    if (cleaning?.incrementalUpdatesRemoved > 0) {
+      ops.push({
+        op: "flatten_revisions",
+        part: "File structure",
+        kind: "pdf_revision",
+        before: `${cleaning.revisionsBefore} revisions`,
+        reason: `${cleaning.incrementalUpdatesRemoved} earlier revision(s) dropped: single-revision file written`,
+      });
+    }
+  }
+
+  const operations = ops.map((o, i) => {
+    const ids =
+      o.detectionIds ||
+      matchDetections(index, o, o._text ?? o.before, selected).map((d) => d.id);
+    const firstCategory = index.find((d) => d.id === ids[0])?.category;
+    return {
+      index: i + 1,
+      op: o.op,
+      part: o.part,
+      kind: o.kind,
+      ...(o.element ? { element: o.element } : {}),
+      before: o.before,
+      reason: o.reason || TEXT_REASONS[firstCategory] || "Text removed or rewritten",
+      detectionIds: [...new Set(ids)],
+    };
+  });
+
+  const planned = new Set(operations.flatMap((o) => o.detectionIds));
+  const byKind = {};
+  for (const o of operations) byKind[o.kind] = (byKind[o.kind] || 0) + 1;
+
+  return {
+    file: filename,
+    ext,
+    operations,
+    summary: {
+      totalOperations: operations.length,
+      byKind,
+      unmappedOperations: operations.filter((o) => !o.detectionIds.length).length,
+      unreferencedObjectsRemoved: cleaning?.unreferencedObjectsRemoved || 0,
+      ...(ext === "pdf" ? { revisionsBefore: cleaning?.revisionsBefore ?? null, singleRevision: !!cleaning?.singleRevision } : {}),
+    },
+    detections: {
+      planned: planned.size,
+      // Linked findings share one ID across categories: list each once
+      untouched: [...new Map(index.filter((d) => !planned.has(d.id)).map((d) => [d.id, d])).values()].map((d) => ({
+        id: d.id,
+        category: d.category,
+        type: d.type,
+      })),
+    },
+  };
+}
+
+export default { buildCleanManifest };
@@ -7,18 +7,52 @@
 // ✅ Adds: riskObjects[] (universal schema) WITHOUT breaking existing detections.*
 // ✅ Adds: riskSummary (clientReady + overallSeverity + executiveSignals)
 // ✅ Adds: deterministic "Delivery & Commitment" signals (regex) -> detections.businessInconsistencies
+// ✅ Adds: stable detection IDs (file hash + type + part path + value/offset), same on /analyze and /clean
+// ✅ Adds: XLSX external workbook links / data connections / query tables (detections.externalLinks)
+// ✅ Adds: XLSX pivot caches with stored records (detections.pivotCaches)
+// ✅ Adds: XLSX threaded comments / replies with authors + dates, orphan comment authors
+// ✅ Adds: XLSX hidden rows, collapsed outlines, near-zero sizes, ";;;" formats, invisible fonts (detections.concealedCells)
+// ✅ Adds: DOCX external relationships: remote templates, linked images, OLE links, frames (detections.externalResources)
+// ✅ Adds: DOCX field codes classified by risk: DDE, INCLUDE*, AUTHOR, FILENAME \p, DATE... (detections.fieldCodes)
+// ✅ Adds: DOCX editing-session fingerprints: rsids, document variables, people.xml, proofState, docId (detections.metadata)
+// ✅ Adds: embedded objects classified by ProgID / content type: ActiveX, OLE Package (original filename), executables,
+//          embedded Office / PDF documents, chart workbooks (detections.embeddedObjects)
+// ✅ Adds: embedded OOXML / PDF payloads (chart workbooks included) analyzed recursively; their findings join the
+//          parent categories with embeddedPart + a nested location ("slide 4 → chart2 → Sheet1")
+// ✅ Adds: PDF unsafe redactions: opaque boxes / Redact annotations over text still extractable underneath
+//          (detections.unsafeRedactions: page, bounding box, recoverable excerpt)
+// ✅ Adds: PDF inventory: annotations (comments), AcroForm field values + layers (hiddenContent), URI / Launch / GoToR
+//          links (externalResources), file attachments + embedded files (embeddedObjects), each with its page
+// ✅ Adds: PDF incremental updates: revision count (metadata) and text that only earlier revisions still contain
+//          (detections.trackChanges, type revision_history)
+// ✅ Adds: PDF hidden text per page: invisible render mode, transparent / background-colored fill, tiny size,
+//          off-page position (detections.hiddenContent: white_text / invisible_text / off_page_text)
 //
 // IMPORTANT:
 // - This file is detection-only (no advice).
 // - If you want Part 2 (Business Risk scoring + recommendations) it should live in server.js,
 //   using extractedText + detections + riskObjects/riskSummary.
 
+import { createHash } from "crypto";
 import JSZip from "jszip";
 import xml2js from "xml2js";
 import { PDFDocument } from "pdf-lib";
 import { checkSpellingWithAI } from "./aiProofreadAnchored.js";
 import { detectSensitiveData } from "./sensitiveData.js";
-import { extractPdfText, filterExtractedLines } from "./pdfTools.js";
+import { extractPdfText, extractPdfLayout, filterExtractedLines } from "./pdfTools.js";
+import { inspectUnsafeRedactions, inspectHiddenText } from "./pdfRedactor.js";
+import { inspectPdfInteractiveContent } from "./pdfInventory.js";
+import { inspectRevisionHistory } from "./pdfRevisions.js";
+import { getFileHash } from "./cache.js";
+import { inspectExternalData, externalLinkIndexes } from "./xlsxExternalData.js";
+import { inspectPivotCaches } from "./xlsxPivotCaches.js";
+import { inspectXlsxComments } from "./xlsxComments.js";
+import { inspectConcealedCells } from "./xlsxConcealedCells.js";
+import { inspectThumbnails } from "./officeThumbnails.js";
+import { inspectDocxExternalResources } from "./docxExternalResources.js";
+import { inspectDocxFields } from "./docxFields.js";
+import { inspectDocxFingerprints } from "./docxFingerprints.js";
+import { inspectEmbeddedObjects, embeddedPayload, objectLocation } from "./officeEmbeddings.js";
 
 const parseStringPromise = xml2js.parseStringPromise;
 
@@ -30,9 +64,12 @@ const parseStringPromise = xml2js.parseStringPromise;
  * Analyse un document et retourne les détections enrichies + riskObjects (universal)
  * @param {Buffer} fileBuffer - Contenu du fichier
  * @param {string} fileType - Type MIME du fichier
+ * @param {Object} [options]
+ * @param {boolean} [options.ai=true] - false = deterministic pass only (no AI spell-check), e.g. post-clean verification
+ * @param {number} [options.depth=0] - nesting level (internal: embedded documents are analyzed at depth + 1)
  * @returns {Promise<Object>} Résultat d'analyse Enterprise-grade
  */
-export async function analyzeDocument(fileBuffer, fileType) {
+export async function analyzeDocument(fileBuffer, fileType, { ai = true, depth = 0 } = {}) {
   const ext = getExtFromMime(fileType);
   if (!ext) throw new Error(`Unsupported file type: ${fileType}`);
 
@@ -46,25 +83,25 @@ export async function analyzeDocument(fileBuffer, fileType) {
 
   switch (ext) {
     case "docx": {
-      const r = await analyzeDOCX(fileBuffer);
+      const r = await analyzeDOCX(fileBuffer, { ai });
       detections = r;
       extractedText = r?.__extractedText || "";
       break;
     }
     case "pptx": {
-      const r = await analyzePPTX(fileBuffer);
+      const r = await analyzePPTX(fileBuffer, { ai });
       detections = r;
       extractedText = r?.__extractedText || "";
       break;
     }
     case "xlsx": {
-      const r = await analyzeXLSX(fileBuffer);
+      const r = await analyzeXLSX(fileBuffer, { ai });
       detections = r;
       extractedText = r?.__extractedText || "";
       break;
     }
     case "pdf": {
-      const r = await analyzePDF(fileBuffer);
+      const r = await analyzePDF(fileBuffer, { ai });
       detections = r;
       extractedText = r?.__extractedText || "";
       break;
@@ -73,6 +110,15 @@ export async function analyzeDocument(fileBuffer, fileType) {
       throw new Error(`Unsupported file type: ${ext}`);
   }
 
+  // ✅ Embedded Office / PDF documents (chart workbooks, embedded files): findings merged with a nested location
+  if (ext !== "pdf" && depth < MAX_EMBEDDED_DEPTH) {
+    await mergeEmbeddedDocumentFindings(fileBuffer, detections, depth);
+  }
+
+  // ✅ Content-addressed IDs: /analyze and /clean compute the same IDs for the same file
+  const fileHash = getFileHash(fileBuffer);
+  assignStableFindingIds(detections, fileHash);
+
   // Summary (existing)
   const summary = calculateSummary(detections);
 
@@ -87,6 +133,7 @@ export async function analyzeDocument(fileBuffer, fileType) {
     filename,
     ext,
     fileSize: fileBuffer.length,
+    fileHash,
     analyzedAt: new Date().toISOString(),
 
     documentStats,
@@ -112,6 +159,113 @@ function getExtFromMime(mime) {
   return map[mime] || null;
 }
 
+// ============================================================
+// STABLE FINDING IDS
+// ============================================================
+
+const FINDING_ID_PREFIX = {
+  sensitiveData: "sensitive",
+  metadata: "meta",
+  comments: "comment",
+  trackChanges: "change",
+  hiddenContent: "hidden",
+  spellingErrors: "spell",
+  visualObjects: "visual",
+  orphanData: "orphan",
+  macros: "macro",
+  excelHiddenData: "xlhidden",
+  embeddedObjects: "embed",
+  brokenLinks: "link",
+  complianceRisks: "compliance",
+  businessInconsistencies: "biz",
+  sensitiveFormulas: "formula",
+  hiddenSheets: "hidden_sheet",
+  hiddenColumns: "hidden_col",
+  concealedCells: "concealed",
+  externalLinks: "xlext",
+  pivotCaches: "pivot",
+  externalResources: "xres",
+  fieldCodes: "field",
+  unsafeRedactions: "redaction",
+};
+
+// Categories whose items are re-exposed elsewhere (excelHiddenData, comments) keep one ID across both
+const LINKED_SOURCE_CATEGORIES = ["hiddenSheets", "hiddenColumns", "concealedCells", "sensitiveFormulas", "externalLinks", "pivotCaches", "trackChanges"];
+
+const FINDING_PART_KEYS = ["part", "partPath", "path", "file", "sheet", "location"];
+const FINDING_VALUE_KEYS = ["value", "text", "content", "error", "formula", "newText", "originalText", "name", "key", "sheetName", "target"];
+const FINDING_OFFSET_KEYS = ["offset", "startIndex", "index", "row", "columns", "cell"];
+
+function firstFindingField(item, keys) {
+  for (const k of keys) {
+    const v = item?.[k];
+    if (v !== undefined && v !== null && v !== "") return String(v);
+  }
+  return "";
+}
+
+function findingFingerprint(fileHash, category, item, scope) {
+  const fields = [
+    fileHash,
+    category,
+    scope,
+    item?.type || "",
+    firstFindingField(item, FINDING_PART_KEYS),
+    firstFindingField(item, FINDING_VALUE_KEYS) || String(item?.description || ""),
+    firstFindingField(item, FINDING_OFFSET_KEYS) || String(item?.shape?.id ?? ""),
+  ];
+  // Findings of an embedded document: the embedding part keeps two identical embedded files apart
+  if (item?.embeddedPart) fields.push(item.embeddedPart);
+  return fields.join("\u0000");
+}
+
+/**
+ * Replace provisional detection IDs with IDs derived from
+ * file hash + category + type + part path + value/offset (+ occurrence for exact duplicates).
+ * Nested `items` (e.g. hidden text runs) get IDs scoped to their parent.
+ */
+function assignStableFindingIds(detections, fileHash) {
+  if (!detections || typeof detections !== "object") return detections;
+
+  const linked = new Map(); // provisional id -> { category, id }
+  const seen = new Map(); // fingerprint -> occurrences
+
+  const stableId = (category, item, scope = "") => {
+    const fp = findingFingerprint(fileHash, category, item, scope);
+    const n = (seen.get(fp) || 0) + 1;
+    seen.set(fp, n);
+    const digest = createHash("sha256").update(`${fp}\u0000${n}`).digest("hex").slice(0, 16);
+    return `${FINDING_ID_PREFIX[category] || "finding"}_${digest}`;
+  };
+
+  const categories = [
+    ...LINKED_SOURCE_CATEGORIES,
+    ...Object.keys(detections).filter((k) => !LINKED_SOURCE_CATEGORIES.includes(k)),
+  ];
+
+  for (const category of categories) {
+    const list = detections[category];
+    if (!Array.isArray(list)) continue;
+
+    for (const item of list) {
+      if (!item || typeof item !== "object") continue;
+
+      const prev = item.id ? linked.get(item.id) : null;
+      const id = prev && prev.category !== category ? prev.id : stableId(category, item);
+      if (item.id && !prev) linked.set(item.id, { category, id });
+      item.id = id;
+
+      if (Array.isArray(item.items)) {
+        for (const child of item.items) {
+          if (child && typeof child === "object") child.id = stableId(category, child, id);
+        }
+      }
+    }
+  }
+
+  return detections;
+}
+
 // ============================================================
 // DOCUMENT STATS (pages/slides/sheets/tables)
 // ============================================================
@@ -153,15 +307,18 @@ async function computeDocumentStats(fileBuffer, ext) {
 // DOCX ANALYSIS
 // ============================================================
 
-async function analyzeDOCX(buffer) {
+async function analyzeDOCX(buffer, { ai = true } = {}) {
   const zip = await JSZip.loadAsync(buffer);
 
   const fullText = await extractDOCXText(zip);
 
   // AI spell-check (detection only)
-  console.log("📝 Analyzing DOCX spelling with AI...");
-  const spellingErrors = await checkSpellingWithAI(fullText);
-  console.log(`✅ Found ${spellingErrors.length} spelling errors in DOCX`);
+  let spellingErrors = [];
+  if (ai) {
+    console.log("📝 Analyzing DOCX spelling with AI...");
+    spellingErrors = await checkSpellingWithAI(fullText);
+    console.log(`✅ Found ${spellingErrors.length} spelling errors in DOCX`);
+  }
 
   // Sensitive data (deterministic)
   console.log("🔍 Analyzing sensitive data...");
@@ -173,7 +330,7 @@ async function analyzeDOCX(buffer) {
 
   return {
     sensitiveData: sensitiveDataResult.findings.map((f, idx) => ({
-      id: `sensitive_${idx}_${Date.now()}`,
+      id: `sensitive_${idx}`,
       type: f.type,
       value: f.value, // NOTE: may contain sensitive info; consider redaction later
       maskedValue: f.masked || null,
@@ -185,7 +342,7 @@ async function analyzeDOCX(buffer) {
       description: f.recommendation || "",
     })),
 
-    metadata: await analyzeOfficeMetadata(zip),
+    metadata: [...(await analyzeOfficeMetadata(zip)), ...(await analyzeDOCXFingerprints(zip))],
 
     comments: await analyzeDOCXCommentsEnriched(zip),
 
@@ -204,6 +361,9 @@ async function analyzeDOCX(buffer) {
     // Legacy fields
     trackChanges: await analyzeDOCXTrackChangesEnriched(zip),
     embeddedObjects: await analyzeEmbeddedObjects(zip, "word"),
+    externalResources: await analyzeDOCXExternalResources(zip),
+    fieldCodes: await analyzeDOCXFieldCodes(zip),
+    unsafeRedactions: [],
     brokenLinks: await analyzeBrokenLinks(fullText),
     complianceRisks: await analyzeComplianceRisks(fullText),
 
@@ -211,6 +371,9 @@ async function analyzeDOCX(buffer) {
     sensitiveFormulas: [],
     hiddenSheets: [],
     hiddenColumns: [],
+    concealedCells: [],
+    externalLinks: [],
+    pivotCaches: [],
 
     // ✅ NEW: delivery/commitment language signals
     businessInconsistencies,
@@ -224,14 +387,17 @@ async function analyzeDOCX(buffer) {
 // PPTX ANALYSIS
 // ============================================================
 
-async function analyzePPTX(buffer) {
+async function analyzePPTX(buffer, { ai = true } = {}) {
   const zip = await JSZip.loadAsync(buffer);
 
   const fullText = await extractPPTXText(zip);
 
-  console.log("📝 Analyzing PPTX spelling with AI...");
-  const spellingErrors = await checkSpellingWithAI(fullText);
-  console.log(`✅ Found ${spellingErrors.length} spelling errors in PPTX`);
+  let spellingErrors = [];
+  if (ai) {
+    console.log("📝 Analyzing PPTX spelling with AI...");
+    spellingErrors = await checkSpellingWithAI(fullText);
+    console.log(`✅ Found ${spellingErrors.length} spelling errors in PPTX`);
+  }
 
   console.log("🔍 Analyzing sensitive data...");
   const sensitiveDataResult = detectSensitiveData(fullText);
@@ -241,7 +407,7 @@ async function analyzePPTX(buffer) {
 
   return {
     sensitiveData: sensitiveDataResult.findings.map((f, idx) => ({
-      id: `sensitive_${idx}_${Date.now()}`,
+      id: `sensitive_${idx}`,
       type: f.type,
       value: f.value,
       maskedValue: f.masked || null,
@@ -278,6 +444,12 @@ async function analyzePPTX(buffer) {
     sensitiveFormulas: [],
     hiddenSheets: [],
     hiddenColumns: [],
+    concealedCells: [],
+    externalLinks: [],
+    pivotCaches: [],
+    externalResources: [],
+    fieldCodes: [],
+    unsafeRedactions: [],
 
     businessInconsistencies,
 
@@ -290,28 +462,36 @@ async function analyzePPTX(buffer) {
 // XLSX ANALYSIS
 // ============================================================
 
-async function analyzeXLSX(buffer) {
+async function analyzeXLSX(buffer, { ai = true } = {}) {
   const zip = await JSZip.loadAsync(buffer);
 
   const fullText = await extractXLSXText(zip);
 
-  console.log("📝 Analyzing XLSX spelling with AI...");
-  const spellingErrors = await checkSpellingWithAI(fullText);
-  console.log(`✅ Found ${spellingErrors.length} spelling errors in XLSX`);
+  let spellingErrors = [];
+  if (ai) {
+    console.log("📝 Analyzing XLSX spelling with AI...");
+    spellingErrors = await checkSpellingWithAI(fullText);
+    console.log(`✅ Found ${spellingErrors.length} spelling errors in XLSX`);
+  }
 
   console.log("🔍 Analyzing sensitive data...");
   const sensitiveDataResult = detectSensitiveData(fullText);
   console.log(`✅ Found ${sensitiveDataResult.findings.length} sensitive data items`);
 
   const hiddenSheets = await analyzeExcelHiddenSheets(zip);
-  const hiddenColumns = await analyzeExcelHiddenColumns(zip);
+  const concealed = await inspectConcealedCells(zip);
+  const hiddenColumns = analyzeExcelHiddenColumns(concealed);
+  const concealedCells = analyzeExcelConcealedCells(concealed);
   const sensitiveFormulas = await analyzeExcelSensitiveFormulas(zip);
+  const externalLinks = await analyzeExcelExternalData(zip);
+  const pivotCaches = await analyzeExcelPivotCaches(zip);
+  const commentInventory = await inspectXlsxComments(zip);
 
   const businessInconsistencies = detectDeliveryCommitmentSignals(fullText, "xlsx");
 
   return {
     sensitiveData: sensitiveDataResult.findings.map((f, idx) => ({
-      id: `sensitive_${idx}_${Date.now()}`,
+      id: `sensitive_${idx}`,
       type: f.type,
       value: f.value,
       maskedValue: f.masked || null,
@@ -325,7 +505,7 @@ async function analyzeXLSX(buffer) {
 
     metadata: await analyzeOfficeMetadata(zip),
 
-    comments: await analyzeExcelCommentsEnriched(zip),
+    comments: await analyzeExcelCommentsEnriched(commentInventory),
 
     hiddenContent: [],
 
@@ -347,17 +527,15 @@ async function analyzeXLSX(buffer) {
         severity: "high",
         hasData: s.hasData,
       })),
-      ...hiddenColumns.map((c) => ({
+      ...[...hiddenColumns, ...concealedCells].map((c) => ({
         id: c.id,
-        type: c.type === "hidden_row" ? "hidden_row" : "hidden_column",
-        name: c.columns || `Row ${c.row}`,
-        description:
-          c.type === "hidden_row"
-            ? `Hidden row ${c.row} in ${c.sheet}`
-            : `Hidden columns ${c.columns} in ${c.sheet}`,
+        type: c.type,
+        name: c.name,
+        description: c.description,
         location: `${c.sheet}`,
-        severity: "medium",
-        hasData: true,
+        severity: c.severity,
+        hasData: c.cellCount > 0,
+        part: c.part,
       })),
       ...sensitiveFormulas.map((f) => ({
         id: f.id,
@@ -368,13 +546,42 @@ async function analyzeXLSX(buffer) {
         severity: f.risk,
         formula: f.formula,
       })),
+      ...externalLinks.map((x) => ({
+        id: x.id,
+        type: x.type,
+        name: x.name,
+        description: x.description,
+        location: x.location,
+        severity: x.severity,
+        target: x.target,
+        part: x.part,
+      })),
+      // Only caches that actually store source rows
+      ...pivotCaches
+        .filter((p) => p.records > 0)
+        .map((p) => ({
+          id: p.id,
+          type: p.type,
+          name: p.name,
+          description: p.description,
+          location: p.location,
+          severity: p.severity,
+          part: p.part,
+        })),
+      ...analyzeExcelCommentAuthors(commentInventory),
     ],
 
     // Legacy fields
     trackChanges: [],
     hiddenSheets,
     hiddenColumns,
+    concealedCells,
     sensitiveFormulas,
+    externalLinks,
+    pivotCaches,
+    externalResources: [],
+    fieldCodes: [],
+    unsafeRedactions: [],
     embeddedObjects: await analyzeEmbeddedObjects(zip, "xl"),
     brokenLinks: [],
     complianceRisks: await analyzeComplianceRisks(fullText),
@@ -390,8 +597,9 @@ async function analyzeXLSX(buffer) {
 // PDF ANALYSIS
 // ============================================================
 
-async function analyzePDF(buffer) {
-  const pdfDoc = await PDFDocument.load(buffer);
+async function analyzePDF(buffer, { ai = true } = {}) {
+  // updateMetadata: false — otherwise pdf-lib rewrites Producer/Creator/dates and we report its values
+  const pdfDoc = await PDFDocument.load(buffer, { updateMetadata: false });
 
   // Metadata
   const metadata = [];
@@ -407,7 +615,7 @@ async function analyzePDF(buffer) {
   const pushMeta = (type, key, value, severity, description) => {
     if (!value) return;
     metadata.push({
-      id: `meta_${type}_${Date.now()}`,
+      id: `meta_${type}`,
       type,
       key,
       value: String(value),
@@ -432,6 +640,25 @@ async function analyzePDF(buffer) {
     "Document modification date"
   );
 
+  // Unsafe redactions (boxes over text that can still be copied / extracted)
+  let unsafeRedactions = [];
+  try {
+    unsafeRedactions = analyzePDFUnsafeRedactions(pdfDoc);
+  } catch (e) {
+    console.warn("PDF redaction audit failed:", e);
+  }
+
+  // Annotations, form fields, links, layers, attachments
+  const interactive = analyzePDFInteractiveContent(pdfDoc);
+
+  // Text drawn where nobody sees it (extractPdfText still returns it)
+  let hiddenText = [];
+  try {
+    hiddenText = analyzePDFHiddenText(pdfDoc);
+  } catch (e) {
+    console.warn("PDF hidden text analysis failed:", e);
+  }
+
   // Text extraction (best effort)
   console.log("📄 Extracting PDF text for analysis...");
   let text = "";
@@ -443,9 +670,13 @@ async function analyzePDF(buffer) {
     text = "";
   }
 
+  // Incremental updates: earlier revisions stay in the file after each %%EOF
+  const revisionHistory = await analyzePDFRevisions(buffer);
+  metadata.push(...revisionHistory.metadata);
+
   // Spell check (AI detection only)
   let spellingErrors = [];
-  if (text && text.trim().length > 0) {
+  if (ai && text && text.trim().length > 0) {
     console.log("📝 Analyzing PDF spelling with AI...");
     spellingErrors = await checkSpellingWithAI(text);
     console.log(`✅ Found ${spellingErrors.length} spelling errors in PDF`);
@@ -457,7 +688,7 @@ async function analyzePDF(buffer) {
   console.log(`✅ Found ${sensitiveDataResult.findings.length} sensitive data items in PDF`);
 
   const sensitiveData = sensitiveDataResult.findings.map((f, idx) => ({
-    id: `sensitive_${idx}_${Date.now()}`,
+    id: `sensitive_${idx}`,
     type: f.type,
     value: f.value,
     maskedValue: f.masked || null,
@@ -478,21 +709,27 @@ async function analyzePDF(buffer) {
   return {
     sensitiveData,
     metadata,
-    comments: [],
-    hiddenContent: [],
+    comments: interactive.comments,
+    hiddenContent: [...hiddenText, ...interactive.hiddenContent],
     spellingErrors,
     visualObjects: [],
     orphanData,
     macros: [],
     excelHiddenData: [],
-    trackChanges: [],
-    embeddedObjects: [],
+    trackChanges: revisionHistory.trackChanges,
+    embeddedObjects: interactive.embeddedObjects,
     brokenLinks,
     complianceRisks,
 
     sensitiveFormulas: [],
     hiddenSheets: [],
     hiddenColumns: [],
+    concealedCells: [],
+    externalLinks: [],
+    pivotCaches: [],
+    externalResources: interactive.externalResources,
+    fieldCodes: [],
+    unsafeRedactions,
 
     businessInconsistencies,
 
@@ -501,6 +738,264 @@ async function analyzePDF(buffer) {
   };
 }
 
+const UNSAFE_REDACTION_LABELS = {
+  black_box: "black box drawn over the text",
+  opaque_box: "opaque box drawn over the text",
+  redact_annotation: "redaction mark that was never applied",
+  annotation_overlay: "filled annotation placed over the text",
+};
+
+function analyzePDFUnsafeRedactions(pdfDoc) {
+  return inspectUnsafeRedactions(pdfDoc).map((r, idx) => ({
+    id: `redaction_${idx}`,
+    type: r.technique,
+    page: r.page,
+    boundingBox: r.boundingBox,
+    text: r.text,
+    glyphCount: r.glyphCount,
+    fillColor: r.fillColor,
+    location: `Page ${r.page}`,
+    description: `Text under the ${UNSAFE_REDACTION_LABELS[r.technique]} is still extractable: "${r.text}"`,
+    severity: r.technique === "opaque_box" ? "high" : "critical",
+  }));
+}
+
+/**
+ * Revision count (metadata "incremental_updates" when > 1) and, per earlier revision, the text lines
+ * the final revision no longer shows (trackChanges "revision_history"): truncating the file after that
+ * revision's %%EOF restores them.
+ */
+async function analyzePDFRevisions(buffer) {
+  let history;
+  try {
+    history = await inspectRevisionHistory(buffer, {
+      // Content-stream lines: same extractor for every revision, and no dependency on pdf-parse
+      extractTextFn: async (b) =>
+        filterExtractedLines(
+          ((await extractPdfLayout(b)) || []).flatMap((p) => p.lines.map((l) => l.text)).join("\n"),
+          { strictPdf: false }
+        ),
+    });
+  } catch (e) {
+    console.warn("PDF revision history failed:", e?.message || e);
+    return { metadata: [], trackChanges: [] };
+  }
+  const count = history.revisionCount;
+  if (count < 2) return { metadata: [], trackChanges: [] };
+
+  const metadata = [
+    {
+      id: "meta_incremental_updates",
+      type: "incremental_updates",
+      key: "Revisions",
+      value: String(count),
+      location: "File structure",
+      severity: history.historyOnly.length ? "high" : "medium",
+      description: `${count} revisions saved as incremental updates: each earlier version can be restored by truncating the file`,
+    },
+  ];
+  const trackChanges = history.historyOnly.map((h) => ({
+    id: `revision_${h.revision}`,
+    type: "revision_history",
+    revision: h.revision,
+    author: null,
+    originalText: h.lines.join("\n"),
+    newText: null,
+    lines: h.lines,
+    location: `Revision ${h.revision} of ${count}`,
+    description: `${h.lines.length} line(s) only present in revision ${h.revision}: removed from the final version but still recoverable`,
+    severity: "high",
+  }));
+  return { metadata, trackChanges };
+}
+
+const HIDDEN_TEXT_TYPES = {
+  render_mode: "invisible_text",
+  transparent: "invisible_text",
+  tiny_font: "invisible_text",
+  background_color: "white_text",
+  off_page: "off_page_text",
+};
+
+const HIDDEN_TEXT_LABELS = {
+  render_mode: "invisible rendering mode (Tr 3)",
+  transparent: "fully transparent fill",
+  tiny_font: "font too small to read",
+  background_color: "same color as the background",
+  off_page: "outside the visible page area",
+};
+
+/**
+ * Hidden text runs grouped per page and reason (render_mode / transparent / tiny_font / background_color /
+ * off_page); content is the text extractPdfText would return for them.
+ */
+function analyzePDFHiddenText(pdfDoc) {
+  const groups = new Map();
+  for (const run of inspectHiddenText(pdfDoc)) {
+    const key = `${run.page}:${run.reason}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(run);
+  }
+  return [...groups.values()].map((runs, index) => {
+    const { page, reason } = runs[0];
+    const content = runs.map((r) => r.text).join(" / ");
+    const glyphCount = runs.reduce((n, r) => n + r.glyphCount, 0);
+    return {
+      id: `hidden_text_${index}`,
+      type: HIDDEN_TEXT_TYPES[reason],
+      reason,
+      page,
+      content: content.length > 200 ? content.slice(0, 197) + "..." : content,
+      runs: runs.length,
+      glyphCount,
+      boundingBox: {
+        x0: Math.min(...runs.map((r) => r.boundingBox.x0)),
+        y0: Math.min(...runs.map((r) => r.boundingBox.y0)),
+        x1: Math.max(...runs.map((r) => r.boundingBox.x1)),
+        y1: Math.max(...runs.map((r) => r.boundingBox.y1)),
+      },
+      fillColor: runs[0].fillColor,
+      location: `Page ${page}`,
+      description: `${glyphCount} character(s) of text not visible on screen (${HIDDEN_TEXT_LABELS[reason]}) but extractable`,
+      severity: reason === "tiny_font" ? "medium" : "high",
+    };
+  });
+}
+
+const pageLocation = (pages) => (pages.length > 1 ? `Pages ${pages.join(", ")}` : pages.length ? `Page ${pages[0]}` : null);
+
+function describeFormField(f) {
+  if (f.fieldType === "signature") return `Signature field "${f.name}": ${f.value}${f.signingDate ? ` (${f.signingDate})` : ""}`;
+  return `${f.hidden ? "Hidden form field" : "Form field"} "${f.name}" (${f.fieldType}) holds "${f.value}"${f.readOnly ? " (read-only)" : ""}`;
+}
+
+function formFieldSeverity(f) {
+  if (f.fieldType === "signature") return f.signer ? "medium" : "low";
+  return f.hidden ? "high" : "medium";
+}
+
+// Links: Launch runs a program, GoToR / file: URIs expose paths; plain web / mailto links are visible content
+function classifyPdfLink(l) {
+  if (l.kind === "launch_action") return { classification: "launch_action", severity: "critical" };
+  if (l.targetKind === "unc") return { classification: "internal_path_exposure", severity: "high" };
+  if (l.targetKind === "local_path") return { classification: "internal_path_exposure", severity: "medium" };
+  if (l.kind === "remote_goto") return { classification: "internal_path_exposure", severity: "low" };
+  return { classification: "hyperlink", severity: "low" };
+}
+
+const PDF_LINK_LABELS = { uri_link: "Link", launch_action: "Launch action", remote_goto: "Link to another PDF" };
+
+function describePdfLink(l, classification) {
+  const label = PDF_LINK_LABELS[l.kind];
+  if (classification === "launch_action") return `${label} opens "${l.target}" on click (runs a program or file on the reader's machine)`;
+  if (classification === "internal_path_exposure") return `${label} points to ${l.target}: exposes an internal path`;
+  return `${label} to ${l.target}`;
+}
+
+/**
+ * PDF interactive / layered content mapped onto the Office categories: markup annotations -> comments,
+ * filled form fields and optional content groups -> hiddenContent, link actions -> externalResources,
+ * attachments (annotations + /EmbeddedFiles) -> embeddedObjects. Items carry page + objectRef ("12 0 R").
+ * Empty form fields hold nothing and are not listed.
+ */
+function analyzePDFInteractiveContent(pdfDoc) {
+  const inv = inspectPdfInteractiveContent(pdfDoc);
+
+  const comments = inv.annotations.map((a, index) => {
+    const text = a.contents || `${a.subtype} annotation`;
+    return {
+      id: `comment_${index}`,
+      type: "pdf_annotation",
+      subtype: a.subtype,
+      author: a.author || "Unknown Author",
+      text,
+      date: a.date,
+      page: a.page,
+      objectRef: a.objectRef,
+      location: `Page ${a.page}`,
+      severity: determineSeverity(`${text} ${a.subject || ""}`),
+      changeType: null,
+      originalText: null,
+      newText: null,
+    };
+  });
+
+  const formFields = inv.formFields
+    .filter((f) => f.value)
+    .map((f, index) => ({
+      id: `form_field_${index}`,
+      type: "form_field",
+      name: f.name,
+      fieldType: f.fieldType,
+      value: f.value,
+      readOnly: f.readOnly,
+      hidden: f.hidden,
+      page: f.pages[0] || null,
+      objectRef: f.objectRef,
+      widgetRefs: f.widgetRefs,
+      location: pageLocation(f.pages) || "Form",
+      description: describeFormField(f),
+      severity: formFieldSeverity(f),
+    }));
+
+  const layers = inv.layers.map((l, index) => ({
+    id: `layer_${index}`,
+    type: l.visible ? "optional_content_layer" : "hidden_layer",
+    name: l.name,
+    visible: l.visible,
+    locked: l.locked,
+    page: l.pages[0] || null,
+    objectRef: l.objectRef,
+    location: pageLocation(l.pages) || "Document",
+    description: l.visible
+      ? `Layer "${l.name}" can be switched off by the reader${l.locked ? " (locked)" : ""}`
+      : `Layer "${l.name}" is hidden by default: its content is not displayed but stays in the file`,
+    severity: l.visible ? "low" : "high",
+  }));
+
+  const externalResources = inv.links.map((l, index) => {
+    const { classification, severity } = classifyPdfLink(l);
+    return {
+      id: `external_resource_${index}`,
+      type: l.kind,
+      classification,
+      name: String(l.target || "").split(/[\/]/).filter(Boolean).pop() || l.kind,
+      target: l.target,
+      targetKind: l.targetKind,
+      host: l.targetKind === "web" ? l.target.match(/^https?:\/\/([^/:?#]+)/i)?.[1]?.toLowerCase() || null : null,
+      destination: l.destination,
+      page: l.page,
+      objectRef: l.objectRef,
+      loadedOnOpen: false,
+      location: `Page ${l.page}`,
+      description: describePdfLink(l, classification),
+      severity,
+    };
+  });
+
+  const embeddedObjects = inv.attachments.map((a, index) => {
+    const label = EMBEDDED_OBJECT_LABELS[a.objectClass];
+    const name = a.fileName || a.name || "unnamed file";
+    return {
+      id: `embed_${index}`,
+      filename: name,
+      type: a.source === "annotation" ? "file_attachment" : "embedded_file",
+      objectClass: a.objectClass,
+      originalFileName: a.fileName,
+      bytes: a.size,
+      page: a.page,
+      objectRef: a.objectRef,
+      location: a.page ? `Page ${a.page}` : "Attachments",
+      description: `${a.objectClass === "attached_file" ? "File" : label} "${name}" attached to the PDF${a.description ? ` (${a.description})` : ""}${
+        a.objectClass === "executable" ? ": it runs when the attachment is opened" : ""
+      }`,
+      severity: a.objectClass === "executable" ? "critical" : a.objectClass === "attached_file" ? "medium" : "high",
+    };
+  });
+
+  return { comments, hiddenContent: [...formFields, ...layers], externalResources, embeddedObjects };
+}
+
 // ============================================================
 // CATEGORY FROM TYPE (sensitiveData)
 // ============================================================
@@ -626,7 +1121,7 @@ async function analyzeOfficeMetadata(zip) {
       if (parsed?.Properties) {
         if (parsed.Properties.Company?.[0])
           metadata.push({
-            id: `meta_company_${Date.now()}`,
+            id: `meta_company`,
             type: "company",
             key: "Company",
             value: parsed.Properties.Company[0],
@@ -636,7 +1131,7 @@ async function analyzeOfficeMetadata(zip) {
           });
         if (parsed.Properties.Manager?.[0])
           metadata.push({
-            id: `meta_manager_${Date.now()}`,
+            id: `meta_manager`,
             type: "manager",
             key: "Manager",
             value: parsed.Properties.Manager[0],
@@ -646,7 +1141,7 @@ async function analyzeOfficeMetadata(zip) {
           });
         if (parsed.Properties.Application?.[0])
           metadata.push({
-            id: `meta_app_${Date.now()}`,
+            id: `meta_app`,
             type: "software",
             key: "Application",
             value: parsed.Properties.Application[0],
@@ -656,7 +1151,7 @@ async function analyzeOfficeMetadata(zip) {
           });
         if (parsed.Properties.TotalTime?.[0])
           metadata.push({
-            id: `meta_time_${Date.now()}`,
+            id: `meta_time`,
             type: "revision",
             key: "Editing Time",
             value: `${parsed.Properties.TotalTime[0]} minutes`,
@@ -691,12 +1186,12 @@ async function analyzeOfficeMetadata(zip) {
           });
         };
 
-        pushCore(`meta_author_${Date.now()}`, "author", "Author", props["dc:creator"]?.[0], "high", "Author name exposed");
-        pushCore(`meta_title_${Date.now()}`, "title", "Title", props["dc:title"]?.[0], "low", "Document title in metadata");
-        pushCore(`meta_subject_${Date.now()}`, "subject", "Subject", props["dc:subject"]?.[0], "low", "Document subject in metadata");
-        pushCore(`meta_keywords_${Date.now()}`, "keywords", "Keywords", props["cp:keywords"]?.[0], "medium", "Document keywords");
+        pushCore(`meta_author`, "author", "Author", props["dc:creator"]?.[0], "high", "Author name exposed");
+        pushCore(`meta_title`, "title", "Title", props["dc:title"]?.[0], "low", "Document title in metadata");
+        pushCore(`meta_subject`, "subject", "Subject", props["dc:subject"]?.[0], "low", "Document subject in metadata");
+        pushCore(`meta_keywords`, "keywords", "Keywords", props["cp:keywords"]?.[0], "medium", "Document keywords");
         pushCore(
-          `meta_lastmod_${Date.now()}`,
+          `meta_lastmod`,
           "author",
           "Last Modified By",
           props["cp:lastModifiedBy"]?.[0],
@@ -704,7 +1199,7 @@ async function analyzeOfficeMetadata(zip) {
           "Last modifier name exposed"
         );
         pushCore(
-          `meta_created_${Date.now()}`,
+          `meta_created`,
           "created_date",
           "Creation Date",
           props["dcterms:created"]?.[0]?._,
@@ -712,7 +1207,7 @@ async function analyzeOfficeMetadata(zip) {
           "Document creation date"
         );
         pushCore(
-          `meta_modified_${Date.now()}`,
+          `meta_modified`,
           "modified_date",
           "Modification Date",
           props["dcterms:modified"]?.[0]?._,
@@ -725,9 +1220,107 @@ async function analyzeOfficeMetadata(zip) {
     }
   }
 
+  // Package thumbnail: rendered first page / slide / sheet as last saved
+  for (const t of await inspectThumbnails(zip)) {
+    metadata.push({
+      id: `meta_thumbnail`,
+      type: "thumbnail",
+      key: "Thumbnail",
+      value: `${t.part} (${t.extension.toUpperCase()}, ${Math.max(1, Math.round(t.bytes / 1024))} KB)`,
+      part: t.part,
+      location: "Package thumbnail",
+      severity: "medium",
+      description: "Preview image of the first page as last saved; it can still show content removed from the document",
+    });
+  }
+
   return metadata;
 }
 
+/**
+ * DOCX editing-session fingerprints: identical in every copy saved from the same drafts,
+ * so they can tie a client copy back to internal versions
+ */
+async function analyzeDOCXFingerprints(zip) {
+  const fp = await inspectDocxFingerprints(zip);
+  const items = [];
+
+  if (fp.rsidAttributes || fp.rsidSessions.length) {
+    items.push({
+      id: `meta_rsid`,
+      type: "revision_fingerprint",
+      key: "Revision sessions (rsid)",
+      value: `${fp.rsidSessions.length} editing session ID(s), ${fp.rsidAttributes} rsid attribute(s)${
+        fp.rsidRoot ? `, root ${fp.rsidRoot}` : ""
+      }`,
+      part: "word/settings.xml",
+      parts: fp.rsidParts.map((p) => p.part),
+      sessionCount: fp.rsidSessions.length,
+      attributeCount: fp.rsidAttributes,
+      location: "settings.xml + document parts",
+      severity: "medium",
+      description: "Editing-session IDs shared with every draft of this document; they can correlate copies",
+    });
+  }
+
+  fp.docVars.forEach((v, i) => {
+    items.push({
+      id: `meta_docvar_${i}`,
+      type: "document_variable",
+      key: `Document variable "${v.name}"`,
+      name: v.name,
+      value: v.value.slice(0, 200),
+      part: "word/settings.xml",
+      location: "settings.xml (w:docVars)",
+      severity: "medium",
+      description: "Hidden variable stored by a template or add-in (DMS numbers, matter IDs, user names)",
+    });
+  });
+
+  fp.people.forEach((p, i) => {
+    items.push({
+      id: `meta_person_${i}`,
+      type: "reviewer_identity",
+      key: "Reviewer",
+      value: p.userId && p.userId !== p.author ? `${p.author} (${p.userId})` : p.author,
+      author: p.author,
+      providerId: p.providerId,
+      part: "word/people.xml",
+      location: "people.xml",
+      severity: "high",
+      description: "Author of tracked changes or comments, kept after the changes are accepted",
+    });
+  });
+
+  fp.docIds.forEach((docId, i) => {
+    items.push({
+      id: `meta_docid_${i}`,
+      type: "document_id",
+      key: "Document ID",
+      value: docId,
+      part: "word/settings.xml",
+      location: "settings.xml",
+      severity: "medium",
+      description: "Identifier kept by every copy of the document",
+    });
+  });
+
+  if (fp.proofState) {
+    items.push({
+      id: `meta_proof_state`,
+      type: "proof_state",
+      key: "Proofing state",
+      value: `spelling ${fp.proofState.spelling || "n/a"}, grammar ${fp.proofState.grammar || "n/a"}`,
+      part: "word/settings.xml",
+      location: "settings.xml",
+      severity: "low",
+      description: "Proofing status as last saved by the author's Word",
+    });
+  }
+
+  return items;
+}
+
 // ============================================================
 // COMMENTS / TRACK CHANGES / HIDDEN CONTENT / VISUAL / ORPHAN
 // ============================================================
@@ -769,7 +1362,7 @@ async function analyzeDOCXCommentsEnriched(zip) {
           const text = (extracted || "").trim();
 
           comments.push({
-            id: `comment_${index}_${Date.now()}`,
+            id: `comment_${index}`,
             type: "comment",
             author,
             text: text || "Empty comment",
@@ -835,7 +1428,7 @@ async function analyzePPTXCommentsEnriched(zip) {
             const dt = cm.$?.dt || null;
 
             comments.push({
-              id: `ppt_comment_${comments.length}_${Date.now()}`,
+              id: `ppt_comment_${comments.length}`,
               type: "comment",
               author: authorName,
               text: String(text).trim() || "Empty comment",
@@ -862,7 +1455,7 @@ async function analyzePPTXCommentsEnriched(zip) {
       const textContent = extractTextFromXML(content);
       if (textContent && textContent.trim().length > 0) {
         comments.push({
-          id: `ppt_modern_comment_${comments.length}_${Date.now()}`,
+          id: `ppt_modern_comment_${comments.length}`,
           type: "comment",
           author: "Unknown Author",
           text: textContent.trim(),
@@ -888,7 +1481,7 @@ async function analyzePPTXCommentsEnriched(zip) {
         const slideNum = slideMatch ? slideMatch[1] : "?";
 
         comments.push({
-          id: `ppt_speaker_note_${comments.length}_${Date.now()}`,
+          id: `ppt_speaker_note_${comments.length}`,
           type: "speaker_note",
           author: "Speaker Notes",
           text: noteText.trim().substring(0, 300) + (noteText.length > 300 ? "..." : ""),
@@ -931,54 +1524,68 @@ function extractSlideNumber(filePath) {
   return match ? `Slide ${match[1]}` : "Presentation";
 }
 
-async function analyzeExcelCommentsEnriched(zip) {
+// Legacy notes + threaded comments (with replies). Thread placeholders Excel writes into
+// xl/comments*.xml for older readers are skipped: the thread itself is reported.
+async function analyzeExcelCommentsEnriched(inventory) {
   const comments = [];
-  const commentFiles = Object.keys(zip.files).filter(
-    (name) => name.startsWith("xl/comments") && name.endsWith(".xml")
-  );
 
-  for (const commentFile of commentFiles) {
-    const file = zip.file(commentFile);
-    if (file) {
-      const content = await file.async("text");
-      try {
-        const parsed = await parseStringPromise(content);
-
-        if (parsed?.comments?.commentList?.[0]?.comment) {
-          parsed.comments.commentList[0].comment.forEach((comment, index) => {
-            const ref = comment.$?.ref || `Cell ${index + 1}`;
-
-            let text = "";
-            if (comment.text?.[0]?.r) {
-              comment.text[0].r.forEach((r) => {
-                if (r.t?.[0]) text += r.t[0];
-              });
-            } else if (comment.text?.[0]?.t?.[0]) {
-              text = comment.text[0].t[0];
-            } else if (typeof comment.text?.[0] === "string") {
-              text = comment.text[0];
-            }
+  for (const note of inventory.notes) {
+    if (note.threaded) continue;
+    const text = String(note.text || "").trim();
+    comments.push({
+      id: `excel_comment_${comments.length}`,
+      type: "comment",
+      author: note.author || "Cell Comment",
+      text: text || "Empty comment",
+      date: null,
+      location: `Cell ${note.ref}`,
+      sheet: note.sheet,
+      part: note.part,
+      severity: determineSeverity(text),
+    });
+  }
 
-            comments.push({
-              id: `excel_comment_${comments.length}_${Date.now()}`,
-              type: "comment",
-              author: "Cell Comment",
-              text: String(text).trim() || "Empty comment",
-              date: null,
-              location: `Cell ${ref}`,
-              severity: determineSeverity(String(text)),
-            });
-          });
-        }
-      } catch (e) {
-        console.error("Error parsing Excel comments:", e);
-      }
-    }
+  for (const thread of inventory.threads) {
+    const text = String(thread.text || "").trim();
+    const replies = thread.parentId ? 0 : inventory.threads.filter((t) => t.parentId === thread.id).length;
+    comments.push({
+      id: `excel_comment_${comments.length}`,
+      type: thread.parentId ? "threaded_reply" : "threaded_comment",
+      author: thread.author || "Unknown Author",
+      authorUserId: thread.userId,
+      text: text || "Empty comment",
+      date: thread.date,
+      location: `Cell ${thread.ref}`,
+      sheet: thread.sheet,
+      part: thread.part,
+      threadId: thread.parentId || thread.id,
+      replies,
+      resolved: thread.done,
+      severity: determineSeverity(text),
+    });
   }
 
   return comments;
 }
 
+// Persons listed in xl/persons but not behind any threaded comment (left after comments were deleted in Excel)
+function analyzeExcelCommentAuthors(inventory) {
+  const referenced = new Set(inventory.threads.map((t) => t.personId));
+  const orphans = inventory.persons.filter((p) => !referenced.has(p.id) && p.displayName);
+  if (!orphans.length) return [];
+  return [
+    {
+      id: "comment_author_directory",
+      type: "comment_author_directory",
+      name: orphans.map((p) => p.displayName).join(", "),
+      description: `${orphans.length} comment author${orphans.length > 1 ? "s" : ""} listed without any comment`,
+      location: "Workbook",
+      severity: orphans.some((p) => p.userId) ? "medium" : "low",
+      part: orphans[0].part,
+    },
+  ];
+}
+
 async function analyzeDOCXTrackChangesEnriched(zip) {
   const trackChanges = [];
   const documentXml = zip.file("word/document.xml");
@@ -993,7 +1600,7 @@ async function analyzeDOCXTrackChangesEnriched(zip) {
       const newText = extractTextFromXML(match[3]);
       if (newText.trim()) {
         trackChanges.push({
-          id: `ins_${trackChanges.length}_${Date.now()}`,
+          id: `ins_${trackChanges.length}`,
           type: "insertion",
           author: match[1] || "Unknown",
           date: match[2] || null,
@@ -1012,7 +1619,7 @@ async function analyzeDOCXTrackChangesEnriched(zip) {
       const originalText = extractTextFromXML(match[3]);
       if (originalText.trim()) {
         trackChanges.push({
-          id: `del_${trackChanges.length}_${Date.now()}`,
+          id: `del_${trackChanges.length}`,
           type: "deletion",
           author: match[1] || "Unknown",
           date: match[2] || null,
@@ -1065,7 +1672,7 @@ async function analyzeDOCXHiddenContentEnriched(zip) {
         else if (isTinyFont) reason = "tiny_font";
 
         detailedHiddenText.push({
-          id: `hidden_text_${runIndex}_${Date.now()}`,
+          id: `hidden_text_${runIndex}`,
           reason,
           text: cleanText,
           preview: cleanText.length > 120 ? cleanText.slice(0, 117) + "..." : cleanText,
@@ -1084,7 +1691,7 @@ async function analyzeDOCXHiddenContentEnriched(zip) {
 
     if (vanishCount > 0) {
       hidden.push({
-        id: `hidden_vanish_${Date.now()}`,
+        id: `hidden_vanish`,
         type: "vanished_text",
         description: `${vanishCount} hidden text element(s) using vanish property`,
         content: null,
@@ -1095,7 +1702,7 @@ async function analyzeDOCXHiddenContentEnriched(zip) {
 
     if (whiteCount > 0) {
       hidden.push({
-        id: `hidden_white_${Date.now()}`,
+        id: `hidden_white`,
         type: "white_text",
         description: `${whiteCount} white text element(s) detected (potentially hidden content)`,
         content: null,
@@ -1106,7 +1713,7 @@ async function analyzeDOCXHiddenContentEnriched(zip) {
 
     if (tinyCount > 0) {
       hidden.push({
-        id: `hidden_smallfont_${Date.now()}`,
+        id: `hidden_smallfont`,
         type: "invisible_text",
         description: `${tinyCount} very small font element(s) detected (< 5pt)`,
         content: null,
@@ -1118,7 +1725,7 @@ async function analyzeDOCXHiddenContentEnriched(zip) {
 
     if (detailedHiddenText.length > 0) {
       hidden.push({
-        id: `hidden_details_${Date.now()}`,
+        id: `hidden_details`,
         type: "hidden_text_details",
         description: `${detailedHiddenText.length} hidden/white text run(s) detected in document body`,
         location: "Document body",
@@ -1132,7 +1739,7 @@ async function analyzeDOCXHiddenContentEnriched(zip) {
 
   if (embeddings.length > 0) {
     hidden.push({
-      id: `hidden_embedded_${Date.now()}`,
+      id: `hidden_embedded`,
       type: "embedded_file",
       description: `${embeddings.length} embedded file(s) detected`,
       content: embeddings.map((e) => e.split("/").pop()).join(", "),
@@ -1159,7 +1766,7 @@ async function analyzePPTXHiddenContentEnriched(zip) {
         slides.forEach((slide, index) => {
           if (slide.$?.show === "0") {
             hidden.push({
-              id: `hidden_slide_${index}_${Date.now()}`,
+              id: `hidden_slide_${index}`,
               type: "hidden_slide",
               description: `Slide ${index + 1} is marked as hidden`,
               content: null,
@@ -1201,7 +1808,7 @@ async function analyzePPTXHiddenContentEnriched(zip) {
       if (!cleanText) continue;
 
       localWhiteTexts.push({
-        id: `ppt_hidden_text_${slideNum}_${localWhiteTexts.length}_${Date.now()}`,
+        id: `ppt_hidden_text_${slideNum}_${localWhiteTexts.length}`,
         reason: "white_color",
         text: cleanText,
         preview: cleanText.length > 120 ? cleanText.slice(0, 117) + "..." : cleanText,
@@ -1214,7 +1821,7 @@ async function analyzePPTXHiddenContentEnriched(zip) {
       detailedHiddenText.push(...localWhiteTexts);
 
       hidden.push({
-        id: `hidden_white_slide${slideNum}_${Date.now()}`,
+        id: `hidden_white_slide${slideNum}`,
         type: "white_text",
         description: `${localWhiteTexts.length} white text element(s) on slide ${slideNum}`,
         content: null,
@@ -1229,7 +1836,7 @@ async function analyzePPTXHiddenContentEnriched(zip) {
       const y = parseInt(match[2], 10);
       if (x < -1000000 || x > 10000000 || y < -1000000 || y > 8000000) {
         hidden.push({
-          id: `hidden_offslide_${hidden.length}_${Date.now()}`,
+          id: `hidden_offslide_${hidden.length}`,
           type: "off_slide_content",
           description: `Content positioned outside slide bounds`,
           content: null,
@@ -1243,7 +1850,7 @@ async function analyzePPTXHiddenContentEnriched(zip) {
 
   if (detailedHiddenText.length > 0) {
     hidden.push({
-      id: `hidden_details_ppt_${Date.now()}`,
+      id: `hidden_details_ppt`,
       type: "hidden_text_details",
       description: `${detailedHiddenText.length} hidden/white text run(s) detected across slides`,
       location: "Slides",
@@ -1326,7 +1933,7 @@ async function analyzeVisualObjects(zip, fileType) {
         const cleanText = (text || "").trim();
         if (cleanText.length > 0) {
           visualObjects.push({
-            id: `visual_shape_text_slide${slideNum}_${shapeId || visualObjects.length}_${Date.now()}`,
+            id: `visual_shape_text_slide${slideNum}_${shapeId || visualObjects.length}`,
             type: "shape_text",
             description: `Text inside shape${geom ? ` (${geom})` : ""}`,
             text: cleanText,
@@ -1346,7 +1953,7 @@ async function analyzeVisualObjects(zip, fileType) {
           if (ext.cx > 2000000 && ext.cy > 500000) {
             potentialCoveringShapes++;
             visualObjects.push({
-              id: `visual_covering_slide${slideNum}_${shapeId || visualObjects.length}_${Date.now()}`,
+              id: `visual_covering_slide${slideNum}_${shapeId || visualObjects.length}`,
               type: "shape_covering_text",
               description: `Large solid shape may cover content${geom ? ` (${geom})` : ""}`,
               location: `${slideLocation}${shapeName ? ` — ${shapeName}` : ""}${shapeId ? ` (id ${shapeId})` : ""}`,
@@ -1359,7 +1966,7 @@ async function analyzeVisualObjects(zip, fileType) {
 
       if (potentialCoveringShapes > 0) {
         visualObjects.push({
-          id: `visual_covering_summary_slide${slideNum}_${Date.now()}`,
+          id: `visual_covering_summary_slide${slideNum}`,
           type: "shape_covering_text",
           description: `${potentialCoveringShapes} large solid shape(s) that may cover content`,
           location: slideLocation,
@@ -1370,7 +1977,7 @@ async function analyzeVisualObjects(zip, fileType) {
 
       if (missingAlt > 3) {
         visualObjects.push({
-          id: `visual_noalt_slide${slideNum}_${Date.now()}`,
+          id: `visual_noalt_slide${slideNum}`,
           type: "missing_alt_text",
           description: `${missingAlt} shapes without alt text (accessibility issue)`,
           location: slideLocation,
@@ -1394,7 +2001,7 @@ async function analyzeVisualObjects(zip, fileType) {
         const clean = (tbxText || "").trim();
         if (clean.length > 0) {
           visualObjects.push({
-            id: `visual_shape_text_docx_${tbxIndex}_${Date.now()}`,
+            id: `visual_shape_text_docx_${tbxIndex}`,
             type: "shape_text",
             description: "Text inside textbox/shape",
             text: clean,
@@ -1419,7 +2026,7 @@ async function analyzeVisualObjects(zip, fileType) {
 
       if (coveringShapes > 0) {
         visualObjects.push({
-          id: `visual_covering_docx_${Date.now()}`,
+          id: `visual_covering_docx`,
           type: "shape_covering_text",
           description: `${coveringShapes} anchored shape(s) with solid fill may cover content`,
           location: "Document body",
@@ -1466,7 +2073,7 @@ async function analyzeOrphanData(fullText, zip, fileType) {
 
         if (textContent.trim().length < 10) {
           orphanData.push({
-            id: `orphan_empty_slide${slideNum}_${Date.now()}`,
+            id: `orphan_empty_slide${slideNum}`,
             type: "empty_page",
             description: `Slide ${slideNum} appears to be empty or has minimal content`,
             value: null,
@@ -1482,7 +2089,7 @@ async function analyzeOrphanData(fullText, zip, fileType) {
   const trailingWhitespaceMatches = fullText.match(/\s{3,}/g) || [];
   if (trailingWhitespaceMatches.length > 5) {
     orphanData.push({
-      id: `orphan_whitespace_${Date.now()}`,
+      id: `orphan_whitespace`,
       type: "trailing_whitespace",
       description: `${trailingWhitespaceMatches.length} instances of excessive whitespace detected`,
       value: null,
@@ -1513,7 +2120,7 @@ async function analyzeExcelHiddenSheets(zip) {
           const state = sheet.$?.state;
           if (state === "hidden" || state === "veryHidden") {
             hiddenSheets.push({
-              id: `hidden_sheet_${index}_${Date.now()}`,
+              id: `hidden_sheet_${index}`,
               sheetName: sheet.$?.name || `Sheet ${index + 1}`,
               type: state === "veryHidden" ? "very_hidden" : "hidden",
               hasData: true,
@@ -1530,45 +2137,53 @@ async function analyzeExcelHiddenSheets(zip) {
   return hiddenSheets;
 }
 
-async function analyzeExcelHiddenColumns(zip) {
-  const hiddenColumns = [];
-  const sheetFiles = Object.keys(zip.files).filter(
-    (name) => name.startsWith("xl/worksheets/sheet") && name.endsWith(".xml")
-  );
+const CONCEALED_TECHNIQUE_LABELS = {
+  hidden_row: "Hidden rows",
+  hidden_column: "Hidden columns",
+  collapsed_outline: "Collapsed outline group",
+  tiny_row_height: "Near-zero row height",
+  tiny_column_width: "Near-zero column width",
+  hidden_number_format: "Hidden number format",
+  invisible_font: "Font colour matches fill",
+};
 
-  for (const sheetFile of sheetFiles) {
-    const file = zip.file(sheetFile);
-    if (file) {
-      const content = await file.async("text");
-      const sheetName = sheetFile.replace("xl/worksheets/", "").replace(".xml", "");
+function describeConcealed(f) {
+  const what = f.axis === "row" ? `rows ${f.range}` : f.axis === "column" ? `columns ${f.range}` : `cells ${f.range}`;
+  const data = f.cellCount ? `${f.cellCount} cell${f.cellCount > 1 ? "s" : ""} with data` : "no data";
+  const format = f.formatCode ? ` (format "${f.formatCode}")` : "";
+  return `${CONCEALED_TECHNIQUE_LABELS[f.technique]}: ${what} in ${f.sheet}${format}, ${data}`;
+}
 
-      const colMatches = content.matchAll(
-        /<col[^>]*hidden="1"[^>]*min="(\d+)"[^>]*max="(\d+)"[^>]*\/>/g
-      );
-      for (const match of colMatches) {
-        hiddenColumns.push({
-          id: `hidden_col_${hiddenColumns.length}_${Date.now()}`,
-          sheet: sheetName,
-          columns: `${match[1]}-${match[2]}`,
-          type: "hidden_column",
-          severity: "high",
-        });
-      }
+function toConcealedItem(f, id) {
+  return {
+    id,
+    type: f.technique,
+    sheet: f.sheet,
+    part: f.part,
+    axis: f.axis,
+    range: f.range,
+    name: `${f.sheet}!${f.range}`,
+    columns: f.axis === "column" ? f.range : undefined,
+    row: f.axis === "row" ? f.range : undefined,
+    cellCount: f.cellCount,
+    sample: f.sample,
+    description: describeConcealed(f),
+    severity: !f.cellCount ? "low" : f.axis === "cell" ? "high" : "medium",
+  };
+}
 
-      const rowMatches = content.matchAll(/<row[^>]*hidden="1"[^>]*r="(\d+)"[^>]*>/g);
-      for (const match of rowMatches) {
-        hiddenColumns.push({
-          id: `hidden_row_${hiddenColumns.length}_${Date.now()}`,
-          sheet: sheetName,
-          row: match[1],
-          type: "hidden_row",
-          severity: "high",
-        });
-      }
-    }
-  }
+// Structural hiding: hidden rows / columns and collapsed outline groups
+function analyzeExcelHiddenColumns(concealed) {
+  return concealed
+    .filter((f) => ["hidden_row", "hidden_column", "collapsed_outline"].includes(f.technique))
+    .map((f, i) => toConcealedItem(f, `hidden_col_${i}`));
+}
 
-  return hiddenColumns;
+// Cosmetic hiding: near-zero sizes, ";;;" number formats, font colour = fill colour
+function analyzeExcelConcealedCells(concealed) {
+  return concealed
+    .filter((f) => !["hidden_row", "hidden_column", "collapsed_outline"].includes(f.technique))
+    .map((f, i) => toConcealedItem(f, `concealed_${i}`));
 }
 
 async function analyzeExcelSensitiveFormulas(zip) {
@@ -1589,7 +2204,8 @@ async function analyzeExcelSensitiveFormulas(zip) {
         let risk = "low";
         let reason = "";
 
-        if (formula.includes("[") && formula.includes("]")) {
+        // [n] = xl/externalLinks index; [Book.xlsx] = unresolved path form
+        if (externalLinkIndexes(decodeXmlEntities(formula)).length || /\[[^\]]+\.(xls[xmb]?|csv)\]/i.test(formula)) {
           risk = "high";
           reason = "External file reference detected";
         } else if (/SQL|ODBC/i.test(formula)) {
@@ -1608,7 +2224,7 @@ async function analyzeExcelSensitiveFormulas(zip) {
 
         if (risk !== "low") {
           sensitiveFormulas.push({
-            id: `formula_${sensitiveFormulas.length}_${Date.now()}`,
+            id: `formula_${sensitiveFormulas.length}`,
             sheet: sheetName,
             formula: formula.slice(0, 100),
             risk,
@@ -1623,30 +2239,369 @@ async function analyzeExcelSensitiveFormulas(zip) {
   return sensitiveFormulas;
 }
 
+/**
+ * External workbook links (xl/externalLinks), data connections (xl/connections.xml) and query tables.
+ * Connection strings are reported with credentials masked.
+ */
+async function analyzeExcelExternalData(zip) {
+  const findings = [];
+  let external;
+  try {
+    external = await inspectExternalData(zip);
+  } catch {
+    return findings;
+  }
+
+  const formulaRefs = new Map();
+  const sheetFiles = Object.keys(zip.files).filter((n) => n.startsWith("xl/worksheets/sheet") && n.endsWith(".xml"));
+  for (const sheetFile of sheetFiles) {
+    const content = await zip.file(sheetFile).async("text");
+    for (const m of content.matchAll(/<f\b[^>]*>([^<]*)<\/f>/g)) {
+      for (const n of externalLinkIndexes(decodeXmlEntities(m[1]))) formulaRefs.set(n, (formulaRefs.get(n) || 0) + 1);
+    }
+  }
+
+  for (const link of external.links) {
+    const fileName = String(link.target || "").split(/[\\/]/).pop() || `External link ${link.index}`;
+    findings.push({
+      id: `external_link_${link.index}`,
+      type: "external_link",
+      name: fileName,
+      target: link.target,
+      targetKind: link.targetKind,
+      part: link.part,
+      sheetNames: link.sheetNames,
+      cachedValues: link.cachedValues,
+      formulaReferences: formulaRefs.get(link.index) || 0,
+      description: `Link to external workbook ${link.target || fileName} (${link.cachedValues} cached value(s))`,
+      location: "Workbook links",
+      severity: ["unc", "local_path"].includes(link.targetKind) ? "high" : "medium",
+    });
+  }
+
+  external.connections.forEach((c, index) => {
+    findings.push({
+      id: `data_connection_${index}`,
+      type: "data_connection",
+      name: c.name,
+      target: c.target,
+      targetKind: c.targetKind,
+      part: c.part,
+      connectionType: c.connectionType,
+      server: c.server,
+      database: c.database,
+      user: c.user,
+      hasCredentials: c.hasCredentials,
+      connectionString: c.connectionString,
+      command: c.command,
+      description: `${c.connectionType} connection "${c.name}"${c.target ? ` to ${c.target}` : ""}${
+        c.hasCredentials ? " (stored credentials)" : ""
+      }`,
+      location: "Data connections",
+      severity: c.hasCredentials ? "critical" : c.target ? "high" : "medium",
+    });
+  });
+
+  external.queryTables.forEach((q, index) => {
+    findings.push({
+      id: `query_table_${index}`,
+      type: "query_table",
+      name: q.name,
+      target: q.target,
+      part: q.part,
+      connectionName: q.connectionName,
+      description: `Query table ${q.name}${q.connectionName ? ` refreshed from "${q.connectionName}"` : ""}`,
+      location: q.owner ? q.owner.replace(/^xl\//, "") : "Workbook",
+      severity: "medium",
+    });
+  });
+
+  return findings;
+}
+
+/**
+ * Pivot caches: record count + source range. Records are a full copy of the source rows,
+ * so they leak data even when the source sheet is hidden or was deleted.
+ */
+async function analyzeExcelPivotCaches(zip) {
+  let caches = [];
+  try {
+    caches = await inspectPivotCaches(zip);
+  } catch {
+    return [];
+  }
+
+  return caches.map((c) => {
+    const src = c.source;
+    const sourceLabel =
+      src.type === "external"
+        ? `external connection ${src.connectionId || ""}`.trim()
+        : src.sheet
+          ? `${src.sheet}!${src.ref || ""}`.replace(/!$/, "")
+          : src.name || "unknown source";
+    const exposed = ["hidden", "veryHidden", "missing"].includes(src.sheetState) || src.type === "external";
+
+    return {
+      id: `pivot_cache_${c.cacheId}`,
+      type: "pivot_cache",
+      name: `Pivot cache ${c.cacheId} (${sourceLabel})`,
+      part: c.part,
+      recordsPart: c.recordsPart,
+      records: c.records,
+      fields: c.fields,
+      sourceType: src.type,
+      sourceSheet: src.sheet,
+      sourceRange: src.ref || src.name || null,
+      sourceSheetState: src.sheetState,
+      refreshOnLoad: c.refreshOnLoad,
+      pivotTables: c.pivotTables.map((t) => `${t.sheet}: ${t.name}`),
+      description:
+        (c.records
+          ? `Pivot cache stores ${c.records} source record(s) from ${sourceLabel}`
+          : `Pivot cache without stored records (${sourceLabel})`) +
+        (src.sheetState === "missing" ? " (source sheet no longer in workbook)" : "") +
+        (["hidden", "veryHidden"].includes(src.sheetState) ? " (source sheet is hidden)" : ""),
+      location: c.pivotTables.length ? c.pivotTables.map((t) => t.sheet).join(", ") : "Workbook",
+      severity: c.records === 0 ? "low" : exposed ? "high" : "medium",
+    };
+  });
+}
+
 // ============================================================
 // EMBEDDED OBJECTS & MACROS
 // ============================================================
 
+const EXTERNAL_RESOURCE_LABELS = {
+  attached_template: "Attached template",
+  linked_image: "Linked image",
+  ole_link: "Linked OLE object",
+  frame: "Frame",
+  sub_document: "Subdocument",
+  external_resource: "External resource",
+};
+
+function describeExternalResource(r) {
+  const label = EXTERNAL_RESOURCE_LABELS[r.kind] || "External resource";
+  if (r.classification === "template_injection") {
+    return `${label} loaded from ${r.target}: remote content or macros can be pulled in when the document opens`;
+  }
+  if (r.classification === "tracking_beacon") {
+    return `${label} fetched from ${r.host || r.target} when the document opens (reveals who opened it, when and from where)`;
+  }
+  return r.targetKind === "unc"
+    ? `${label} on network share ${r.target}: exposes server / share names, opening triggers a network login to ${r.host}`
+    : `${label} points to ${r.target}: exposes an internal path`;
+}
+
+/**
+ * TargetMode="External" relationships (hyperlinks excepted), classified as
+ * template_injection / tracking_beacon / internal_path_exposure
+ */
+async function analyzeDOCXExternalResources(zip) {
+  let resources;
+  try {
+    resources = await inspectDocxExternalResources(zip);
+  } catch {
+    return [];
+  }
+  return resources.map((r, index) => ({
+    id: `external_resource_${index}`,
+    type: r.kind,
+    classification: r.classification,
+    name: String(r.target || "").split(/[\\/]/).filter(Boolean).pop() || r.host || r.kind,
+    target: r.target,
+    targetKind: r.targetKind,
+    host: r.host,
+    part: r.sourcePart,
+    relId: r.relId,
+    loadedOnOpen: r.loadedOnOpen,
+    description: describeExternalResource(r),
+    location: r.sourcePart.replace(/^word\//, ""),
+    severity: r.severity,
+  }));
+}
+
+function describeField(f) {
+  const name = f.fieldType || "Field";
+  switch (f.classification) {
+    case "dde_execution":
+      return `${name} field runs an external program${f.fetchOnOpen ? " when the document opens" : " when fields are updated"}: ${f.instruction}`;
+    case "external_fetch":
+      return `${name} field fetches ${f.target || "external content"}${f.fetchOnOpen ? " each time fields are updated" : ""}`;
+    case "macro_trigger":
+      return `${name} field runs a macro when double-clicked`;
+    case "path_exposure":
+      return `${name} field exposes the path ${f.target || f.result || "of the source file"}`;
+    case "identity_exposure":
+      return `${name} field shows ${f.result ? `"${f.result}"` : "document / user properties"} and takes the identity of whoever updates it`;
+    case "auto_update":
+      return `${name} field changes value when the document is opened, saved or printed`;
+    default:
+      return `${name} field${f.result ? ` (shows "${f.result.slice(0, 60)}")` : ""}`;
+  }
+}
+
+/**
+ * Every field (w:fldSimple, w:fldChar / w:instrText) with its risk classification;
+ * low-risk fields (PAGE, TOC, REF...) are listed with risky: false
+ */
+async function analyzeDOCXFieldCodes(zip) {
+  let inventory;
+  try {
+    inventory = await inspectDocxFields(zip);
+  } catch {
+    return [];
+  }
+
+  const items = inventory.fields.map((f, index) => ({
+    id: `field_${index}`,
+    type: "field_code",
+    fieldType: f.fieldType,
+    classification: f.classification,
+    value: f.instruction,
+    text: f.result,
+    target: f.target,
+    targetKind: f.targetKind,
+    part: f.part,
+    location: f.part.replace(/^word\//, ""),
+    fieldKind: f.kind,
+    autoUpdate: f.autoUpdate,
+    fetchOnOpen: f.fetchOnOpen,
+    risky: f.risky,
+    description: describeField(f),
+    severity: f.severity,
+  }));
+
+  if (inventory.updateFieldsOnOpen) {
+    items.push({
+      id: `field_update_on_open`,
+      type: "update_fields_on_open",
+      part: "word/settings.xml",
+      location: "settings.xml",
+      risky: true,
+      description: "Word is asked to update every field when the document opens",
+      severity: items.some((i) => i.fetchOnOpen || i.classification === "dde_execution") ? "high" : "medium",
+    });
+  }
+
+  return items;
+}
+
+const EMBEDDED_OBJECT_LABELS = {
+  activex: "ActiveX control",
+  executable: "Executable file",
+  ole_package: "OLE Package",
+  office_document: "Embedded Office document",
+  pdf_document: "Embedded PDF",
+  chart_data: "Chart source workbook",
+  ole_object: "OLE object",
+  attached_file: "Attached file",
+};
+
+function describeEmbeddedObject(o) {
+  const label = EMBEDDED_OBJECT_LABELS[o.objectClass];
+  if (o.objectClass === "executable") {
+    return `${label} ${o.fileName ? `"${o.fileName}" ` : ""}embedded in the document; it runs when the object is opened`;
+  }
+  if (o.objectClass === "activex") {
+    return `${label} ${o.progId || o.classId || ""} runs code when the document is opened with content enabled`.replace(/\s+/g, " ");
+  }
+  if (o.objectClass === "ole_package") return `${label} wrapping "${o.fileName || "unknown file"}"`;
+  if (o.objectClass === "chart_data") return `${label}: the full source data travels with the chart`;
+  return `${label}${o.progId ? ` (${o.progId})` : ""}${o.macroEnabled ? " with macros enabled" : ""}`;
+}
+
+// Recursion limits for embedded documents (a chart workbook inside an embedded deck = depth 2)
+const MAX_EMBEDDED_DEPTH = 2;
+const MAX_EMBEDDED_DOCUMENTS = 20;
+const MAX_EMBEDDED_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Run the matching analyzer on every embedded OOXML / PDF payload and append its findings to the
+ * parent categories. Each merged item carries embeddedPart (the embedding part in this package),
+ * embeddedPath ("slide 4 → chart2") and a location prefixed with that path; the embeddedObjects
+ * item of the payload is marked analyzed with its finding count.
+ */
+async function mergeEmbeddedDocumentFindings(fileBuffer, detections, depth) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(fileBuffer);
+  } catch {
+    return;
+  }
+
+  let analyzed = 0;
+  for (const o of await inspectEmbeddedObjects(zip)) {
+    if (analyzed >= MAX_EMBEDDED_DOCUMENTS) break;
+    if (["activex", "executable"].includes(o.objectClass)) continue;
+    const payload = await embeddedPayload(zip, o);
+    if (!payload || payload.buffer.length > MAX_EMBEDDED_BYTES) continue;
+
+    let child;
+    try {
+      child = await analyzeDocument(payload.buffer, payload.mimeType, { ai: false, depth: depth + 1 });
+    } catch (e) {
+      console.warn(`Embedded document analysis failed (${o.part}):`, e?.message || e);
+      continue;
+    }
+    analyzed++;
+
+    const embeddedPath = objectLocation(o).join(" → ");
+    let findings = 0;
+    for (const [category, list] of Object.entries(child.detections || {})) {
+      if (!Array.isArray(list) || !list.length) continue;
+      if (!Array.isArray(detections[category])) detections[category] = [];
+      for (const item of list) {
+        detections[category].push({
+          ...item,
+          // Child IDs stay linked across categories but must not collide with another embedding's
+          id: item.id ? `${o.part}#${item.id}` : item.id,
+          location: `${embeddedPath} → ${item.location || item.sheetName || item.sheet || item.part || child.ext}`,
+          embeddedPart: o.part,
+          embeddedPath,
+          embeddedFormat: payload.format,
+        });
+        findings++;
+      }
+    }
+
+    const embedItem = (detections.embeddedObjects || []).find((e) => e.path === o.part && !e.embeddedPart);
+    if (embedItem) Object.assign(embedItem, { analyzed: true, embeddedFormat: payload.format, embeddedFindings: findings, wrapped: payload.wrapped });
+  }
+}
+
 async function analyzeEmbeddedObjects(zip, prefix) {
-  const embeddings = Object.keys(zip.files).filter((name) => name.startsWith(`${prefix}/embeddings/`));
-  return embeddings.map((name, index) => ({
-    id: `embed_${index}_${Date.now()}`,
-    filename: name.split("/").pop(),
-    type: "embedded_object",
-    path: name,
-    severity: "medium",
+  const objects = (await inspectEmbeddedObjects(zip)).filter((o) => o.part.startsWith(`${prefix}/`));
+  return objects.map((o, index) => ({
+    id: `embed_${index}`,
+    filename: o.part.split("/").pop(),
+    type: o.objectClass === "activex" ? "activex_control" : "embedded_object",
+    objectClass: o.objectClass,
+    path: o.part,
+    parts: o.parts,
+    progId: o.progId,
+    classId: o.classId || null,
+    contentType: o.contentType,
+    originalFileName: o.fileName,
+    sourcePath: o.sourcePath,
+    controlName: o.controlName,
+    macroEnabled: o.macroEnabled,
+    bytes: o.bytes,
+    location: objectLocation(o).join(" → ") || o.references[0]?.sourcePart || o.part,
+    description: describeEmbeddedObject(o),
+    severity: o.severity,
   }));
 }
 
 async function analyzeMacros(zip, prefix) {
   const macros = [];
   const macroFiles = Object.keys(zip.files).filter(
-    (name) => name.startsWith(`${prefix}/vbaProject`) || name.endsWith(".bin") || name.includes("vbaProject")
+    (name) => name.startsWith(`${prefix}/vbaProject`) || name.includes("vbaProject") || /vbaData\.xml$/.test(name)
   );
 
   if (macroFiles.length > 0) {
     macros.push({
-      id: `vba_macros_${Date.now()}`,
+      id: `vba_macros`,
       type: "vba_macro",
       name: "VBA Macros",
       description: "Document contains executable VBA macro code - potential security risk",
@@ -1671,7 +2626,7 @@ async function analyzeBrokenLinks(text) {
   const localLinks = text.match(localLinkRegex) || [];
   localLinks.slice(0, 5).forEach((link, index) => {
     brokenLinks.push({
-      id: `broken_local_${index}_${Date.now()}`,
+      id: `broken_local_${index}`,
       type: "local_file_link",
       url: link,
       location: "Document body",
@@ -1684,7 +2639,7 @@ async function analyzeBrokenLinks(text) {
   const internalLinks = text.match(internalLinkRegex) || [];
   internalLinks.slice(0, 3).forEach((link, index) => {
     brokenLinks.push({
-      id: `broken_sharepoint_${index}_${Date.now()}`,
+      id: `broken_sharepoint_${index}`,
       type: "internal_sharepoint",
       url: link.substring(0, 80) + "...",
       location: "Document body",
@@ -1716,7 +2671,7 @@ async function analyzeComplianceRisks(text) {
   gdprPatterns.forEach((p, index) => {
     if (p.pattern.test(readableText)) {
       complianceRisks.push({
-        id: `gdpr_${index}_${Date.now()}`,
+        id: `gdpr_${index}`,
         type: "gdpr",
         description: p.risk,
         location: "Document body",
@@ -1770,7 +2725,7 @@ function detectDeliveryCommitmentSignals(text, fileType) {
     const matches = t.match(p.re);
     if (matches && matches.length) {
       signals.push({
-        id: `biz_${p.id}_${Date.now()}`,
+        id: `biz_${p.id}`,
         type: "commitment_language",
         description: p.reason,
         location: `Text (${fileType})`,
@@ -1832,12 +2787,20 @@ function buildUniversalRiskOutput({ ext, detections, summary }) {
   pushFrom(detections.hiddenContent, { surface: SURFACES.hidden, source: "hiddenContent" });
   pushFrom(detections.hiddenSheets, { surface: SURFACES.hidden, source: "hiddenSheets" });
   pushFrom(detections.hiddenColumns, { surface: SURFACES.hidden, source: "hiddenColumns" });
+  pushFrom(detections.concealedCells, { surface: SURFACES.hidden, source: "concealedCells" });
   pushFrom(detections.excelHiddenData, { surface: SURFACES.hidden, source: "excelHiddenData" });
+  pushFrom(detections.unsafeRedactions, { surface: SURFACES.hidden, source: "unsafeRedactions" });
 
   // Structural
   pushFrom(detections.sensitiveFormulas, { surface: SURFACES.structural, source: "sensitiveFormulas" });
   pushFrom(detections.embeddedObjects, { surface: SURFACES.structural, source: "embeddedObjects" });
   pushFrom(detections.macros, { surface: SURFACES.structural, source: "macros" });
+  // PDF web / mailto links are listed but are not issues
+  pushFrom((detections.externalResources || []).filter((r) => r.classification !== "hyperlink"), {
+    surface: SURFACES.structural,
+    source: "externalResources",
+  });
+  pushFrom((detections.fieldCodes || []).filter((f) => f.risky), { surface: SURFACES.structural, source: "fieldCodes" });
 
   // Residual / metadata
   pushFrom(detections.metadata, { surface: SURFACES.residual, source: "metadata" });
@@ -1930,14 +2893,48 @@ function mapToExecutiveCategoryAndReason(item, meta) {
     ruleId = "NEGOTIATION_METADATA";
     fixability = "auto-fix";
   }
-  if (src === "hiddenSheets" || src === "hiddenColumns") {
+  if (src === "hiddenSheets" || src === "hiddenColumns" || src === "concealedCells") {
     riskCategoryKey = "negotiation";
     ruleId = "NEGOTIATION_HIDDEN_EXCEL_STRUCTURE";
     fixability = "auto-fix";
   }
   if (src === "embeddedObjects") {
-    riskCategoryKey = "negotiation";
-    ruleId = "NEGOTIATION_EMBEDDED_OBJECT";
+    // Active content (code that runs on open / double-click) vs embedded data
+    if (["activex", "executable", "ole_package"].includes(String(item?.objectClass || ""))) {
+      riskCategoryKey = "compliance";
+      ruleId = "COMPLIANCE_ACTIVE_CONTENT";
+    } else {
+      riskCategoryKey = "negotiation";
+      ruleId = "NEGOTIATION_EMBEDDED_OBJECT";
+    }
+    fixability = "auto-fix";
+  }
+  if (src === "fieldCodes") {
+    const c = String(item?.classification || "");
+    if (["dde_execution", "external_fetch", "macro_trigger"].includes(c) || item?.type === "update_fields_on_open") {
+      riskCategoryKey = "compliance";
+      ruleId = "COMPLIANCE_ACTIVE_FIELD";
+    } else if (c === "identity_exposure" || c === "path_exposure") {
+      riskCategoryKey = "negotiation";
+      ruleId = "NEGOTIATION_INTERNAL_REFERENCE";
+    } else {
+      riskCategoryKey = "credibility";
+      ruleId = "CREDIBILITY_AUTO_UPDATING_FIELD";
+    }
+    fixability = "auto-fix";
+  }
+  if (src === "externalResources") {
+    // internal paths leak infrastructure names; remote templates / beacons are a security + privacy issue
+    if (item?.classification === "internal_path_exposure") {
+      riskCategoryKey = "negotiation";
+      ruleId = "NEGOTIATION_INTERNAL_REFERENCE";
+    } else if (item?.classification === "launch_action") {
+      riskCategoryKey = "compliance";
+      ruleId = "COMPLIANCE_ACTIVE_CONTENT";
+    } else {
+      riskCategoryKey = "compliance";
+      ruleId = item?.classification === "template_injection" ? "COMPLIANCE_TEMPLATE_INJECTION" : "COMPLIANCE_TRACKING_BEACON";
+    }
     fixability = "auto-fix";
   }
 
@@ -1990,6 +2987,13 @@ function mapToExecutiveCategoryAndReason(item, meta) {
     fixability = "manual";
   }
 
+  // Redacted-looking text that can still be copied out
+  if (src === "unsafeRedactions") {
+    riskCategoryKey = "compliance";
+    ruleId = "COMPLIANCE_UNSAFE_REDACTION";
+    fixability = "auto-fix";
+  }
+
   // Compliance risks => compliance category (aligned with Qualion V1 spec)
   if (src === "complianceRisks") {
     riskCategoryKey = "compliance";
@@ -2041,8 +3045,16 @@ function scoreRiskPoints({ surface, riskCategoryKey, source, item }) {
 
   // cross-object dependency (structural / embedded / external refs)
   if (source === "embeddedObjects") pts += 2;
+  if (source === "externalResources") pts += 2;
+  if (source === "unsafeRedactions") pts += 3; // looks removed, is not
+  if (source === "fieldCodes" && ["dde_execution", "external_fetch"].includes(String(item?.classification || ""))) pts += 2;
   if (source === "sensitiveFormulas") pts += 2;
-  if (source === "excelHiddenData" && String(item?.type || "") === "hidden_formula") pts += 2;
+  if (
+    source === "excelHiddenData" &&
+    ["hidden_formula", "external_link", "data_connection", "pivot_cache"].includes(String(item?.type || ""))
+  ) {
+    pts += 2;
+  }
 
   // metadata intent / identity
   if (source === "metadata") pts += 2;
@@ -2284,6 +3296,9 @@ export function calculateSummary(detections) {
     brokenLinks: 0,
     complianceRisks: 0,
     businessInconsistencies: 0,
+    externalResources: 0,
+    fieldCodes: 0,
+    unsafeRedactions: 0,
   };
 
   const countBySeverity = (items, categoryKey) => {
@@ -2324,6 +3339,10 @@ export function calculateSummary(detections) {
   countBySeverity(detections.brokenLinks, "brokenLinks");
   countBySeverity(detections.complianceRisks, "complianceRisks");
   countBySeverity(detections.businessInconsistencies, "businessInconsistencies");
+  countBySeverity((detections.externalResources || []).filter((r) => r.classification !== "hyperlink"), "externalResources");
+  // PAGE / TOC / REF fields are listed but are not issues
+  countBySeverity((detections.fieldCodes || []).filter((f) => f.risky), "fieldCodes");
+  countBySeverity(detections.unsafeRedactions, "unsafeRedactions");
 
   let riskScore = 100;
 
@@ -2342,6 +3361,9 @@ export function calculateSummary(detections) {
     embeddedObjects: { perItem: 5, maxPenalty: 15 },
     brokenLinks: { perItem: 2, maxPenalty: 10 },
     businessInconsistencies: { perItem: 8, maxPenalty: 24 },
+    externalResources: { perItem: 10, maxPenalty: 30 },
+    fieldCodes: { perItem: 5, maxPenalty: 25 },
+    unsafeRedactions: { perItem: 25, maxPenalty: 50 },
   };
 
   Object.keys(categoryPenalties).forEach((category) => {
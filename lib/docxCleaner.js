@@ -1,5 +1,10 @@
 // lib/docxCleaner.js
 import JSZip from "jszip";
+import { removeThumbnails } from "./officeThumbnails.js";
+import { neutralizeDocxExternalResources } from "./docxExternalResources.js";
+import { unlinkDocxFields } from "./docxFields.js";
+import { scrubDocxFingerprints } from "./docxFingerprints.js";
+import { removeEmbeddedObjectsByClass } from "./officeEmbeddings.js";
 
 // ============================================================
 // Small helpers
@@ -16,7 +21,7 @@ const removeAllCount = (xml, re) => {
 
 const unwrapTagCount = (xml, tag) => {
   let count = 0;
-  const open = new RegExp(`<${tag}[^>]*>`, "g");
+  const open = new RegExp(`<${tag}\\b[^>]*>`, "g");
   const close = new RegExp(`</${tag}>`, "g");
   xml = String(xml || "").replace(open, () => {
     count++;
@@ -190,10 +195,28 @@ function removeRelationshipsByType(relsXml, typeContainsList = []) {
  *  - "auto" (default): supprime ink/doodles + vieux VML ; conserve <w:drawing> (logos/images)
  *  - "all": supprime TOUS dessins/images + rels image/ole/embeddings => texte-only visuel
  *  - "none": ne supprime rien côté dessins/images
+ * neutralizeExternalResources (défaut false): modèles distants, images liées, liens OLE, frames,
+ *   sous-documents (TargetMode="External", hors hyperliens) => références + relations supprimées
+ * fieldUnlinkMode: "keep" (défaut) | "risky" (DDE, INCLUDE*, AUTHOR, FILENAME \p, DATE...) | "all"
+ *   => champs remplacés par leur dernier résultat (Ctrl+Maj+F9), détail dans stats.unlinkedFields
+ * scrubFingerprints (défaut false): attributs w:rsid*, w:rsids / w:docVars / w:proofState / docId
+ *   de settings.xml et word/people.xml => sessions d'édition non corrélables avec les brouillons
+ * embeddedObjectClasses: classes d'objets incorporés à supprimer (activex, executable, ole_package,
+ *   office_document, pdf_document, chart_data, ole_object) ; [] par défaut. L'aperçu OLE reste en image
  */
-export async function cleanDOCX(buffer, { drawPolicy = "auto" } = {}) {
+export async function cleanDOCX(
+  buffer,
+  {
+    drawPolicy = "auto",
+    neutralizeExternalResources = false,
+    fieldUnlinkMode = "keep",
+    scrubFingerprints = false,
+    embeddedObjectClasses = [],
+  } = {}
+) {
   const stats = {
     metaRemoved: 0,
+    thumbnailsRemoved: 0,
     commentsXmlRemoved: 0,
     commentMarkersRemoved: 0,
     revisionsAccepted: { deletionsRemoved: 0, insertionsUnwrapped: 0 },
@@ -208,6 +231,30 @@ export async function cleanDOCX(buffer, { drawPolicy = "auto" } = {}) {
     // NEW (stability)
     contentTypesOverridesRemoved: 0,
     relsRemoved: 0,
+
+    // External relationships (remote template, linked images, OLE links, frames, subdocuments)
+    externalResourcesNeutralized: 0,
+    remoteTemplatesRemoved: 0,
+
+    // Field codes unlinked to their cached result
+    fieldsUnlinked: 0,
+    ddeFieldsRemoved: 0,
+    unlinkedFields: [],
+    updateFieldsOnOpenRemoved: false,
+
+    // Editing-session fingerprints
+    rsidAttributesRemoved: 0,
+    rsidSessionsRemoved: 0,
+    docVarsRemoved: 0,
+    peopleRemoved: 0,
+    settingsElementsRemoved: 0,
+    fingerprintPartsRemoved: 0,
+
+    // Embedded objects / ActiveX controls removed by class
+    embeddedObjectsRemoved: 0,
+    activeXRemoved: 0,
+    executablesRemoved: 0,
+    removedEmbeddedObjects: [],
   };
 
   const detections = {
@@ -282,6 +329,31 @@ export async function cleanDOCX(buffer, { drawPolicy = "auto" } = {}) {
     }
   }
 
+  // ----------------------------
+  // 3b) Package thumbnail (rendered first page as last saved: would still show the original)
+  // ----------------------------
+  await removeThumbnails(zip, stats);
+
+  // ----------------------------
+  // 3c) External relationships: nothing is fetched when the cleaned document is opened
+  // ----------------------------
+  if (neutralizeExternalResources) await neutralizeDocxExternalResources(zip, stats);
+
+  // ----------------------------
+  // 3d) Field codes -> last result text (before the comment / revision passes below)
+  // ----------------------------
+  await unlinkDocxFields(zip, fieldUnlinkMode, stats);
+
+  // ----------------------------
+  // 3e) Editing-session fingerprints (rsid, document variables, reviewer directory)
+  // ----------------------------
+  if (scrubFingerprints) await scrubDocxFingerprints(zip, stats);
+
+  // ----------------------------
+  // 3f) Embedded objects / ActiveX controls, by class (OLE Package executables, embedded workbooks...)
+  // ----------------------------
+  await removeEmbeddedObjectsByClass(zip, embeddedObjectClasses, stats);
+
   // ----------------------------
   // 4) XML targets to clean (document + headers/footers)
   // ----------------------------
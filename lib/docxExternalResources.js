@@ -0,0 +1,142 @@
+// lib/docxExternalResources.js
+// VERSION 1.0 - DOCX external relationships (remote templates, linked images, OLE links, frames, subdocuments)
+// (shared by analyzer + cleaner)
+
+import { parseRels, relsPathOf, xmlAttr, classifyTarget, decodeTarget } from "./xlsxExternalData.js";
+
+// Relationship type suffix -> resource kind (hyperlinks are visible content and are left alone)
+const RESOURCE_KINDS = [
+  [/\/attachedTemplate$/, "attached_template"],
+  [/\/image$/, "linked_image"],
+  [/\/oleObject$/, "ole_link"],
+  [/\/frame$/, "frame"],
+  [/\/subDocument$/, "sub_document"],
+];
+const REL_TYPE_HYPERLINK = /\/hyperlink$/;
+
+// Elements that cannot exist without their r:id: removed with the relationship
+const REQUIRED_REF_ELEMENTS = ["w:attachedTemplate", "w:subDoc", "w:sourceFileName", "o:OLEObject", "w:objectLink"];
+
+// Word fetches these when the document opens (or when the user clicks "Enable editing")
+const LOADED_ON_OPEN = ["attached_template", "linked_image", "frame", "sub_document", "ole_link"];
+
+const escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+async function readPart(zip, part) {
+  return zip.file(part) ? zip.file(part).async("string") : null;
+}
+
+function targetHost(target, targetKind) {
+  const t = String(target || "").replace(/^file:\/{2,3}/i, "");
+  if (targetKind === "web") return t.match(/^https?:\/\/([^/:?#]+)/i)?.[1]?.toLowerCase() || null;
+  if (targetKind === "unc") return t.match(/^(?:\\\\|\/\/)([^\\/]+)/)?.[1] || null;
+  return null;
+}
+
+/**
+ * tracking_beacon: remote fetch on open (reveals who opened the file, when, from where);
+ * template_injection: remote template / frame / subdocument / OLE link pulls content or macros in;
+ * internal_path_exposure: local / UNC / relative paths leak server, share and user names.
+ */
+function classifyResource(kind, targetKind) {
+  if (kind === "attached_template" && ["web", "unc"].includes(targetKind)) return "template_injection";
+  if (["frame", "sub_document", "ole_link"].includes(kind) && targetKind === "web") return "template_injection";
+  if (targetKind === "web") return "tracking_beacon";
+  return "internal_path_exposure";
+}
+
+function resourceSeverity(classification, targetKind) {
+  if (classification === "template_injection") return "critical";
+  if (classification === "tracking_beacon" || targetKind === "unc") return "high";
+  return targetKind === "relative" ? "low" : "medium";
+}
+
+/**
+ * Inventory of external relationships of a DOCX package (JSZip instance):
+ * [{ kind, relType, relId, relsPart, sourcePart, target, targetKind, host, classification, severity, loadedOnOpen }]
+ */
+export async function inspectDocxExternalResources(zip) {
+  const resources = [];
+  const relsParts = Object.keys(zip.files).filter((n) => /^word\/(?:[^/]+\/)?_rels\/[^/]+\.rels$/.test(n));
+
+  for (const relsPart of relsParts.sort()) {
+    const sourcePart = relsPart.replace(/_rels\/([^/]+)\.rels$/, "$1");
+    for (const rel of parseRels(await readPart(zip, relsPart))) {
+      if (!rel.external || REL_TYPE_HYPERLINK.test(rel.type)) continue;
+      const kind = RESOURCE_KINDS.find(([re]) => re.test(rel.type))?.[1] || "external_resource";
+      const target = decodeTarget(rel.target);
+      const targetKind = classifyTarget(target);
+      const classification = classifyResource(kind, targetKind);
+      resources.push({
+        kind,
+        relType: rel.type.split("/").pop(),
+        relId: rel.id,
+        relsPart,
+        sourcePart,
+        target,
+        targetKind,
+        host: targetHost(target, targetKind),
+        classification,
+        severity: resourceSeverity(classification, targetKind),
+        loadedOnOpen: LOADED_ON_OPEN.includes(kind),
+      });
+    }
+  }
+
+  return resources;
+}
+
+// Drop every use of relationship `id` from a part: elements that require it go, optional attributes
+// (a:blip r:link, v:imagedata r:id) are stripped so embedded previews stay
+function dropReferences(xml, id) {
+  const rid = escapeRegExp(id);
+  let out = xml;
+  for (const tag of REQUIRED_REF_ELEMENTS) {
+    const t = escapeRegExp(tag);
+    out = out.replace(new RegExp(`<${t}\\b[^>]*\\br:id="${rid}"[^>]*?(?:\\/>|>[\\s\\S]*?<\\/${t}>)`, "g"), "");
+  }
+  out = out.replace(new RegExp(`\\sr:(?:link|id|href|pict)="${rid}"`, "g"), "");
+  return out;
+}
+
+/**
+ * Neutralize external relationships (hyperlinks excepted): references are removed from the source
+ * part, then the relationship itself. A relationship still referenced by markup we do not know is
+ * kept but pointed at about:blank, so the package stays valid and nothing is fetched.
+ */
+export async function neutralizeDocxExternalResources(zip, stats) {
+  const resources = await inspectDocxExternalResources(zip);
+  if (!resources.length) return [];
+
+  for (const sourcePart of [...new Set(resources.map((r) => r.sourcePart))]) {
+    const items = resources.filter((r) => r.sourcePart === sourcePart);
+    const relsPart = relsPathOf(sourcePart);
+
+    let xml = await readPart(zip, sourcePart);
+    if (xml !== null) {
+      for (const r of items) xml = dropReferences(xml, r.relId);
+      zip.file(sourcePart, xml);
+    }
+
+    const ids = new Set(items.map((r) => r.relId));
+    const rels = await readPart(zip, relsPart);
+    zip.file(
+      relsPart,
+      rels.replace(/<Relationship\b[^>]*?(?:\/>|>\s*<\/Relationship>)/g, (tag) => {
+        const id = xmlAttr(tag, "Id");
+        if (!ids.has(id)) return tag;
+        if (xml !== null && new RegExp(`\\br:\\w+="${escapeRegExp(id)}"`).test(xml)) {
+          return tag.replace(/\bTarget="[^"]*"/, () => 'Target="about:blank"');
+        }
+        return "";
+      })
+    );
+  }
+
+  stats.externalResourcesNeutralized += resources.length;
+  stats.remoteTemplatesRemoved += resources.filter((r) => r.kind === "attached_template").length;
+
+  return resources;
+}
+
+export default { inspectDocxExternalResources, neutralizeDocxExternalResources };
@@ -0,0 +1,262 @@
+// lib/docxFields.js
+// VERSION 1.0 - DOCX field codes (w:fldSimple, w:fldChar + w:instrText): risk inventory + unlink to result text
+// (shared by analyzer + cleaner)
+
+import { decodeXml, classifyTarget } from "./xlsxExternalData.js";
+
+export const FIELD_UNLINK_MODES = ["keep", "risky", "all"];
+
+// Field type -> risk classification
+const FIELD_CLASSES = {
+  DDE: "dde_execution",
+  DDEAUTO: "dde_execution",
+  INCLUDETEXT: "external_fetch",
+  INCLUDEPICTURE: "external_fetch",
+  INCLUDE: "external_fetch",
+  IMPORT: "external_fetch",
+  LINK: "external_fetch",
+  DATABASE: "external_fetch",
+  MACROBUTTON: "macro_trigger",
+  AUTHOR: "identity_exposure",
+  USERNAME: "identity_exposure",
+  USERINITIALS: "identity_exposure",
+  USERADDRESS: "identity_exposure",
+  LASTSAVEDBY: "identity_exposure",
+  DOCPROPERTY: "identity_exposure",
+  INFO: "identity_exposure",
+  FILENAME: "path_exposure",
+  TEMPLATE: "path_exposure",
+  HYPERLINK: "hyperlink",
+  DATE: "auto_update",
+  TIME: "auto_update",
+  CREATEDATE: "auto_update",
+  SAVEDATE: "auto_update",
+  PRINTDATE: "auto_update",
+  EDITTIME: "auto_update",
+  REF: "cross_reference",
+  PAGEREF: "cross_reference",
+  NOTEREF: "cross_reference",
+  SEQ: "cross_reference",
+  PAGE: "layout",
+  NUMPAGES: "layout",
+  SECTIONPAGES: "layout",
+  TOC: "layout",
+};
+
+// Fields that fetch or execute something as soon as the document opens
+const FETCH_ON_OPEN = ["DDEAUTO", "INCLUDETEXT", "INCLUDEPICTURE", "INCLUDE", "IMPORT", "LINK"];
+
+const FIELD_PARTS = /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/;
+
+async function readPart(zip, part) {
+  return zip.file(part) ? zip.file(part).async("string") : null;
+}
+
+function instructionTarget(instruction) {
+  const quoted = instruction.match(/"([^"]+)"/)?.[1];
+  if (quoted) return quoted.replace(/\\\\/g, "\\");
+  return instruction.trim().split(/\s+/)[1] || null;
+}
+
+/**
+ * Risk of one field from its instruction ("INCLUDEPICTURE \"http://...\" \d").
+ * FILENAME only exposes a path with \p; HYPERLINK / REF are harmless unless they point outside.
+ */
+export function classifyField(instruction) {
+  const fieldType = (instruction.trim().match(/^[A-Za-z]+/)?.[0] || "").toUpperCase();
+  const target = instructionTarget(instruction);
+  const targetKind = target && /^(?:INCLUDE|IMPORT|LINK|DATABASE|HYPERLINK|DDE)/.test(fieldType) ? classifyTarget(target) : null;
+
+  let classification = FIELD_CLASSES[fieldType] || "other";
+  if (fieldType === "FILENAME" && !/\\p\b/i.test(instruction)) classification = "identity_exposure";
+  if (classification === "hyperlink" && ["unc", "local_path"].includes(targetKind)) classification = "path_exposure";
+  if (classification === "external_fetch" && ["local_path", "relative"].includes(targetKind)) classification = "path_exposure";
+
+  const severity =
+    classification === "dde_execution" || (classification === "external_fetch" && targetKind === "web")
+      ? "critical"
+      : ["external_fetch", "macro_trigger", "path_exposure"].includes(classification)
+        ? "high"
+        : ["identity_exposure", "auto_update"].includes(classification)
+          ? "medium"
+          : "low";
+
+  return {
+    fieldType: fieldType || null,
+    classification,
+    severity,
+    target: targetKind ? target : null,
+    targetKind,
+    fetchOnOpen: FETCH_ON_OPEN.includes(fieldType),
+    risky: severity !== "low",
+  };
+}
+
+const textOf = (xml, tag) =>
+  [...String(xml).matchAll(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`, "g"))].map((m) => decodeXml(m[1])).join("");
+
+/**
+ * Complex fields of a part: begin / separate / end fldChar positions, nesting resolved.
+ * [{ begin: {start, end}, separate, close, depth, instruction, result }]
+ */
+function complexFields(xml) {
+  const fields = [];
+  const stack = [];
+  for (const m of xml.matchAll(/<w:fldChar\b[^>]*?(?:\/>|>[\s\S]*?<\/w:fldChar>)/g)) {
+    const type = m[0].match(/w:fldCharType="(\w+)"/)?.[1];
+    const pos = { start: m.index, end: m.index + m[0].length, dirty: /w:dirty="(1|true)"/.test(m[0]) };
+    if (type === "begin") stack.push({ begin: pos, separate: null, close: null, depth: stack.length, nested: [] });
+    else if (type === "separate" && stack.length) stack[stack.length - 1].separate = pos;
+    else if (type === "end" && stack.length) {
+      const field = stack.pop();
+      field.close = pos;
+      if (stack.length) stack[stack.length - 1].nested.push(field);
+      fields.push(field);
+    }
+  }
+
+  for (const f of fields) {
+    const instrEnd = (f.separate || f.close).start;
+    // Instruction text of nested fields belongs to them
+    let region = xml.slice(f.begin.end, instrEnd);
+    for (const n of [...f.nested].filter((n) => n.begin.start < instrEnd).sort((a, b) => b.begin.start - a.begin.start)) {
+      region = region.slice(0, n.begin.start - f.begin.end) + region.slice(n.close.end - f.begin.end);
+    }
+    f.instruction = (textOf(region, "w:instrText") + textOf(region, "w:delInstrText")).replace(/\s+/g, " ").trim();
+    f.result = f.separate ? textOf(xml.slice(f.separate.end, f.close.start), "w:t") : "";
+    f.dirty = f.begin.dirty;
+  }
+  return fields.sort((a, b) => a.begin.start - b.begin.start);
+}
+
+function simpleFields(xml) {
+  return [...xml.matchAll(/<w:fldSimple\b([^>]*?)(?:\/>|>([\s\S]*?)<\/w:fldSimple>)/g)].map((m) => ({
+    start: m.index,
+    end: m.index + m[0].length,
+    inner: m[2] || "",
+    instruction: decodeXml(m[1].match(/w:instr="([^"]*)"/)?.[1] || "").replace(/\s+/g, " ").trim(),
+    result: textOf(m[2] || "", "w:t"),
+    dirty: /w:dirty="(1|true)"/.test(m[1]),
+  }));
+}
+
+/**
+ * Fields of one part in document order: [{ kind, instruction, result, depth, dirty }]
+ */
+export function listPartFields(xml) {
+  return [
+    ...simpleFields(xml).map((f) => ({ ...f, kind: "simple", depth: 0, pos: f.start })),
+    ...complexFields(xml).map((f) => ({ ...f, kind: "complex", pos: f.begin.start })),
+  ]
+    .sort((a, b) => a.pos - b.pos)
+    .filter((f) => f.instruction)
+    .map(({ kind, instruction, result, depth, dirty }) => ({ kind, instruction, result, depth, dirty }));
+}
+
+/**
+ * Field inventory of a DOCX package (JSZip instance):
+ * fields: [{ part, kind: simple|complex, instruction, result, fieldType, classification, severity,
+ *            target, targetKind, fetchOnOpen, autoUpdate, risky, depth }]
+ * updateFieldsOnOpen: settings.xml asks Word to refresh every field when the file opens
+ */
+export async function inspectDocxFields(zip) {
+  const settings = (await readPart(zip, "word/settings.xml")) || "";
+  const updateFieldsOnOpen = /<w:updateFields\b[^>]*w:val="(1|true|on)"|<w:updateFields\s*\/>/.test(settings);
+
+  const fields = [];
+  for (const part of Object.keys(zip.files).filter((n) => FIELD_PARTS.test(n)).sort()) {
+    for (const f of listPartFields((await readPart(zip, part)) || "")) {
+      const risk = classifyField(f.instruction);
+      fields.push({
+        part,
+        kind: f.kind,
+        instruction: f.instruction,
+        result: f.result,
+        ...risk,
+        autoUpdate: risk.fetchOnOpen || risk.classification === "auto_update" || f.dirty || updateFieldsOnOpen,
+        depth: f.depth,
+      });
+    }
+  }
+
+  return { fields, updateFieldsOnOpen };
+}
+
+function shouldUnlink(mode, instruction) {
+  return mode === "all" || (mode === "risky" && classifyField(instruction).risky);
+}
+
+/**
+ * Replace fields by their last cached result (Word: Ctrl+Shift+F9). mode "risky" keeps low-risk
+ * fields (PAGE, TOC, REF...), "all" unlinks every field. Complex fields lose their fldChar and
+ * instruction markup (nested results inside an instruction go with it); result runs stay.
+ * Each unlinked field is recorded in stats.unlinkedFields.
+ */
+export async function unlinkDocxFields(zip, mode, stats) {
+  if (!FIELD_UNLINK_MODES.includes(mode) || mode === "keep") return;
+
+  for (const part of Object.keys(zip.files).filter((n) => FIELD_PARTS.test(n)).sort()) {
+    let xml = await readPart(zip, part);
+    if (!xml) continue;
+    const record = (f) => {
+      const risk = classifyField(f.instruction);
+      stats.fieldsUnlinked++;
+      if (risk.classification === "dde_execution") stats.ddeFieldsRemoved++;
+      stats.unlinkedFields.push({
+        part,
+        fieldType: risk.fieldType,
+        classification: risk.classification,
+        instruction: f.instruction.slice(0, 200),
+        result: f.result.slice(0, 200),
+      });
+    };
+
+    // Complex fields: collect the ranges to cut, then rebuild once
+    const cuts = [];
+    const removedRegions = [];
+    for (const f of complexFields(xml)) {
+      if (f.instruction && !shouldUnlink(mode, f.instruction)) continue;
+      const instrEnd = f.separate ? f.separate.end : f.close.end;
+      // A field nested in the instruction of an unlinked field disappears with it
+      if (removedRegions.some(([start, end]) => f.begin.start > start && f.begin.start < end)) continue;
+      removedRegions.push([f.begin.start, instrEnd]);
+      if (f.instruction) record(f);
+      // Instruction region: every text / field-char element goes (runs stay, possibly empty)
+      const region = xml.slice(f.begin.start, instrEnd);
+      for (const m of region.matchAll(/<w:(instrText|delInstrText|t|fldChar)\b[^>]*?(?:\/>|>[\s\S]*?<\/w:\1>)/g)) {
+        cuts.push([f.begin.start + m.index, f.begin.start + m.index + m[0].length]);
+      }
+      if (f.separate) cuts.push([f.close.start, f.close.end]);
+    }
+    if (cuts.length) {
+      cuts.sort((a, b) => a[0] - b[0]);
+      let out = "";
+      let at = 0;
+      for (const [start, end] of cuts) {
+        if (end <= at) continue;
+        out += xml.slice(at, Math.max(at, start));
+        at = end;
+      }
+      xml = out + xml.slice(at);
+    }
+
+    // Simple fields: unwrap to their result runs
+    xml = xml.replace(/<w:fldSimple\b([^>]*?)(?:\/>|>([\s\S]*?)<\/w:fldSimple>)/g, (tag, attrs, inner = "") => {
+      const instruction = decodeXml(attrs.match(/w:instr="([^"]*)"/)?.[1] || "").replace(/\s+/g, " ").trim();
+      if (!shouldUnlink(mode, instruction)) return tag;
+      record({ instruction, result: textOf(inner, "w:t") });
+      return inner;
+    });
+
+    zip.file(part, xml);
+  }
+
+  // Nothing left to refresh on open
+  const settings = await readPart(zip, "word/settings.xml");
+  if (settings && /<w:updateFields\b/.test(settings)) {
+    zip.file("word/settings.xml", settings.replace(/<w:updateFields\b[^>]*\/>/g, ""));
+    stats.updateFieldsOnOpenRemoved = true;
+  }
+}
+
+export default { inspectDocxFields, unlinkDocxFields, listPartFields, classifyField, FIELD_UNLINK_MODES };
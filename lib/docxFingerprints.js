@@ -0,0 +1,151 @@
+// lib/docxFingerprints.js
+// VERSION 1.0 - DOCX editing-session fingerprints: w:rsid* attributes, settings (rsids, docVars, proofState, docId),
+// word/people.xml (shared by analyzer + cleaner)
+
+import { parseRels, relsPathOf, xmlAttr } from "./xlsxExternalData.js";
+
+const PEOPLE_PART = "word/people.xml";
+const SETTINGS_PART = "word/settings.xml";
+const CONTENT_TYPES = "[Content_Types].xml";
+const REL_TYPE_PEOPLE = /\/people$/;
+
+// Every part that can carry rsid attributes (body, headers, footers, notes, styles, numbering...)
+const WORD_XML_PART = /^word\/(?:[^/]+\/)?[^/]+\.xml$/;
+const RSID_ATTRIBUTE = /\sw:rsid[A-Za-z]*="[^"]*"/g;
+
+// settings.xml children that identify the document or its editing history
+const SETTINGS_FINGERPRINTS = ["w:rsids", "w:docVars", "w:proofState", "w14:docId", "w15:docId"];
+
+const escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const elementRe = (tag) => new RegExp(`<${escapeRegExp(tag)}\\b[^>]*?(?:\\/>|>[\\s\\S]*?<\\/${escapeRegExp(tag)}>)`, "g");
+
+async function readPart(zip, part) {
+  return zip.file(part) ? zip.file(part).async("string") : null;
+}
+
+export function countRsidAttributes(xml) {
+  return String(xml || "").match(RSID_ATTRIBUTE)?.length || 0;
+}
+
+const wordParts = (zip) =>
+  Object.keys(zip.files)
+    .filter((n) => WORD_XML_PART.test(n) && !zip.files[n].dir)
+    .sort();
+
+function sessionIds(settings) {
+  const block = settings.match(elementRe("w:rsids"))?.[0] || "";
+  return {
+    root: xmlAttr(block.match(/<w:rsidRoot\b[^>]*>/)?.[0] || "", "w:val"),
+    sessions: [...block.matchAll(/<w:rsid\b[^>]*>/g)].map((m) => xmlAttr(m[0], "w:val")).filter(Boolean),
+  };
+}
+
+function documentVariables(settings) {
+  return [...settings.matchAll(/<w:docVar\b[^>]*>/g)].map((m) => ({
+    name: xmlAttr(m[0], "w:name") || "",
+    value: xmlAttr(m[0], "w:val") || "",
+  }));
+}
+
+function people(xml) {
+  return [...String(xml || "").matchAll(/<w15:person\b([^>]*)>([\s\S]*?)<\/w15:person>|<w15:person\b([^>]*)\/>/g)].map((m) => {
+    const presence = (m[2] || "").match(/<w15:presenceInfo\b[^>]*>/)?.[0] || "";
+    return {
+      author: xmlAttr(`<p ${m[1] ?? m[3]}>`, "w15:author") || "",
+      providerId: xmlAttr(presence, "w15:providerId"),
+      userId: xmlAttr(presence, "w15:userId"),
+    };
+  });
+}
+
+function proofState(settings) {
+  const tag = settings.match(/<w:proofState\b[^>]*>/)?.[0];
+  return tag ? { spelling: xmlAttr(tag, "w:spelling"), grammar: xmlAttr(tag, "w:grammar") } : null;
+}
+
+/**
+ * Fingerprints of a DOCX package (JSZip instance):
+ * { rsidAttributes, rsidParts: [{ part, count }], rsidRoot, rsidSessions: [ids], docVars: [{ name, value }],
+ *   people: [{ author, providerId, userId }], proofState: { spelling, grammar } | null, docIds: [guid] }
+ */
+export async function inspectDocxFingerprints(zip) {
+  const rsidParts = [];
+  for (const part of wordParts(zip)) {
+    const count = countRsidAttributes(await readPart(zip, part));
+    if (count) rsidParts.push({ part, count });
+  }
+
+  const settings = (await readPart(zip, SETTINGS_PART)) || "";
+  const { root, sessions } = sessionIds(settings);
+
+  return {
+    rsidAttributes: rsidParts.reduce((n, p) => n + p.count, 0),
+    rsidParts,
+    rsidRoot: root,
+    rsidSessions: sessions,
+    docVars: documentVariables(settings),
+    people: people(await readPart(zip, PEOPLE_PART)),
+    proofState: proofState(settings),
+    docIds: [...settings.matchAll(/<w1[45]:docId\b[^>]*>/g)].map((m) => xmlAttr(m[0], "w14:val") || xmlAttr(m[0], "w15:val")),
+  };
+}
+
+/**
+ * Strip the fingerprints: rsid attributes from every word/ part, settings.xml normalized (w:rsids,
+ * w:docVars, w:proofState, w14/w15:docId removed), word/people.xml dropped with its relationship and
+ * content-type override. Rendering is unchanged: Word regenerates session IDs on the next save.
+ */
+export async function scrubDocxFingerprints(zip, stats) {
+  for (const part of wordParts(zip)) {
+    const xml = await readPart(zip, part);
+    let count = 0;
+    const cleaned = xml.replace(RSID_ATTRIBUTE, () => {
+      count++;
+      return "";
+    });
+    if (!count) continue;
+    stats.rsidAttributesRemoved += count;
+    zip.file(part, cleaned);
+  }
+
+  let settings = await readPart(zip, SETTINGS_PART);
+  if (settings) {
+    const before = settings;
+    stats.rsidSessionsRemoved += sessionIds(settings).sessions.length;
+    stats.docVarsRemoved += documentVariables(settings).length;
+    for (const tag of SETTINGS_FINGERPRINTS) {
+      settings = settings.replace(elementRe(tag), () => {
+        stats.settingsElementsRemoved++;
+        return "";
+      });
+    }
+    if (settings !== before) zip.file(SETTINGS_PART, settings);
+  }
+
+  const peopleXml = await readPart(zip, PEOPLE_PART);
+  if (peopleXml !== null) {
+    stats.peopleRemoved += people(peopleXml).length;
+    zip.remove(PEOPLE_PART);
+    stats.fingerprintPartsRemoved++;
+
+    const relsPart = relsPathOf("word/document.xml");
+    const rels = await readPart(zip, relsPart);
+    if (rels && parseRels(rels).some((r) => REL_TYPE_PEOPLE.test(r.type))) {
+      zip.file(
+        relsPart,
+        rels.replace(/<Relationship\b[^>]*?(?:\/>|>\s*<\/Relationship>)/g, (tag) =>
+          REL_TYPE_PEOPLE.test(xmlAttr(tag, "Type") || "") ? "" : tag
+        )
+      );
+    }
+    const types = await readPart(zip, CONTENT_TYPES);
+    if (types) {
+      zip.file(
+        CONTENT_TYPES,
+        types.replace(/<Override\b[^>]*\/>/g, (tag) => (xmlAttr(tag, "PartName") === `/${PEOPLE_PART}` ? "" : tag))
+      );
+    }
+  }
+}
+
+export default { inspectDocxFingerprints, scrubDocxFingerprints, countRsidAttributes };
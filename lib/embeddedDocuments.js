@@ -0,0 +1,225 @@
+// lib/embeddedDocuments.js
+// VERSION 1.0 - Embedded Office / PDF documents (chart workbooks, embedded files) cleaned in place, or chart
+// workbooks replaced by a values-only workbook rebuilt from the chart caches. Runs on the cleaned package.
+
+import JSZip from "jszip";
+import { inspectEmbeddedObjects, embeddedPayload, objectLocation } from "./officeEmbeddings.js";
+import { colToNum, numToCol } from "./xlsxConcealedCells.js";
+import { decodeXml } from "./xlsxExternalData.js";
+import { cleanDOCX } from "./docxCleaner.js";
+import { cleanPPTX } from "./pptxCleaner.js";
+import { cleanXLSX } from "./xlsxCleaner.js";
+import { cleanPDF } from "./pdfCleaner.js";
+
+// keep: untouched | clean: same cleaning as the parent | values: chart workbooks rebuilt from the chart caches,
+// other workbooks cleaned with formulas converted to values
+export const EMBEDDED_DOCUMENT_MODES = ["keep", "clean", "values"];
+
+const DOCUMENT_CLASSES = ["chart_data", "office_document", "pdf_document"];
+const MAX_DEPTH = 2;
+
+const escapeXml = (s) =>
+  String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+// ---------- Values-only chart workbook ----------
+
+// "Sheet1!$B$2:$B$5" / "'Cost '' data'!$C$2:$E$2" -> { sheet, c1, r1, c2, r2 }
+function parseRange(formula) {
+  const m = String(formula)
+    .trim()
+    .match(/^(?:'((?:[^']|'')+)'|([^!]+))!\$?([A-Z]{1,3})\$?(\d+)(?::\$?([A-Z]{1,3})\$?(\d+))?$/i);
+  if (!m) return null;
+  return {
+    sheet: m[1] !== undefined ? m[1].replace(/''/g, "'") : m[2],
+    c1: colToNum(m[3]),
+    r1: Number(m[4]),
+    c2: colToNum(m[5] || m[3]),
+    r2: Number(m[6] || m[4]),
+  };
+}
+
+/**
+ * Cells plotted by a chart, from the c:strRef / c:numRef caches:
+ * Map(sheet -> Map("row:col" -> { row, col, value, numeric }))
+ */
+function chartCacheCells(chartXml) {
+  const sheets = new Map();
+  for (const m of String(chartXml).matchAll(/<c:(strRef|numRef)\b[^>]*>([\s\S]*?)<\/c:\1>/g)) {
+    const range = parseRange(decodeXml(m[2].match(/<c:f>([\s\S]*?)<\/c:f>/)?.[1] || ""));
+    if (!range) continue;
+    if (!sheets.has(range.sheet)) sheets.set(range.sheet, new Map());
+    const cells = sheets.get(range.sheet);
+    const byRow = range.c1 === range.c2;
+    for (const pt of m[2].matchAll(/<c:pt\b[^>]*\bidx="(\d+)"[^>]*>[\s\S]*?<c:v>([\s\S]*?)<\/c:v>[\s\S]*?<\/c:pt>/g)) {
+      const idx = Number(pt[1]);
+      const row = byRow ? range.r1 + idx : range.r1;
+      const col = byRow ? range.c1 : range.c1 + idx;
+      if (row > range.r2 || col > range.c2) continue;
+      const value = decodeXml(pt[2]);
+      cells.set(`${row}:${col}`, { row, col, value, numeric: m[1] === "numRef" && value !== "" && Number.isFinite(Number(value)) });
+    }
+  }
+  return sheets;
+}
+
+function worksheetXml(cells) {
+  const rows = new Map();
+  for (const c of cells.values()) {
+    if (!rows.has(c.row)) rows.set(c.row, []);
+    rows.get(c.row).push(c);
+  }
+  const sheetData = [...rows.keys()]
+    .sort((a, b) => a - b)
+    .map((r) => {
+      const row = rows
+        .get(r)
+        .sort((a, b) => a.col - b.col)
+        .map((c) => {
+          const ref = `${numToCol(c.col)}${c.row}`;
+          return c.numeric
+            ? `<c r="${ref}"><v>${escapeXml(c.value)}</v></c>`
+            : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(c.value)}</t></is></c>`;
+        })
+        .join("");
+      return `<row r="${r}">${row}</row>`;
+    })
+    .join("");
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetData}</sheetData></worksheet>`;
+}
+
+/**
+ * Minimal workbook holding only the plotted values at their original addresses, so the chart
+ * keeps "Edit data" working; null when the chart has no cached references.
+ */
+async function chartValuesWorkbook(zip, object) {
+  const chartPart = object.references.find((r) => /\/charts\/chart\d*\.xml$/.test(r.sourcePart))?.sourcePart;
+  const chartXml = chartPart && zip.file(chartPart) ? await zip.file(chartPart).async("string") : "";
+  const sheets = [...chartCacheCells(chartXml)].filter(([, cells]) => cells.size);
+  if (!sheets.length) return null;
+
+  const out = new JSZip();
+  const overrides = sheets
+    .map(
+      (_, i) =>
+        `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    )
+    .join("");
+  out.file(
+    "[Content_Types].xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${overrides}</Types>`
+  );
+  out.file(
+    "_rels/.rels",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+  );
+  out.file(
+    "xl/workbook.xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${sheets
+      .map(([name], i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+      .join("")}</sheets></workbook>`
+  );
+  out.file(
+    "xl/_rels/workbook.xml.rels",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets
+      .map(
+        (_, i) =>
+          `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+      )
+      .join("")}</Relationships>`
+  );
+  sheets.forEach(([, cells], i) => out.file(`xl/worksheets/sheet${i + 1}.xml`, worksheetXml(cells)));
+
+  return out.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+// ---------- Cleaning ----------
+
+async function cleanPayload(payload, mode, cleaningOptions, drawPolicy, depth) {
+  let outBuffer;
+  switch (payload.format) {
+    case "docx":
+      outBuffer = (await cleanDOCX(payload.buffer, { drawPolicy, ...cleaningOptions })).outBuffer;
+      break;
+    case "pptx":
+      outBuffer = (await cleanPPTX(payload.buffer, { drawPolicy, ...cleaningOptions })).outBuffer;
+      break;
+    case "xlsx":
+      outBuffer = (
+        await cleanXLSX(payload.buffer, { ...cleaningOptions, removeFormulas: mode === "values" || !!cleaningOptions.removeFormulas })
+      ).outBuffer;
+      break;
+    case "pdf":
+      return (await cleanPDF(payload.buffer, { pdfMode: "sanitize" })).outBuffer;
+    default:
+      return null;
+  }
+  // Documents embedded in the embedded document
+  if (depth + 1 < MAX_DEPTH) {
+    outBuffer = (await cleanEmbeddedDocuments(outBuffer, { mode, cleaningOptions, drawPolicy, depth: depth + 1 })).outBuffer;
+  }
+  return outBuffer;
+}
+
+/**
+ * Clean every embedded OOXML / PDF document of an Office package (Buffer) according to `mode`
+ * ("clean" | "values", see EMBEDDED_DOCUMENT_MODES). Documents wrapped in an OLE compound file
+ * cannot be written back and are reported as skipped.
+ * @returns {Promise<{outBuffer: Buffer, stats: Object}>}
+ */
+export async function cleanEmbeddedDocuments(buffer, { mode = "keep", cleaningOptions = {}, drawPolicy = "auto", depth = 0 } = {}) {
+  const stats = {
+    embeddedDocumentsCleaned: 0,
+    embeddedWorkbooksRebuilt: 0,
+    embeddedDocumentsSkipped: 0,
+    cleanedEmbeddedDocuments: [],
+  };
+  if (!EMBEDDED_DOCUMENT_MODES.includes(mode) || mode === "keep") return { outBuffer: buffer, stats };
+
+  const zip = await JSZip.loadAsync(buffer);
+  let changed = false;
+
+  for (const o of await inspectEmbeddedObjects(zip)) {
+    if (!DOCUMENT_CLASSES.includes(o.objectClass)) continue;
+    const payload = await embeddedPayload(zip, o);
+    if (!payload) continue;
+    const entry = { part: o.part, objectClass: o.objectClass, format: payload.format, location: objectLocation(o).join(" → ") };
+
+    if (payload.wrapped) {
+      stats.embeddedDocumentsSkipped++;
+      stats.cleanedEmbeddedDocuments.push({ ...entry, action: "skipped", reason: "OLE-wrapped document" });
+      continue;
+    }
+
+    let outBuffer = null;
+    let action = "cleaned";
+    try {
+      if (mode === "values" && o.objectClass === "chart_data" && payload.format === "xlsx") {
+        outBuffer = await chartValuesWorkbook(zip, o);
+        if (outBuffer) action = "values";
+      }
+      outBuffer = outBuffer || (await cleanPayload(payload, mode, cleaningOptions, drawPolicy, depth));
+    } catch (e) {
+      console.warn(`Embedded document cleaning failed (${o.part}):`, e?.message || e);
+      outBuffer = null;
+    }
+    if (!outBuffer) {
+      stats.embeddedDocumentsSkipped++;
+      stats.cleanedEmbeddedDocuments.push({ ...entry, action: "skipped", reason: "cleaning failed" });
+      continue;
+    }
+
+    zip.file(o.part, outBuffer);
+    changed = true;
+    if (action === "values") stats.embeddedWorkbooksRebuilt++;
+    else stats.embeddedDocumentsCleaned++;
+    stats.cleanedEmbeddedDocuments.push({ ...entry, action, bytesBefore: payload.buffer.length, bytesAfter: outBuffer.length });
+  }
+
+  if (!changed) return { outBuffer: buffer, stats };
+  return {
+    outBuffer: await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE", compressionOptions: { level: 6 } }),
+    stats,
+  };
+}
+
+export default { cleanEmbeddedDocuments, EMBEDDED_DOCUMENT_MODES };
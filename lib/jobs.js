@@ -0,0 +1,211 @@
+// lib/jobs.js
+// VERSION 1.0 - In-process job queue for long-running /clean and /rephrase batches
+
+import { v4 as uuidv4 } from "uuid";
+
+// In-memory queue (single instance; use a shared broker for multi-instance deployments)
+const toPositiveInt = (v, fallback) => {
+  const n = parseInt(String(v ?? ""), 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+const JOBS_CONCURRENCY = toPositiveInt(process.env.JOBS_CONCURRENCY, 2);
+const JOBS_MAX_PENDING = toPositiveInt(process.env.JOBS_MAX_PENDING, 20);
+const JOB_TTL_MS = toPositiveInt(process.env.JOBS_TTL_MINUTES, 30) * 60 * 1000;
+
+const jobs = new Map();
+const pendingQueue = [];
+let runningCount = 0;
+
+const FINISHED = new Set(["completed", "failed", "cancelled"]);
+
+function jobError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Remove finished jobs (and their result buffers) older than the TTL
+ */
+function pruneExpiredJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (FINISHED.has(job.status) && job.finishedAt && now - job.finishedAt > JOB_TTL_MS) {
+      jobs.delete(id);
+      console.log(`[JOBS] Expired job removed: ${id}`);
+    }
+  }
+}
+
+function finishJob(job, status, { result = null, error = null } = {}) {
+  job.status = status;
+  job.finishedAt = Date.now();
+  job.result = result;
+  job.error = error;
+  job.run = null;
+  if (status === "cancelled") {
+    for (const f of job.files) {
+      if (f.status === "pending" || f.status === "processing") f.status = "cancelled";
+    }
+  }
+}
+
+function startJob(job) {
+  job.status = "running";
+  job.startedAt = Date.now();
+  runningCount++;
+
+  const hooks = {
+    signal: job.controller.signal,
+    onFileStart: (index) => {
+      if (job.files[index]) job.files[index].status = "processing";
+    },
+    onFileDone: (index) => {
+      if (job.files[index]) job.files[index].status = "done";
+    },
+    onFileError: (index, e) => {
+      if (!job.files[index]) return;
+      job.files[index].status = "failed";
+      job.files[index].error = String(e?.message || e);
+    },
+  };
+
+  console.log(`[JOBS] Starting ${job.kind} job ${job.id} (${job.files.length} file(s), running: ${runningCount})`);
+
+  Promise.resolve()
+    .then(() => job.run(hooks))
+    .then((result) => {
+      if (job.controller.signal.aborted) return finishJob(job, "cancelled");
+      if (job.files.length > 0 && job.files.every((f) => f.status === "failed")) {
+        return finishJob(job, "failed", { error: "All files failed to process." });
+      }
+      finishJob(job, "completed", { result });
+    })
+    .catch((e) => {
+      if (job.controller.signal.aborted) return finishJob(job, "cancelled");
+      console.error(`[JOBS] Job ${job.id} failed:`, e);
+      finishJob(job, "failed", { error: String(e?.message || e) });
+    })
+    .finally(() => {
+      runningCount--;
+      console.log(`[JOBS] Job ${job.id} ${job.status} in ${job.finishedAt - job.startedAt}ms`);
+      pumpQueue();
+    });
+}
+
+function pumpQueue() {
+  while (runningCount < JOBS_CONCURRENCY && pendingQueue.length > 0) {
+    const job = pendingQueue.shift();
+    if (job.status !== "queued") continue;
+    startJob(job);
+  }
+}
+
+/**
+ * Queue a job. `run(hooks)` must resolve to { buffer, zipName }.
+ * hooks = { signal, onFileStart(index), onFileDone(index), onFileError(index, error) }
+ * Throws (status 503) when the pending queue is full.
+ */
+export function createJob({ kind, files = [], run }) {
+  pruneExpiredJobs();
+
+  if (pendingQueue.length >= JOBS_MAX_PENDING) {
+    throw jobError(`Job queue is full (${JOBS_MAX_PENDING} pending). Retry later.`, 503);
+  }
+
+  const job = {
+    id: uuidv4(),
+    kind,
+    status: "queued",
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    files: files.map((f, index) => ({
+      index,
+      name: f.name,
+      size: f.size ?? null,
+      status: "pending",
+      error: null,
+    })),
+    error: null,
+    result: null,
+    run,
+    controller: new AbortController(),
+  };
+
+  jobs.set(job.id, job);
+  pendingQueue.push(job);
+  console.log(`[JOBS] Queued ${kind} job ${job.id} (pending: ${pendingQueue.length})`);
+
+  pumpQueue();
+  return job;
+}
+
+/**
+ * Get a job by id (null if unknown or expired)
+ */
+export function getJob(id) {
+  pruneExpiredJobs();
+  return jobs.get(id) || null;
+}
+
+/**
+ * Cancel a queued or running job. Running jobs stop at the next file boundary.
+ * Returns the job, or null if unknown.
+ */
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (FINISHED.has(job.status)) return job;
+
+  job.controller.abort();
+
+  if (job.status === "queued") {
+    const idx = pendingQueue.indexOf(job);
+    if (idx !== -1) pendingQueue.splice(idx, 1);
+    finishJob(job, "cancelled");
+  }
+
+  console.log(`[JOBS] Cancel requested for job ${job.id} (${job.status})`);
+  return job;
+}
+
+/**
+ * Public (JSON-safe) view of a job
+ */
+export function serializeJob(job) {
+  const done = job.files.filter((f) => ["done", "failed"].includes(f.status)).length;
+  return {
+    jobId: job.id,
+    kind: job.kind,
+    status: job.status,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    progress: {
+      totalFiles: job.files.length,
+      processedFiles: done,
+      percent: job.files.length ? Math.round((done / job.files.length) * 100) : 0,
+    },
+    files: job.files.map((f) => ({ ...f })),
+    error: job.error,
+    resultAvailable: job.status === "completed" && !!job.result,
+  };
+}
+
+/**
+ * Get queue statistics
+ */
+export function getJobStats() {
+  return {
+    jobs: jobs.size,
+    running: runningCount,
+    pending: pendingQueue.length,
+    concurrency: JOBS_CONCURRENCY,
+    maxPending: JOBS_MAX_PENDING,
+    ttlMinutes: JOB_TTL_MS / 60000,
+  };
+}
+
+export default { createJob, getJob, cancelJob, serializeJob, getJobStats };
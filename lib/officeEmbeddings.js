@@ -0,0 +1,503 @@
+// lib/officeEmbeddings.js
+// VERSION 1.1 - Embedded objects in DOCX / PPTX / XLSX: ActiveX controls, OLE Package objects (original filename
+// from the Ole10Native stream), embedded Office / PDF documents, chart workbooks (shared by analyzer + cleaners)
+// 1.1: container location of each object ("slide 4 → chart2") + payload extraction (raw or OLE-wrapped OOXML / PDF)
+// 1.2: classifyFileName for files attached outside OOXML (PDF attachments)
+
+import JSZip from "jszip";
+import { parseRels, relsPathOf, resolvePartPath, xmlAttr } from "./xlsxExternalData.js";
+
+export const EMBEDDED_OBJECT_CLASSES = [
+  "activex",
+  "executable",
+  "ole_package",
+  "office_document",
+  "pdf_document",
+  "chart_data",
+  "ole_object",
+];
+
+// Removed when the caller asks for embedded objects to go: every class, chart source workbooks included (they often
+// hold the full cost model); list the classes without chart_data to keep charts editable
+export const DEFAULT_EMBEDDED_OBJECT_CLASSES = [...EMBEDDED_OBJECT_CLASSES];
+
+const EMBEDDING_PART = /^(word|ppt|xl)\/embeddings\/[^/]+$/;
+const ACTIVEX_PART = /^(word|ppt|xl)\/activeX\/activeX\d*\.xml$/;
+const CHART_PART = /\/charts\/chart\d*\.xml$/;
+const CONTENT_TYPES = "[Content_Types].xml";
+
+const EXECUTABLE_EXTENSIONS = [
+  "exe", "dll", "scr", "com", "pif", "cpl", "msi", "msp", "bat", "cmd", "ps1", "psm1", "vbs", "vbe", "js", "jse",
+  "wsf", "wsh", "hta", "lnk", "reg", "jar", "inf", "sct", "chm", "iso", "img",
+];
+const OFFICE_EXTENSIONS = ["doc", "docx", "docm", "dot", "dotm", "xls", "xlsx", "xlsm", "xlsb", "ppt", "pptx", "pptm", "sldx"];
+const MACRO_EXTENSIONS = ["docm", "dotm", "xlsm", "xlsb", "pptm"];
+
+// ax:classid -> ProgID of common controls (Forms 2.0 + the ones known to load remote content)
+const ACTIVEX_PROGIDS = {
+  "{D7053240-CE69-11CD-A777-00DD01143C57}": "Forms.CommandButton.1",
+  "{8BD21D10-EC42-11CE-9E0D-00AA006002F3}": "Forms.TextBox.1",
+  "{8BD21D20-EC42-11CE-9E0D-00AA006002F3}": "Forms.ListBox.1",
+  "{8BD21D30-EC42-11CE-9E0D-00AA006002F3}": "Forms.ComboBox.1",
+  "{8BD21D40-EC42-11CE-9E0D-00AA006002F3}": "Forms.CheckBox.1",
+  "{8BD21D50-EC42-11CE-9E0D-00AA006002F3}": "Forms.OptionButton.1",
+  "{8BD21D60-EC42-11CE-9E0D-00AA006002F3}": "Forms.ToggleButton.1",
+  "{978C9E23-D4B0-11CE-BF2D-00AA003F40D0}": "Forms.Label.1",
+  "{4C599241-6926-101B-9992-00000B65C6F9}": "Forms.Image.1",
+  "{DFD181E0-5E2F-11CE-A449-00AA004A803D}": "Forms.ScrollBar.1",
+  "{79176FB0-B7F2-11CE-97EF-00AA006D2776}": "Forms.SpinButton.1",
+  "{8856F961-340A-11D0-A96B-00C04FD705A2}": "Shell.Explorer.2",
+  "{6BF52A52-394A-11D3-B153-00C04F79FAA6}": "WMPlayer.OCX.7",
+  "{D27CDB6E-AE6D-11CF-96B8-444553540000}": "ShockwaveFlash.ShockwaveFlash.1",
+};
+
+const extensionOf = (name) => (String(name || "").match(/\.([^./\\]+)$/)?.[1] || "").toLowerCase();
+const escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+async function readPart(zip, part) {
+  return zip.file(part) ? zip.file(part).async("string") : null;
+}
+
+// ---------- OLE compound file (CFB) ----------
+
+const CFB_SIGNATURE = "d0cf11e0a1b11ae1";
+const END_OF_CHAIN = 0xfffffffe;
+
+/**
+ * Read one stream of a compound file by name (FAT or mini-FAT), null when absent or malformed
+ */
+function readCfbStream(buf, streamName) {
+  if (buf.length < 512 || buf.subarray(0, 8).toString("hex") !== CFB_SIGNATURE) return null;
+  const sectorSize = 1 << buf.readUInt16LE(0x1e);
+  const miniSectorSize = 1 << buf.readUInt16LE(0x20);
+  const miniCutoff = buf.readUInt32LE(0x38);
+  const sectorAt = (s) => (s + 1) * sectorSize;
+  const maxSteps = Math.ceil(buf.length / 64) + 16;
+
+  // FAT sectors: 109 in the header, the rest in the DIFAT chain
+  const fatSectors = [];
+  for (let i = 0; i < 109; i++) fatSectors.push(buf.readUInt32LE(0x4c + i * 4));
+  let difat = buf.readUInt32LE(0x44);
+  for (let n = buf.readUInt32LE(0x48); n > 0 && difat < END_OF_CHAIN && sectorAt(difat) + sectorSize <= buf.length; n--) {
+    for (let i = 0; i < sectorSize / 4 - 1; i++) fatSectors.push(buf.readUInt32LE(sectorAt(difat) + i * 4));
+    difat = buf.readUInt32LE(sectorAt(difat) + sectorSize - 4);
+  }
+  const fat = [];
+  for (const s of fatSectors.slice(0, buf.readUInt32LE(0x2c))) {
+    if (s >= END_OF_CHAIN || sectorAt(s) + sectorSize > buf.length) continue;
+    for (let i = 0; i < sectorSize / 4; i++) fat.push(buf.readUInt32LE(sectorAt(s) + i * 4));
+  }
+
+  const readChain = (start, table, size, offsetOf, source) => {
+    const chunks = [];
+    for (let s = start, steps = 0; s < END_OF_CHAIN && steps < maxSteps; s = table[s] ?? END_OF_CHAIN, steps++) {
+      const at = offsetOf(s);
+      if (at + size > source.length) break;
+      chunks.push(source.subarray(at, at + size));
+    }
+    return Buffer.concat(chunks);
+  };
+  const readFat = (start) => readChain(start, fat, sectorSize, sectorAt, buf);
+
+  const dir = readFat(buf.readUInt32LE(0x30));
+  const entries = [];
+  for (let at = 0; at + 128 <= dir.length; at += 128) {
+    const nameLength = dir.readUInt16LE(at + 64);
+    entries.push({
+      name: dir.subarray(at, at + Math.max(0, nameLength - 2)).toString("utf16le"),
+      type: dir[at + 66],
+      start: dir.readUInt32LE(at + 116),
+      size: dir.readUInt32LE(at + 120),
+    });
+  }
+  const entry = entries.find((e) => e.type === 2 && e.name === streamName);
+  if (!entry) return null;
+
+  if (entry.size >= miniCutoff) return readFat(entry.start).subarray(0, entry.size);
+
+  const root = entries.find((e) => e.type === 5);
+  if (!root) return null;
+  const miniStream = readFat(root.start);
+  const miniFatRaw = readFat(buf.readUInt32LE(0x3c));
+  const miniFat = [];
+  for (let i = 0; i + 4 <= miniFatRaw.length; i += 4) miniFat.push(miniFatRaw.readUInt32LE(i));
+  return readChain(entry.start, miniFat, miniSectorSize, (s) => s * miniSectorSize, miniStream).subarray(0, entry.size);
+}
+
+function readCString(buf, at) {
+  const end = buf.indexOf(0, at);
+  if (end < 0) return { value: null, next: buf.length };
+  return { value: buf.subarray(at, end).toString("latin1"), next: end + 1 };
+}
+
+/**
+ * OLE Package payload (\x01Ole10Native): { label, sourcePath, tempPath, fileName, size, data, isPe }
+ * Layout: size u32, flags u16, label\0, source path\0, reserved u32, temp path\0, data size u32, data
+ */
+export function parseOlePackage(bin) {
+  const native = readCfbStream(Buffer.from(bin), "\u0001Ole10Native");
+  if (!native || native.length < 10) return null;
+  try {
+    const label = readCString(native, 6);
+    const sourcePath = readCString(native, label.next);
+    const tempPath = readCString(native, sourcePath.next + 4);
+    const size = tempPath.next + 4 <= native.length ? native.readUInt32LE(tempPath.next) : 0;
+    const data = native.subarray(tempPath.next + 4, tempPath.next + 4 + size);
+    const fileName = [label.value, sourcePath.value, tempPath.value]
+      .map((p) => String(p || "").split(/[\\/]/).pop())
+      .find((n) => n && /\.\w+$/.test(n)) || label.value || null;
+    return {
+      label: label.value,
+      sourcePath: sourcePath.value,
+      tempPath: tempPath.value,
+      fileName,
+      size: data.length,
+      data,
+      isPe: data.length > 2 && data[0] === 0x4d && data[1] === 0x5a, // "MZ"
+    };
+  } catch {
+    return null;
+  }
+}
+
+// ---------- Inventory ----------
+
+function contentTypeOf(types, part) {
+  const override = types.match(new RegExp(`<Override\\b[^>]*PartName="/${escapeRegExp(part)}"[^>]*>`, "i"))?.[0];
+  const fallback = types.match(new RegExp(`<Default\\b[^>]*Extension="${escapeRegExp(extensionOf(part))}"[^>]*>`, "i"))?.[0];
+  return xmlAttr(override || fallback || "", "ContentType");
+}
+
+// Every internal relationship of the package pointing at `part`: [{ sourcePart, relsPart, relId, type }]
+async function referencesByTarget(zip) {
+  const refs = new Map();
+  for (const relsPart of Object.keys(zip.files).filter((n) => /(^|\/)_rels\/[^/]+\.rels$/.test(n))) {
+    const sourcePart = relsPart.replace(/(^|\/)_rels\/([^/]+)\.rels$/, "$1$2");
+    for (const rel of parseRels(await readPart(zip, relsPart))) {
+      if (rel.external) continue;
+      const target = resolvePartPath(sourcePart, rel.target);
+      if (!refs.has(target)) refs.set(target, []);
+      refs.get(target).push({ sourcePart, relsPart, relId: rel.id, type: rel.type.split("/").pop() });
+    }
+  }
+  return refs;
+}
+
+// Opening tag that uses relationship `relId` in the source part (o:OLEObject, p:oleObj, oleObject, w:control...)
+function referencingTag(xml, relId) {
+  return String(xml || "").match(new RegExp(`<[\\w:]+\\b[^>]*\\br:id="${escapeRegExp(relId)}"[^>]*>`))?.[0] || "";
+}
+
+// Object class of a bare attached file, from its name: executable / office_document / pdf_document / attached_file
+export function classifyFileName(fileName) {
+  const extension = extensionOf(fileName);
+  if (EXECUTABLE_EXTENSIONS.includes(extension)) return "executable";
+  if (OFFICE_EXTENSIONS.includes(extension)) return "office_document";
+  if (extension === "pdf") return "pdf_document";
+  return "attached_file";
+}
+
+function classifyEmbedding({ progId, contentType, extension, references, native }) {
+  const progIdLower = String(progId || "").toLowerCase();
+  if (native?.isPe || EXECUTABLE_EXTENSIONS.includes(extensionOf(native?.fileName))) return "executable";
+  if (native || progIdLower === "package") return "ole_package";
+  if (EXECUTABLE_EXTENSIONS.includes(extension)) return "executable";
+  if (references.some((r) => CHART_PART.test(r.sourcePart))) return "chart_data";
+  if (
+    /^(excel|word|powerpoint)\./.test(progIdLower) ||
+    OFFICE_EXTENSIONS.includes(extension) ||
+    /spreadsheetml|wordprocessingml|presentationml|ms-excel|msword|ms-powerpoint/.test(contentType || "")
+  ) {
+    return "office_document";
+  }
+  if (/^acroexch\.|^acrobat\./.test(progIdLower) || extension === "pdf" || /\/pdf$/.test(contentType || "")) {
+    return "pdf_document";
+  }
+  return "ole_object";
+}
+
+// Container parts named in a location path; drawings, layouts and the package root are skipped
+const TOP_LEVEL_PART = /^(?:ppt\/slides\/slide\d+|ppt\/notesSlides\/notesSlide\d+|word\/(?:document|header\d*|footer\d*)|xl\/worksheets\/sheet\d+)\.xml$/;
+
+async function sheetNames(zip) {
+  const workbook = (await readPart(zip, "xl/workbook.xml")) || "";
+  const rels = parseRels(await readPart(zip, "xl/_rels/workbook.xml.rels"));
+  const names = new Map();
+  for (const m of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+    const rel = rels.find((r) => r.id === xmlAttr(m[0], "r:id"));
+    if (rel) names.set(resolvePartPath("xl/workbook.xml", rel.target), xmlAttr(m[0], "name"));
+  }
+  return names;
+}
+
+function partLabel(part, sheets) {
+  let m;
+  if ((m = part.match(/^ppt\/slides\/slide(\d+)\.xml$/))) return `slide ${m[1]}`;
+  if ((m = part.match(/^ppt\/notesSlides\/notesSlide(\d+)\.xml$/))) return `notes ${m[1]}`;
+  if (part === "word/document.xml") return "document";
+  if ((m = part.match(/^word\/(header|footer)(\d*)\.xml$/))) return `${m[1]} ${m[2] || 1}`;
+  if (sheets.has(part)) return sheets.get(part);
+  if ((m = part.match(CHART_PART))) return part.split("/").pop().replace(/\.xml$/, "");
+  return null;
+}
+
+// Labels of the parts that contain `part`, outermost first: ["slide 4", "chart2"]
+function containerPath(part, refs, sheets) {
+  const path = [];
+  const seen = new Set([part]);
+  for (let p = refs.get(part)?.[0]?.sourcePart; p && !seen.has(p); p = refs.get(p)?.[0]?.sourcePart) {
+    seen.add(p);
+    const label = partLabel(p, sheets);
+    if (label) path.unshift(label);
+    if (TOP_LEVEL_PART.test(p)) break;
+  }
+  return path;
+}
+
+/**
+ * Human location of an object: its containers, then the embedded file itself (charts are named by their
+ * container) -> ["slide 4", "chart2"], ["document", "budget.xlsx"]
+ */
+export function objectLocation(object) {
+  const own = object.objectClass === "chart_data" ? null : object.fileName || object.controlName || object.part.split("/").pop();
+  return [...(object.locationPath || []), own].filter(Boolean);
+}
+
+const CLASS_SEVERITY = {
+  executable: "critical",
+  activex: "high",
+  ole_package: "high",
+  office_document: "medium",
+  pdf_document: "medium",
+  chart_data: "medium",
+  ole_object: "low",
+};
+
+/**
+ * Embedded objects of an Office package (JSZip instance), ActiveX controls included:
+ * [{ part, parts, objectClass, progId, classId, contentType, extension, bytes, references: [{ sourcePart, relId, type }],
+ *    locationPath: ["slide 4", "chart2"], fileName (OLE Package original name), sourcePath, controlName (ActiveX),
+ *    macroEnabled, severity }]
+ */
+export async function inspectEmbeddedObjects(zip) {
+  const types = (await readPart(zip, CONTENT_TYPES)) || "";
+  const refs = await referencesByTarget(zip);
+  const sheets = await sheetNames(zip);
+  const sources = new Map();
+  const sourceXml = async (part) => {
+    if (!sources.has(part)) sources.set(part, await readPart(zip, part));
+    return sources.get(part);
+  };
+
+  const objects = [];
+  const names = Object.keys(zip.files)
+    .filter((n) => !zip.files[n].dir)
+    .sort();
+
+  for (const part of names.filter((n) => EMBEDDING_PART.test(n))) {
+    const references = (refs.get(part) || []).map(({ sourcePart, relId, type }) => ({ sourcePart, relId, type }));
+    let progId = null;
+    for (const r of references) {
+      const tag = referencingTag(await sourceXml(r.sourcePart), r.relId);
+      progId = progId || xmlAttr(tag, "ProgID") || xmlAttr(tag, "progId");
+    }
+    const bin = await zip.file(part).async("nodebuffer");
+    const native = parseOlePackage(bin);
+    const extension = extensionOf(part);
+    const contentType = contentTypeOf(types, part);
+    const objectClass = classifyEmbedding({ progId, contentType, extension, references, native });
+    objects.push({
+      part,
+      parts: [part],
+      objectClass,
+      progId,
+      contentType,
+      extension,
+      bytes: bin.length,
+      references,
+      locationPath: containerPath(part, refs, sheets),
+      fileName: native?.fileName || null,
+      sourcePath: native?.sourcePath || null,
+      controlName: null,
+      macroEnabled: MACRO_EXTENSIONS.includes(extension) || /macroEnabled/i.test(contentType || ""),
+      severity: objectClass === "office_document" && MACRO_EXTENSIONS.includes(extension) ? "high" : CLASS_SEVERITY[objectClass],
+    });
+  }
+
+  for (const part of names.filter((n) => ACTIVEX_PART.test(n))) {
+    const xml = (await readPart(zip, part)) || "";
+    const classId = (xml.match(/\bax:classid="([^"]*)"/)?.[1] || "").toUpperCase();
+    const binaries = parseRels(await readPart(zip, relsPathOf(part))).map((r) => resolvePartPath(part, r.target));
+    const references = (refs.get(part) || []).map(({ sourcePart, relId, type }) => ({ sourcePart, relId, type }));
+    let name = null;
+    for (const r of references) {
+      const tag = referencingTag(await sourceXml(r.sourcePart), r.relId);
+      name = name || xmlAttr(tag, "w:name") || xmlAttr(tag, "name");
+    }
+    let bytes = 0;
+    for (const b of binaries) bytes += zip.file(b) ? (await zip.file(b).async("uint8array")).length : 0;
+    objects.push({
+      part,
+      parts: [part, relsPathOf(part), ...binaries].filter((p) => zip.file(p)),
+      objectClass: "activex",
+      progId: ACTIVEX_PROGIDS[classId] || null,
+      classId: classId || null,
+      contentType: contentTypeOf(types, part),
+      extension: "xml",
+      bytes,
+      references,
+      locationPath: containerPath(part, refs, sheets),
+      fileName: null,
+      sourcePath: null,
+      controlName: name,
+      macroEnabled: false,
+      severity: CLASS_SEVERITY.activex,
+    });
+  }
+
+  return objects;
+}
+
+// ---------- Payload ----------
+
+export const PAYLOAD_MIME_TYPES = {
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pdf: "application/pdf",
+};
+
+async function payloadFormat(buf) {
+  if (!buf || buf.length < 8) return null;
+  if (buf.subarray(0, 1024).indexOf("%PDF-") >= 0) return "pdf";
+  if (buf[0] !== 0x50 || buf[1] !== 0x4b) return null; // "PK"
+  try {
+    const zip = await JSZip.loadAsync(buf);
+    if (zip.file("word/document.xml")) return "docx";
+    if (zip.file("ppt/presentation.xml")) return "pptx";
+    if (zip.file("xl/workbook.xml")) return "xlsx";
+  } catch {
+    // not a zip package
+  }
+  return null;
+}
+
+/**
+ * Document carried by an embedding part: { format: docx|pptx|xlsx|pdf, mimeType, buffer, wrapped }
+ * wrapped = the document sits inside an OLE compound file (Package / CONTENTS stream) and cannot be
+ * written back in place. null for ActiveX controls, legacy binary formats and unknown payloads.
+ */
+export async function embeddedPayload(zip, object) {
+  if (object.objectClass === "activex" || !zip.file(object.part)) return null;
+  const raw = await zip.file(object.part).async("nodebuffer");
+  let buffer = raw;
+  let wrapped = false;
+  if (raw.subarray(0, 8).toString("hex") === CFB_SIGNATURE) {
+    buffer = parseOlePackage(raw)?.data || readCfbStream(raw, "Package") || readCfbStream(raw, "CONTENTS");
+    wrapped = true;
+  }
+  const format = await payloadFormat(buffer);
+  return format ? { format, mimeType: PAYLOAD_MIME_TYPES[format], buffer, wrapped } : null;
+}
+
+// ---------- Removal ----------
+
+// Drop the markup that uses `relId` in a source part; wrappers left empty are removed with it
+function dropReference(xml, relId) {
+  const rid = `r:id="${escapeRegExp(relId)}"`;
+  const uses = (block) => new RegExp(`\\b${rid}`).test(block);
+  let out = xml;
+
+  // PPTX: the whole graphic frame (object or control) goes, with its mc:AlternateContent fallback picture
+  out = out.replace(/<mc:AlternateContent\b[^>]*>(?:(?!<mc:AlternateContent\b)[\s\S])*?<\/mc:AlternateContent>/g, (block) =>
+    uses(block) && /<p:(?:oleObj|control)\b|<(?:oleObject|control)\b/.test(block) ? "" : block
+  );
+  out = out.replace(/<p:graphicFrame\b[\s\S]*?<\/p:graphicFrame>/g, (block) => (uses(block) && /<p:oleObj\b/.test(block) ? "" : block));
+
+  // DOCX o:OLEObject / w:control (the v:shape preview stays as a static picture), PPTX p:control,
+  // XLSX oleObject / control, chart c:externalData
+  for (const tag of ["o:OLEObject", "w:control", "p:control", "oleObject", "control", "c:externalData"]) {
+    const t = escapeRegExp(tag);
+    out = out.replace(new RegExp(`<${t}\\b[^>]*?(?:\\/>|>[\\s\\S]*?<\\/${t}>)`, "g"), (el) =>
+      uses(el.match(/^<[^>]*>/)[0]) ? "" : el
+    );
+  }
+  return out
+    .replace(/<(p:controls|controls|oleObjects)\b[^>]*>\s*<\/\1>/g, "")
+    .replace(/<(p:controls|controls|oleObjects)\b[^>]*\/>/g, "")
+    .replace(
+      /<mc:AlternateContent\b[^>]*>\s*<mc:Choice\b[^>]*>\s*<\/mc:Choice>\s*(?:<mc:Fallback\b[^>]*>\s*<\/mc:Fallback>\s*)?<\/mc:AlternateContent>/g,
+      ""
+    );
+}
+
+/**
+ * Remove the embedded objects whose class is listed: parts (ActiveX .xml + .bin + rels), the
+ * relationships pointing at them, the markup using those relationships and the content-type overrides.
+ * Each removed object is recorded in stats.removedEmbeddedObjects.
+ */
+export async function removeEmbeddedObjectsByClass(zip, classes, stats) {
+  const selected = (await inspectEmbeddedObjects(zip)).filter((o) => (classes || []).includes(o.objectClass));
+  if (!selected.length) return [];
+
+  const bySource = new Map();
+  for (const o of selected) {
+    for (const r of o.references) {
+      if (!bySource.has(r.sourcePart)) bySource.set(r.sourcePart, new Set());
+      bySource.get(r.sourcePart).add(r.relId);
+    }
+  }
+
+  for (const [sourcePart, ids] of bySource) {
+    let xml = await readPart(zip, sourcePart);
+    if (xml !== null) {
+      for (const id of ids) xml = dropReference(xml, id);
+      zip.file(sourcePart, xml);
+    }
+    const relsPart = relsPathOf(sourcePart);
+    const rels = await readPart(zip, relsPart);
+    if (rels) {
+      zip.file(
+        relsPart,
+        rels.replace(/<Relationship\b[^>]*?(?:\/>|>\s*<\/Relationship>)/g, (tag) => (ids.has(xmlAttr(tag, "Id")) ? "" : tag))
+      );
+    }
+  }
+
+  const removedParts = selected.flatMap((o) => o.parts);
+  for (const part of removedParts) zip.remove(part);
+
+  const types = await readPart(zip, CONTENT_TYPES);
+  if (types) {
+    const removed = new Set(removedParts.map((p) => `/${p}`.toLowerCase()));
+    zip.file(
+      CONTENT_TYPES,
+      types.replace(/<Override\b[^>]*\/>/g, (tag) => (removed.has((xmlAttr(tag, "PartName") || "").toLowerCase()) ? "" : tag))
+    );
+  }
+
+  for (const o of selected) {
+    stats.embeddedObjectsRemoved++;
+    if (o.objectClass === "activex") stats.activeXRemoved++;
+    if (o.objectClass === "executable") stats.executablesRemoved++;
+    stats.removedEmbeddedObjects.push({
+      part: o.part,
+      objectClass: o.objectClass,
+      progId: o.progId,
+      fileName: o.fileName || o.controlName,
+    });
+  }
+
+  return removedParts;
+}
+
+export default {
+  inspectEmbeddedObjects,
+  removeEmbeddedObjectsByClass,
+  parseOlePackage,
+  embeddedPayload,
+  objectLocation,
+  classifyFileName,
+  EMBEDDED_OBJECT_CLASSES,
+  DEFAULT_EMBEDDED_OBJECT_CLASSES,
+};
@@ -0,0 +1,93 @@
+// lib/officeThumbnails.js
+// VERSION 1.0 - Package thumbnails (docProps/thumbnail.*) in DOCX / PPTX / XLSX (shared by analyzer + cleaners)
+
+const REL_TYPE_THUMBNAIL = /\/metadata\/thumbnail$/;
+const PACKAGE_RELS = "_rels/.rels";
+const CONTENT_TYPES = "[Content_Types].xml";
+
+const escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const attr = (tag, name) => tag.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1] ?? null;
+const extensionOf = (part) => (part.match(/\.([^./]+)$/)?.[1] || "").toLowerCase();
+
+async function readPart(zip, part) {
+  return zip.file(part) ? zip.file(part).async("string") : null;
+}
+
+/**
+ * Package thumbnails (JSZip instance): [{ part, relId, extension, contentType, bytes }]
+ * Thumbnails declared by the package relationship, plus docProps/thumbnail.* files nothing points to.
+ */
+export async function inspectThumbnails(zip) {
+  const rels = (await readPart(zip, PACKAGE_RELS)) || "";
+  const types = (await readPart(zip, CONTENT_TYPES)) || "";
+  const thumbnails = [];
+
+  const add = async (part, relId) => {
+    if (!zip.file(part) || thumbnails.some((t) => t.part === part)) return;
+    const extension = extensionOf(part);
+    const override = types.match(new RegExp(`<Override\\b[^>]*PartName="/${escapeRegExp(part)}"[^>]*>`, "i"))?.[0];
+    const fallback = types.match(new RegExp(`<Default\\b[^>]*Extension="${escapeRegExp(extension)}"[^>]*>`, "i"))?.[0];
+    thumbnails.push({
+      part,
+      relId,
+      extension,
+      contentType: attr(override || fallback || "", "ContentType"),
+      bytes: (await zip.file(part).async("uint8array")).length,
+    });
+  };
+
+  for (const m of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+    if (!REL_TYPE_THUMBNAIL.test(attr(m[0], "Type") || "") || /TargetMode="External"/.test(m[0])) continue;
+    await add(attr(m[0], "Target").replace(/^\//, ""), attr(m[0], "Id"));
+  }
+  for (const name of Object.keys(zip.files)) {
+    if (/^docProps\/thumbnail\.[^/]+$/i.test(name)) await add(name, null);
+  }
+
+  return thumbnails;
+}
+
+/**
+ * Remove the package thumbnails, their package relationship, their content-type override and
+ * the extension default when no remaining part uses that extension. Returns the removed part names.
+ */
+export async function removeThumbnails(zip, stats) {
+  const thumbnails = await inspectThumbnails(zip);
+  if (!thumbnails.length) return [];
+
+  for (const t of thumbnails) zip.remove(t.part);
+  stats.thumbnailsRemoved += thumbnails.length;
+
+  const rels = await readPart(zip, PACKAGE_RELS);
+  if (rels) {
+    zip.file(
+      PACKAGE_RELS,
+      rels.replace(/<Relationship\b[^>]*?(?:\/>|>\s*<\/Relationship>)/g, (tag) =>
+        REL_TYPE_THUMBNAIL.test(attr(tag, "Type") || "") ? "" : tag
+      )
+    );
+  }
+
+  const types = await readPart(zip, CONTENT_TYPES);
+  if (types) {
+    const removed = new Set(thumbnails.map((t) => `/${t.part}`.toLowerCase()));
+    const inUse = new Set(
+      Object.keys(zip.files)
+        .filter((n) => !zip.files[n].dir)
+        .map(extensionOf)
+    );
+    zip.file(
+      CONTENT_TYPES,
+      types
+        .replace(/<Override\b[^>]*\/>/g, (tag) => (removed.has((attr(tag, "PartName") || "").toLowerCase()) ? "" : tag))
+        .replace(/<Default\b[^>]*\/>/g, (tag) => {
+          const extension = (attr(tag, "Extension") || "").toLowerCase();
+          return thumbnails.some((t) => t.extension === extension) && !inUse.has(extension) ? "" : tag;
+        })
+    );
+  }
+
+  return thumbnails.map((t) => t.part);
+}
+
+export default { inspectThumbnails, removeThumbnails };
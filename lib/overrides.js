@@ -0,0 +1,136 @@
+// lib/overrides.js
+// VERSION 1.1 - Business-risk override acknowledgements (hash-chained, append-only audit log on local disk)
+// 1.1: acknowledgedFlags are checked against the blocking ruleIds of the active rule pack
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+
+// One JSON entry per line; each entry hashes the previous one, so any edit/deletion breaks the chain
+const OVERRIDES_LOG_PATH = path.resolve(process.env.OVERRIDES_LOG_PATH || "data/overrides.log.jsonl");
+const GENESIS_HASH = "0".repeat(64);
+
+// Serialize appends (single instance) so seq/prevHash stay consistent
+let writeChain = Promise.resolve();
+let tail = null; // { seq, hash } of the last entry, loaded lazily
+
+function overrideError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hashEntry(entry) {
+  const { hash, ...body } = entry;
+  return crypto.createHash("sha256").update(JSON.stringify(body)).digest("hex");
+}
+
+async function readEntries() {
+  let raw = "";
+  try {
+    raw = await fs.promises.readFile(OVERRIDES_LOG_PATH, "utf8");
+  } catch (e) {
+    if (e?.code === "ENOENT") return [];
+    throw e;
+  }
+  const entries = [];
+  raw.split("\n").forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      entries.push({ corrupted: true, line: index + 1 });
+    }
+  });
+  return entries;
+}
+
+async function loadTail() {
+  if (tail) return tail;
+  const entries = await readEntries();
+  const last = entries[entries.length - 1];
+  tail = last && !last.corrupted ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+  return tail;
+}
+
+/**
+ * Record an acknowledgement of blocking business-risk flags for a document.
+ * knownFlags (optional): ruleIds that can be blocking; any other acknowledged ruleId is rejected.
+ * Throws (status 400) on invalid input.
+ */
+export function recordOverride({ documentId, userId, reason, acknowledgedFlags, knownFlags = null } = {}) {
+  const docId = String(documentId || "").trim();
+  const user = String(userId || "").trim();
+  const why = String(reason || "").trim();
+  const flags = Array.isArray(acknowledgedFlags)
+    ? [...new Set(acknowledgedFlags.map((f) => String(f || "").trim()).filter(Boolean))]
+    : [];
+
+  if (!docId) throw overrideError("documentId is required");
+  if (!user) throw overrideError("userId is required");
+  if (!why) throw overrideError("reason is required");
+  if (!flags.length) throw overrideError("acknowledgedFlags must list at least one blocking flag ruleId");
+  const unknown = knownFlags ? flags.filter((f) => !knownFlags.has(f)) : [];
+  if (unknown.length) {
+    throw overrideError(
+      `acknowledgedFlags lists unknown blocking flag ruleId(s): ${unknown.join(", ")}. Known: ${[...knownFlags].join(", ") || "none"}`
+    );
+  }
+
+  const run = writeChain.then(async () => {
+    const last = await loadTail();
+    const entry = {
+      seq: last.seq + 1,
+      overrideId: uuidv4(),
+      documentId: docId,
+      userId: user,
+      reason: why.slice(0, 2000),
+      acknowledgedFlags: flags,
+      timestamp: new Date().toISOString(),
+      prevHash: last.hash,
+    };
+    entry.hash = hashEntry(entry);
+
+    await fs.promises.mkdir(path.dirname(OVERRIDES_LOG_PATH), { recursive: true });
+    await fs.promises.appendFile(OVERRIDES_LOG_PATH, JSON.stringify(entry) + "\n", { flag: "a" });
+    tail = { seq: entry.seq, hash: entry.hash };
+
+    console.log(`[OVERRIDES] #${entry.seq} ${docId} by ${user} (${flags.join(", ")})`);
+    return entry;
+  });
+
+  // Keep the queue alive even if this append fails
+  writeChain = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Verify the whole chain. Returns { valid, entries, brokenAt }
+ */
+export function verifyChain(entries) {
+  let prev = GENESIS_HASH;
+  for (let i = 0; i < entries.length; i++) {
+    const e = entries[i];
+    if (e.corrupted || e.prevHash !== prev || hashEntry(e) !== e.hash || e.seq !== i + 1) {
+      return { valid: false, entries: entries.length, brokenAt: e.seq ?? i + 1 };
+    }
+    prev = e.hash;
+  }
+  return { valid: true, entries: entries.length, brokenAt: null };
+}
+
+/**
+ * Overrides recorded for a document (oldest first) + chain integrity
+ */
+export async function getOverrides(documentId) {
+  const docId = String(documentId || "").trim();
+  const entries = await readEntries();
+  return {
+    documentId: docId,
+    overrides: entries.filter((e) => !e.corrupted && e.documentId === docId),
+    chain: verifyChain(entries),
+  };
+}
+
+export default { recordOverride, getOverrides, verifyChain };
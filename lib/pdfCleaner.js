@@ -1,4 +1,8 @@
 // lib/pdfCleaner.js
+// VERSION 1.3 - Sanitize (metadata, annotations, actions, forms, JavaScript, embedded files) or text-only rebuild
+// 1.1: catalog-level removals read the catalog dictionary itself; catalog /AF (associated files) removed too
+// 1.2: output is always a single revision (incremental updates flattened, unreferenced objects dropped), in stats
+// 1.3: text-only rebuild moved to pdfTextOnly.js (Unicode font, page breaks, headings + outline); extractLayoutFn
 import {
   PDFDocument,
   PDFName,
@@ -6,72 +10,11 @@ import {
   PDFArray,
   PDFString,
   PDFHexString,
-  StandardFonts,
+  PDFRef,
+  PDFStream,
 } from "pdf-lib";
-
-/**
- * Build a "text-only" PDF from extracted text
- */
-async function buildTextOnlyPdf(text, title = "Qualion Text-Only") {
-  const doc = await PDFDocument.create();
-  const font = await doc.embedFont(StandardFonts.Helvetica);
-
-  const margin = 48;
-  const pageW = 595.28;
-  const pageH = 841.89;
-  const maxW = pageW - margin * 2;
-  const lh = 14;
-  const size = 11;
-
-  let page = doc.addPage([pageW, pageH]);
-  let y = pageH - margin;
-
-  const words = (text || "")
-    .replace(/\s+/g, " ")
-    .trim()
-    .split(" ")
-    .filter(Boolean);
-
-  const w = (s) => font.widthOfTextAtSize(s, size);
-
-  let line = "";
-  for (const word of words) {
-    const test = line ? `${line} ${word}` : word;
-
-    if (w(test) <= maxW) {
-      line = test;
-      continue;
-    }
-
-    if (y - lh < margin) {
-      page = doc.addPage([pageW, pageH]);
-      y = pageH - margin;
-    }
-
-    if (line) {
-      page.drawText(line, { x: margin, y: y - lh, size, font });
-      y -= lh;
-      line = word;
-    } else {
-      page.drawText(word, { x: margin, y: y - lh, size, font });
-      y -= lh;
-      line = "";
-    }
-  }
-
-  if (line) {
-    if (y - lh < margin) {
-      page = doc.addPage([pageW, pageH]);
-      y = pageH - margin;
-    }
-    page.drawText(line, { x: margin, y: y - lh, size, font });
-  }
-
-  doc.setTitle(title);
-  doc.setCreator("Qualion");
-  doc.setProducer("Qualion");
-  return Buffer.from(await doc.save());
-}
+import { countRevisions } from "./pdfRevisions.js";
+import { buildTextOnlyPdf } from "./pdfTextOnly.js";
 
 // ---------- Safe helpers (pdf-lib can vary by version) ----------
 const N = (s) => PDFName.of(s);
@@ -137,15 +80,76 @@ function countArrayEntries(maybeArr) {
   }
 }
 
+// Dict of an indirect object (plain dict, or the dict of a stream)
+function dictOf(obj) {
+  if (obj instanceof PDFDict) return obj;
+  if (obj instanceof PDFStream) return obj.dict;
+  return null;
+}
+
+/**
+ * Delete objects no longer reachable from the trailer (Root / Encrypt / Info).
+ * pdf-lib writes every object of its context, so removed keys would otherwise still leak their targets.
+ */
+function dropUnreachableObjects(pdf) {
+  const { context } = pdf;
+  const reachable = new Set();
+  const stack = [context.trailerInfo.Root, context.trailerInfo.Encrypt, context.trailerInfo.Info].filter(Boolean);
+
+  while (stack.length) {
+    const item = stack.pop();
+    if (item instanceof PDFRef) {
+      const key = item.toString();
+      if (reachable.has(key)) continue;
+      reachable.add(key);
+      const target = context.lookup(item);
+      if (target) stack.push(target);
+    } else if (item instanceof PDFStream) {
+      stack.push(item.dict);
+    } else if (item instanceof PDFDict) {
+      for (const [, v] of item.entries()) stack.push(v);
+    } else if (item instanceof PDFArray) {
+      for (const v of item.asArray()) stack.push(v);
+    }
+  }
+
+  let removed = 0;
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reachable.has(ref.toString())) {
+      context.delete(ref);
+      removed++;
+    }
+  }
+  return removed;
+}
+
 /**
  * pdfMode:
- *  - "sanitize" (default): wipe metadata, remove annotations, embedded files, and neutralize forms/js/actions
+ *  - "sanitize" (default): remove Info dict + XMP/PieceInfo, annotations, embedded files, and neutralize forms/js/actions
  *  - "text-only": rebuild a text-only PDF (removes all graphics)
  * extractTextFn(inputBuffer) optional for text-only
+ * extractLayoutFn(buffer) -> [{ page, lines: [{ text, size, y }] }] | null: text-only keeps pages and headings
+ * from it, falling back to extractTextFn's plain text.
+ * originalBuffer: the uploaded file when earlier steps (redaction) already rewrote inputBuffer,
+ * so the revision count reflects what the user sent.
  */
-export async function cleanPDF(inputBuffer, { pdfMode = "sanitize", extractTextFn } = {}) {
+export async function cleanPDF(
+  inputBuffer,
+  { pdfMode = "sanitize", extractTextFn, extractLayoutFn, originalBuffer = null } = {}
+) {
+  const revisionsBefore = countRevisions(originalBuffer || inputBuffer);
+  const revisionStats = (out) => {
+    const after = countRevisions(out);
+    return { revisionsBefore, incrementalUpdatesRemoved: Math.max(0, revisionsBefore - after), singleRevision: after === 1 };
+  };
   const stats = {
     metadataCleared: false,
+    metaRemoved: 0,
+    infoDictRemoved: false,
+    xmpMetadataRemoved: false,
+    objectMetadataRemoved: 0,
+    pieceInfoRemoved: 0,
+    unreferencedObjectsRemoved: 0,
     annotsRemoved: 0,
     embeddedFilesRemoved: 0,
     acroFormRemoved: false,
@@ -157,9 +161,17 @@ export async function cleanPDF(inputBuffer, { pdfMode = "sanitize", extractTextF
 
   // ---------------- text-only ----------------
   if (pdfMode === "text-only") {
-    const text = typeof extractTextFn === "function" ? await extractTextFn(inputBuffer) : "";
-    const out = await buildTextOnlyPdf(text);
-    return { outBuffer: out, stats: { ...stats, metadataCleared: true } };
+    const layout = typeof extractLayoutFn === "function" ? await extractLayoutFn(inputBuffer) : null;
+    const source = Array.isArray(layout) && layout.length
+      ? layout
+      : typeof extractTextFn === "function"
+        ? await extractTextFn(inputBuffer)
+        : "";
+    const rebuilt = await buildTextOnlyPdf(source);
+    return {
+      outBuffer: rebuilt.outBuffer,
+      stats: { ...stats, ...rebuilt.stats, ...revisionStats(rebuilt.outBuffer), metadataCleared: true },
+    };
   }
 
   // ---------------- sanitize ----------------
@@ -182,17 +194,41 @@ export async function cleanPDF(inputBuffer, { pdfMode = "sanitize", extractTextF
     console.warn("[PDF] Failed counting annotations:", e?.message || e);
   }
 
-  // ---- Metadata wipe ----
+  // ---- Metadata wipe: Info dictionary (trailer) ----
   try {
-    pdf.setTitle("");
-    pdf.setAuthor("");
-    pdf.setCreator("");
-    pdf.setProducer("");
-    pdf.setSubject("");
-    pdf.setKeywords([]);
+    const infoRef = pdf.context.trailerInfo.Info;
+    if (infoRef) {
+      if (infoRef instanceof PDFRef) pdf.context.delete(infoRef);
+      pdf.context.trailerInfo.Info = undefined;
+      stats.infoDictRemoved = true;
+    }
     stats.metadataCleared = true;
   } catch (e) {
-    console.warn("[PDF] Failed clearing metadata:", e?.message || e);
+    console.warn("[PDF] Failed removing Info dictionary:", e?.message || e);
+  }
+
+  // ---- XMP streams (catalog, pages, images, forms...) + PieceInfo private data ----
+  try {
+    const catDict = asDict(pdf.catalog);
+    if (catDict && safeGet(catDict, "Metadata")) {
+      safeDelete(catDict, "Metadata");
+      stats.xmpMetadataRemoved = true;
+    }
+
+    for (const [, obj] of pdf.context.enumerateIndirectObjects()) {
+      const d = dictOf(obj);
+      if (!d) continue;
+      if (d !== catDict && d.has(N("Metadata"))) {
+        d.delete(N("Metadata"));
+        stats.objectMetadataRemoved++;
+      }
+      if (d.has(N("PieceInfo"))) {
+        d.delete(N("PieceInfo"));
+        stats.pieceInfoRemoved++;
+      }
+    }
+  } catch (e) {
+    console.warn("[PDF] Failed removing XMP / PieceInfo:", e?.message || e);
   }
 
   // ---- Remove annotations ----
@@ -209,7 +245,7 @@ export async function cleanPDF(inputBuffer, { pdfMode = "sanitize", extractTextF
   // ---- Neutralize OpenAction + AA (catalog-level) ----
   try {
     const catalog = pdf.catalog;
-    const catDict = asDict(catalog.dict);
+    const catDict = asDict(catalog) || asDict(catalog.dict); // PDFCatalog is a PDFDict (its .dict is the internal Map)
     if (catDict) {
       if (safeGet(catDict, "OpenAction")) {
         safeDelete(catDict, "OpenAction");
@@ -242,7 +278,7 @@ export async function cleanPDF(inputBuffer, { pdfMode = "sanitize", extractTextF
   // ---- Remove AcroForm (forms) ----
   try {
     const catalog = pdf.catalog;
-    const catDict = asDict(catalog.dict);
+    const catDict = asDict(catalog) || asDict(catalog.dict);
     if (catDict && safeGet(catDict, "AcroForm")) {
       safeDelete(catDict, "AcroForm");
       stats.acroFormRemoved = true;
@@ -255,7 +291,7 @@ export async function cleanPDF(inputBuffer, { pdfMode = "sanitize", extractTextF
   // JS can be stored under Catalog -> Names -> JavaScript -> Names [...]
   try {
     const catalog = pdf.catalog;
-    const catDict = asDict(catalog.dict);
+    const catDict = asDict(catalog) || asDict(catalog.dict);
     const namesObj = catDict ? safeLookup(catDict, "Names") : null;
     const namesDict = asDict(namesObj);
 
@@ -286,6 +322,9 @@ export async function cleanPDF(inputBuffer, { pdfMode = "sanitize", extractTextF
         stats.javascriptRemoved = true;
       }
     }
+
+    // Associated files (/AF, PDF 2.0 / PDF/A-3) keep the same file specifications reachable
+    if (catDict && safeGet(catDict, "AF")) safeDelete(catDict, "AF");
   } catch (e) {
     console.warn("[PDF] Failed removing embedded files / JS:", e?.message || e);
   }
@@ -294,17 +333,28 @@ export async function cleanPDF(inputBuffer, { pdfMode = "sanitize", extractTextF
   // pdf-lib exposes catalog already, but some PDFs place actions oddly; this is best-effort.
   try {
     const catalog = pdf.catalog;
-    const catDict = asDict(catalog.dict);
+    const catDict = asDict(catalog) || asDict(catalog.dict);
     if (catDict && safeGet(catDict, "AA")) {
       safeDelete(catDict, "AA");
       stats.additionalActionsRemoved += 1;
     }
   } catch {}
 
+  stats.metaRemoved =
+    Number(stats.infoDictRemoved) + Number(stats.xmpMetadataRemoved) + stats.objectMetadataRemoved + stats.pieceInfoRemoved;
+
+  // ---- Drop orphaned objects (old XMP streams, Info, annotations, embedded files...) ----
+  try {
+    stats.unreferencedObjectsRemoved = dropUnreachableObjects(pdf);
+  } catch (e) {
+    console.warn("[PDF] Failed dropping unreferenced objects:", e?.message || e);
+  }
+
   // Save
   try {
+    // pdf-lib writes every live object once behind a single xref: earlier revisions are gone
     const out = await pdf.save({ useObjectStreams: false });
-    return { outBuffer: Buffer.from(out), stats };
+    return { outBuffer: Buffer.from(out), stats: { ...stats, ...revisionStats(out) } };
   } catch (e) {
     throw new Error(`PDF save failed: ${e?.message || e}`);
   }
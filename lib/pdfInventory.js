@@ -0,0 +1,338 @@
+// lib/pdfInventory.js
+// VERSION 1.0 - PDF interactive content inventory: AcroForm fields (values), link actions (URI / Launch / GoToR),
+// optional content groups (layers), markup annotations, file attachment annotations, embedded files
+
+import { PDFName, PDFDict, PDFArray, PDFString, PDFHexString, PDFRef, PDFStream, PDFNumber, PDFBool } from "pdf-lib";
+import { classifyTarget } from "./xlsxExternalData.js";
+import { classifyFileName } from "./officeEmbeddings.js";
+
+const N = (s) => PDFName.of(s);
+
+// Annotation flags (PDF 32000-1, 12.5.3)
+const FLAG_HIDDEN = 2;
+const FLAG_NO_VIEW = 32;
+// Field flags (12.7.3.1)
+const FIELD_READ_ONLY = 1;
+
+const FIELD_TYPES = { "/Tx": "text", "/Btn": "button", "/Ch": "choice", "/Sig": "signature" };
+const LINK_ACTIONS = { "/URI": "uri_link", "/Launch": "launch_action", "/GoToR": "remote_goto" };
+// Annotations a reviewer writes (Popup, Link, Widget, FileAttachment and Redact are reported elsewhere)
+const MARKUP_SUBTYPES = [
+  "/Text", "/FreeText", "/Highlight", "/Underline", "/StrikeOut", "/Squiggly", "/Caret", "/Ink", "/Stamp",
+  "/Square", "/Circle", "/Line", "/Polygon", "/PolyLine", "/Sound",
+];
+const MAX_FIELD_DEPTH = 32;
+
+function text(obj) {
+  if (obj instanceof PDFString || obj instanceof PDFHexString) return obj.decodeText();
+  if (obj instanceof PDFName) return obj.decodeText();
+  if (obj instanceof PDFNumber) return String(obj.asNumber());
+  if (obj instanceof PDFBool) return String(obj.asBoolean());
+  if (obj instanceof PDFArray) return obj.asArray().map((o) => text(o instanceof PDFRef ? null : o)).filter(Boolean).join(", ");
+  return "";
+}
+
+const lookup = (dict, key) => (dict instanceof PDFDict ? dict.lookup(N(key)) : undefined);
+const flagsOf = (dict, key = "F") => lookup(dict, key)?.asNumber?.() || 0;
+
+// "D:20240131120000+01'00'" -> ISO string (null when unparsable)
+function pdfDate(value) {
+  const m = String(value || "").match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Z+-])?(\d{2})?'?(\d{2})?/);
+  if (!m) return null;
+  const [, y, mo = "01", d = "01", h = "00", mi = "00", s = "00", sign, tzh = "00", tzm = "00"] = m;
+  const zone = !sign || sign === "Z" ? "Z" : `${sign}${tzh}:${tzm}`;
+  const date = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${zone}`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// File specification (string or /Filespec dictionary) -> { fileName, description, size }
+function fileSpec(spec) {
+  if (!(spec instanceof PDFDict)) return { fileName: text(spec) || null, description: null, size: null };
+  const fileName = text(lookup(spec, "UF")) || text(lookup(spec, "F")) || text(lookup(spec, "Unix")) || text(lookup(spec, "DOS"));
+  const stream = lookup(lookup(spec, "EF"), "F");
+  let size = null;
+  if (stream instanceof PDFStream) {
+    size = lookup(lookup(stream.dict, "Params"), "Size")?.asNumber?.() ?? stream.getContentsSize?.() ?? null;
+  }
+  return { fileName: fileName || null, description: text(lookup(spec, "Desc")) || null, size };
+}
+
+// Launch actions may carry the target per platform (/Win /Mac /Unix) instead of /F
+function launchTarget(action) {
+  const win = lookup(action, "Win");
+  const winFile = win instanceof PDFDict ? text(lookup(win, "F")) : "";
+  const params = win instanceof PDFDict ? text(lookup(win, "P")) : "";
+  const target = fileSpec(lookup(action, "F")).fileName || winFile || text(lookup(action, "Unix")) || text(lookup(action, "Mac"));
+  return params ? `${target} ${params}` : target;
+}
+
+// "file://server/share/x" names a network host (classifyTarget only knows "file:////server")
+function linkTargetKind(target) {
+  if (/^mailto:/i.test(target)) return "email";
+  if (/^file:\/\/(?!localhost\/)[^/]+\//i.test(target)) return "unc";
+  return classifyTarget(target);
+}
+
+function rectOf(annot) {
+  const r = lookup(annot, "Rect");
+  if (!(r instanceof PDFArray) || r.size() !== 4) return null;
+  const [x0, y0, x1, y1] = r.asArray().map((n) => Math.round((n?.asNumber?.() || 0) * 100) / 100);
+  return { x0: Math.min(x0, x1), y0: Math.min(y0, y1), x1: Math.max(x0, x1), y1: Math.max(y0, y1) };
+}
+
+// Every annotation with its page number and indirect reference: [{ page, annot, ref }]
+function pageAnnotations(pdfDoc) {
+  const out = [];
+  pdfDoc.getPages().forEach((page, pageIndex) => {
+    const annots = page.node.lookup(N("Annots"));
+    if (!(annots instanceof PDFArray)) return;
+    for (let i = 0; i < annots.size(); i++) {
+      const raw = annots.get(i);
+      const annot = annots.lookup(i);
+      if (annot instanceof PDFDict) out.push({ page: pageIndex + 1, annot, ref: raw instanceof PDFRef ? raw.toString() : null });
+    }
+  });
+  return out;
+}
+
+// ---------- AcroForm ----------
+
+function formFields(pdfDoc, annotations) {
+  const acroForm = lookup(pdfDoc.catalog, "AcroForm");
+  const roots = lookup(acroForm, "Fields");
+  if (!(roots instanceof PDFArray)) return [];
+
+  const pageOf = new Map(annotations.filter((a) => a.ref).map((a) => [a.ref, a.page]));
+  const fields = [];
+  const seen = new Set();
+
+  // Terminal fields only; /T, /FT, /V and /Ff are inherited from the parents
+  const walk = (raw, inherited, depth) => {
+    const ref = raw instanceof PDFRef ? raw.toString() : null;
+    const field = raw instanceof PDFRef ? pdfDoc.context.lookup(raw) : raw;
+    if (!(field instanceof PDFDict) || depth > MAX_FIELD_DEPTH || (ref && seen.has(ref))) return;
+    if (ref) seen.add(ref);
+
+    const partial = text(lookup(field, "T"));
+    const own = {
+      name: partial ? (inherited.name ? `${inherited.name}.${partial}` : partial) : inherited.name,
+      ft: lookup(field, "FT")?.asString?.() || inherited.ft,
+      v: field.has(N("V")) ? lookup(field, "V") : inherited.v,
+      ff: field.has(N("Ff")) ? flagsOf(field, "Ff") : inherited.ff,
+    };
+
+    const kids = lookup(field, "Kids");
+    const kidRefs = kids instanceof PDFArray ? kids.asArray() : [];
+    const childFields = kidRefs.filter((k) => {
+      const kid = k instanceof PDFRef ? pdfDoc.context.lookup(k) : k;
+      return kid instanceof PDFDict && kid.has(N("T"));
+    });
+    if (childFields.length) {
+      childFields.forEach((k) => walk(k, own, depth + 1));
+      return;
+    }
+
+    // Widgets: the field itself (merged) or its kids
+    const widgets = kidRefs.length ? kidRefs : [raw];
+    const widgetRefs = widgets.filter((w) => w instanceof PDFRef).map((w) => w.toString());
+    const widgetDicts = widgets.map((w) => (w instanceof PDFRef ? pdfDoc.context.lookup(w) : w)).filter((w) => w instanceof PDFDict);
+    const pages = [...new Set(widgetRefs.map((r) => pageOf.get(r)).filter(Boolean))];
+    const fieldType = FIELD_TYPES[own.ft] || "unknown";
+
+    let value = "";
+    let signer = null;
+    if (fieldType === "signature" && own.v instanceof PDFDict) {
+      signer = text(lookup(own.v, "Name")) || null;
+      value = [signer, text(lookup(own.v, "Reason")), text(lookup(own.v, "Location"))].filter(Boolean).join(" — ") || "signed";
+    } else if (own.v instanceof PDFStream) {
+      value = "(rich text)";
+    } else {
+      value = text(own.v);
+      if (fieldType === "button" && value === "Off") value = "";
+    }
+
+    fields.push({
+      name: own.name || "(unnamed)",
+      fieldType,
+      value,
+      signer,
+      signingDate: fieldType === "signature" && own.v instanceof PDFDict ? pdfDate(text(lookup(own.v, "M"))) : null,
+      readOnly: !!(own.ff & FIELD_READ_ONLY),
+      hidden: widgetDicts.length > 0 && widgetDicts.every((w) => flagsOf(w) & (FLAG_HIDDEN | FLAG_NO_VIEW)),
+      pages,
+      objectRef: ref,
+      widgetRefs,
+    });
+  };
+
+  roots.asArray().forEach((r) => walk(r, { name: "", ft: undefined, v: undefined, ff: 0 }, 0));
+  return fields;
+}
+
+// ---------- Annotations ----------
+
+function linkAnnotations(annotations) {
+  const links = [];
+  for (const { page, annot, ref } of annotations) {
+    if (lookup(annot, "Subtype")?.asString?.() !== "/Link") continue;
+    const action = lookup(annot, "A");
+    const kind = LINK_ACTIONS[lookup(action, "S")?.asString?.()];
+    if (!kind) continue;
+    let target = "";
+    let destination = null;
+    if (kind === "uri_link") target = text(lookup(action, "URI"));
+    if (kind === "launch_action") target = launchTarget(action);
+    if (kind === "remote_goto") {
+      target = fileSpec(lookup(action, "F")).fileName || "";
+      destination = text(lookup(action, "D")) || null;
+    }
+    links.push({ kind, target, targetKind: linkTargetKind(target), destination, page, rect: rectOf(annot), objectRef: ref });
+  }
+  return links;
+}
+
+function markupAnnotations(annotations) {
+  return annotations
+    .filter(({ annot }) => MARKUP_SUBTYPES.includes(lookup(annot, "Subtype")?.asString?.()))
+    .map(({ page, annot, ref }) => ({
+      subtype: lookup(annot, "Subtype").asString().slice(1),
+      author: text(lookup(annot, "T")) || null,
+      contents: text(lookup(annot, "Contents")) || "",
+      subject: text(lookup(annot, "Subj")) || null,
+      date: pdfDate(text(lookup(annot, "M")) || text(lookup(annot, "CreationDate"))),
+      hidden: !!(flagsOf(annot) & (FLAG_HIDDEN | FLAG_NO_VIEW)),
+      page,
+      rect: rectOf(annot),
+      objectRef: ref,
+    }));
+}
+
+function attachmentAnnotations(annotations) {
+  return annotations
+    .filter(({ annot }) => lookup(annot, "Subtype")?.asString?.() === "/FileAttachment")
+    .map(({ page, annot, ref }) => {
+      const spec = fileSpec(lookup(annot, "FS"));
+      return {
+        source: "annotation",
+        ...spec,
+        description: spec.description || text(lookup(annot, "Contents")) || null,
+        objectClass: classifyFileName(spec.fileName),
+        page,
+        objectRef: ref,
+      };
+    });
+}
+
+// ---------- Catalog ----------
+
+// /Names /EmbeddedFiles name tree (leaves in /Names, intermediate nodes in /Kids) + catalog /AF associated files
+function embeddedFiles(pdfDoc) {
+  const files = [];
+  const spec = (raw, name) => {
+    const file = fileSpec(raw instanceof PDFRef ? pdfDoc.context.lookup(raw) : raw);
+    return {
+      source: "catalog",
+      name: name || null,
+      ...file,
+      objectClass: classifyFileName(file.fileName),
+      page: null,
+      objectRef: raw instanceof PDFRef ? raw.toString() : null,
+    };
+  };
+  const visit = (node, depth) => {
+    if (!(node instanceof PDFDict) || depth > MAX_FIELD_DEPTH) return;
+    const names = lookup(node, "Names");
+    if (names instanceof PDFArray) {
+      for (let i = 0; i + 1 < names.size(); i += 2) files.push(spec(names.get(i + 1), text(names.lookup(i))));
+    }
+    const kids = lookup(node, "Kids");
+    if (kids instanceof PDFArray) for (let i = 0; i < kids.size(); i++) visit(kids.lookup(i), depth + 1);
+  };
+  visit(lookup(lookup(pdfDoc.catalog, "Names"), "EmbeddedFiles"), 0);
+
+  const associated = lookup(pdfDoc.catalog, "AF");
+  if (associated instanceof PDFArray) {
+    const listed = new Set(files.map((f) => f.objectRef).filter(Boolean));
+    for (const raw of associated.asArray()) {
+      if (!(raw instanceof PDFRef) || !listed.has(raw.toString())) files.push(spec(raw, null));
+    }
+  }
+  return files;
+}
+
+// Optional content groups with their default state (/D: BaseState, /ON, /OFF, /Locked) and the pages using them
+function optionalContentGroups(pdfDoc) {
+  const properties = lookup(pdfDoc.catalog, "OCProperties");
+  const ocgs = lookup(properties, "OCGs");
+  if (!(ocgs instanceof PDFArray)) return [];
+
+  const config = lookup(properties, "D");
+  const refsIn = (key) => {
+    const arr = lookup(config, key);
+    return new Set(arr instanceof PDFArray ? arr.asArray().filter((r) => r instanceof PDFRef).map((r) => r.toString()) : []);
+  };
+  const baseOff = lookup(config, "BaseState")?.asString?.() === "/OFF";
+  const on = refsIn("ON");
+  const off = refsIn("OFF");
+  const locked = refsIn("Locked");
+
+  // Page resources /Properties entries point at the groups their marked content belongs to
+  const pagesOf = new Map();
+  pdfDoc.getPages().forEach((page, pageIndex) => {
+    const props = lookup(page.node.Resources(), "Properties");
+    if (!(props instanceof PDFDict)) return;
+    for (const [, value] of props.entries()) {
+      if (!(value instanceof PDFRef)) continue;
+      const key = value.toString();
+      if (!pagesOf.has(key)) pagesOf.set(key, new Set());
+      pagesOf.get(key).add(pageIndex + 1);
+    }
+  });
+
+  return ocgs.asArray().map((raw) => {
+    const ref = raw instanceof PDFRef ? raw.toString() : null;
+    const group = raw instanceof PDFRef ? pdfDoc.context.lookup(raw) : raw;
+    const visible = ref ? (baseOff ? on.has(ref) : !off.has(ref)) : !baseOff;
+    return {
+      name: text(lookup(group, "Name")) || "(unnamed layer)",
+      visible,
+      locked: !!ref && locked.has(ref),
+      intent: text(lookup(group, "Intent")) || null,
+      pages: ref ? [...(pagesOf.get(ref) || [])].sort((a, b) => a - b) : [],
+      objectRef: ref,
+    };
+  });
+}
+
+/**
+ * Interactive / layered content of a loaded pdf-lib PDFDocument:
+ * { formFields: [{ name, fieldType, value, signer, signingDate, readOnly, hidden, pages, objectRef, widgetRefs }],
+ *   links: [{ kind, target, targetKind, destination, page, rect, objectRef }],
+ *   layers: [{ name, visible, locked, intent, pages, objectRef }],
+ *   annotations: [{ subtype, author, contents, subject, date, hidden, page, rect, objectRef }],
+ *   attachments: [{ source, name?, fileName, description, size, objectClass, page, objectRef }] }
+ * Each section is inspected independently: a malformed structure empties its own section only.
+ */
+export function inspectPdfInteractiveContent(pdfDoc) {
+  const safe = (fn, label) => {
+    try {
+      return fn();
+    } catch (e) {
+      console.warn(`PDF inventory (${label}) failed:`, e?.message || e);
+      return [];
+    }
+  };
+  const annotations = safe(() => pageAnnotations(pdfDoc), "annotations");
+  return {
+    formFields: safe(() => formFields(pdfDoc, annotations), "form fields"),
+    links: safe(() => linkAnnotations(annotations), "links"),
+    layers: safe(() => optionalContentGroups(pdfDoc), "layers"),
+    annotations: safe(() => markupAnnotations(annotations), "markup"),
+    attachments: [
+      ...safe(() => attachmentAnnotations(annotations), "attachments"),
+      ...safe(() => embeddedFiles(pdfDoc), "embedded files"),
+    ],
+  };
+}
+
+export default { inspectPdfInteractiveContent };
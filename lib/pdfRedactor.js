@@ -0,0 +1,1366 @@
+// lib/pdfRedactor.js
+// VERSION 1.2 — True PDF redaction: removes matching glyphs from page content streams (no overlay-only boxes)
+// 1.1: unsafe redaction audit — opaque boxes / Redact annotations over text that is still extractable, and the fix
+// (covered glyphs removed, the box stays)
+// 1.2: hidden text — invisible render mode, transparent or background-colored fill, tiny size, off-page glyphs
+// 1.3: text layout (lines with size and baseline per page, form XObjects included) for the text-only rebuild
+
+import {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFRawStream,
+  PDFStream,
+  StandardFontEmbedder,
+  StandardFonts,
+  decodePDFRawStream,
+} from "pdf-lib";
+
+const N = (s) => PDFName.of(s);
+
+// ============================================================
+// Stream helpers
+// ============================================================
+function streamBytes(stream) {
+  if (stream instanceof PDFRawStream) return decodePDFRawStream(stream).decode();
+  if (typeof stream?.getContents === "function") return stream.getContents();
+  return new Uint8Array();
+}
+
+const toLatin1 = (bytes) => Buffer.from(bytes).toString("latin1");
+const fromLatin1 = (str) => new Uint8Array(Buffer.from(str, "latin1"));
+
+// ============================================================
+// Content stream tokenizer / parser
+// returns [{ op, operands, start, end }] (offsets in the latin1 source)
+// ============================================================
+const WS = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIM = new Set(["(", ")", "<", ">", "[", "]", "{", "}", "/", "%"]);
+
+function isWs(ch) {
+  return ch !== undefined && WS.has(ch.charCodeAt(0));
+}
+
+function readLiteralString(src, i) {
+  // src[i] === "("
+  const bytes = [];
+  let depth = 1;
+  i++;
+  while (i < src.length && depth > 0) {
+    const ch = src[i];
+    if (ch === "\\") {
+      const nx = src[i + 1];
+      const map = { n: 10, r: 13, t: 9, b: 8, f: 12, "(": 40, ")": 41, "\\": 92 };
+      if (nx in map) {
+        bytes.push(map[nx]);
+        i += 2;
+      } else if (/[0-7]/.test(nx)) {
+        let oct = "";
+        let j = i + 1;
+        while (j < src.length && oct.length < 3 && /[0-7]/.test(src[j])) oct += src[j++];
+        bytes.push(parseInt(oct, 8) & 0xff);
+        i = j;
+      } else if (nx === "\r") {
+        i += src[i + 2] === "\n" ? 3 : 2;
+      } else if (nx === "\n") {
+        i += 2;
+      } else {
+        i++;
+      }
+      continue;
+    }
+    if (ch === "(") depth++;
+    if (ch === ")") {
+      depth--;
+      if (depth === 0) {
+        i++;
+        break;
+      }
+    }
+    bytes.push(src.charCodeAt(i) & 0xff);
+    i++;
+  }
+  return { value: { bytes }, next: i };
+}
+
+function readHexString(src, i) {
+  // src[i] === "<"
+  let hex = "";
+  i++;
+  while (i < src.length && src[i] !== ">") {
+    if (/[0-9a-fA-F]/.test(src[i])) hex += src[i];
+    i++;
+  }
+  if (hex.length % 2) hex += "0";
+  const bytes = [];
+  for (let k = 0; k < hex.length; k += 2) bytes.push(parseInt(hex.slice(k, k + 2), 16));
+  return { value: { bytes }, next: i + 1 };
+}
+
+export function parseContentStream(src) {
+  const ops = [];
+  const stack = [[]]; // operand stack (nested arrays / dicts)
+  let opStart = -1;
+  let i = 0;
+
+  const push = (v, at) => {
+    if (opStart < 0) opStart = at;
+    stack[stack.length - 1].push(v);
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (isWs(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === "%") {
+      while (i < src.length && src[i] !== "\n" && src[i] !== "\r") i++;
+      continue;
+    }
+
+    const at = i;
+    if (ch === "(") {
+      const r = readLiteralString(src, i);
+      push(r.value, at);
+      i = r.next;
+      continue;
+    }
+    if (ch === "<" && src[i + 1] === "<") {
+      if (opStart < 0) opStart = at;
+      stack.push([]);
+      i += 2;
+      continue;
+    }
+    if (ch === ">" && src[i + 1] === ">") {
+      const entries = stack.length > 1 ? stack.pop() : [];
+      push({ dict: entries }, at);
+      i += 2;
+      continue;
+    }
+    if (ch === "<") {
+      const r = readHexString(src, i);
+      push(r.value, at);
+      i = r.next;
+      continue;
+    }
+    if (ch === "[") {
+      if (opStart < 0) opStart = at;
+      stack.push([]);
+      i++;
+      continue;
+    }
+    if (ch === "]") {
+      const arr = stack.length > 1 ? stack.pop() : [];
+      push(arr, at);
+      i++;
+      continue;
+    }
+    if (ch === "/") {
+      let j = i + 1;
+      while (j < src.length && !isWs(src[j]) && !DELIM.has(src[j])) j++;
+      push({ name: src.slice(i + 1, j) }, at);
+      i = j;
+      continue;
+    }
+    if (/[0-9+\-.]/.test(ch)) {
+      let j = i + 1;
+      while (j < src.length && /[0-9.]/.test(src[j])) j++;
+      push(parseFloat(src.slice(i, j)) || 0, at);
+      i = j;
+      continue;
+    }
+
+    // Keyword (operator / true / false / null)
+    let j = i;
+    while (j < src.length && !isWs(src[j]) && !DELIM.has(src[j])) j++;
+    if (j === i) {
+      i++; // stray delimiter
+      continue;
+    }
+    const word = src.slice(i, j);
+    i = j;
+
+    if (word === "true" || word === "false" || word === "null") {
+      push(word === "true" ? true : word === "false" ? false : null, at);
+      continue;
+    }
+
+    // Inline image: skip binary data up to EI
+    if (word === "ID") {
+      let k = i + 1;
+      while (k < src.length) {
+        if (src[k] === "E" && src[k + 1] === "I" && isWs(src[k - 1]) && (k + 2 >= src.length || isWs(src[k + 2]))) break;
+        k++;
+      }
+      i = Math.min(src.length, k + 2);
+      ops.push({ op: "BI_ID_EI", operands: [], start: opStart < 0 ? at : opStart, end: i });
+      stack.length = 1;
+      stack[0] = [];
+      opStart = -1;
+      continue;
+    }
+
+    ops.push({ op: word, operands: stack[0], start: opStart < 0 ? at : opStart, end: i });
+    stack.length = 1;
+    stack[0] = [];
+    opStart = -1;
+  }
+
+  return ops;
+}
+
+// ============================================================
+// Fonts: code -> unicode + widths
+// ============================================================
+const WIN_ANSI_HIGH = {
+  0x80: "€", 0x82: "‚", 0x83: "ƒ", 0x84: "„", 0x85: "…", 0x86: "†", 0x87: "‡",
+  0x88: "ˆ", 0x89: "‰", 0x8a: "Š", 0x8b: "‹", 0x8c: "Œ", 0x8e: "Ž", 0x91: "‘",
+  0x92: "’", 0x93: "“", 0x94: "”", 0x95: "•", 0x96: "–", 0x97: "—", 0x98: "˜",
+  0x99: "™", 0x9a: "š", 0x9b: "›", 0x9c: "œ", 0x9e: "ž", 0x9f: "Ÿ",
+};
+
+function utf16beToString(hex) {
+  let out = "";
+  for (let k = 0; k < hex.length; k += 4) {
+    out += String.fromCharCode(parseInt(hex.slice(k, k + 4).padEnd(4, "0"), 16));
+  }
+  return out;
+}
+
+// Minimal ToUnicode CMap parser (bfchar + bfrange)
+function parseToUnicode(cmapText) {
+  const map = new Map();
+  let codeLength = 1;
+
+  for (const block of cmapText.match(/beginbfchar([\s\S]*?)endbfchar/g) || []) {
+    for (const m of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      codeLength = Math.max(codeLength, m[1].length / 2);
+      map.set(parseInt(m[1], 16), utf16beToString(m[2]));
+    }
+  }
+
+  for (const block of cmapText.match(/beginbfrange([\s\S]*?)endbfrange/g) || []) {
+    const body = block.replace(/^beginbfrange|endbfrange$/g, "");
+    for (const m of body.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(\[[^\]]*\]|<[0-9a-fA-F]+>)/g)) {
+      codeLength = Math.max(codeLength, m[1].length / 2);
+      const lo = parseInt(m[1], 16);
+      const hi = parseInt(m[2], 16);
+      if (hi - lo > 0xffff) continue;
+      if (m[3].startsWith("[")) {
+        const dsts = [...m[3].matchAll(/<([0-9a-fA-F]*)>/g)].map((x) => x[1]);
+        dsts.forEach((d, k) => map.set(lo + k, utf16beToString(d)));
+      } else {
+        const dst = m[3].slice(1, -1);
+        const prefix = dst.slice(0, -4);
+        const last = parseInt(dst.slice(-4), 16);
+        for (let c = lo; c <= hi; c++) {
+          map.set(c, utf16beToString(prefix) + String.fromCharCode(last + (c - lo)));
+        }
+      }
+    }
+  }
+
+  return { map, codeLength };
+}
+
+function numberAt(arr, idx, fallback = 0) {
+  try {
+    const v = arr.lookup(idx);
+    return typeof v?.asNumber === "function" ? v.asNumber() : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function buildFontInfo(context, fontDict) {
+  const info = {
+    twoByte: false,
+    toUnicode: null,
+    widthOf: () => 500,
+  };
+  if (!(fontDict instanceof PDFDict)) return info;
+
+  const subtype = fontDict.lookup(N("Subtype"))?.asString?.() || "";
+  info.twoByte = subtype === "/Type0";
+
+  const tu = fontDict.lookup(N("ToUnicode"));
+  if (tu instanceof PDFStream) {
+    try {
+      const parsed = parseToUnicode(toLatin1(streamBytes(tu)));
+      info.toUnicode = parsed.map;
+      if (!info.twoByte && parsed.codeLength === 2) info.twoByte = true;
+    } catch (e) {
+      console.warn("[PDF-REDACT] ToUnicode parse failed:", e?.message || e);
+    }
+  }
+
+  if (info.twoByte) {
+    // CID font widths: DescendantFonts[0] /W + /DW
+    const desc = fontDict.lookup(N("DescendantFonts"));
+    const cid = desc instanceof PDFArray ? desc.lookup(0) : null;
+    const dw = cid instanceof PDFDict ? cid.lookup(N("DW"))?.asNumber?.() ?? 1000 : 1000;
+    const widths = new Map();
+    const W = cid instanceof PDFDict ? cid.lookup(N("W")) : null;
+    if (W instanceof PDFArray) {
+      let k = 0;
+      while (k < W.size()) {
+        const first = numberAt(W, k);
+        const next = W.lookup(k + 1);
+        if (next instanceof PDFArray) {
+          for (let j = 0; j < next.size(); j++) widths.set(first + j, numberAt(next, j, dw));
+          k += 2;
+        } else {
+          const last = numberAt(W, k + 1);
+          const w = numberAt(W, k + 2, dw);
+          for (let c = first; c <= last && c - first < 0xffff; c++) widths.set(c, w);
+          k += 3;
+        }
+      }
+    }
+    info.widthOf = (code) => widths.get(code) ?? dw;
+    return info;
+  }
+
+  // Simple font: /FirstChar + /Widths, else Standard 14 metrics
+  const firstChar = fontDict.lookup(N("FirstChar"))?.asNumber?.();
+  const W = fontDict.lookup(N("Widths"));
+  if (W instanceof PDFArray && typeof firstChar === "number") {
+    info.widthOf = (code) => {
+      const idx = code - firstChar;
+      return idx >= 0 && idx < W.size() ? numberAt(W, idx, 500) : 500;
+    };
+    return info;
+  }
+
+  const baseFont = (fontDict.lookup(N("BaseFont"))?.asString?.() || "").replace(/^\//, "");
+  if (Object.values(StandardFonts).includes(baseFont)) {
+    try {
+      const embedder = StandardFontEmbedder.for(baseFont);
+      info.widthOf = (code) => {
+        try {
+          return embedder.widthOfTextAtSize(decodeSimpleCode(code), 1000) || 500;
+        } catch {
+          return 500;
+        }
+      };
+    } catch {
+      /* keep default */
+    }
+  }
+  return info;
+}
+
+function decodeSimpleCode(code) {
+  return WIN_ANSI_HIGH[code] || String.fromCharCode(code);
+}
+
+function decodeCode(font, code) {
+  if (font.toUnicode?.has(code)) return font.toUnicode.get(code);
+  if (font.twoByte) return "";
+  return decodeSimpleCode(code);
+}
+
+// ============================================================
+// Matrices (PDF row-vector convention)
+// ============================================================
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function mul(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5],
+  ];
+}
+
+function apply(m, x, y) {
+  return [x * m[0] + y * m[2] + m[4], x * m[1] + y * m[3] + m[5]];
+}
+
+function cmykToRgb(c, m, y, k) {
+  return [(1 - c) * (1 - k), (1 - m) * (1 - k), (1 - y) * (1 - k)];
+}
+
+// Fill color operands (g / rg / k / sc / scn) -> [r, g, b] in 0..1, null for patterns
+function fillColorOf(operands) {
+  const n = operands.filter((v) => typeof v === "number");
+  if (operands.some((v) => v?.name !== undefined)) return null;
+  if (n.length === 1) return [n[0], n[0], n[0]];
+  if (n.length === 3) return n;
+  if (n.length === 4) return cmykToRgb(...n);
+  return null;
+}
+
+const boxOf = (points) => ({
+  x0: Math.min(...points.map((p) => p[0])),
+  y0: Math.min(...points.map((p) => p[1])),
+  x1: Math.max(...points.map((p) => p[0])),
+  y1: Math.max(...points.map((p) => p[1])),
+});
+
+// Subpath made of axis-aligned corners only (re, or m/l/l/l/h drawn by hand)
+function rectangleOf(subpath) {
+  if (subpath.curved || subpath.points.length < 4) return null;
+  const box = boxOf(subpath.points);
+  const onCorner = (p) =>
+    (Math.abs(p[0] - box.x0) < 0.01 || Math.abs(p[0] - box.x1) < 0.01) &&
+    (Math.abs(p[1] - box.y0) < 0.01 || Math.abs(p[1] - box.y1) < 0.01);
+  return subpath.points.every(onCorner) && box.x1 > box.x0 && box.y1 > box.y0 ? box : null;
+}
+
+// ============================================================
+// Interpreter: collect shown glyphs with their operator + position
+// options.fills: array receiving filled rectangles { opIndex, box, color, alpha } (paint order = opIndex);
+// images, forms (Do) and shadings (sh) are pushed with color null (unknown background)
+// options.resolveAlpha(name): fill opacity (/ca) of an ExtGState resource
+// options.xobjects: array receiving painted XObjects { name, ctm } (forms are interpreted by the caller)
+// options.ctm: initial transformation (a form's Matrix x the CTM where it is painted)
+// ============================================================
+function collectGlyphs(ops, resolveFont, { fills = null, resolveAlpha = null, xobjects = null, ctm = IDENTITY } = {}) {
+  const glyphs = [];
+  const gstack = [];
+  let gs = { ctm, Tc: 0, Tw: 0, Th: 1, TL: 0, Ts: 0, Tr: 0, font: null, Tfs: 0, fillColor: [0, 0, 0], fillAlpha: 1 };
+  let Tm = IDENTITY;
+  let Tlm = IDENTITY;
+  let path = [];
+
+  const nextLine = (tx, ty) => {
+    Tlm = mul([1, 0, 0, 1, tx, ty], Tlm);
+    Tm = Tlm;
+  };
+
+  const show = (opIndex, bytes, elementIndex) => {
+    const font = gs.font;
+    if (!font) return;
+    const step = font.twoByte ? 2 : 1;
+    for (let k = 0; k + step - 1 < bytes.length; k += step) {
+      const code = step === 2 ? (bytes[k] << 8) | bytes[k + 1] : bytes[k];
+      const w0 = font.widthOf(code) / 1000;
+      const isSpace = step === 1 && code === 32;
+      const adv = w0 * gs.Tfs + gs.Tc + (isSpace ? gs.Tw : 0);
+      const trm = mul(Tm, gs.ctm);
+      const x1 = w0 * gs.Tfs * gs.Th;
+      const y0 = gs.Ts - 0.22 * gs.Tfs;
+      const y1 = gs.Ts + 0.8 * gs.Tfs;
+      const corners = [apply(trm, 0, y0), apply(trm, x1, y0), apply(trm, 0, y1), apply(trm, x1, y1)];
+
+      glyphs.push({
+        opIndex,
+        elementIndex,
+        codeBytes: bytes.slice(k, k + step),
+        text: decodeCode(font, code),
+        adv,
+        Tfs: gs.Tfs,
+        fontSize: gs.Tfs * Math.hypot(trm[2], trm[3]), // rendered height in user space
+        renderMode: gs.Tr,
+        fillColor: gs.fillColor,
+        fillAlpha: gs.fillAlpha,
+        box: {
+          x0: Math.min(...corners.map((c) => c[0])),
+          y0: Math.min(...corners.map((c) => c[1])),
+          x1: Math.max(...corners.map((c) => c[0])),
+          y1: Math.max(...corners.map((c) => c[1])),
+        },
+      });
+      Tm = mul([1, 0, 0, 1, adv * gs.Th, 0], Tm);
+    }
+  };
+
+  ops.forEach((o, idx) => {
+    const a = o.operands;
+    switch (o.op) {
+      case "q":
+        gstack.push({ ...gs });
+        break;
+      case "Q":
+        if (gstack.length) gs = gstack.pop();
+        break;
+      case "cm":
+        if (a.length >= 6) gs.ctm = mul(a.slice(0, 6), gs.ctm);
+        break;
+      case "BT":
+        Tm = IDENTITY;
+        Tlm = IDENTITY;
+        break;
+      case "Tf":
+        gs.font = resolveFont(a[0]?.name);
+        gs.Tfs = Number(a[1]) || 0;
+        break;
+      case "Tc":
+        gs.Tc = Number(a[0]) || 0;
+        break;
+      case "Tw":
+        gs.Tw = Number(a[0]) || 0;
+        break;
+      case "Tz":
+        gs.Th = (Number(a[0]) || 100) / 100;
+        break;
+      case "TL":
+        gs.TL = Number(a[0]) || 0;
+        break;
+      case "Ts":
+        gs.Ts = Number(a[0]) || 0;
+        break;
+      case "Tr":
+        gs.Tr = Number(a[0]) || 0;
+        break;
+      case "g":
+      case "rg":
+      case "k":
+      case "sc":
+      case "scn":
+        gs.fillColor = fillColorOf(a);
+        break;
+      case "cs":
+        gs.fillColor = [0, 0, 0];
+        break;
+      case "gs":
+        if (resolveAlpha) gs.fillAlpha = resolveAlpha(a[0]?.name) ?? gs.fillAlpha;
+        break;
+      case "re":
+        if (fills && a.length >= 4) {
+          const [x, y, w, h] = a.map(Number);
+          const points = [apply(gs.ctm, x, y), apply(gs.ctm, x + w, y), apply(gs.ctm, x + w, y + h), apply(gs.ctm, x, y + h)];
+          path.push({ points, curved: false });
+        }
+        break;
+      case "m":
+        if (fills) path.push({ points: [apply(gs.ctm, Number(a[0]) || 0, Number(a[1]) || 0)], curved: false });
+        break;
+      case "l":
+      case "c":
+      case "v":
+      case "y":
+        if (fills && path.length && a.length >= 2) {
+          const sub = path[path.length - 1];
+          if (o.op !== "l") sub.curved = true;
+          sub.points.push(apply(gs.ctm, Number(a[a.length - 2]) || 0, Number(a[a.length - 1]) || 0));
+        }
+        break;
+      case "f":
+      case "F":
+      case "f*":
+      case "B":
+      case "B*":
+      case "b":
+      case "b*":
+        if (fills) {
+          for (const sub of path) {
+            const box = rectangleOf(sub);
+            if (box) fills.push({ opIndex: idx, box, color: gs.fillColor, alpha: gs.fillAlpha });
+          }
+        }
+        path = [];
+        break;
+      case "S":
+      case "s":
+      case "n":
+        path = [];
+        break;
+      case "Do":
+        if (xobjects && a[0]?.name) xobjects.push({ name: a[0].name, ctm: gs.ctm });
+        if (fills) {
+          const corners = [apply(gs.ctm, 0, 0), apply(gs.ctm, 1, 0), apply(gs.ctm, 0, 1), apply(gs.ctm, 1, 1)];
+          fills.push({ opIndex: idx, box: boxOf(corners), color: null, alpha: 1 });
+        }
+        break;
+      case "sh":
+        if (fills) fills.push({ opIndex: idx, box: { x0: -Infinity, y0: -Infinity, x1: Infinity, y1: Infinity }, color: null, alpha: 1 });
+        break;
+      case "Td":
+        nextLine(Number(a[0]) || 0, Number(a[1]) || 0);
+        break;
+      case "TD":
+        gs.TL = -(Number(a[1]) || 0);
+        nextLine(Number(a[0]) || 0, Number(a[1]) || 0);
+        break;
+      case "Tm":
+        if (a.length >= 6) {
+          Tlm = a.slice(0, 6).map(Number);
+          Tm = Tlm;
+        }
+        break;
+      case "T*":
+        nextLine(0, -gs.TL);
+        break;
+      case "Tj":
+        if (a[0]?.bytes) show(idx, a[0].bytes, 0);
+        break;
+      case "'":
+        nextLine(0, -gs.TL);
+        if (a[0]?.bytes) show(idx, a[0].bytes, 0);
+        break;
+      case '"':
+        gs.Tw = Number(a[0]) || 0;
+        gs.Tc = Number(a[1]) || 0;
+        nextLine(0, -gs.TL);
+        if (a[2]?.bytes) show(idx, a[2].bytes, 2);
+        break;
+      case "TJ":
+        if (Array.isArray(a[0])) {
+          a[0].forEach((el, elIdx) => {
+            if (el?.bytes) show(idx, el.bytes, elIdx);
+            else if (typeof el === "number") Tm = mul([1, 0, 0, 1, (-el / 1000) * gs.Tfs * gs.Th, 0], Tm);
+          });
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  return glyphs;
+}
+
+// ============================================================
+// Matching: whitespace-insensitive exact match on decoded glyph text
+// ============================================================
+const stripWs = (s) => String(s || "").replace(/\s+/g, "");
+
+function findMatches(glyphs, values) {
+  let joined = "";
+  const owner = []; // joined char index -> glyph index
+  glyphs.forEach((g, gi) => {
+    for (const ch of stripWs(g.text)) {
+      joined += ch;
+      owner.push(gi);
+    }
+  });
+
+  const hits = []; // { valueIndex, glyphIdx: Set }
+  values.forEach((v, valueIndex) => {
+    const needle = stripWs(v);
+    if (!needle) return;
+    let from = 0;
+    let pos;
+    while ((pos = joined.indexOf(needle, from)) !== -1) {
+      // Whole glyph span, including the spaces between matched characters
+      const set = new Set();
+      for (let gi = owner[pos]; gi <= owner[pos + needle.length - 1]; gi++) set.add(gi);
+      hits.push({ valueIndex, glyphIdx: set });
+      from = pos + needle.length;
+    }
+  });
+  return hits;
+}
+
+// ============================================================
+// Rewriting
+// ============================================================
+const hex = (bytes) => "<" + Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("") + ">";
+const num = (n) => {
+  const s = (Math.round(n * 1000) / 1000).toString();
+  return s === "-0" ? "0" : s;
+};
+
+function serializeOperand(v) {
+  if (typeof v === "number") return num(v);
+  if (v?.bytes) return hex(v.bytes);
+  if (v?.name !== undefined) return `/${v.name}`;
+  if (Array.isArray(v)) return `[${v.map(serializeOperand).join(" ")}]`;
+  return String(v);
+}
+
+// Build a TJ array from the glyphs of one operator, replacing removed glyphs by positioning offsets
+function rebuildTJ(op, opGlyphs, removed) {
+  const parts = [];
+  let run = [];
+  const flush = () => {
+    if (run.length) parts.push(hex(run));
+    run = [];
+  };
+
+  const emitGlyphs = (elementIndex) => {
+    for (const g of opGlyphs.filter((x) => x.elementIndex === elementIndex)) {
+      if (removed.has(g)) {
+        flush();
+        if (g.Tfs) parts.push(num((-g.adv / g.Tfs) * 1000));
+      } else {
+        run.push(...g.codeBytes);
+      }
+    }
+    flush();
+  };
+
+  if (op.op === "TJ") {
+    (op.operands[0] || []).forEach((el, elIdx) => {
+      if (el?.bytes) emitGlyphs(elIdx);
+      else if (typeof el === "number") parts.push(num(el));
+    });
+  } else {
+    emitGlyphs(op.op === '"' ? 2 : 0);
+  }
+
+  const tj = `[${parts.join(" ")}] TJ`;
+  if (op.op === "'") return `T* ${tj}`;
+  if (op.op === '"') return `${serializeOperand(op.operands[0])} Tw ${serializeOperand(op.operands[1])} Tc T* ${tj}`;
+  return tj;
+}
+
+/**
+ * Redact `values` in one decoded content stream.
+ * Returns null when nothing matched, else { content, glyphsRemoved, rects, hitsPerValue }
+ */
+function redactContent(src, values, resolveFont, { fillRect }) {
+  const ops = parseContentStream(src);
+  const glyphs = collectGlyphs(ops, resolveFont);
+  const hits = findMatches(glyphs, values);
+  if (!hits.length) return null;
+
+  const removed = new Set();
+  const hitsPerValue = values.map(() => 0);
+  const rects = [];
+
+  for (const h of hits) {
+    hitsPerValue[h.valueIndex]++;
+    const byOp = new Map();
+    for (const gi of h.glyphIdx) {
+      const g = glyphs[gi];
+      removed.add(g);
+      const b = byOp.get(g.opIndex) || { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+      byOp.set(g.opIndex, {
+        x0: Math.min(b.x0, g.box.x0),
+        y0: Math.min(b.y0, g.box.y0),
+        x1: Math.max(b.x1, g.box.x1),
+        y1: Math.max(b.y1, g.box.y1),
+      });
+    }
+    if (fillRect) rects.push(...byOp.values());
+  }
+
+  let out = rewriteWithout(src, ops, glyphs, removed);
+  if (rects.length) out = withBoxes(out, rects);
+
+  return { content: out, glyphsRemoved: removed.size, rects: rects.length, hitsPerValue };
+}
+
+// Content stream without the `removed` glyphs (positioning kept)
+function rewriteWithout(src, ops, glyphs, removed) {
+  const touchedOps = new Set([...removed].map((g) => g.opIndex));
+  let out = "";
+  let cursor = 0;
+  ops.forEach((op, idx) => {
+    if (!touchedOps.has(idx)) return;
+    out += src.slice(cursor, op.start);
+    out += rebuildTJ(op, glyphs.filter((g) => g.opIndex === idx), removed);
+    cursor = op.end;
+  });
+  return out + src.slice(cursor);
+}
+
+// Boxes painted over the (isolated) page content; rect.color defaults to black
+function withBoxes(content, rects) {
+  const fills = rects
+    .filter((r) => Number.isFinite(r.x0) && r.x1 > r.x0 && r.y1 > r.y0)
+    .map((r) => `${(r.color || [0, 0, 0]).map(num).join(" ")} rg ${num(r.x0)} ${num(r.y0)} ${num(r.x1 - r.x0)} ${num(r.y1 - r.y0)} re f`)
+    .join("\n");
+  return `q\n${content}\nQ\nq\n${fills}\nQ\n`;
+}
+
+function makeFontResolver(context, resources) {
+  const cache = new Map();
+  const fonts = resources instanceof PDFDict ? resources.lookup(N("Font")) : null;
+  return (name) => {
+    if (!name) return null;
+    if (cache.has(name)) return cache.get(name);
+    const dict = fonts instanceof PDFDict ? fonts.lookup(N(name)) : null;
+    const info = buildFontInfo(context, dict);
+    cache.set(name, info);
+    return info;
+  };
+}
+
+function pageResources(page) {
+  // Resources may be inherited from the page tree
+  let node = page.node;
+  while (node instanceof PDFDict) {
+    const r = node.lookup(N("Resources"));
+    if (r instanceof PDFDict) return r;
+    node = node.lookup(N("Parent"));
+  }
+  return null;
+}
+
+// Page content streams, concatenated: { src, refs, contentsRaw, contents }
+function pageContent(context, page) {
+  const contentsRaw = page.node.get(N("Contents"));
+  const contents = page.node.lookup(N("Contents"));
+  const refs = contents instanceof PDFArray ? contents.asArray() : [contentsRaw];
+  const streams = refs.map((r) => (r instanceof PDFRef ? context.lookup(r) : r)).filter((s) => s instanceof PDFStream);
+  return { src: streams.length ? streams.map((s) => toLatin1(streamBytes(s))).join("\n") : null, refs, contentsRaw, contents };
+}
+
+// Replace the page content by one new stream; the old streams go to `oldContentRefs` for deletion
+function setPageContent(context, page, content, oldContentRefs) {
+  const { refs, contentsRaw, contents } = pageContent(context, page);
+  refs.forEach((r) => r instanceof PDFRef && oldContentRefs.add(r));
+  if (contentsRaw instanceof PDFRef && contents instanceof PDFArray) oldContentRefs.add(contentsRaw);
+  page.node.set(N("Contents"), context.register(context.flateStream(fromLatin1(content))));
+}
+
+// ============================================================
+// Unsafe redactions: opaque boxes / annotations over text that is still in the content stream
+// ============================================================
+const OPAQUE_ALPHA = 0.9;
+const luminance = (c) => 0.2126 * c[0] + 0.7152 * c[1] + 0.0722 * c[2];
+const numbersOf = (arr) => (arr instanceof PDFArray ? arr.asArray().map((v) => v?.asNumber?.() ?? 0) : []);
+
+// Effective fill opacity of an ExtGState: /ca, and 0 for blend modes that let the text show through (highlights)
+function makeAlphaResolver(resources) {
+  const states = resources instanceof PDFDict ? resources.lookup(N("ExtGState")) : null;
+  return (name) => {
+    const state = states instanceof PDFDict && name ? states.lookup(N(name)) : null;
+    if (!(state instanceof PDFDict)) return null;
+    const blend = state.lookup(N("BM"));
+    const mode = (blend instanceof PDFArray ? blend.lookup(0) : blend)?.asString?.() || "/Normal";
+    if (!["/Normal", "/Compatible"].includes(mode)) return 0;
+    return state.lookup(N("ca"))?.asNumber?.() ?? null;
+  };
+}
+
+function glyphInside(g, box, tolerance = 0.5) {
+  const cx = (g.box.x0 + g.box.x1) / 2;
+  const cy = (g.box.y0 + g.box.y1) / 2;
+  return cx >= box.x0 - tolerance && cx <= box.x1 + tolerance && cy >= box.y0 - tolerance && cy <= box.y1 + tolerance;
+}
+
+// Unapplied /Redact annotations and filled /Square annotations of a page: [{ technique, annotIndex, boxes, color }]
+function overlayAnnotations(page) {
+  const annots = page.node.lookup(N("Annots"));
+  if (!(annots instanceof PDFArray)) return [];
+  const overlays = [];
+  for (let i = 0; i < annots.size(); i++) {
+    const annot = annots.lookup(i);
+    if (!(annot instanceof PDFDict)) continue;
+    if ((annot.lookup(N("F"))?.asNumber?.() || 0) & 2) continue; // Hidden flag
+    const subtype = annot.lookup(N("Subtype"))?.asString?.();
+    const interior = numbersOf(annot.lookup(N("IC")));
+    const r = numbersOf(annot.lookup(N("Rect")));
+    const rect = r.length === 4 ? boxOf([[r[0], r[1]], [r[2], r[3]]]) : null;
+
+    if (subtype === "/Redact") {
+      const quads = numbersOf(annot.lookup(N("QuadPoints")));
+      const boxes = [];
+      for (let k = 0; k + 8 <= quads.length; k += 8) {
+        boxes.push(boxOf([0, 2, 4, 6].map((j) => [quads[k + j], quads[k + j + 1]])));
+      }
+      overlays.push({
+        technique: "redact_annotation",
+        annotIndex: i,
+        boxes: boxes.length ? boxes : [rect].filter(Boolean),
+        color: fillColorOf(interior) || [0, 0, 0],
+      });
+    } else if (subtype === "/Square" && interior.length && (annot.lookup(N("CA"))?.asNumber?.() ?? 1) >= OPAQUE_ALPHA && rect) {
+      overlays.push({ technique: "annotation_overlay", annotIndex: i, boxes: [rect], color: fillColorOf(interior) });
+    }
+  }
+  return overlays;
+}
+
+/**
+ * Areas of a page that hide text still present underneath:
+ * opaque filled rectangles painted after the glyphs (black_box / opaque_box), unapplied Redact
+ * annotations (redact_annotation) and filled Square annotations (annotation_overlay).
+ * Returns { src, ops, glyphs, areas: [{ technique, box, color, glyphs, annotIndex }] } or null without content.
+ */
+function coveredAreas(context, page) {
+  const { src } = pageContent(context, page);
+  if (src === null) return null;
+  const resources = pageResources(page);
+  const ops = parseContentStream(src);
+  const fills = [];
+  const glyphs = collectGlyphs(ops, makeFontResolver(context, resources), {
+    fills,
+    resolveAlpha: makeAlphaResolver(resources),
+  });
+  const hasText = (list) => list.some((g) => String(g.text).trim());
+
+  const areas = [];
+  const taken = new Set();
+  for (const f of fills) {
+    if (!f.color || f.alpha < OPAQUE_ALPHA) continue;
+    // Only glyphs painted before the box are hidden by it
+    const covered = glyphs.filter((g) => g.opIndex < f.opIndex && !taken.has(g) && glyphInside(g, f.box));
+    if (!hasText(covered)) continue;
+    covered.forEach((g) => taken.add(g));
+    areas.push({ technique: luminance(f.color) < 0.25 ? "black_box" : "opaque_box", box: f.box, color: f.color, glyphs: covered });
+  }
+  for (const overlay of overlayAnnotations(page)) {
+    for (const box of overlay.boxes) {
+      const covered = glyphs.filter((g) => glyphInside(g, box));
+      if (!hasText(covered)) continue;
+      areas.push({ technique: overlay.technique, box, color: overlay.color, glyphs: covered, annotIndex: overlay.annotIndex });
+    }
+  }
+  return { src, ops, glyphs, areas };
+}
+
+const hexColor = (c) => (c ? "#" + c.map((v) => Math.round(Math.max(0, Math.min(1, v)) * 255).toString(16).padStart(2, "0")).join("") : null);
+const roundBox = (b) => ({ x0: +num(b.x0), y0: +num(b.y0), x1: +num(b.x1), y1: +num(b.y1) });
+
+/**
+ * Unsafe redactions of a loaded PDFDocument (page content streams; form XObjects are not inspected):
+ * [{ page, technique: black_box|opaque_box|redact_annotation|annotation_overlay, boundingBox: { x0, y0, x1, y1 },
+ *    text (recoverable excerpt), glyphCount, fillColor }]
+ */
+export function inspectUnsafeRedactions(pdf) {
+  const findings = [];
+  pdf.getPages().forEach((page, pageIndex) => {
+    let scan = null;
+    try {
+      scan = coveredAreas(pdf.context, page);
+    } catch (e) {
+      console.warn(`[PDF-REDACT] Page ${pageIndex + 1} could not be inspected:`, e?.message || e);
+    }
+    for (const area of scan?.areas || []) {
+      const text = area.glyphs.map((g) => g.text).join("").replace(/\s+/g, " ").trim();
+      findings.push({
+        page: pageIndex + 1,
+        technique: area.technique,
+        boundingBox: roundBox(area.box),
+        text: text.length > 200 ? text.slice(0, 197) + "..." : text,
+        glyphCount: area.glyphs.length,
+        fillColor: hexColor(area.color),
+      });
+    }
+  });
+  return findings;
+}
+
+/**
+ * Make unsafe redactions real: the glyphs hidden under boxes / redaction annotations are removed from the
+ * page content (the boxes stay). Annotation overlays are painted into the page (fillRect) and applied
+ * Redact annotations are dropped, so removing annotations later cannot reveal anything.
+ * returns { outBuffer, stats }
+ */
+export async function removeCoveredText(inputBuffer, { fillRect = true } = {}) {
+  const stats = { unsafeRedactionsFixed: 0, coveredGlyphsRemoved: 0, redactAnnotationsApplied: 0, fixedRedactions: [] };
+  const pdf = await PDFDocument.load(inputBuffer, { updateMetadata: false });
+  const { context } = pdf;
+  const oldContentRefs = new Set();
+
+  pdf.getPages().forEach((page, pageIndex) => {
+    const scan = coveredAreas(context, page);
+    if (!scan?.areas.length) return;
+
+    const removed = new Set(scan.areas.flatMap((a) => a.glyphs));
+    let content = rewriteWithout(scan.src, scan.ops, scan.glyphs, removed);
+    const annotationAreas = scan.areas.filter((a) => a.annotIndex !== undefined);
+    if (fillRect && annotationAreas.length) content = withBoxes(content, annotationAreas.map((a) => ({ ...a.box, color: a.color })));
+    setPageContent(context, page, content, oldContentRefs);
+
+    const applied = new Set(annotationAreas.filter((a) => a.technique === "redact_annotation").map((a) => a.annotIndex));
+    const annots = page.node.lookup(N("Annots"));
+    if (applied.size && annots instanceof PDFArray) {
+      for (const i of [...applied].sort((a, b) => b - a)) annots.remove(i);
+      stats.redactAnnotationsApplied += applied.size;
+    }
+
+    stats.unsafeRedactionsFixed += scan.areas.length;
+    stats.coveredGlyphsRemoved += removed.size;
+    for (const a of scan.areas) {
+      stats.fixedRedactions.push({
+        page: pageIndex + 1,
+        technique: a.technique,
+        boundingBox: roundBox(a.box),
+        text: a.glyphs.map((g) => g.text).join("").replace(/\s+/g, " ").trim().slice(0, 80),
+      });
+    }
+  });
+
+  if (!stats.unsafeRedactionsFixed) return { outBuffer: inputBuffer, stats };
+  for (const ref of oldContentRefs) context.delete(ref);
+  return { outBuffer: Buffer.from(await pdf.save({ useObjectStreams: false })), stats };
+}
+
+// ============================================================
+// Hidden text: glyphs painted where nobody can see them
+// ============================================================
+const TINY_TEXT_SIZE = 1.5; // rendered size in pt
+const SAME_COLOR_DISTANCE = 0.06; // max channel difference between text and background
+const FILLING_MODES = [0, 4]; // fill only (stroked modes depend on a stroke color we do not track)
+
+function visibleBounds(page) {
+  const m = page.getMediaBox();
+  const c = page.getCropBox();
+  return {
+    x0: Math.max(m.x, c.x),
+    y0: Math.max(m.y, c.y),
+    x1: Math.min(m.x + m.width, c.x + c.width),
+    y1: Math.min(m.y + m.height, c.y + c.height),
+  };
+}
+
+// Color under a glyph: the last opaque fill painted before it (null over images / shadings), else the white page
+function backgroundUnder(g, fills) {
+  let color = [1, 1, 1];
+  for (const f of fills) {
+    if (f.opIndex < g.opIndex && f.alpha >= OPAQUE_ALPHA && glyphInside(g, f.box, 0)) color = f.color;
+  }
+  return color;
+}
+
+// render_mode | transparent | off_page | background_color | tiny_font | null
+function hiddenReason(g, fills, bounds) {
+  if (g.renderMode === 3 || g.renderMode === 7) return "render_mode";
+  if (FILLING_MODES.includes(g.renderMode) && g.fillAlpha === 0) return "transparent";
+  if (g.box.x1 < bounds.x0 || g.box.x0 > bounds.x1 || g.box.y1 < bounds.y0 || g.box.y0 > bounds.y1) return "off_page";
+  if (FILLING_MODES.includes(g.renderMode) && g.fillColor) {
+    const bg = backgroundUnder(g, fills);
+    if (bg && Math.max(...g.fillColor.map((v, i) => Math.abs(v - bg[i]))) < SAME_COLOR_DISTANCE) return "background_color";
+  }
+  if (g.fontSize < TINY_TEXT_SIZE) return "tiny_font";
+  return null;
+}
+
+// Consecutive hidden glyphs of a page sharing one reason: { src, ops, glyphs, runs: [{ reason, glyphs }] } or null
+function hiddenTextRuns(context, page) {
+  const { src } = pageContent(context, page);
+  if (src === null) return null;
+  const resources = pageResources(page);
+  const ops = parseContentStream(src);
+  const fills = [];
+  const glyphs = collectGlyphs(ops, makeFontResolver(context, resources), {
+    fills,
+    resolveAlpha: makeAlphaResolver(resources),
+  });
+  const bounds = visibleBounds(page);
+
+  const runs = [];
+  let current = null;
+  for (const g of glyphs) {
+    const reason = hiddenReason(g, fills, bounds);
+    if (!reason) {
+      current = null;
+      continue;
+    }
+    if (current?.reason !== reason) {
+      current = { reason, glyphs: [] };
+      runs.push(current);
+    }
+    current.glyphs.push(g);
+  }
+  return { src, ops, glyphs, runs: runs.filter((r) => r.glyphs.some((g) => String(g.text).trim())) };
+}
+
+const runText = (glyphs) => glyphs.map((g) => g.text).join("").replace(/\s+/g, " ").trim();
+
+/**
+ * Hidden text of a loaded PDFDocument, one entry per run (page content streams; form XObjects are not inspected):
+ * [{ page, reason: render_mode|transparent|off_page|background_color|tiny_font, boundingBox, text, glyphCount,
+ *    fillColor, fontSize }]
+ */
+export function inspectHiddenText(pdf) {
+  const findings = [];
+  pdf.getPages().forEach((page, pageIndex) => {
+    let scan = null;
+    try {
+      scan = hiddenTextRuns(pdf.context, page);
+    } catch (e) {
+      console.warn(`[PDF-REDACT] Page ${pageIndex + 1} could not be inspected:`, e?.message || e);
+    }
+    for (const run of scan?.runs || []) {
+      const text = runText(run.glyphs);
+      findings.push({
+        page: pageIndex + 1,
+        reason: run.reason,
+        boundingBox: roundBox(boxOf(run.glyphs.flatMap((g) => [[g.box.x0, g.box.y0], [g.box.x1, g.box.y1]]))),
+        text: text.length > 200 ? text.slice(0, 197) + "..." : text,
+        glyphCount: run.glyphs.length,
+        fillColor: hexColor(run.glyphs[0].fillColor),
+        fontSize: +num(Math.min(...run.glyphs.map((g) => g.fontSize))),
+      });
+    }
+  });
+  return findings;
+}
+
+/**
+ * Remove hidden text from the page content streams.
+ * options.targets: [{ page, reason }] to limit the removal (default: every hidden run)
+ * returns { outBuffer, stats: { hiddenRemoved (runs), hiddenGlyphsRemoved, removedHiddenText: [{ page, reason, runs, text }] } }
+ */
+export async function removeHiddenText(inputBuffer, { targets = null } = {}) {
+  const stats = { hiddenRemoved: 0, hiddenGlyphsRemoved: 0, removedHiddenText: [] };
+  const pdf = await PDFDocument.load(inputBuffer, { updateMetadata: false });
+  const { context } = pdf;
+  const oldContentRefs = new Set();
+  const wanted = (page, reason) => !targets || targets.some((t) => t.page === page && t.reason === reason);
+
+  pdf.getPages().forEach((page, pageIndex) => {
+    const scan = hiddenTextRuns(context, page);
+    const runs = (scan?.runs || []).filter((r) => wanted(pageIndex + 1, r.reason));
+    if (!runs.length) return;
+
+    const removed = new Set(runs.flatMap((r) => r.glyphs));
+    setPageContent(context, page, rewriteWithout(scan.src, scan.ops, scan.glyphs, removed), oldContentRefs);
+
+    stats.hiddenRemoved += runs.length;
+    stats.hiddenGlyphsRemoved += removed.size;
+    const byReason = new Map();
+    for (const r of runs) {
+      if (!byReason.has(r.reason)) byReason.set(r.reason, []);
+      byReason.get(r.reason).push(r);
+    }
+    for (const [reason, list] of byReason) {
+      stats.removedHiddenText.push({
+        page: pageIndex + 1,
+        reason,
+        runs: list.length,
+        text: list.map((r) => runText(r.glyphs)).join(" ").slice(0, 80),
+      });
+    }
+  });
+
+  if (!stats.hiddenRemoved) return { outBuffer: inputBuffer, stats };
+  for (const ref of oldContentRefs) context.delete(ref);
+  return { outBuffer: Buffer.from(await pdf.save({ useObjectStreams: false })), stats };
+}
+
+// ============================================================
+// Text extraction (fallback verification when pdf-parse is unavailable)
+// ============================================================
+async function extractContentStreamText(buffer) {
+  const pdf = await PDFDocument.load(buffer, { updateMetadata: false });
+  const chunks = [];
+  const visit = (src, resources, seen) => {
+    const ops = parseContentStream(src);
+    chunks.push(collectGlyphs(ops, makeFontResolver(pdf.context, resources)).map((g) => g.text).join(""));
+    const xobjects = resources instanceof PDFDict ? resources.lookup(N("XObject")) : null;
+    if (!(xobjects instanceof PDFDict)) return;
+    for (const [, ref] of xobjects.entries()) {
+      if (!(ref instanceof PDFRef) || seen.has(ref.toString())) continue;
+      seen.add(ref.toString());
+      const xo = pdf.context.lookup(ref);
+      if (!(xo instanceof PDFStream) || xo.dict.lookup(N("Subtype"))?.asString?.() !== "/Form") continue;
+      visit(toLatin1(streamBytes(xo)), xo.dict.lookup(N("Resources")) || resources, seen);
+    }
+  };
+  for (const page of pdf.getPages()) {
+    const contents = page.node.lookup(N("Contents"));
+    const streams = contents instanceof PDFArray ? contents.asArray().map((r) => pdf.context.lookup(r)) : [contents];
+    const src = streams.filter((s) => s instanceof PDFStream).map((s) => toLatin1(streamBytes(s))).join("\n");
+    visit(src, pageResources(page), new Set());
+  }
+  return chunks.join("\n");
+}
+
+// ============================================================
+// Text layout: glyphs grouped into lines (text-only rebuild, revision diffs)
+// ============================================================
+const SAME_LINE_SHIFT = 0.3; // baseline shift (in font sizes) still read as the same line
+const WORD_GAP = 0.25; // horizontal gap (in font sizes) read as a space when the PDF draws none
+const MAX_FORM_DEPTH = 8;
+
+// Glyphs of a content stream and of the form XObjects it paints, in page space and paint order
+function layoutGlyphs(context, src, resources, ctm, depth, seen) {
+  const xobjects = [];
+  const glyphs = collectGlyphs(parseContentStream(src), makeFontResolver(context, resources), { xobjects, ctm });
+  if (!xobjects.length || depth >= MAX_FORM_DEPTH) return glyphs;
+
+  const dict = resources instanceof PDFDict ? resources.lookup(N("XObject")) : null;
+  for (const xo of xobjects) {
+    const ref = dict instanceof PDFDict ? dict.get(N(xo.name)) : null;
+    const form = ref instanceof PDFRef ? context.lookup(ref) : ref;
+    if (!(form instanceof PDFStream) || form.dict.lookup(N("Subtype"))?.asString?.() !== "/Form") continue;
+    const key = ref instanceof PDFRef ? ref.toString() : null;
+    if (key && seen.has(key)) continue;
+    if (key) seen.add(key);
+    const matrix = numbersOf(form.dict.lookup(N("Matrix")));
+    glyphs.push(
+      ...layoutGlyphs(
+        context,
+        toLatin1(streamBytes(form)),
+        form.dict.lookup(N("Resources")) || resources,
+        mul(matrix.length === 6 ? matrix : IDENTITY, xo.ctm),
+        depth + 1,
+        seen
+      )
+    );
+    if (key) seen.delete(key);
+  }
+  return glyphs;
+}
+
+function glyphLines(glyphs) {
+  const lines = [];
+  let line = null;
+  let last = null;
+  for (const g of glyphs) {
+    if (!g.text) continue;
+    const size = g.fontSize || 0;
+    const y = g.box.y0 + 0.22 * size; // baseline (boxes extend 0.22 em below it)
+    if (!line || Math.abs(line.y - y) > Math.max(1, Math.min(line.size, size) * SAME_LINE_SHIFT)) {
+      line = { text: "", size: 0, y };
+      lines.push(line);
+      last = null;
+    } else if (last && !/\s$/.test(line.text) && !/^\s/.test(g.text) && g.box.x0 - last.box.x1 > size * WORD_GAP) {
+      line.text += " ";
+    }
+    line.text += g.text;
+    line.size = Math.max(line.size, size);
+    last = g;
+  }
+  return lines
+    .map((l) => ({
+      text: l.text.replace(/\s+/g, " ").trim(),
+      size: Math.round(l.size * 10) / 10,
+      y: Math.round(l.y * 100) / 100,
+    }))
+    .filter((l) => l.text);
+}
+
+// ============================================================
+// Public API
+// ============================================================
+/**
+ * Text lines per page with their rendered font size and baseline, in content-stream order (form XObjects included):
+ * [{ page, lines: [{ text, size, y }] }]. Text only drawn by fonts without a usable encoding comes out empty.
+ */
+export async function extractContentStreamLayout(buffer) {
+  const pdf = await PDFDocument.load(buffer, { updateMetadata: false });
+  return pdf.getPages().map((page, pageIndex) => {
+    const { src } = pageContent(pdf.context, page);
+    const glyphs = src === null ? [] : layoutGlyphs(pdf.context, src, pageResources(page), IDENTITY, 0, new Set());
+    return { page: pageIndex + 1, lines: glyphLines(glyphs) };
+  });
+}
+
+/**
+ * Remove the text of selected sensitive detections from PDF content streams.
+ * items: [{ id?, type?, value }]
+ * options.fillRect: draw a black box where the text was (default true)
+ * options.extractTextFn(buffer): verification extractor (defaults to the internal content-stream decoder)
+ * returns { outBuffer, stats }
+ */
+export async function redactPDF(inputBuffer, items = [], { fillRect = true, extractTextFn } = {}) {
+  const targets = (items || []).filter((it) => it?.value && String(it.value).trim().length > 0);
+  const values = targets.map((it) => String(it.value));
+
+  const stats = {
+    requested: targets.length,
+    redacted: 0,
+    occurrencesRemoved: 0,
+    glyphsRemoved: 0,
+    rectsDrawn: 0,
+    streamsRewritten: 0,
+    pagesTouched: 0,
+    notFound: [],
+    examples: [],
+    verification: { method: null, passed: null, residual: [] },
+  };
+
+  if (!targets.length) return { outBuffer: inputBuffer, stats };
+
+  const pdf = await PDFDocument.load(inputBuffer, { updateMetadata: false });
+  const { context } = pdf;
+  const hitsPerValue = values.map(() => 0);
+  const oldContentRefs = new Set();
+  const seenForms = new Set();
+
+  const record = (res, where) => {
+    stats.streamsRewritten++;
+    stats.glyphsRemoved += res.glyphsRemoved;
+    stats.rectsDrawn += res.rects;
+    res.hitsPerValue.forEach((n, i) => {
+      hitsPerValue[i] += n;
+      if (n > 0 && stats.examples.length < 10) {
+        stats.examples.push({ type: targets[i]?.type || "unknown", value: values[i].slice(0, 80), location: where });
+      }
+    });
+  };
+
+  const redactForms = (resources, where) => {
+    const xobjects = resources instanceof PDFDict ? resources.lookup(N("XObject")) : null;
+    if (!(xobjects instanceof PDFDict)) return;
+    for (const [, ref] of xobjects.entries()) {
+      if (!(ref instanceof PDFRef) || seenForms.has(ref.toString())) continue;
+      seenForms.add(ref.toString());
+      const xo = context.lookup(ref);
+      if (!(xo instanceof PDFStream) || xo.dict.lookup(N("Subtype"))?.asString?.() !== "/Form") continue;
+
+      const formResources = xo.dict.lookup(N("Resources")) || resources;
+      const res = redactContent(toLatin1(streamBytes(xo)), values, makeFontResolver(context, formResources), {
+        fillRect,
+      });
+      if (res) {
+        // Same ref, new (flate) stream with the original dictionary entries
+        const dict = {};
+        for (const [k, v] of xo.dict.entries()) {
+          if (!["/Length", "/Filter", "/DecodeParms"].includes(k.asString())) dict[k.asString().slice(1)] = v;
+        }
+        context.assign(ref, context.flateStream(fromLatin1(res.content), dict));
+        record(res, `${where} (form XObject)`);
+      }
+      redactForms(formResources, where);
+    }
+  };
+
+  pdf.getPages().forEach((page, pageIndex) => {
+    const where = `Page ${pageIndex + 1}`;
+    const resources = pageResources(page);
+    const { src } = pageContent(context, page);
+
+    if (src !== null) {
+      const res = redactContent(src, values, makeFontResolver(context, resources), { fillRect });
+      if (res) {
+        setPageContent(context, page, res.content, oldContentRefs);
+        record(res, where);
+        stats.pagesTouched++;
+      }
+    }
+
+    redactForms(resources, where);
+  });
+
+  // Original (unredacted) streams must not survive in the saved file
+  for (const ref of oldContentRefs) context.delete(ref);
+
+  stats.occurrencesRemoved = hitsPerValue.reduce((a, b) => a + b, 0);
+  stats.redacted = hitsPerValue.filter((n) => n > 0).length;
+  stats.notFound = targets
+    .filter((_, i) => hitsPerValue[i] === 0)
+    .map((it) => ({ id: it.id || null, type: it.type || "unknown", value: String(it.value).slice(0, 80) }));
+
+  const outBuffer = Buffer.from(await pdf.save({ useObjectStreams: false }));
+
+  // ---- Verification: value must no longer be extractable ----
+  try {
+    let text = typeof extractTextFn === "function" ? await extractTextFn(outBuffer) : "";
+    stats.verification.method = "pdf-parse";
+    if (!String(text || "").trim()) {
+      text = await extractContentStreamText(outBuffer);
+      stats.verification.method = "content-stream";
+    }
+    const haystack = stripWs(text);
+    stats.verification.residual = targets
+      .filter((it) => haystack.includes(stripWs(it.value)))
+      .map((it) => ({ id: it.id || null, type: it.type || "unknown", value: String(it.value).slice(0, 80) }));
+    stats.verification.passed = stats.verification.residual.length === 0;
+    if (!stats.verification.passed) {
+      console.warn(`[PDF-REDACT] ${stats.verification.residual.length} value(s) still extractable after redaction`);
+    }
+  } catch (e) {
+    console.warn("[PDF-REDACT] Verification failed:", e?.message || e);
+    stats.verification.passed = null;
+  }
+
+  return { outBuffer, stats };
+}
+
+export default {
+  redactPDF,
+  parseContentStream,
+  inspectUnsafeRedactions,
+  removeCoveredText,
+  inspectHiddenText,
+  removeHiddenText,
+  extractContentStreamLayout,
+};
@@ -0,0 +1,70 @@
+// lib/pdfRevisions.js
+// VERSION 1.0 - PDF incremental updates: revision boundaries (%%EOF markers) and the text that only survives in
+// earlier revisions (shared by analyzer + cleaner)
+
+const EOF_MARKER = Buffer.from("%%EOF");
+const MAX_HISTORY_REVISIONS = 10;
+
+const asBuffer = (b) => (Buffer.isBuffer(b) ? b : Buffer.from(b));
+
+/**
+ * End offset of every revision (just past its %%EOF line). A %%EOF only closes a revision when a
+ * startxref precedes it (not inside stream data); the first-page section of a linearized file is not one.
+ */
+export function revisionOffsets(buffer) {
+  const buf = asBuffer(buffer);
+  const ends = [];
+  for (let i = buf.indexOf(EOF_MARKER); i >= 0; i = buf.indexOf(EOF_MARKER, i + EOF_MARKER.length)) {
+    if (!buf.subarray(Math.max(0, i - 64), i).includes("startxref")) continue;
+    let end = i + EOF_MARKER.length;
+    if (buf[end] === 0x0d) end++;
+    if (buf[end] === 0x0a) end++;
+    ends.push(end);
+  }
+  if (ends.length > 1 && /\/Linearized\b/.test(buf.subarray(0, 1024).toString("latin1"))) ends.shift();
+  return ends;
+}
+
+export function countRevisions(buffer) {
+  return Math.max(1, revisionOffsets(buffer).length);
+}
+
+const textLines = (text) => [
+  ...new Set(
+    String(text || "")
+      .split(/\r?\n/)
+      .map((l) => l.replace(/\s+/g, " ").trim())
+      .filter((l) => l.length > 1)
+  ),
+];
+
+/**
+ * Revisions of a PDF and the text lines earlier revisions have that the final one lacks:
+ * { revisionCount, revisions: [{ revision, endOffset, bytes }], historyOnly: [{ revision, lines }] }
+ * Each earlier revision is the file truncated after its %%EOF; extractTextFn(buffer) -> string.
+ * A line is reported once, in the most recent revision that still had it.
+ */
+export async function inspectRevisionHistory(buffer, { extractTextFn, maxRevisions = MAX_HISTORY_REVISIONS } = {}) {
+  const buf = asBuffer(buffer);
+  const ends = revisionOffsets(buf);
+  const revisions = ends.map((end, i) => ({ revision: i + 1, endOffset: end, bytes: end - (i ? ends[i - 1] : 0) }));
+  const result = { revisionCount: Math.max(1, ends.length), revisions, historyOnly: [] };
+  if (ends.length < 2 || typeof extractTextFn !== "function") return result;
+
+  const finalLines = new Set(textLines(await extractTextFn(buf)));
+  const reported = new Set();
+  for (const r of revisions.slice(0, -1).slice(-maxRevisions).reverse()) {
+    let text = "";
+    try {
+      text = await extractTextFn(buf.subarray(0, r.endOffset));
+    } catch {
+      continue;
+    }
+    const lines = textLines(text).filter((l) => !finalLines.has(l) && !reported.has(l));
+    lines.forEach((l) => reported.add(l));
+    if (lines.length) result.historyOnly.unshift({ revision: r.revision, lines });
+  }
+  return result;
+}
+
+export default { revisionOffsets, countRevisions, inspectRevisionHistory };
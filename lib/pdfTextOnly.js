@@ -0,0 +1,375 @@
+// lib/pdfTextOnly.js
+// VERSION 1.0 - Text-only PDF rebuild: embedded Unicode font (bundled DejaVu Sans via @pdf-lib/fontkit), source page
+// breaks, paragraph / heading spacing, wrapped lines and an outline of the detected headings
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { PDFDocument, PDFName, PDFHexString, StandardFonts } from "pdf-lib";
+
+const FONT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fonts");
+// Latin, Greek and Cyrillic; headings use it too (set apart by size) so only one font file ships
+const BUNDLED_FONT = "DejaVuSans.ttf";
+// Fallback fonts (e.g. CJK) for characters DejaVu Sans lacks, path-delimiter separated, tried in order
+const EXTRA_FONTS = String(process.env.TEXT_ONLY_PDF_FONTS || "")
+  .split(path.delimiter)
+  .map((p) => p.trim())
+  .filter(Boolean);
+
+const PAGE_W = 595.28;
+const PAGE_H = 841.89;
+const MARGIN = 48;
+const BODY = { size: 11, leading: 14, after: 6 };
+const HEADINGS = [
+  { size: 16, leading: 20, before: 10, after: 6 },
+  { size: 13.5, leading: 17, before: 8, after: 4 },
+  { size: 12, leading: 15, before: 6, after: 3 },
+];
+
+// Source lines this much larger than the body size are headings; levels follow the distinct sizes
+const HEADING_RATIO = 1.15;
+const MAX_HEADING_CHARS = 120;
+// Baseline gap (in body sizes) above which a new paragraph starts
+const PARAGRAPH_GAP = 1.8;
+
+const CJK = "\\u2E80-\\u9FFF\\uAC00-\\uD7AF\\uF900-\\uFAFF\\uFF00-\\uFFEF";
+// Words, single CJK characters (wrappable anywhere) and whitespace
+const TOKEN_RE = new RegExp(`[${CJK}]|[^\\s${CJK}]+|\\s+`, "gu");
+
+// Letters without a canonical decomposition, for fonts that lack them (Helvetica fallback)
+const CHAR_FALLBACKS = {
+  "\u0142": "l", "\u0141": "L", "\u0111": "d", "\u0110": "D", "\u0131": "i", "\u0127": "h", "\u0126": "H",
+  "\u2010": "-", "\u2011": "-", "\u2212": "-",
+};
+// Soft hyphen, zero-width space / joiners, word joiner, BOM
+const INVISIBLE_CHARS = /[\u00AD\u200B-\u200D\u2060\uFEFF]/g;
+
+const MAX_MISSING_SAMPLES = 20;
+
+let fontkitPromise = null;
+const fontBytes = new Map();
+const fontCoverage = new Map();
+
+async function getFontkit() {
+  if (!fontkitPromise) {
+    fontkitPromise = import("@pdf-lib/fontkit")
+      .then((mod) => (mod && (mod.default || mod)) || null)
+      .catch((e) => {
+        console.warn("@pdf-lib/fontkit unavailable; text-only PDFs fall back to Helvetica (WinAnsi).", e?.message || e);
+        return null;
+      });
+  }
+  return fontkitPromise;
+}
+
+async function readFont(file) {
+  if (!fontBytes.has(file)) fontBytes.set(file, await fs.readFile(file));
+  return fontBytes.get(file);
+}
+
+// Code points a font file covers (read once per file, without embedding it)
+async function coverageOf(fontkit, file) {
+  if (!fontCoverage.has(file)) fontCoverage.set(file, new Set(fontkit.create(await readFont(file)).characterSet));
+  return fontCoverage.get(file);
+}
+
+const chainEntry = (font) => ({ font, chars: new Set(font.getCharacterSet()) });
+
+/**
+ * Regular and bold font chains: the first font covering a character draws it.
+ * TEXT_ONLY_PDF_FONTS fallbacks are embedded only when they draw a character of `text` that the fonts before them
+ * lack. { regular: [{ font, chars }], bold: [...], unicode, fontName }
+ */
+async function embedFonts(doc, text) {
+  const fontkit = await getFontkit();
+  if (fontkit) {
+    try {
+      doc.registerFontkit(fontkit);
+      const embed = async (file) => chainEntry(await doc.embedFont(await readFont(file), { subset: true }));
+      const regular = await embed(path.join(FONT_DIR, BUNDLED_FONT));
+
+      let missing = [...new Set(String(text || ""))].filter((ch) => !/\s/.test(ch) && !regular.chars.has(ch.codePointAt(0)));
+      const fallbacks = [];
+      for (const file of EXTRA_FONTS) {
+        if (!missing.length) break;
+        try {
+          const chars = await coverageOf(fontkit, file);
+          if (!missing.some((ch) => chars.has(ch.codePointAt(0)))) continue;
+          fallbacks.push(await embed(file));
+          missing = missing.filter((ch) => !chars.has(ch.codePointAt(0)));
+        } catch (e) {
+          console.warn(`Text-only fallback font skipped (${file}):`, e?.message || e);
+        }
+      }
+      const chain = [regular, ...fallbacks];
+      return { regular: chain, bold: chain, unicode: true, fontName: "DejaVu Sans" };
+    } catch (e) {
+      console.warn("Unicode font embedding failed; using Helvetica.", e?.message || e);
+    }
+  }
+  return {
+    regular: [chainEntry(await doc.embedFont(StandardFonts.Helvetica))],
+    bold: [chainEntry(await doc.embedFont(StandardFonts.HelveticaBold))],
+    unicode: false,
+    fontName: "Helvetica",
+  };
+}
+
+const covered = (chain, ch) => chain.some((f) => f.chars.has(ch.codePointAt(0)));
+
+/** Replace characters no font in the chain can draw (accents stripped first, then "?"); counts replacements */
+function drawableText(text, chain, counter) {
+  let out = "";
+  for (const ch of String(text || "").replace(INVISIBLE_CHARS, "")) {
+    if (/\s/.test(ch)) {
+      out += " ";
+      continue;
+    }
+    if (covered(chain, ch)) {
+      out += ch;
+      continue;
+    }
+    const base = ch.normalize("NFKD").replace(/\p{M}/gu, "");
+    const fallback = [base, CHAR_FALLBACKS[ch]].find((s) => s && [...s].every((c) => covered(chain, c)));
+    if (fallback) {
+      out += fallback;
+    } else {
+      out += "?";
+      counter.unsupported++;
+      if (counter.samples.size < MAX_MISSING_SAMPLES) counter.samples.add(ch);
+    }
+  }
+  return out.replace(/ +/g, " ").trim();
+}
+
+/** Consecutive characters drawn with the same font (spaces stay in the current run) */
+function textRuns(text, chain) {
+  const runs = [];
+  for (const ch of text) {
+    const last = runs[runs.length - 1];
+    const font =
+      ch === " " && last ? last.font : (chain.find((f) => f.chars.has(ch.codePointAt(0))) || chain[0]).font;
+    if (last && last.font === font) last.text += ch;
+    else runs.push({ font, text: ch });
+  }
+  return runs;
+}
+
+const measure = (text, chain, size) =>
+  textRuns(text, chain).reduce((w, r) => w + r.font.widthOfTextAtSize(r.text, size), 0);
+
+/** Greedy wrap on words (CJK between any two characters); a token wider than the line is split */
+function wrapText(text, width) {
+  const lines = [];
+  let line = "";
+  for (const token of text.match(TOKEN_RE) || []) {
+    if (/^\s+$/.test(token)) {
+      if (line) line += " ";
+      continue;
+    }
+    if (width(line + token) <= PAGE_W - MARGIN * 2) {
+      line += token;
+      continue;
+    }
+    if (line.trim()) lines.push(line.trimEnd());
+    line = "";
+    for (const ch of token) {
+      if (line && width(line + ch) > PAGE_W - MARGIN * 2) {
+        lines.push(line);
+        line = "";
+      }
+      line += ch;
+    }
+  }
+  if (line.trim()) lines.push(line.trimEnd());
+  return lines;
+}
+
+// "exam-" + "ple" -> "example"; other line breaks inside a paragraph become spaces
+const joinLines = (lines) =>
+  lines.reduce((acc, l) => (/\p{L}-$/u.test(acc) && /^\p{Ll}/u.test(l) ? acc.slice(0, -1) + l : acc ? `${acc} ${l}` : l), "");
+
+const roundSize = (s) => Math.round(s * 2) / 2;
+
+/** Most common line size, weighted by characters */
+function bodySize(pages) {
+  const weights = new Map();
+  for (const p of pages) {
+    for (const l of p.lines) {
+      if (l.size > 0) weights.set(roundSize(l.size), (weights.get(roundSize(l.size)) || 0) + l.text.length);
+    }
+  }
+  return [...weights.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+}
+
+/**
+ * Source -> pages of blocks [{ blocks: [{ heading: level|0, text }] }].
+ * source: [{ lines: [{ text, size, y }] }] (per-page layout) or a plain string
+ * (form feeds separate pages, blank lines separate paragraphs).
+ */
+function toPages(source) {
+  if (!Array.isArray(source)) {
+    return String(source || "")
+      .replace(/\r\n?/g, "\n")
+      .split("\f")
+      .map((pageText) => ({
+        blocks: pageText
+          .split(/\n\s*\n/)
+          .map((para) => joinLines(para.split("\n").map((l) => l.trim()).filter(Boolean)))
+          .filter(Boolean)
+          .map((text) => ({ heading: 0, text })),
+      }));
+  }
+
+  const body = bodySize(source);
+  const isHeading = (l) => body > 0 && l.size >= body * HEADING_RATIO && l.text.length <= MAX_HEADING_CHARS;
+  const headingSizes = [...new Set(source.flatMap((p) => p.lines.filter(isHeading).map((l) => roundSize(l.size))))].sort(
+    (a, b) => b - a
+  );
+  const levelOf = (l) => Math.min(HEADINGS.length, headingSizes.indexOf(roundSize(l.size)) + 1);
+
+  return source.map((p) => {
+    const blocks = [];
+    let para = null;
+    let prev = null;
+    for (const l of p.lines) {
+      const text = String(l.text || "").replace(/\s+/g, " ").trim();
+      if (!text) continue;
+      if (isHeading(l)) {
+        const last = blocks[blocks.length - 1];
+        // A heading wrapped over two source lines stays one heading
+        const gap = prev && Number.isFinite(prev.y) && Number.isFinite(l.y) ? Math.abs(prev.y - l.y) : Infinity;
+        if (prev && isHeading(prev) && last?.heading === levelOf(l) && gap <= l.size * 1.5) {
+          last.text = joinLines([last.text, text]);
+        } else {
+          blocks.push({ heading: levelOf(l), text });
+        }
+        para = null;
+      } else {
+        const gap = prev && Number.isFinite(prev.y) && Number.isFinite(l.y) ? Math.abs(prev.y - l.y) : 0;
+        if (!para || (body > 0 && gap > body * PARAGRAPH_GAP)) {
+          para = { heading: 0, lines: [] };
+          blocks.push(para);
+        }
+        para.lines.push(text);
+      }
+      prev = { ...l, text };
+    }
+    return { blocks: blocks.map((b) => (b.lines ? { heading: 0, text: joinLines(b.lines) } : b)) };
+  });
+}
+
+/** Nested /Outlines from [{ title, level, pageRef, y }] (all entries open) */
+function writeOutline(doc, entries) {
+  const { context } = doc;
+  const rootRef = context.nextRef();
+  const nodes = entries.map((e) => ({ ...e, ref: context.nextRef(), children: [] }));
+  const top = [];
+  const stack = [];
+  for (const node of nodes) {
+    while (stack.length && stack[stack.length - 1].level >= node.level) stack.pop();
+    (stack.length ? stack[stack.length - 1].children : top).push(node);
+    stack.push(node);
+  }
+
+  const countOf = (list) => list.reduce((n, c) => n + 1 + countOf(c.children), 0);
+  const writeLevel = (list, parentRef) => {
+    list.forEach((node, i) => {
+      const dict = context.obj({
+        Title: PDFHexString.fromText(node.title),
+        Parent: parentRef,
+        Dest: [node.pageRef, "XYZ", null, node.y, null],
+      });
+      if (i > 0) dict.set(PDFName.of("Prev"), list[i - 1].ref);
+      if (i < list.length - 1) dict.set(PDFName.of("Next"), list[i + 1].ref);
+      if (node.children.length) {
+        dict.set(PDFName.of("First"), node.children[0].ref);
+        dict.set(PDFName.of("Last"), node.children[node.children.length - 1].ref);
+        dict.set(PDFName.of("Count"), context.obj(countOf(node.children)));
+        writeLevel(node.children, node.ref);
+      }
+      context.assign(node.ref, dict);
+    });
+  };
+  writeLevel(top, rootRef);
+
+  context.assign(
+    rootRef,
+    context.obj({ Type: "Outlines", First: top[0].ref, Last: top[top.length - 1].ref, Count: countOf(top) })
+  );
+  doc.catalog.set(PDFName.of("Outlines"), rootRef);
+  doc.catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+}
+
+/**
+ * Build a "text-only" PDF: one page (or more, when the text overflows) per source page, headings (bold with
+ * Helvetica) with an outline entry each. Returns { outBuffer, stats: { textOnlyPages, sourcePages, headings, unicodeFont, font,
+ * unsupportedCharacters } }.
+ */
+export async function buildTextOnlyPdf(source, { title = "Qualion Text-Only" } = {}) {
+  const doc = await PDFDocument.create();
+  const pages = toPages(source);
+  const fonts = await embedFonts(doc, pages.flatMap((p) => p.blocks.map((b) => b.text)).join(" "));
+  const counter = { unsupported: 0, samples: new Set() };
+  const outline = [];
+
+  let page = null;
+  let y = 0;
+  const newPage = () => {
+    page = doc.addPage([PAGE_W, PAGE_H]);
+    y = PAGE_H - MARGIN;
+  };
+  const drawLine = (text, chain, size) => {
+    let x = MARGIN;
+    for (const run of textRuns(text, chain)) {
+      page.drawText(run.text, { x, y, size, font: run.font });
+      x += run.font.widthOfTextAtSize(run.text, size);
+    }
+  };
+
+  for (const src of pages) {
+    newPage();
+    let first = true;
+    for (const block of src.blocks) {
+      const style = block.heading ? HEADINGS[block.heading - 1] : BODY;
+      const chain = block.heading ? fonts.bold : fonts.regular;
+      const text = drawableText(block.text, chain, counter);
+      if (!text) continue;
+      const lines = wrapText(text, (s) => measure(s, chain, style.size));
+
+      if (!first) y -= style.before || 0;
+      // Keep a heading with the first line of what follows
+      const needed = style.leading * (block.heading ? 1 : Math.min(2, lines.length)) + (block.heading ? BODY.leading : 0);
+      if (!first && y - needed < MARGIN) newPage();
+      if (block.heading) outline.push({ title: text, level: block.heading, pageRef: page.ref, y: Math.round(y) });
+
+      for (const line of lines) {
+        if (y - style.leading < MARGIN) newPage();
+        y -= style.leading;
+        drawLine(line, chain, style.size);
+      }
+      y -= style.after;
+      first = false;
+    }
+  }
+  if (!doc.getPageCount()) newPage();
+  if (outline.length) writeOutline(doc, outline);
+
+  doc.setTitle(title);
+  doc.setCreator("Qualion");
+  doc.setProducer("Qualion");
+  return {
+    outBuffer: Buffer.from(await doc.save()),
+    stats: {
+      textOnlyPages: doc.getPageCount(),
+      sourcePages: pages.length,
+      headings: outline.length,
+      unicodeFont: fonts.unicode,
+      font: fonts.fontName,
+      unsupportedCharacters: counter.unsupported,
+      missingGlyphs: [...counter.samples],
+    },
+  };
+}
+
+export default { buildTextOnlyPdf };
@@ -1,4 +1,5 @@
 import { PDFDocument } from "pdf-lib";
+import { extractContentStreamLayout } from "./pdfRedactor.js";
 
 async function getPdfParse() {
   try {
@@ -40,6 +41,20 @@ export async function extractPdfText(buffer) {
   }
 }
 
+/**
+ * Text lines per page with their font size and baseline (content-stream interpreter, no pdf-parse needed), for the
+ * text-only rebuild: [{ page, lines: [{ text, size, y }] }]; null when the PDF cannot be read or shows no text.
+ */
+export async function extractPdfLayout(buffer) {
+  try {
+    const pages = await extractContentStreamLayout(buffer);
+    return pages.some((p) => p.lines.length) ? pages : null;
+  } catch (e) {
+    console.warn("PDF layout extraction failed; text-only rebuild uses plain text.", e?.message || e);
+    return null;
+  }
+}
+
 export function filterExtractedLines(text, { strictPdf = false } = {}) {
   const lines = String(text || "").replace(/\r\n/g, "\n").split("\n");
   return lines
@@ -0,0 +1,385 @@
+// lib/policy/rulePacks.js
+// VERSION 1.2 - Tenant-configurable business risk rule packs (JSON/YAML)
+// 1.1: a stretch of text matched by one language is not counted again by another (duplicate / overlapping patterns
+// across languages); counting within a language is unchanged, so single-language packs score as before
+// 1.2: blockingRuleIds() - rules that can raise a blocking (High/Critical) flag, for override validation
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Built-in packs ship with the code; tenant packs live in RULE_PACKS_DIR (same id overrides a built-in)
+const BUILTIN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "rulePacks");
+const TENANT_DIR = process.env.RULE_PACKS_DIR ? path.resolve(process.env.RULE_PACKS_DIR) : null;
+export const DEFAULT_RULE_PACK = String(process.env.DEFAULT_RULE_PACK || "default").trim() || "default";
+
+const CATEGORIES = new Set(["margin", "delivery", "negotiation", "compliance", "credibility"]);
+const LEVELS = new Set(["Low", "Medium", "High", "Critical"]);
+const BLOCKING_LEVELS = new Set(["High", "Critical"]);
+const COMPARATORS = ["gt", "gte", "eq", "lt", "lte"];
+const ANY_LANGUAGE = "*";
+
+let packsPromise = null;
+
+function packError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function getYaml() {
+  try {
+    const mod = await import("yaml");
+    return (mod && (mod.default || mod)) || null;
+  } catch (e) {
+    console.warn("[RULE PACKS] yaml unavailable; .yaml packs skipped.", e?.message || e);
+    return null;
+  }
+}
+
+async function readPackFiles(dir) {
+  let names = [];
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.warn(`[RULE PACKS] Cannot read ${dir}:`, e?.message || e);
+    return [];
+  }
+
+  const raws = [];
+  for (const name of names.sort()) {
+    const ext = path.extname(name).toLowerCase();
+    if (![".json", ".yaml", ".yml"].includes(ext)) continue;
+    const file = path.join(dir, name);
+    try {
+      const content = await fs.promises.readFile(file, "utf8");
+      let raw;
+      if (ext === ".json") {
+        raw = JSON.parse(content);
+      } else {
+        const YAML = await getYaml();
+        if (!YAML) continue;
+        raw = YAML.parse(content);
+      }
+      raws.push({ file, raw });
+    } catch (e) {
+      console.warn(`[RULE PACKS] Invalid pack file ${file}:`, e?.message || e);
+    }
+  }
+  return raws;
+}
+
+/**
+ * Child rules override base rules with the same id (signals and per-language patterns are merged)
+ */
+function mergeRules(baseRules = [], childRules = []) {
+  const rules = baseRules.map((r) => ({ ...r, signals: { ...(r.signals || {}) } }));
+  for (const child of childRules || []) {
+    const base = rules.find((r) => r.id === child?.id);
+    if (!base) {
+      rules.push(child);
+      continue;
+    }
+    const signals = { ...base.signals };
+    for (const [name, sig] of Object.entries(child.signals || {})) {
+      const prev = signals[name];
+      if (!prev || !sig?.patterns || Array.isArray(sig.patterns) || Array.isArray(prev.patterns)) {
+        signals[name] = sig;
+        continue;
+      }
+      const patterns = { ...(prev.patterns || {}) };
+      for (const [lang, list] of Object.entries(sig.patterns)) {
+        patterns[lang] = [...(patterns[lang] || []), ...(list || [])];
+      }
+      signals[name] = { ...prev, ...sig, patterns };
+    }
+    Object.assign(base, child, { signals });
+  }
+  return rules;
+}
+
+function resolveExtends(raw, rawById, seen = new Set()) {
+  if (!raw.extends) return raw;
+  if (seen.has(raw.id)) throw new Error(`circular extends (${[...seen, raw.id].join(" -> ")})`);
+  const parentRaw = rawById.get(raw.extends);
+  if (!parentRaw) throw new Error(`extends unknown pack "${raw.extends}"`);
+  const parent = resolveExtends(parentRaw, rawById, new Set([...seen, raw.id]));
+  return {
+    ...parent,
+    ...raw,
+    languages: raw.languages || parent.languages,
+    rules: mergeRules(parent.rules, raw.rules),
+  };
+}
+
+function compileCondition(cond, signalNames, where) {
+  if (!cond || typeof cond !== "object") throw new Error(`${where}: condition must be an object`);
+  if (Array.isArray(cond.all)) return { all: cond.all.map((c) => compileCondition(c, signalNames, where)) };
+  if (Array.isArray(cond.any)) return { any: cond.any.map((c) => compileCondition(c, signalNames, where)) };
+
+  const sum = Array.isArray(cond.sum) ? cond.sum : [];
+  if (!sum.length) throw new Error(`${where}: condition needs "sum", "all" or "any"`);
+  for (const s of sum) {
+    if (!signalNames.has(s)) throw new Error(`${where}: unknown signal "${s}"`);
+  }
+  const op = COMPARATORS.find((c) => typeof cond[c] === "number");
+  if (!op) throw new Error(`${where}: condition needs one of ${COMPARATORS.join("/")}`);
+  return { sum, op, value: cond[op] };
+}
+
+function compileSignal(sig, languages, where) {
+  if (Array.isArray(sig?.detections)) {
+    return { detections: sig.detections.map(String) };
+  }
+  // Plain array = language-neutral patterns
+  const byLang = Array.isArray(sig?.patterns) ? { [ANY_LANGUAGE]: sig.patterns } : sig?.patterns;
+  if (!byLang || typeof byLang !== "object") throw new Error(`${where}: signal needs "patterns" or "detections"`);
+
+  // One pattern group per language; a pattern an earlier language already lists is skipped (flags are "gi":
+  // compare case-insensitively)
+  const patterns = [];
+  const seen = new Set();
+  for (const lang of [...languages, ANY_LANGUAGE]) {
+    const group = [];
+    const own = new Set();
+    for (const src of byLang[lang] || []) {
+      const key = String(src).toLowerCase();
+      if (seen.has(key)) continue;
+      own.add(key);
+      try {
+        group.push(new RegExp(String(src), "gi"));
+      } catch (e) {
+        throw new Error(`${where}: invalid pattern /${src}/ (${e?.message || e})`);
+      }
+    }
+    own.forEach((k) => seen.add(k));
+    if (group.length) patterns.push(group);
+  }
+  const max = Number.isFinite(sig.max) && sig.max > 0 ? sig.max : 50;
+  return { patterns, max };
+}
+
+function compilePack(raw, file) {
+  const id = String(raw.id || "").trim();
+  if (!id) throw new Error("missing id");
+  const languages = Array.isArray(raw.languages) && raw.languages.length ? raw.languages.map(String) : ["en"];
+  if (!Array.isArray(raw.rules) || !raw.rules.length) throw new Error("rules must be a non-empty array");
+
+  const ruleIds = new Set();
+  const rules = raw.rules.map((r, i) => {
+    const where = `rule ${r?.id || `#${i + 1}`}`;
+    if (!r?.id) throw new Error(`${where}: missing id`);
+    if (ruleIds.has(r.id)) throw new Error(`${where}: duplicate id`);
+    ruleIds.add(r.id);
+    if (!CATEGORIES.has(r.category)) throw new Error(`${where}: unknown category "${r.category}"`);
+
+    const signals = {};
+    for (const [name, sig] of Object.entries(r.signals || {})) {
+      signals[name] = compileSignal(sig, languages, `${where}.${name}`);
+    }
+    const signalNames = new Set(Object.keys(signals));
+    if (!signalNames.size) throw new Error(`${where}: no signals`);
+
+    const severity = (Array.isArray(r.severity) ? r.severity : []).map((s, j) => {
+      if (!LEVELS.has(s?.level)) throw new Error(`${where}: invalid severity level "${s?.level}"`);
+      return {
+        id: s.id || null,
+        level: s.level,
+        when: s.when ? compileCondition(s.when, signalNames, `${where}.severity[${j}]`) : null,
+      };
+    });
+    if (!severity.length || severity[severity.length - 1].when) {
+      throw new Error(`${where}: severity must end with an unconditional level`);
+    }
+
+    return {
+      id: String(r.id),
+      category: r.category,
+      reason: String(r.reason || ""),
+      location: String(r.location || "Document"),
+      fileTypes: Array.isArray(r.fileTypes) ? r.fileTypes.map((t) => String(t).toLowerCase()) : null,
+      signals,
+      trigger: compileCondition(r.trigger, signalNames, `${where}.trigger`),
+      severity,
+    };
+  });
+
+  return {
+    id,
+    name: String(raw.name || id),
+    version: String(raw.version || "1.0.0"),
+    extends: raw.extends || null,
+    languages,
+    source: path.basename(file),
+    rules,
+  };
+}
+
+async function loadAll() {
+  const raws = [...(await readPackFiles(BUILTIN_DIR)), ...(TENANT_DIR ? await readPackFiles(TENANT_DIR) : [])];
+
+  // Later files (tenant dir) win on id collisions
+  const rawById = new Map();
+  const fileById = new Map();
+  for (const { file, raw } of raws) {
+    const id = String(raw?.id || "").trim();
+    if (!id) {
+      console.warn(`[RULE PACKS] Skipping ${file}: missing id`);
+      continue;
+    }
+    rawById.set(id, raw);
+    fileById.set(id, file);
+  }
+
+  const packs = new Map();
+  for (const [id, raw] of rawById) {
+    try {
+      packs.set(id, compilePack(resolveExtends(raw, rawById), fileById.get(id)));
+    } catch (e) {
+      console.warn(`[RULE PACKS] Skipping pack "${id}" (${fileById.get(id)}):`, e?.message || e);
+    }
+  }
+
+  console.log(`[RULE PACKS] Loaded ${packs.size} pack(s): ${[...packs.keys()].join(", ") || "none"}`);
+  if (!packs.has(DEFAULT_RULE_PACK)) console.warn(`[RULE PACKS] Default pack "${DEFAULT_RULE_PACK}" not found`);
+  return packs;
+}
+
+/**
+ * Load (once) all packs from the built-in and tenant directories
+ */
+export function loadRulePacks({ reload = false } = {}) {
+  if (!packsPromise || reload) {
+    packsPromise = loadAll().catch((e) => {
+      packsPromise = null;
+      throw e;
+    });
+  }
+  return packsPromise;
+}
+
+/**
+ * Resolve a pack id (empty = DEFAULT_RULE_PACK). Throws (status 400) on unknown ids.
+ */
+export async function resolveRulePack(id) {
+  const packs = await loadRulePacks();
+  const wanted = String(id || "").trim() || DEFAULT_RULE_PACK;
+  const pack = packs.get(wanted);
+  if (!pack) {
+    throw packError(`Unknown rule pack "${wanted}". Available: ${[...packs.keys()].join(", ") || "none"}`);
+  }
+  return pack;
+}
+
+/**
+ * Public (JSON-safe) list of available packs
+ */
+export async function listRulePacks() {
+  const packs = await loadRulePacks();
+  return [...packs.values()].map((p) => ({
+    id: p.id,
+    name: p.name,
+    version: p.version,
+    extends: p.extends,
+    languages: p.languages,
+    source: p.source,
+    isDefault: p.id === DEFAULT_RULE_PACK,
+    rules: p.rules.map((r) => ({
+      id: r.id,
+      category: r.category,
+      fileTypes: r.fileTypes,
+      signals: Object.keys(r.signals),
+      levels: r.severity.map((s) => s.level),
+    })),
+  }));
+}
+
+/**
+ * Ids of the rules in a pack that can fire at a blocking level (High/Critical)
+ */
+export function blockingRuleIds(pack) {
+  return new Set(
+    (pack?.rules || []).filter((r) => r.severity.some((s) => BLOCKING_LEVELS.has(s.level))).map((r) => r.id)
+  );
+}
+
+/**
+ * Matches of a signal's pattern groups (one per language). Within a group every match of every pattern counts,
+ * as the original hard-coded rules did ("rate card" is both "rate" and "rate card"); a later group does not count
+ * text an earlier one matched, so fr "marges?" / de "marge" score the same words once.
+ */
+function countHits(text, groups, max = 50) {
+  if (!text || !groups?.length) return 0;
+  const counted = [];
+  const overlaps = (start, stop) => counted.some(([s, e]) => start < e && stop > s);
+  let hits = 0;
+  for (const group of groups) {
+    const spans = [];
+    for (const re of group) {
+      for (const m of text.matchAll(re)) {
+        const span = [m.index, m.index + Math.max(1, m[0].length)];
+        if (overlaps(...span)) continue;
+        spans.push(span);
+        hits++;
+        if (hits >= max) return max;
+      }
+    }
+    counted.push(...spans);
+  }
+  return hits;
+}
+
+function checkCondition(cond, values) {
+  if (cond.all) return cond.all.every((c) => checkCondition(c, values));
+  if (cond.any) return cond.any.some((c) => checkCondition(c, values));
+  const total = cond.sum.reduce((acc, s) => acc + (values[s] || 0), 0);
+  switch (cond.op) {
+    case "gt":
+      return total > cond.value;
+    case "gte":
+      return total >= cond.value;
+    case "eq":
+      return total === cond.value;
+    case "lt":
+      return total < cond.value;
+    case "lte":
+      return total <= cond.value;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a pack against a document.
+ * Returns [{ rule, level, escalation, evidence, firedSignals }] for every rule whose trigger matched.
+ */
+export function evaluateRulePack(pack, { ext, text, detections } = {}) {
+  const results = [];
+  const fileType = String(ext || "").toLowerCase();
+
+  for (const rule of pack?.rules || []) {
+    if (rule.fileTypes && !rule.fileTypes.includes(fileType)) continue;
+
+    const evidence = {};
+    for (const [name, sig] of Object.entries(rule.signals)) {
+      evidence[name] = sig.detections
+        ? sig.detections.reduce((acc, key) => acc + (detections?.[key]?.length || 0), 0)
+        : countHits(text, sig.patterns, sig.max);
+    }
+
+    if (!checkCondition(rule.trigger, evidence)) continue;
+
+    const step = rule.severity.find((s) => !s.when || checkCondition(s.when, evidence));
+    results.push({
+      rule,
+      level: step.level,
+      escalation: step.id,
+      evidence,
+      firedSignals: Object.keys(evidence).filter((k) => evidence[k] > 0),
+    });
+  }
+
+  return results;
+}
+
+export default { loadRulePacks, resolveRulePack, listRulePacks, evaluateRulePack, blockingRuleIds, DEFAULT_RULE_PACK };
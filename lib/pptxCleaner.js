@@ -1,26 +1,357 @@
 // lib/pptxCleaner.js
 import JSZip from 'jszip';
+import { removeThumbnails } from './officeThumbnails.js';
+import { removeEmbeddedObjectsByClass } from './officeEmbeddings.js';
+
+// ---------- Package helpers (parts / rels / content types) ----------
+const escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "ppt/slides/slide1.xml" -> "ppt/slides/_rels/slide1.xml.rels"
+const relsPathFor = (part) => part.replace(/([^/]+)$/, '_rels/$1.rels');
+
+// Resolve a relationship Target against the directory of its source part
+function resolveTarget(sourcePart, target) {
+  if (target.startsWith('/')) return target.slice(1);
+  const parts = sourcePart.split('/').slice(0, -1);
+  for (const seg of target.split('/')) {
+    if (seg === '..') parts.pop();
+    else if (seg && seg !== '.') parts.push(seg);
+  }
+  return parts.join('/');
+}
+
+// Source part of a .rels file ("ppt/_rels/presentation.xml.rels" -> "ppt/presentation.xml")
+const sourcePartOfRels = (relsPath) => relsPath.replace(/_rels\/([^/]+)\.rels$/, '$1');
+
+async function removeContentTypeOverrides(zip, partNames) {
+  const ct = zip.file('[Content_Types].xml');
+  if (!ct || !partNames.length) return 0;
+  let xml = await ct.async('string');
+  let removed = 0;
+  for (const pn of partNames) {
+    xml = xml.replace(new RegExp(`<Override[^>]*PartName="/${escapeRegExp(pn)}"[^>]*/>`, 'g'), () => { removed++; return ''; });
+  }
+  zip.file('[Content_Types].xml', xml);
+  return removed;
+}
+
+// Is `part` still the Target of any relationship (ignoring rels owned by `ignoreSources`)?
+async function isPartReferenced(zip, part, ignoreSources = new Set()) {
+  for (const relsPath of Object.keys(zip.files).filter(k => k.endsWith('.rels'))) {
+    const source = sourcePartOfRels(relsPath);
+    if (ignoreSources.has(source)) continue;
+    const xml = await zip.file(relsPath).async('string');
+    for (const m of xml.matchAll(/<Relationship\b[^>]*Target="([^"]+)"[^>]*\/>/g)) {
+      if (/TargetMode="External"/.test(m[0])) continue;
+      if (resolveTarget(source, m[1]) === part) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Remove notes slides, then the notes master (+ its theme) when nothing references it anymore.
+ */
+async function removeSpeakerNotesParts(zip, stats) {
+  const removedParts = [];
+
+  const notesSlides = Object.keys(zip.files).filter(k => /^ppt\/notesSlides\/notesSlide\d+\.xml$/.test(k));
+  for (const p of notesSlides) {
+    zip.remove(p);
+    if (zip.file(relsPathFor(p))) zip.remove(relsPathFor(p));
+    removedParts.push(p);
+    stats.notesSlidesRemoved++;
+  }
+
+  // Slide -> notesSlide relationships
+  for (const rels of Object.keys(zip.files).filter(k => /^ppt\/slides\/_rels\/slide\d+\.xml\.rels$/.test(k))) {
+    let relXml = await zip.file(rels).async('string');
+    const before = relXml;
+    relXml = relXml.replace(/<Relationship\b[^>]*Type="[^"]*\/notesSlide"[^>]*\/>/g, () => { stats.notesRelsRemoved++; return ''; });
+    if (relXml !== before) zip.file(rels, relXml);
+  }
+
+  // Notes master: only if no remaining part points to it
+  const masters = Object.keys(zip.files).filter(k => /^ppt\/notesMasters\/notesMaster\d+\.xml$/.test(k));
+  for (const master of masters) {
+    if (await isPartReferenced(zip, master, new Set(['ppt/presentation.xml', master]))) continue;
+
+    const masterRels = relsPathFor(master);
+    const themeParts = [];
+    if (zip.file(masterRels)) {
+      const relXml = await zip.file(masterRels).async('string');
+      for (const m of relXml.matchAll(/<Relationship\b[^>]*Type="[^"]*\/theme"[^>]*Target="([^"]+)"[^>]*\/>/g)) {
+        themeParts.push(resolveTarget(master, m[1]));
+      }
+      zip.remove(masterRels);
+    }
+    zip.remove(master);
+    removedParts.push(master);
+    stats.notesMasterRemoved++;
+
+    // presentation.xml: <p:notesMasterIdLst> + matching relationship
+    const presRelsPath = 'ppt/_rels/presentation.xml.rels';
+    if (zip.file(presRelsPath)) {
+      let presRels = await zip.file(presRelsPath).async('string');
+      const rIds = [];
+      presRels = presRels.replace(/<Relationship\b[^>]*Type="[^"]*\/notesMaster"[^>]*\/>/g, (tag) => {
+        const id = (tag.match(/Id="([^"]+)"/) || [])[1];
+        const target = (tag.match(/Target="([^"]+)"/) || [])[1];
+        if (target && resolveTarget('ppt/presentation.xml', target) !== master) return tag;
+        if (id) rIds.push(id);
+        stats.notesRelsRemoved++;
+        return '';
+      });
+      zip.file(presRelsPath, presRels);
+
+      if (zip.file('ppt/presentation.xml') && rIds.length) {
+        let presXml = await zip.file('ppt/presentation.xml').async('string');
+        for (const id of rIds) {
+          presXml = presXml.replace(new RegExp(`<p:notesMasterId\\b[^>]*r:id="${escapeRegExp(id)}"[^>]*\\/>`, 'g'), '');
+        }
+        presXml = presXml.replace(/<p:notesMasterIdLst>\s*<\/p:notesMasterIdLst>/g, '');
+        zip.file('ppt/presentation.xml', presXml);
+      }
+    }
+
+    // Theme used only by the notes master
+    for (const theme of themeParts) {
+      if (zip.file(theme) && !(await isPartReferenced(zip, theme))) {
+        zip.remove(theme);
+        if (zip.file(relsPathFor(theme))) zip.remove(relsPathFor(theme));
+        removedParts.push(theme);
+      }
+    }
+  }
+
+  stats.contentTypesOverridesRemoved += await removeContentTypeOverrides(zip, removedParts);
+}
+
+const decodeXml = (s) => String(s)
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+// Title placeholder text (title / ctrTitle), null if none
+function extractSlideTitle(slideXml) {
+  for (const sp of slideXml.match(/<p:sp\b[\s\S]*?<\/p:sp>/g) || []) {
+    if (!/<p:ph\b[^>]*type="(?:title|ctrTitle)"/.test(sp)) continue;
+    const text = (sp.match(/<a:t>([^<]*)<\/a:t>/g) || []).map(t => decodeXml(t.replace(/<\/?a:t>/g, ''))).join('').trim();
+    if (text) return text;
+  }
+  return null;
+}
+
+// Drop relationships of every .rels pointing to `parts`, and the r:id usages (hyperlinks) in their source part
+async function removeRelationshipsToParts(zip, parts, stats) {
+  for (const relsPath of Object.keys(zip.files).filter(k => k.endsWith('.rels'))) {
+    const source = sourcePartOfRels(relsPath);
+    let relXml = await zip.file(relsPath).async('string');
+    const ids = [];
+    relXml = relXml.replace(/<Relationship\b[^>]*\/>/g, (tag) => {
+      if (/TargetMode="External"/.test(tag)) return tag;
+      const target = (tag.match(/Target="([^"]+)"/) || [])[1];
+      if (!target || !parts.has(resolveTarget(source, target))) return tag;
+      ids.push((tag.match(/Id="([^"]+)"/) || [])[1]);
+      return '';
+    });
+    if (!ids.length) continue;
+    zip.file(relsPath, relXml);
+    stats.hiddenSlidesRelsRemoved += ids.length;
+
+    const src = zip.file(source);
+    if (!src || source === 'ppt/presentation.xml') continue;
+    let xml = await src.async('string');
+    for (const id of ids.filter(Boolean)) {
+      const rid = escapeRegExp(id);
+      xml = xml
+        .replace(new RegExp(`<a:hlink(Click|Hover)\\b[^>]*r:id="${rid}"[^>]*/>`, 'g'), '')
+        .replace(new RegExp(`<a:hlink(Click|Hover)\\b[^>]*r:id="${rid}"[^>]*>[\\s\\S]*?</a:hlink\\1>`, 'g'), '');
+    }
+    zip.file(source, xml);
+  }
+}
+
+// Internal targets of a part's relationships (layout / slide links excluded: never owned by the source)
+async function ownedRelTargets(zip, part) {
+  const rels = zip.file(relsPathFor(part));
+  if (!rels) return [];
+  const targets = [];
+  for (const m of (await rels.async('string')).matchAll(/<Relationship\b[^>]*\/>/g)) {
+    if (/TargetMode="External"/.test(m[0])) continue;
+    const type = (m[0].match(/Type="([^"]+)"/) || [])[1] || '';
+    const target = (m[0].match(/Target="([^"]+)"/) || [])[1];
+    if (!target || /\/(slideLayout|slide)$/.test(type)) continue;
+    targets.push(resolveTarget(part, target));
+  }
+  return targets;
+}
+
+/**
+ * Remove hidden slides (show="0" on p:sldId or on the slide root), their rels, notes and orphaned media,
+ * then renumber remaining slides slide1..N in presentation order.
+ */
+async function removeHiddenSlidesParts(zip, stats) {
+  const presPath = 'ppt/presentation.xml';
+  const presRelsPath = 'ppt/_rels/presentation.xml.rels';
+  if (!zip.file(presPath) || !zip.file(presRelsPath)) return;
+
+  let presXml = await zip.file(presPath).async('string');
+  const presRels = await zip.file(presRelsPath).async('string');
+
+  const relTargets = {};
+  for (const m of presRels.matchAll(/<Relationship\b[^>]*\/>/g)) {
+    const id = (m[0].match(/Id="([^"]+)"/) || [])[1];
+    const target = (m[0].match(/Target="([^"]+)"/) || [])[1];
+    if (id && target) relTargets[id] = resolveTarget(presPath, target);
+  }
+
+  const sldIdLst = (presXml.match(/<p:sldIdLst>([\s\S]*?)<\/p:sldIdLst>/) || [])[1] || '';
+  const entries = [...sldIdLst.matchAll(/<p:sldId\b[^>]*\/>/g)].map((m, index) => ({
+    tag: m[0],
+    number: index + 1,
+    id: (m[0].match(/\bid="([^"]+)"/) || [])[1],
+    rId: (m[0].match(/r:id="([^"]+)"/) || [])[1],
+  }));
+
+  const removedParts = [];
+  const removedSlideParts = new Set();
+  const kept = [];
+
+  for (const e of entries) {
+    const part = relTargets[e.rId];
+    const slideXml = part && zip.file(part) ? await zip.file(part).async('string') : '';
+    const hidden = /\bshow="0"/.test(e.tag) || /<p:sld\b[^>]*\bshow="0"/.test(slideXml);
+    if (!hidden || !part) { kept.push({ ...e, part }); continue; }
+
+    // Parts only this slide points to (notes, media, charts, ...) — checked once the slide is gone
+    const candidates = await ownedRelTargets(zip, part);
+    if (zip.file(relsPathFor(part))) zip.remove(relsPathFor(part));
+    zip.remove(part);
+    removedParts.push(part);
+    removedSlideParts.add(part);
+
+    presXml = presXml.replace(e.tag, '');
+    stats.hiddenSlidesRemoved++;
+    stats.removedSlides.push({ number: e.number, title: extractSlideTitle(slideXml), part });
+
+    // Orphans own parts in turn (chart -> embedded source workbook, notes -> media): same check at each level
+    while (candidates.length) {
+      const c = candidates.shift();
+      if (!zip.file(c) || await isPartReferenced(zip, c, new Set([part, c]))) continue;
+      candidates.push(...(await ownedRelTargets(zip, c)));
+      if (zip.file(relsPathFor(c))) zip.remove(relsPathFor(c));
+      zip.remove(c);
+      removedParts.push(c);
+      if (/^ppt\/media\//.test(c)) stats.mediaDeleted++;
+    }
+  }
+
+  if (!removedSlideParts.size) return;
+
+  // presentation.xml: custom shows + section lists (p14) referencing removed slides
+  const removedRIds = entries.filter(e => removedSlideParts.has(relTargets[e.rId])).map(e => e.rId);
+  const removedIds = entries.filter(e => removedSlideParts.has(relTargets[e.rId])).map(e => e.id);
+  for (const rId of removedRIds) {
+    presXml = presXml.replace(new RegExp(`<p:sld\\b[^>]*r:id="${escapeRegExp(rId)}"[^>]*/>`, 'g'), '');
+  }
+  for (const id of removedIds.filter(Boolean)) {
+    presXml = presXml.replace(new RegExp(`<p14:sldId\\b[^>]*\\bid="${escapeRegExp(id)}"[^>]*/>`, 'g'), '');
+  }
+  zip.file(presPath, presXml);
+
+  // presentation.xml.rels + any other rels (notes back-links, slide-jump hyperlinks)
+  await removeRelationshipsToParts(zip, removedSlideParts, stats);
+  stats.contentTypesOverridesRemoved += await removeContentTypeOverrides(zip, removedParts);
+
+  await renumberSlides(zip, kept.map(k => k.part).filter(Boolean));
+}
+
+// Rename slide parts to ppt/slides/slide1..N.xml (in the given order) and rewrite every reference
+async function renumberSlides(zip, orderedParts) {
+  const renames = new Map();
+  orderedParts.forEach((p, i) => {
+    const next = `ppt/slides/slide${i + 1}.xml`;
+    if (p !== next) renames.set(p, next);
+  });
+  if (!renames.size) return;
+
+  // Two-phase move to avoid collisions (slide3 -> slide2 while slide2 still exists)
+  const moved = [];
+  for (const [from, to] of renames) {
+    const body = await zip.file(from).async('nodebuffer');
+    const relsFrom = relsPathFor(from);
+    const rels = zip.file(relsFrom) ? await zip.file(relsFrom).async('nodebuffer') : null;
+    zip.remove(from);
+    if (rels) zip.remove(relsFrom);
+    moved.push({ to, body, rels });
+  }
+  for (const { to, body, rels } of moved) {
+    zip.file(to, body);
+    if (rels) zip.file(relsPathFor(to), rels);
+  }
+
+  // Moved slides stay in ppt/slides/, so their relative targets resolve the same way
+  for (const relsPath of Object.keys(zip.files).filter(k => k.endsWith('.rels'))) {
+    const source = sourcePartOfRels(relsPath);
+    let relXml = await zip.file(relsPath).async('string');
+    let changed = false;
+    relXml = relXml.replace(/(<Relationship\b[^>]*Target=")([^"]+)("[^>]*\/>)/g, (tag, pre, target, post) => {
+      if (/TargetMode="External"/.test(tag)) return tag;
+      const next = renames.get(resolveTarget(source, target));
+      if (!next) return tag;
+      changed = true;
+      return pre + target.replace(/[^/]+$/, next.split('/').pop()) + post;
+    });
+    if (changed) zip.file(relsPath, relXml);
+  }
+
+  const ct = zip.file('[Content_Types].xml');
+  if (ct) {
+    let xml = await ct.async('string');
+    xml = xml.replace(/PartName="\/(ppt\/slides\/slide\d+\.xml)"/g, (m, pn) => renames.has(pn) ? `PartName="/${renames.get(pn)}"` : m);
+    zip.file('[Content_Types].xml', xml);
+  }
+}
 
 /**
  * drawPolicy:
  *  - "auto" (default): enlève ink (a14:ink) ; conserve p:pic (images/logos)
  *  - "all": supprime p:pic (images) + ink => slides texte-only
  *  - "none": ne touche pas aux dessins/images
+ * removeSpeakerNotes: supprime notesSlides + notesMaster (si orphelin) + rels/content types
+ * removeHiddenSlides: supprime les slides masquées (show="0") + rels/notes/médias orphelins, puis renumérote
+ * embeddedObjectClasses: classes d'objets incorporés à supprimer (activex, executable, ole_package,
+ *   office_document, pdf_document, chart_data, ole_object) ; [] par défaut
  */
-export async function cleanPPTX(buffer, { drawPolicy = "auto" } = {}) {
+export async function cleanPPTX(
+  buffer,
+  { drawPolicy = "auto", removeSpeakerNotes = false, removeHiddenSlides = false, embeddedObjectClasses = [] } = {}
+) {
   const stats = {
     metaRemoved: 0,
+    thumbnailsRemoved: 0,
     commentsXmlRemoved: 0,
     relsCommentsRemoved: 0,
     inkRemoved: 0,
     picturesRemoved: 0,
     mediaDeleted: 0,
+    notesSlidesRemoved: 0,
+    notesMasterRemoved: 0,
+    notesRelsRemoved: 0,
+    contentTypesOverridesRemoved: 0,
+    hiddenSlidesRemoved: 0,
+    hiddenSlidesRelsRemoved: 0,
+    removedSlides: [],
+    embeddedObjectsRemoved: 0,
+    activeXRemoved: 0,
+    executablesRemoved: 0,
+    removedEmbeddedObjects: [],
   };
 
   const zip = await JSZip.loadAsync(buffer);
 
   // 1) Privacy
   ['docProps/core.xml','docProps/app.xml','docProps/custom.xml'].forEach(p => { if (zip.file(p)) { zip.remove(p); stats.metaRemoved++; } });
+  await removeThumbnails(zip, stats); // first slide as last saved
   for (const k of Object.keys(zip.files)) {
     if (/^ppt\/comments\/.+\.xml$/.test(k)) { zip.remove(k); stats.commentsXmlRemoved++; }
   }
@@ -37,6 +368,15 @@ export async function cleanPPTX(buffer, { drawPolicy = "auto" } = {}) {
     }
   }
 
+  // 1b) Speaker notes
+  if (removeSpeakerNotes) await removeSpeakerNotesParts(zip, stats);
+
+  // 1c) Hidden slides
+  if (removeHiddenSlides) await removeHiddenSlidesParts(zip, stats);
+
+  // 1d) Embedded objects / ActiveX controls, by class
+  await removeEmbeddedObjectsByClass(zip, embeddedObjectClasses, stats);
+
   // 2) Slides
   for (const sp of Object.keys(zip.files).filter(k => /^ppt\/slides\/slide\d+\.xml$/.test(k))) {
     let xml = await zip.file(sp).async('string');
@@ -199,6 +199,8 @@ export function buildReportData({
   scoreImpacts = {},
   user = null,
   organization = null,
+  override = null,
+  verification = null,
 }) {
   const analyzerScore = analysis?.summary?.riskScore;
   const beforeScore =
@@ -263,6 +265,36 @@ export function buildReportData({
     });
   }
 
+  if (fmt(cleaning?.thumbnailsRemoved) > 0 && !metadataItems.some((m) => m.label === "Thumbnail")) {
+    metadataItems.push({ label: "Thumbnail", value: `${fmt(cleaning.thumbnailsRemoved)} preview image(s) removed` });
+  }
+
+  // DOCX editing-session fingerprints (scrubFingerprints)
+  if (fmt(cleaning?.rsidAttributesRemoved) > 0 || fmt(cleaning?.settingsElementsRemoved) > 0) {
+    metadataItems.push({
+      label: "Editing-session fingerprints",
+      value:
+        `${fmt(cleaning.rsidAttributesRemoved)} rsid attribute(s), ${fmt(cleaning.rsidSessionsRemoved)} session ID(s), ` +
+        `${fmt(cleaning.docVarsRemoved)} document variable(s), ${fmt(cleaning.settingsElementsRemoved)} settings element(s) removed`,
+    });
+  }
+  if (fmt(cleaning?.fingerprintPartsRemoved) > 0) {
+    metadataItems.push({
+      label: "Reviewer directory",
+      value: `people.xml removed (${fmt(cleaning.peopleRemoved)} reviewer(s))`,
+    });
+  }
+
+  // PDF sanitize: structural metadata removed by cleanPDF
+  if (cleaning?.infoDictRemoved) metadataItems.push({ label: "PDF Info dictionary", value: "Removed" });
+  if (cleaning?.xmpMetadataRemoved) metadataItems.push({ label: "XMP metadata stream (catalog)", value: "Removed" });
+  if (fmt(cleaning?.objectMetadataRemoved) > 0) {
+    metadataItems.push({ label: "XMP metadata (pages/images)", value: `${fmt(cleaning.objectMetadataRemoved)} stream(s) removed` });
+  }
+  if (fmt(cleaning?.pieceInfoRemoved) > 0) {
+    metadataItems.push({ label: "PieceInfo (application private data)", value: `${fmt(cleaning.pieceInfoRemoved)} entr${fmt(cleaning.pieceInfoRemoved) > 1 ? "ies" : "y"} removed` });
+  }
+
   // Comments
   const commentItems = [];
   if (Array.isArray(analysis?.detections?.comments)) {
@@ -295,7 +327,7 @@ export function buildReportData({
       else if (newText) displayText = `"${newText}"`;
       const author = tc.author || "Unknown";
       trackChangesItems.push({
-        label: `${typeEmoji} by ${author}`,
+        label: type === "revision_history" ? `🕘 Only in earlier revision ${tc.revision}:` : `${typeEmoji} by ${author}`,
         value: displayText.length > 220 ? displayText.substring(0, 220) + "..." : displayText,
       });
     });
@@ -318,6 +350,7 @@ export function buildReportData({
         hidden_column: "Hidden column",
         hidden_sheet: "Hidden sheet",
         hidden_layer: "Hidden layer (PDF)",
+        off_page_text: "Off-page text (PDF)",
         pdf_javascript: "PDF JavaScript",
       };
 
@@ -423,7 +456,17 @@ export function buildReportData({
         very_hidden_sheet: "Very hidden sheet",
         hidden_column: "Hidden column",
         hidden_row: "Hidden row",
+        collapsed_outline: "Collapsed outline group",
+        tiny_row_height: "Near-zero row height",
+        tiny_column_width: "Near-zero column width",
+        hidden_number_format: "Hidden number format",
+        invisible_font: "Invisible font",
         hidden_formula: "Hidden formula",
+        external_link: "External workbook link",
+        data_connection: "Data connection",
+        query_table: "Query table",
+        pivot_cache: "Pivot cache",
+        comment_author_directory: "Comment authors",
       }[type] || "Excel hidden data";
       excelHiddenDataItems.push({
         label: `${typeLabel}: ${ed.name || ""}`.trim(),
@@ -476,7 +519,8 @@ export function buildReportData({
     ),
     metadataExposure: calculateCategoryStats(
       metadataItems,
-      fmt(cleaning?.metaRemoved) || metadataItems.length,
+      (fmt(cleaning?.metaRemoved) + fmt(cleaning?.thumbnailsRemoved) + fmt(cleaning?.fingerprintPartsRemoved)) ||
+        metadataItems.length,
       metadataItems.length > 3 ? "medium" : "low"
     ),
     commentsReview: calculateCategoryStats(
@@ -518,12 +562,23 @@ export function buildReportData({
     metadata: {
       count: metadataItems.length || fmt(cleaning?.metaRemoved) || 0,
       items: metadataItems,
+      thumbnailsRemoved: fmt(cleaning?.thumbnailsRemoved) || 0,
+      fingerprints: {
+        rsidAttributesRemoved: fmt(cleaning?.rsidAttributesRemoved) || 0,
+        rsidSessionsRemoved: fmt(cleaning?.rsidSessionsRemoved) || 0,
+        docVarsRemoved: fmt(cleaning?.docVarsRemoved) || 0,
+        peopleRemoved: fmt(cleaning?.peopleRemoved) || 0,
+        settingsElementsRemoved: fmt(cleaning?.settingsElementsRemoved) || 0,
+        partsRemoved: fmt(cleaning?.fingerprintPartsRemoved) || 0,
+      },
       scoreImpact: scoreImpacts.metadata || Math.min(10, metadataItems.length * 2),
     },
     comments: {
       count: commentItems.length || (fmt(cleaning?.commentsXmlRemoved) + fmt(cleaning?.commentMarkersRemoved)) || 0,
       items: commentItems,
-      scoreImpact: scoreImpacts.comments || Math.min(15, commentItems.length * 3),
+      speakerNotesRemoved: fmt(cleaning?.notesSlidesRemoved) || 0,
+      scoreImpact:
+        (scoreImpacts.comments || 0) + (scoreImpacts.speakerNotes || 0) || Math.min(15, commentItems.length * 3),
     },
     trackChanges: {
       count: trackChangesItems.length ||
@@ -536,7 +591,19 @@ export function buildReportData({
     hiddenContent: {
       count: hiddenContentDetailedCount || hiddenContentItems.length || fmt(cleaning?.hiddenRemoved) || 0,
       items: hiddenContentItems,
-      scoreImpact: scoreImpacts.hiddenContent || Math.min(20, (hiddenContentDetailedCount || hiddenContentItems.length) * 5),
+      removedSlides: (Array.isArray(cleaning?.removedSlides) ? cleaning.removedSlides : []).map((sl) => ({
+        label: `Slide ${sl.number}`,
+        value: sl.title || "(untitled slide)",
+        number: sl.number,
+        title: sl.title || null,
+      })),
+      removedText: (Array.isArray(cleaning?.removedHiddenText) ? cleaning.removedHiddenText : []).map((h) => ({
+        label: `Page ${h.page} — ${String(h.reason || "hidden").replace(/_/g, " ")}`,
+        value: h.text || "(hidden text)",
+      })),
+      scoreImpact:
+        (scoreImpacts.hiddenContent || 0) + (scoreImpacts.hiddenSlides || 0) ||
+        Math.min(20, (hiddenContentDetailedCount || hiddenContentItems.length) * 5),
     },
     macros: {
       count: macroItems.length || fmt(cleaning?.macrosRemoved) || 0,
@@ -547,6 +614,14 @@ export function buildReportData({
       count: sensitiveDataItems.length,
       items: sensitiveDataItems,
       types: Array.from(sensitiveDataTypes),
+      pdfRedaction: cleaning?.pdfRedaction
+        ? {
+            occurrencesRemoved: fmt(cleaning.pdfRedaction.occurrencesRemoved),
+            glyphsRemoved: fmt(cleaning.pdfRedaction.glyphsRemoved),
+            notFound: cleaning.pdfRedaction.notFound || [],
+            verification: cleaning.pdfRedaction.verification || null,
+          }
+        : null,
       scoreImpact: scoreImpacts.sensitiveData || Math.min(25, sensitiveDataItems.length * 5),
     },
     spellingGrammar: {
@@ -569,6 +644,47 @@ export function buildReportData({
       items: excelHiddenDataItems,
       scoreImpact: scoreImpacts.excelHiddenData || Math.min(15, excelHiddenDataItems.length * 4),
     },
+    fieldCodes: {
+      count: fmt(cleaning?.fieldsUnlinked),
+      items: (Array.isArray(cleaning?.unlinkedFields) ? cleaning.unlinkedFields : []).map((f) => ({
+        label: `${f.fieldType || "Field"} (${String(f.classification || "field").replace(/_/g, " ")})`,
+        value: `${f.instruction}${f.result ? ` → "${f.result}"` : " → (no cached result)"}`,
+      })),
+      ddeRemoved: fmt(cleaning?.ddeFieldsRemoved),
+      scoreImpact: scoreImpacts.fieldCodes || 0,
+    },
+    embeddedObjects: {
+      count: fmt(cleaning?.embeddedObjectsRemoved),
+      items: (Array.isArray(cleaning?.removedEmbeddedObjects) ? cleaning.removedEmbeddedObjects : []).map((o) => ({
+        label: `${String(o.objectClass || "object").replace(/_/g, " ")}${o.progId ? ` (${o.progId})` : ""}`,
+        value: o.fileName ? `${o.fileName} — ${o.part}` : o.part,
+      })),
+      activeXRemoved: fmt(cleaning?.activeXRemoved),
+      executablesRemoved: fmt(cleaning?.executablesRemoved),
+      scoreImpact: scoreImpacts.embeddedObjects || 0,
+    },
+    embeddedDocuments: {
+      count: fmt(cleaning?.embeddedDocumentsCleaned) + fmt(cleaning?.embeddedWorkbooksRebuilt),
+      items: (Array.isArray(cleaning?.cleanedEmbeddedDocuments) ? cleaning.cleanedEmbeddedDocuments : []).map((d) => ({
+        label: `${String(d.format || "document").toUpperCase()} ${
+          d.action === "values" ? "rebuilt from chart values" : d.action === "skipped" ? `skipped (${d.reason})` : "cleaned"
+        }`,
+        value: d.location ? `${d.location} — ${d.part}` : d.part,
+      })),
+      workbooksRebuilt: fmt(cleaning?.embeddedWorkbooksRebuilt),
+      skipped: fmt(cleaning?.embeddedDocumentsSkipped),
+      scoreImpact: 0, // counted under embeddedObjects
+    },
+    unsafeRedactions: {
+      count: fmt(cleaning?.unsafeRedactionsFixed),
+      items: (Array.isArray(cleaning?.fixedRedactions) ? cleaning.fixedRedactions : []).map((r) => ({
+        label: `${String(r.technique || "redaction").replace(/_/g, " ")} — page ${r.page}`,
+        value: r.text || "(covered text)",
+      })),
+      glyphsRemoved: fmt(cleaning?.coveredGlyphsRemoved),
+      annotationsApplied: fmt(cleaning?.redactAnnotationsApplied),
+      scoreImpact: scoreImpacts.unsafeRedactions || 0,
+    },
   };
 
   const totalRemoved = Object.values(cleaningSummary).reduce((sum, cat) => sum + (cat.count || 0), 0);
@@ -612,6 +728,40 @@ export function buildReportData({
     });
   }
 
+  if (Array.isArray(analysis?.detections?.externalResources)) {
+    const classificationLabel = {
+      template_injection: "Remote template / content injection",
+      tracking_beacon: "Tracking beacon",
+      internal_path_exposure: "Internal path exposure",
+      launch_action: "Launch action",
+    };
+    analysis.detections.externalResources.forEach((xr) => {
+      if (xr.classification === "hyperlink") return; // visible PDF links, listed but not a risk
+      risksDetected.push({
+        id: xr.id || uuid(),
+        severity: xr.severity || "high",
+        type: xr.classification || "external_resource",
+        description: `${classificationLabel[xr.classification] || "External resource"}: ${xr.description || xr.target || ""}`,
+        context: xr.target || xr.location || "",
+        action: fmt(cleaning?.externalResourcesNeutralized) > 0 ? "neutralized" : "flagged",
+      });
+    });
+  }
+
+  if (Array.isArray(analysis?.detections?.unsafeRedactions)) {
+    analysis.detections.unsafeRedactions.forEach((ur) => {
+      const b = ur.boundingBox || {};
+      risksDetected.push({
+        id: ur.id || uuid(),
+        severity: ur.severity || "critical",
+        type: "unsafe_redaction",
+        description: ur.description || "Redaction box over extractable text",
+        context: `Page ${ur.page} [${[b.x0, b.y0, b.x1, b.y1].join(", ")}] — ${String(ur.text || "").slice(0, 120)}`,
+        action: fmt(cleaning?.unsafeRedactionsFixed) > 0 ? "removed" : "flagged",
+      });
+    });
+  }
+
   if (Array.isArray(analysis?.detections?.hiddenContent)) {
     const criticalHidden = analysis.detections.hiddenContent.filter(
       (h) => h.type === "white_text" || h.type === "vanished_text"
@@ -734,8 +884,11 @@ export function buildReportData({
   const clarityScoreImprovement =
     allCorrections.length > 0 ? Math.min(25, Math.round(allCorrections.length * 2.5)) : 0;
   const documentSizeReduction =
-    (fmt(cleaning?.mediaDeleted) + fmt(cleaning?.embeddedFilesRemoved)) > 0
-      ? Math.min(30, (fmt(cleaning?.mediaDeleted) + fmt(cleaning?.embeddedFilesRemoved)) * 5)
+    (fmt(cleaning?.mediaDeleted) + fmt(cleaning?.embeddedFilesRemoved) + fmt(cleaning?.embeddedObjectsRemoved)) > 0
+      ? Math.min(
+          30,
+          (fmt(cleaning?.mediaDeleted) + fmt(cleaning?.embeddedFilesRemoved) + fmt(cleaning?.embeddedObjectsRemoved)) * 5
+        )
       : 0;
 
   console.log(
@@ -769,6 +922,17 @@ export function buildReportData({
     recommendations: formattedRecommendations,
     businessRisks,
     businessRiskAssessment,
+    override: override || null,
+    residualRisks: verification || null,
+    textOnlyRebuild: cleaning?.textOnly
+      ? {
+          pages: fmt(cleaning.textOnlyPages),
+          headings: fmt(cleaning.headings),
+          font: cleaning.font || null,
+          unsupportedCharacters: fmt(cleaning.unsupportedCharacters),
+          missingGlyphs: Array.isArray(cleaning.missingGlyphs) ? cleaning.missingGlyphs : [],
+        }
+      : null,
   };
 }
 
@@ -788,6 +952,8 @@ export function buildReportHtmlDetailed({
   afterRiskScore,
   user = null,
   organization = null,
+  override = null,
+  verification = null,
 }) {
   const reportData = buildReportData({
     filename,
@@ -801,13 +967,16 @@ export function buildReportHtmlDetailed({
     afterRiskScore,
     user,
     organization,
+    override,
+    verification,
   });
 
   const beforeStyle = getScoreStyle(reportData.beforeScore);
   const afterStyle = getScoreStyle(reportData.afterScore);
 
-  const isReady = reportData.complianceStatus === "safe" || 
-    (reportData.businessRisks?.clientReady === "YES");
+  const isReady = (reportData.complianceStatus === "safe" || 
+    (reportData.businessRisks?.clientReady === "YES")) &&
+    !(reportData.residualRisks?.counts?.blocking > 0);
   
   const processedDate = new Date().toLocaleDateString("en-US", {
     year: "numeric",
@@ -895,6 +1064,82 @@ export function buildReportHtmlDetailed({
     ${getCategoryRow("Excel Hidden Data", reportData.executiveOverview.excelHiddenData)}
   `;
 
+  // Text-only rebuild: characters no bundled / configured font could draw were replaced by "?"
+  const missingGlyphsBlock = reportData.textOnlyRebuild?.unsupportedCharacters > 0
+    ? `
+      <div class="certificate-override">
+        <strong>⚠️ Characters not rendered</strong> — ${reportData.textOnlyRebuild.unsupportedCharacters} character(s)
+        of the text-only PDF were replaced by “?” (no embedded font covers them: ${escapeHtml(reportData.textOnlyRebuild.missingGlyphs.join(" "))}).
+        Add a font covering them via TEXT_ONLY_PDF_FONTS.
+      </div>
+    `
+    : "";
+
+  // Override notice (document exported although blocking business flags were acknowledged)
+  const overrideCertificateBlock = reportData.override?.exportedUnderOverride
+    ? `
+      <div class="certificate-override">
+        <strong>⚠️ Exported under override</strong> — blocking business risks were acknowledged
+        (document ${escapeHtml(reportData.override.documentId)}${reportData.override.chainValid ? "" : ", audit chain integrity check FAILED"}).
+        <ul>
+          ${reportData.override.overrides.map((o) => `
+            <li>${escapeHtml(formatDate(o.timestamp))} — ${escapeHtml(o.userId)}:
+              ${escapeHtml((o.acknowledgedFlags || []).join(", "))} — “${escapeHtml(o.reason)}”</li>
+          `).join("")}
+        </ul>
+        ${reportData.override.unacknowledgedFlags?.length
+          ? `<p>Not acknowledged: ${escapeHtml(reportData.override.unacknowledgedFlags.join(", "))}</p>`
+          : ""}
+      </div>
+    `
+    : "";
+
+  // Residual Risks (post-clean re-analysis of the output file)
+  const generateResidualRisksSection = () => {
+    const rr = reportData.residualRisks;
+    if (!rr) return "";
+
+    const statusText = {
+      clean: "Verified: the cleaned file was re-analyzed and no remaining risks were found.",
+      residual: `${rr.counts.total} item${rr.counts.total > 1 ? "s are" : " is"} still present in the cleaned file. None of them were targeted by the cleaning policy.`,
+      blocking: `${rr.counts.blocking} of ${rr.counts.total} remaining item${rr.counts.total > 1 ? "s" : ""} should have been removed by the cleaning policy. Review before sending.`,
+      failed: "The cleaned file could not be re-analyzed; residual risks are unverified.",
+    }[rr.status] || "";
+
+    return `
+    <div class="section-card">
+      <h2 class="section-title"><span>🔎</span> Residual Risks</h2>
+      <p class="residual-status ${escapeHtml(rr.status)}">${escapeHtml(statusText)}</p>
+      ${typeof rr.residualScore === "number" ? `
+        <p class="residual-meta">Measured score after cleaning: <strong>${rr.residualScore}</strong>${typeof rr.estimatedAfterScore === "number" ? ` (estimated: ${rr.estimatedAfterScore})` : ""} • Spell-check not re-run</p>
+      ` : ""}
+      ${rr.items.length ? `
+        <table class="annex-table residual-table">
+          <thead>
+            <tr>
+              <th>Category</th>
+              <th>Location</th>
+              <th>Details</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rr.items.slice(0, 30).map((item) => `
+              <tr class="${item.blocking ? "blocking" : ""}">
+                <td class="item-label">${escapeHtml(item.category)}${item.type ? ` <span class="residual-type">${escapeHtml(item.type)}</span>` : ""}</td>
+                <td>${escapeHtml(item.location || "")}</td>
+                <td class="item-value">${escapeHtml(item.detail || "")}</td>
+                <td>${item.blocking ? "⛔ Blocking" : "Kept"}</td>
+              </tr>
+            `).join("")}
+            ${rr.items.length > 30 ? `<tr><td colspan="4" class="more-items">... and ${rr.items.length - 30} more items</td></tr>` : ""}
+          </tbody>
+        </table>
+      ` : ""}
+    </div>
+    `;
+  };
+
   // Annex Section Generator
   const generateAnnexSection = (title, icon, items) => {
     if (!items || items.length === 0) return "";
@@ -1504,6 +1749,28 @@ export function buildReportHtmlDetailed({
 
     .certificate-meta span { display: flex; align-items: center; gap: 6px; }
 
+    .certificate-override {
+      margin: 0 auto 16px;
+      max-width: 560px;
+      padding: 12px 16px;
+      border: 1px solid #f59e0b;
+      border-radius: 8px;
+      background: rgba(245, 158, 11, 0.12);
+      text-align: left;
+      font-size: 13px;
+      color: var(--slate-300);
+    }
+    .certificate-override strong { color: #fbbf24; }
+    .certificate-override ul { margin: 8px 0 0 18px; padding: 0; }
+
+    /* Residual Risks */
+    .residual-status { font-size: 14px; margin-bottom: 8px; color: var(--slate-700); }
+    .residual-status.clean { color: var(--emerald-700); }
+    .residual-status.blocking, .residual-status.failed { color: var(--amber-700); font-weight: 600; }
+    .residual-meta { font-size: 13px; color: var(--slate-500); margin-bottom: 12px; }
+    .residual-type { color: var(--slate-400); font-size: 12px; }
+    .residual-table tr.blocking td { background: var(--amber-50); }
+
     /* Footer */
     .footer { text-align: center; padding: 24px; color: var(--slate-500); font-size: 13px; }
 
@@ -1624,6 +1891,9 @@ export function buildReportHtmlDetailed({
       </table>
     </div>
 
+    <!-- Residual Risks (post-clean verification) -->
+    ${generateResidualRisksSection()}
+
     <!-- Business Risks Section (CONSERVÉ - complet) -->
     ${businessRisksSection}
 
@@ -1636,9 +1906,15 @@ export function buildReportHtmlDetailed({
       ${generateAnnexSection('Comments Cleaned', '💬', reportData.cleaningSummary.comments.items)}
       ${generateAnnexSection('Track Changes Processed', '📝', reportData.cleaningSummary.trackChanges.items)}
       ${generateAnnexSection('Hidden Content Removed', '👁️', reportData.cleaningSummary.hiddenContent.items)}
+      ${generateAnnexSection('Hidden Slides Removed', '🗂️', reportData.cleaningSummary.hiddenContent.removedSlides)}
+      ${generateAnnexSection('Hidden Text Removed', '👻', reportData.cleaningSummary.hiddenContent.removedText)}
       ${generateAnnexSection('Macros Disabled', '⚠️', reportData.cleaningSummary.macros.items)}
       ${generateCorrectionsAnnex()}
       ${generateAnnexSection('Excel Hidden Data', '📊', reportData.cleaningSummary.excelHiddenData.items)}
+      ${generateAnnexSection('Fields Unlinked', '🔗', reportData.cleaningSummary.fieldCodes.items)}
+      ${generateAnnexSection('Embedded Objects Removed', '📎', reportData.cleaningSummary.embeddedObjects.items)}
+      ${generateAnnexSection('Embedded Documents Cleaned', '🗃️', reportData.cleaningSummary.embeddedDocuments.items)}
+      ${generateAnnexSection('Unsafe Redactions Fixed', '⬛', reportData.cleaningSummary.unsafeRedactions.items)}
     </div>
 
     <!-- Recommendations (CONSERVÉ) -->
@@ -1652,6 +1928,8 @@ export function buildReportHtmlDetailed({
         This document has been processed by Qualion Proposal's AI-powered cleaning engine.
         All detected risks have been addressed according to enterprise security standards.
       </p>
+      ${overrideCertificateBlock}
+      ${missingGlyphsBlock}
       <div class="certificate-meta">
         <span>📅 ${processedDateTime}</span>
         <span>🔐 Qualion Proposal by Mindorion</span>
@@ -3,6 +3,12 @@
 
 import JSZip from "jszip";
 import xml2js from "xml2js";
+import { inspectExternalData, externalLinkIndexes, decodeXml, parseRels, relsPathOf } from "./xlsxExternalData.js";
+import { stripPivotCaches } from "./xlsxPivotCaches.js";
+import { removeXlsxComments } from "./xlsxComments.js";
+import { cleanConcealedCells } from "./xlsxConcealedCells.js";
+import { removeThumbnails } from "./officeThumbnails.js";
+import { removeEmbeddedObjectsByClass, DEFAULT_EMBEDDED_OBJECT_CLASSES } from "./officeEmbeddings.js";
 
 const parseStringPromise = xml2js.parseStringPromise;
 const Builder = xml2js.Builder;
@@ -19,25 +25,57 @@ export async function cleanXLSX(buffer, options = {}) {
     removeComments = true,
     removeHiddenSheets = true,
     removeEmbeddings = true,
+    embeddedObjectClasses = removeEmbeddings ? DEFAULT_EMBEDDED_OBJECT_CLASSES : [], // activex, executable, ole_package...
     removeMacros = true,
     removeFormulas = false, // Convertir formules en valeurs
+    breakExternalLinks = false, // Liens externes / connexions -> valeurs en cache
+    pivotCacheMode = "keep", // "keep" | "drop-records" | "static"
+    concealedCellsMode = "keep", // "keep" | "clear" | "delete" (hidden rows/columns, ;;; formats, invisible fonts)
   } = options;
 
   const stats = {
     // aligné avec calculateAfterScore
     metaRemoved: 0,
     metadataFields: [],
+    thumbnailsRemoved: 0,
 
     commentsXmlRemoved: 0,
+    threadedCommentsRemoved: 0,
+    personsRemoved: 0,
+    vmlNotesRemoved: 0,
 
     hiddenSheetsRemoved: 0,
     hiddenRemoved: 0,
 
     embeddingsRemoved: 0,
+    embeddedObjectsRemoved: 0,
+    activeXRemoved: 0,
+    executablesRemoved: 0,
+    removedEmbeddedObjects: [],
 
     macrosRemoved: 0, // nombre de fichiers macros supprimés
 
     formulasConverted: 0,
+
+    externalLinksRemoved: 0,
+    externalFormulasConverted: 0,
+    externalNamesRemoved: 0,
+    connectionsRemoved: 0,
+    queryTablesRemoved: 0,
+
+    pivotCachesStripped: 0,
+    pivotRecordsRemoved: 0,
+    pivotSharedItemsCleared: 0,
+    pivotTablesConverted: 0,
+    pivotCachesKeptForSlicers: 0,
+
+    concealedRangesCleaned: 0,
+    concealedCellsCleared: 0,
+    concealedRowsDeleted: 0,
+    concealedColumnsDeleted: 0,
+    concealedRefsInvalidated: 0,
+    sharedStringsPruned: 0,
+    formulaCachesDropped: 0,
   };
 
   const zip = await JSZip.loadAsync(buffer);
@@ -99,40 +137,16 @@ export async function cleanXLSX(buffer, options = {}) {
   }
 
   // =========================================================
-  // 2. Remove comments (xl/comments*.xml + relations)
+  // 1b. Package thumbnail: rendered first sheet as last saved, shows cells cleaned below
   // =========================================================
-  if (removeComments) {
-    const commentFiles = Object.keys(zip.files).filter((name) =>
-      name.match(/xl\/comments\d*\.xml/)
-    );
-
-    for (const commentFile of commentFiles) {
-      const file = zip.file(commentFile);
-      if (file) {
-        const content = await file.async("text");
-        const countMatch = content.match(/<comment /g);
-        stats.commentsXmlRemoved += countMatch ? countMatch.length : 0;
-      }
-      zip.remove(commentFile);
-    }
-
-    // Remove comment relationships from worksheets rels
-    const relsFiles = Object.keys(zip.files).filter(
-      (name) =>
-        name.includes("worksheets/_rels/") && name.endsWith(".rels")
-    );
+  await removeThumbnails(zip, stats);
 
-    for (const relsFile of relsFiles) {
-      const file = zip.file(relsFile);
-      if (file) {
-        let content = await file.async("text");
-        content = content.replace(
-          /<Relationship[^>]*Target="[^"]*comments[^"]*"[^>]*\/>/g,
-          ""
-        );
-        zip.file(relsFile, content);
-      }
-    }
+  // =========================================================
+  // 2. Remove comments (notes, threaded comments, persons, VML note shapes + relations)
+  // =========================================================
+  if (removeComments) {
+    const removedParts = await removeXlsxComments(zip, stats);
+    await removeContentTypeOverrides(zip, removedParts);
   }
 
   // =========================================================
@@ -212,24 +226,26 @@ export async function cleanXLSX(buffer, options = {}) {
   }
 
   // =========================================================
-  // 4. Remove embedded objects (xl/embeddings/*)
+  // 3b. Concealed rows / columns / cells (clear values or delete lines, references shifted)
   // =========================================================
-  if (removeEmbeddings) {
-    const embedFiles = Object.keys(zip.files).filter((name) =>
-      name.startsWith("xl/embeddings/")
-    );
-
-    stats.embeddingsRemoved = embedFiles.length;
-    embedFiles.forEach((name) => zip.remove(name));
+  if (concealedCellsMode !== "keep") {
+    const removedParts = await cleanConcealedCells(zip, concealedCellsMode, stats);
+    await removeContentTypeOverrides(zip, removedParts);
   }
 
   // =========================================================
-  // 5. Remove macros (VBA) - vbaProject*.bin etc.
+  // 4. Remove embedded objects / ActiveX controls by class (parts + rels + oleObject / control markup)
+  // =========================================================
+  await removeEmbeddedObjectsByClass(zip, embeddedObjectClasses, stats);
+  stats.embeddingsRemoved = stats.embeddedObjectsRemoved;
+
+  // =========================================================
+  // 5. Remove macros (VBA) - vbaProject*.bin, vbaData.xml (ActiveX .bin files are embedded objects, see 4.)
   // =========================================================
   if (removeMacros) {
     const macroFiles = Object.keys(zip.files).filter(
       (name) =>
-        name.includes("vbaProject") || name.endsWith(".bin")
+        name.includes("vbaProject") || /vbaData\.xml$/.test(name)
     );
 
     if (macroFiles.length > 0) {
@@ -280,6 +296,21 @@ export async function cleanXLSX(buffer, options = {}) {
     }
   }
 
+  // =========================================================
+  // 6b. Pivot caches (records = full copy of the source range, even if that sheet is gone)
+  // =========================================================
+  if (pivotCacheMode !== "keep") {
+    const removedParts = await stripPivotCaches(zip, pivotCacheMode, stats);
+    await removeContentTypeOverrides(zip, removedParts);
+  }
+
+  // =========================================================
+  // 7. Break external links (formulas -> cached values, drop link / connection parts)
+  // =========================================================
+  if (breakExternalLinks) {
+    await breakExternalData(zip, stats);
+  }
+
   // =========================================================
   // Génération du fichier final
   // =========================================================
@@ -288,4 +319,164 @@ export async function cleanXLSX(buffer, options = {}) {
   return { outBuffer, stats };
 }
 
+const isExternalFormula = (text) => externalLinkIndexes(decodeXml(text)).length > 0;
+
+async function removeRelationships(zip, relsPath, predicate) {
+  const file = zip.file(relsPath);
+  if (!file) return;
+  const xml = await file.async("text");
+  let changed = false;
+  const out = xml.replace(/<Relationship\b[^>]*?(?:\/>|>\s*<\/Relationship>)/g, (tag) => {
+    const [rel] = parseRels(tag);
+    if (!predicate(rel)) return tag;
+    changed = true;
+    return "";
+  });
+  if (changed) zip.file(relsPath, out);
+}
+
+async function removeContentTypeOverrides(zip, parts) {
+  const ct = zip.file("[Content_Types].xml");
+  if (!ct || !parts.length) return;
+  const names = new Set(parts.map((p) => `/${p}`));
+  const xml = await ct.async("text");
+  zip.file(
+    "[Content_Types].xml",
+    xml.replace(/<Override\b[^>]*\/>/g, (tag) => (names.has(tag.match(/PartName="([^"]+)"/)?.[1]) ? "" : tag))
+  );
+}
+
+/**
+ * Break external workbook links and data connections:
+ * - cells whose formula points to an external workbook keep their cached <v> value only
+ * - defined names pointing to external workbooks are dropped
+ * - externalLink / connections / queryTable parts are removed with their relationships
+ * Connections still used by a pivot cache are kept (removing them would corrupt the pivot).
+ */
+async function breakExternalData(zip, stats) {
+  const external = await inspectExternalData(zip);
+  const removedParts = [];
+
+  // ---- 1. Worksheet formulas -> cached values ----
+  if (external.links.length) {
+    const sheetFiles = Object.keys(zip.files).filter((n) => /^xl\/worksheets\/[^/]+\.xml$/.test(n));
+    for (const sheetFile of sheetFiles) {
+      let xml = await zip.file(sheetFile).async("text");
+
+      // Shared formulas: children of an external master (<f t="shared" si="n"/>) must go too
+      const externalShared = new Set();
+      for (const m of xml.matchAll(/<f\b([^>]*)>([^<]*)<\/f>/g)) {
+        const si = m[1].match(/\bsi="(\d+)"/)?.[1];
+        if (si && /\bt="shared"/.test(m[1]) && isExternalFormula(m[2])) externalShared.add(si);
+      }
+
+      let converted = 0;
+      xml = xml.replace(/<f\b([^>]*?)(?:\/>|>([^<]*)<\/f>)/g, (tag, attrs, text) => {
+        const si = attrs.match(/\bsi="(\d+)"/)?.[1];
+        if (isExternalFormula(text) || (si && externalShared.has(si))) {
+          converted++;
+          return "";
+        }
+        return tag;
+      });
+
+      if (converted) {
+        stats.externalFormulasConverted += converted;
+        zip.file(sheetFile, xml);
+      }
+    }
+
+    // calcChain lists formula cells; Excel rebuilds it when missing
+    if (stats.externalFormulasConverted && zip.file("xl/calcChain.xml")) {
+      zip.remove("xl/calcChain.xml");
+      removedParts.push("xl/calcChain.xml");
+      await removeRelationships(zip, "xl/_rels/workbook.xml.rels", (rel) => /\/calcChain$/.test(rel.type));
+    }
+  }
+
+  // ---- 2. workbook.xml: externalReferences + external defined names ----
+  const workbookFile = zip.file("xl/workbook.xml");
+  if (workbookFile && external.links.length) {
+    let wb = await workbookFile.async("text");
+    wb = wb.replace(/<externalReferences\b[\s\S]*?<\/externalReferences>|<externalReferences\s*\/>/g, "");
+    wb = wb.replace(/<definedName\b[^>]*>([^<]*)<\/definedName>/g, (tag, ref) => {
+      if (!isExternalFormula(ref)) return tag;
+      stats.externalNamesRemoved++;
+      return "";
+    });
+    wb = wb.replace(/<definedNames>\s*<\/definedNames>/g, "");
+    zip.file("xl/workbook.xml", wb);
+  }
+
+  // ---- 3. externalLink parts ----
+  for (const link of external.links) {
+    for (const part of [link.part, relsPathOf(link.part)]) {
+      if (zip.file(part)) {
+        zip.remove(part);
+        removedParts.push(part);
+      }
+    }
+    stats.externalLinksRemoved++;
+  }
+  const linkRelIds = new Set(external.links.map((l) => l.relId));
+  await removeRelationships(zip, "xl/_rels/workbook.xml.rels", (rel) => linkRelIds.has(rel.id));
+
+  // ---- 4. Query tables (tables keep their data, lose the refresh definition) ----
+  for (const q of external.queryTables) {
+    zip.remove(q.part);
+    removedParts.push(q.part);
+    stats.queryTablesRemoved++;
+
+    if (q.owner) {
+      await removeRelationships(zip, relsPathOf(q.owner), (rel) => /\/queryTable$/.test(rel.type));
+      if (q.owner.startsWith("xl/tables/") && zip.file(q.owner)) {
+        const table = await zip.file(q.owner).async("text");
+        zip.file(
+          q.owner,
+          table
+            .replace(/\s(tableType="queryTable"|connectionId="\d+"|queryTableFieldId="\d+"|uniqueName="[^"]*")/g, "")
+        );
+      }
+    }
+  }
+
+  // ---- 5. Connections (keep the ones pivot caches depend on) ----
+  if (external.connectionsPart && zip.file(external.connectionsPart)) {
+    const inUse = new Set();
+    for (const name of Object.keys(zip.files).filter((n) => /^xl\/pivotCache\/pivotCacheDefinition\d*\.xml$/.test(n))) {
+      const def = await zip.file(name).async("text");
+      const id = def.match(/<cacheSource\b[^>]*\bconnectionId="(\d+)"/)?.[1];
+      if (id) inUse.add(id);
+    }
+
+    const xml = await zip.file(external.connectionsPart).async("text");
+    let kept = 0;
+    const out = xml.replace(/<connection\b([^>]*?)(?:\/>|>[\s\S]*?<\/connection>)/g, (tag, attrs) => {
+      const id = attrs.match(/\bid="(\d+)"/)?.[1];
+      if (id && inUse.has(id)) {
+        kept++;
+        return tag;
+      }
+      stats.connectionsRemoved++;
+      return "";
+    });
+
+    if (kept) {
+      zip.file(external.connectionsPart, out);
+    } else {
+      zip.remove(external.connectionsPart);
+      removedParts.push(external.connectionsPart);
+      await removeRelationships(zip, "xl/_rels/workbook.xml.rels", (rel) => /\/connections$/.test(rel.type));
+    }
+  }
+
+  await removeContentTypeOverrides(zip, removedParts);
+
+  if (removedParts.length) {
+    console.log(
+      `[XLSX] External data broken: links=${stats.externalLinksRemoved} formulas=${stats.externalFormulasConverted} connections=${stats.connectionsRemoved} queryTables=${stats.queryTablesRemoved}`
+    );
+  }
+}
+
 export default { cleanXLSX };
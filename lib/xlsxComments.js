@@ -0,0 +1,229 @@
+// lib/xlsxComments.js
+// VERSION 1.0 - XLSX notes, threaded comments, persons and VML note shapes (shared by analyzer + cleaner)
+
+import { parseRels, resolvePartPath, relsPathOf, xmlAttr, decodeXml } from "./xlsxExternalData.js";
+
+const REL_TYPE_COMMENTS = /\/comments$/;
+const REL_TYPE_THREADED = /\/threadedComment$/;
+const REL_TYPE_PERSON = /\/person$/;
+const REL_TYPE_VML = /\/vmlDrawing$/;
+
+async function readPart(zip, part) {
+  return zip.file(part) ? zip.file(part).async("string") : null;
+}
+
+function richText(xml) {
+  return [...String(xml || "").matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map((m) => decodeXml(m[1])).join("");
+}
+
+// <v:shape> elements in a VML drawing, split between note shapes and anything else (form controls, images...)
+function vmlShapes(xml) {
+  const shapes = String(xml || "").match(/<v:shape\b[\s\S]*?<\/v:shape>/g) || [];
+  return {
+    notes: shapes.filter((s) => /<x:ClientData\b[^>]*ObjectType="Note"/.test(s)),
+    others: shapes.filter((s) => !/<x:ClientData\b[^>]*ObjectType="Note"/.test(s)),
+  };
+}
+
+function parseThreads(xml, part, sheet, persons) {
+  return [...String(xml || "").matchAll(/<threadedComment\b([^>]*?)(?:\/>|>([\s\S]*?)<\/threadedComment>)/g)].map((m) => {
+    const tag = `<threadedComment ${m[1]}>`;
+    const person = persons.find((p) => p.id === xmlAttr(tag, "personId"));
+    return {
+      sheet,
+      part,
+      ref: xmlAttr(tag, "ref"),
+      id: xmlAttr(tag, "id"),
+      parentId: xmlAttr(tag, "parentId"),
+      personId: xmlAttr(tag, "personId"),
+      author: person?.displayName || null,
+      userId: person?.userId || null,
+      providerId: person?.providerId || null,
+      date: xmlAttr(tag, "dT"),
+      text: decodeXml(m[2]?.match(/<text>([\s\S]*?)<\/text>/)?.[1] || ""),
+      done: xmlAttr(tag, "done") === "1",
+    };
+  });
+}
+
+function parseNotes(xml, part, sheet) {
+  const authors = [...String(xml || "").matchAll(/<author>([\s\S]*?)<\/author>|<author\/>/g)].map((a) => decodeXml(a[1] || ""));
+  return [...String(xml || "").matchAll(/<comment\b([^>]*?)(?:\/>|>([\s\S]*?)<\/comment>)/g)].map((m) => {
+    const tag = `<comment ${m[1]}>`;
+    const author = authors[Number(xmlAttr(tag, "authorId"))] ?? null;
+    return {
+      sheet,
+      part,
+      ref: xmlAttr(tag, "ref"),
+      author,
+      text: richText(m[2]),
+      uid: xmlAttr(tag, "xr:uid"),
+      threaded: /^tc=/.test(author || ""),
+    };
+  });
+}
+
+async function sheetParts(zip) {
+  const workbookXml = (await readPart(zip, "xl/workbook.xml")) || "";
+  const workbookRels = parseRels(await readPart(zip, "xl/_rels/workbook.xml.rels"));
+  const sheets = [];
+  for (const m of workbookXml.matchAll(/<sheet\b[^>]*>/g)) {
+    const rel = workbookRels.find((r) => r.id === xmlAttr(m[0], "r:id"));
+    if (!rel) continue;
+    const part = resolvePartPath("xl/workbook.xml", rel.target);
+    sheets.push({ name: xmlAttr(m[0], "name"), part, rels: parseRels(await readPart(zip, relsPathOf(part))) });
+  }
+  return { sheets, workbookRels };
+}
+
+/**
+ * Inventory of cell comments (JSZip instance):
+ * notes: legacy notes [{ sheet, part, ref, author, text, uid, threaded }] (threaded = placeholder Excel writes for a thread)
+ * threads: threaded comments [{ sheet, part, ref, id, parentId, personId, author, userId, providerId, date, text, done }]
+ * persons: xl/persons directory [{ id, displayName, userId, providerId }]
+ * vml: note-anchoring drawings [{ sheet, sheetPart, relId, part, notes, otherShapes }]
+ */
+export async function inspectXlsxComments(zip) {
+  const { sheets, workbookRels } = await sheetParts(zip);
+
+  const personsParts = workbookRels
+    .filter((r) => REL_TYPE_PERSON.test(r.type))
+    .map((r) => resolvePartPath("xl/workbook.xml", r.target));
+  for (const name of Object.keys(zip.files)) {
+    if (/^xl\/persons\/[^/]+\.xml$/.test(name) && !personsParts.includes(name)) personsParts.push(name);
+  }
+  const persons = [];
+  for (const part of personsParts) {
+    for (const m of ((await readPart(zip, part)) || "").matchAll(/<person\b[^>]*>/g)) {
+      persons.push({
+        id: xmlAttr(m[0], "id"),
+        displayName: xmlAttr(m[0], "displayName"),
+        userId: xmlAttr(m[0], "userId"),
+        providerId: xmlAttr(m[0], "providerId"),
+        part,
+      });
+    }
+  }
+
+  const notes = [];
+  const threads = [];
+  const vml = [];
+  const seen = new Set();
+
+  for (const sheet of sheets) {
+    for (const rel of sheet.rels) {
+      if (rel.external) continue;
+      const part = resolvePartPath(sheet.part, rel.target);
+
+      if (REL_TYPE_THREADED.test(rel.type)) {
+        seen.add(part);
+        threads.push(...parseThreads(await readPart(zip, part), part, sheet.name, persons));
+      } else if (REL_TYPE_COMMENTS.test(rel.type)) {
+        seen.add(part);
+        notes.push(...parseNotes(await readPart(zip, part), part, sheet.name));
+      } else if (REL_TYPE_VML.test(rel.type)) {
+        const shapes = vmlShapes(await readPart(zip, part));
+        if (shapes.notes.length) {
+          vml.push({ sheet: sheet.name, sheetPart: sheet.part, relId: rel.id, part, notes: shapes.notes.length, otherShapes: shapes.others.length });
+        }
+      }
+    }
+  }
+
+  // Comment parts no sheet points to any more still carry names and text
+  for (const part of Object.keys(zip.files).filter((n) => /^xl\/(comments\d*|threadedComments\/[^/]+)\.xml$/.test(n))) {
+    if (seen.has(part)) continue;
+    const xml = await readPart(zip, part);
+    if (part.startsWith("xl/threadedComments/")) threads.push(...parseThreads(xml, part, null, persons));
+    else notes.push(...parseNotes(xml, part, null));
+  }
+
+  // Placeholder notes mirror a thread root (same uid, or "[Threaded comment]" text on a threaded cell)
+  const rootIds = new Set(threads.filter((t) => !t.parentId).map((t) => t.id));
+  const threadedCells = new Set(threads.map((t) => `${t.sheet}!${t.ref}`));
+  for (const note of notes) {
+    if (rootIds.has(note.uid) || (threadedCells.has(`${note.sheet}!${note.ref}`) && /^\[Threaded comment\]/.test(note.text))) {
+      note.threaded = true;
+    }
+  }
+
+  return { notes, threads, persons, personsParts: personsParts.filter((p) => zip.file(p)), vml };
+}
+
+/**
+ * Remove every comment artifact: legacy notes, threaded comments, the persons directory,
+ * note shapes in VML drawings (drawings holding form controls keep those shapes), the
+ * <legacyDrawing> anchors, worksheet / workbook relationships. Returns the removed part names.
+ */
+export async function removeXlsxComments(zip, stats) {
+  const inventory = await inspectXlsxComments(zip);
+  const removedParts = [];
+  const drop = (part) => {
+    for (const p of [part, relsPathOf(part)]) {
+      if (zip.file(p)) {
+        zip.remove(p);
+        removedParts.push(p);
+      }
+    }
+  };
+
+  // One count per visible comment: thread placeholders are not counted twice
+  stats.commentsXmlRemoved += inventory.notes.filter((n) => !n.threaded).length + inventory.threads.length;
+  stats.threadedCommentsRemoved += inventory.threads.length;
+  stats.personsRemoved += inventory.persons.length;
+
+  for (const part of Object.keys(zip.files).filter((n) => /^xl\/(comments\d*|threadedComments\/[^/]+)\.xml$/.test(n))) {
+    drop(part);
+  }
+  for (const part of inventory.personsParts) drop(part);
+  await dropRelationships(zip, "xl/_rels/workbook.xml.rels", (rel) => REL_TYPE_PERSON.test(rel.type));
+
+  const { sheets } = await sheetParts(zip);
+  for (const sheet of sheets) {
+    const drawings = inventory.vml.filter((v) => v.sheetPart === sheet.part);
+    const removedRelIds = new Set();
+
+    for (const drawing of drawings) {
+      stats.vmlNotesRemoved += drawing.notes;
+      if (drawing.otherShapes) {
+        const xml = await readPart(zip, drawing.part);
+        zip.file(
+          drawing.part,
+          xml.replace(/<v:shape\b[\s\S]*?<\/v:shape>/g, (s) => (/<x:ClientData\b[^>]*ObjectType="Note"/.test(s) ? "" : s))
+        );
+      } else {
+        drop(drawing.part);
+        removedRelIds.add(drawing.relId);
+      }
+    }
+
+    await dropRelationships(
+      zip,
+      relsPathOf(sheet.part),
+      (rel) => REL_TYPE_COMMENTS.test(rel.type) || REL_TYPE_THREADED.test(rel.type) || removedRelIds.has(rel.id)
+    );
+
+    if (removedRelIds.size) {
+      const xml = await readPart(zip, sheet.part);
+      if (xml) {
+        zip.file(
+          sheet.part,
+          xml.replace(/<legacyDrawing\b[^>]*\/>/g, (tag) => (removedRelIds.has(xmlAttr(tag, "r:id")) ? "" : tag))
+        );
+      }
+    }
+  }
+
+  return removedParts;
+}
+
+async function dropRelationships(zip, relsPath, predicate) {
+  const xml = await readPart(zip, relsPath);
+  if (!xml) return;
+  zip.file(
+    relsPath,
+    xml.replace(/<Relationship\b[^>]*?(?:\/>|>\s*<\/Relationship>)/g, (tag) => (predicate(parseRels(tag)[0]) ? "" : tag))
+  );
+}
+
+export default { inspectXlsxComments, removeXlsxComments };
@@ -0,0 +1,933 @@
+// lib/xlsxConcealedCells.js
+// VERSION 1.1 - XLSX concealed rows / columns / cells: inventory (analyzer) + clear / delete (cleaner)
+// 1.1: cached results of formulas that depend on a cleaned sheet are dropped (they still held the removed values)
+//
+// Techniques: hidden rows / columns, collapsed outline groups, near-zero row heights / column widths,
+// ";;;" number formats and font colour matching the cell fill (white on white).
+
+import {
+  parseRels,
+  resolvePartPath,
+  relsPathOf,
+  xmlAttr,
+  decodeXml,
+  externalLinkIndexes,
+} from "./xlsxExternalData.js";
+
+export const CONCEALED_CELLS_MODES = ["keep", "clear", "delete"];
+
+const LINE_TECHNIQUES = ["hidden_row", "hidden_column", "collapsed_outline", "tiny_row_height", "tiny_column_width"];
+
+const TINY_ROW_HEIGHT = 2; // points
+const TINY_COLUMN_WIDTH = 0.5; // characters
+const SAMPLE_SIZE = 3;
+const SAMPLE_MAX_CHARS = 60;
+const MAX_ROW = 1048576;
+const MAX_COL = 16384;
+
+// Indexed palette entries that are plain white / black (ECMA-376 Part 1, 18.8.27)
+const INDEXED_COLORS = { 0: "000000", 1: "FFFFFF", 8: "000000", 9: "FFFFFF" };
+
+async function readPart(zip, part) {
+  return zip.file(part) ? zip.file(part).async("string") : null;
+}
+
+function encodeXml(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function richText(xml) {
+  return [...String(xml || "").replace(/<rPh\b[\s\S]*?<\/rPh>/g, "").matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)]
+    .map((m) => decodeXml(m[1]))
+    .join("");
+}
+
+// Function replacers: values such as "$A$1" must not be read as replacement patterns
+function setAttr(tag, name, value) {
+  const re = new RegExp(`\\s${name}="[^"]*"`);
+  if (value === null) return tag.replace(re, "");
+  return re.test(tag)
+    ? tag.replace(re, () => ` ${name}="${value}"`)
+    : tag.replace(/\s*(\/?)>$/, (_, close) => ` ${name}="${value}"${close}>`);
+}
+
+// ---------- A1 references ----------
+export function colToNum(col) {
+  let n = 0;
+  for (const ch of col.toUpperCase()) n = n * 26 + ch.charCodeAt(0) - 64;
+  return n;
+}
+
+export function numToCol(n) {
+  let s = "";
+  while (n > 0) {
+    const m = (n - 1) % 26;
+    s = String.fromCharCode(65 + m) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+}
+
+function parseCellRef(text) {
+  const m = /^(\$?)([A-Z]{1,3})(\$?)(\d+)$/i.exec(String(text || ""));
+  return m ? { col: colToNum(m[2]), row: Number(m[4]), absCol: !!m[1], absRow: !!m[3] } : null;
+}
+
+/**
+ * "B2", "B2:D7", "C:E" or "5:9" -> { kind: cell|area|cols|rows, c1, r1, c2, r2, abs: [c1, r1, c2, r2] }
+ */
+function parseArea(text) {
+  const [a, b, extra] = String(text || "").split(":");
+  if (extra !== undefined) return null;
+  if (b === undefined) {
+    const c = parseCellRef(a);
+    return c && { kind: "cell", c1: c.col, r1: c.row, c2: c.col, r2: c.row, abs: [c.absCol, c.absRow, c.absCol, c.absRow] };
+  }
+  const ca = parseCellRef(a);
+  const cb = parseCellRef(b);
+  if (ca && cb) {
+    return {
+      kind: "area",
+      c1: Math.min(ca.col, cb.col),
+      r1: Math.min(ca.row, cb.row),
+      c2: Math.max(ca.col, cb.col),
+      r2: Math.max(ca.row, cb.row),
+      abs: [ca.absCol, ca.absRow, cb.absCol, cb.absRow],
+    };
+  }
+  let m1 = /^(\$?)([A-Z]{1,3})$/i.exec(a);
+  let m2 = /^(\$?)([A-Z]{1,3})$/i.exec(b);
+  if (m1 && m2) return { kind: "cols", c1: colToNum(m1[2]), c2: colToNum(m2[2]), r1: 1, r2: MAX_ROW, abs: [!!m1[1], false, !!m2[1], false] };
+  m1 = /^(\$?)(\d+)$/.exec(a);
+  m2 = /^(\$?)(\d+)$/.exec(b);
+  if (m1 && m2) return { kind: "rows", r1: Number(m1[2]), r2: Number(m2[2]), c1: 1, c2: MAX_COL, abs: [false, !!m1[1], false, !!m2[1]] };
+  return null;
+}
+
+function formatArea(x) {
+  const d = (b) => (b ? "$" : "");
+  const [ac1, ar1, ac2, ar2] = x.abs;
+  if (x.kind === "cols") return `${d(ac1)}${numToCol(x.c1)}:${d(ac2)}${numToCol(x.c2)}`;
+  if (x.kind === "rows") return `${d(ar1)}${x.r1}:${d(ar2)}${x.r2}`;
+  const a = `${d(ac1)}${numToCol(x.c1)}${d(ar1)}${x.r1}`;
+  return x.kind === "cell" ? a : `${a}:${d(ac2)}${numToCol(x.c2)}${d(ar2)}${x.r2}`;
+}
+
+// Relative parts move with the cell (shared formula children), absolute parts stay
+function shiftArea(x, dr, dc) {
+  const [ac1, ar1, ac2, ar2] = x.abs;
+  return {
+    ...x,
+    c1: x.kind === "rows" || ac1 ? x.c1 : x.c1 + dc,
+    r1: x.kind === "cols" || ar1 ? x.r1 : x.r1 + dr,
+    c2: x.kind === "rows" || ac2 ? x.c2 : x.c2 + dc,
+    r2: x.kind === "cols" || ar2 ? x.r2 : x.r2 + dr,
+  };
+}
+
+/**
+ * Row / column index mapping after deleting lines. point(): null when the line is deleted;
+ * span(): range endpoints move inwards to the nearest surviving line, null when nothing survives.
+ */
+function axisMap(deleted) {
+  const sorted = [...new Set(deleted)].sort((a, b) => a - b);
+  const set = new Set(sorted);
+  const before = (n) => {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] < n) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+  return {
+    size: sorted.length,
+    has: (n) => set.has(n),
+    point: (n) => (set.has(n) ? null : n - before(n)),
+    span(a, b) {
+      let x = a;
+      while (x <= b && set.has(x)) x++;
+      let y = b;
+      while (y >= x && set.has(y)) y--;
+      return x > y ? null : [x - before(x), y - before(y)];
+    },
+    // 1-based line an anchor (drawing, note shape) lands on
+    anchor(n) {
+      let x = n;
+      while (set.has(x)) x++;
+      return x - before(x);
+    },
+  };
+}
+
+function adjustArea(x, rows, cols) {
+  if (x.kind === "cell") {
+    const r = rows.point(x.r1);
+    const c = cols.point(x.c1);
+    return r && c ? { ...x, r1: r, r2: r, c1: c, c2: c } : null;
+  }
+  const out = { ...x };
+  if (x.kind !== "cols") {
+    const s = rows.span(x.r1, x.r2);
+    if (!s) return null;
+    [out.r1, out.r2] = s;
+  }
+  if (x.kind !== "rows") {
+    const s = cols.span(x.c1, x.c2);
+    if (!s) return null;
+    [out.c1, out.c2] = s;
+  }
+  return out;
+}
+
+// ---------- Formula references ----------
+const STRING_LITERAL = /"(?:[^"]|"")*"/g;
+// optional sheet prefix ('My sheet'! or Sheet1!) + A1 cell / area / whole columns / whole rows;
+// not part of a name, a function call (LOG10() or an external [n] reference
+const FORMULA_REF =
+  /(^|[^A-Za-z0-9_.$!\]'\u00C0-\uFFFF])((?:'(?:[^']|'')+'|[A-Za-z_\u00C0-\uFFFF][\w.\u00C0-\uFFFF]*)!)?(\$?[A-Z]{1,3}\$?\d+(?::\$?[A-Z]{1,3}\$?\d+)?|\$?[A-Z]{1,3}:\$?[A-Z]{1,3}|\$?\d+:\$?\d+)(?![\w(!:.\u00C0-\uFFFF])/g;
+
+function unquoteSheet(prefix) {
+  return prefix.startsWith("'") ? prefix.slice(1, -1).replace(/''/g, "'") : prefix;
+}
+
+/**
+ * Rewrite the A1 references of a formula. fn(sheetName | null, area) returns a new area,
+ * null (reference deleted -> #REF!) or undefined (unchanged). String literals are left alone.
+ */
+function mapFormulaRefs(formula, fn) {
+  const rewrite = (segment) =>
+    segment.replace(FORMULA_REF, (all, lead, prefix, ref) => {
+      const area = parseArea(ref);
+      if (!area) return all;
+      const next = fn(prefix ? unquoteSheet(prefix.slice(0, -1)) : null, area);
+      if (next === undefined) return all;
+      return `${lead}${prefix || ""}${next ? formatArea(next) : "#REF!"}`;
+    });
+
+  let out = "";
+  let last = 0;
+  for (const m of String(formula).matchAll(STRING_LITERAL)) {
+    out += rewrite(formula.slice(last, m.index)) + m[0];
+    last = m.index + m[0].length;
+  }
+  return out + rewrite(formula.slice(last));
+}
+
+// ---------- Workbook parts ----------
+async function workbookSheets(zip) {
+  const workbookXml = (await readPart(zip, "xl/workbook.xml")) || "";
+  const workbookRels = parseRels(await readPart(zip, "xl/_rels/workbook.xml.rels"));
+  const sheets = [];
+  for (const m of workbookXml.matchAll(/<sheet\b[^>]*>/g)) {
+    const rel = workbookRels.find((r) => r.id === xmlAttr(m[0], "r:id"));
+    if (!rel) continue;
+    sheets.push({
+      name: xmlAttr(m[0], "name"),
+      state: xmlAttr(m[0], "state") || "visible",
+      part: resolvePartPath("xl/workbook.xml", rel.target),
+    });
+  }
+  return sheets;
+}
+
+async function readSharedStrings(zip) {
+  const xml = (await readPart(zip, "xl/sharedStrings.xml")) || "";
+  return [...xml.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>|<si\s*\/>/g)].map((m) => richText(m[1]));
+}
+
+function normalizeColor(tag) {
+  if (!tag) return null;
+  const rgb = xmlAttr(tag, "rgb");
+  if (rgb) return rgb.slice(-6).toUpperCase();
+  const tint = Number(xmlAttr(tag, "tint") || 0);
+  const theme = xmlAttr(tag, "theme");
+  // theme 0 / 1 = Background 1 / Text 1 (white / black in every built-in theme)
+  if (theme !== null && !tint) return { 0: "FFFFFF", 1: "000000" }[theme] || null;
+  const indexed = xmlAttr(tag, "indexed");
+  return indexed !== null ? INDEXED_COLORS[indexed] || null : null;
+}
+
+// Hidden-format / invisible-font flags per cellXfs index
+async function readCellStyles(zip) {
+  const xml = (await readPart(zip, "xl/styles.xml")) || "";
+  const section = (name) => xml.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)<\\/${name}>`))?.[1] || "";
+
+  const numFmts = new Map();
+  for (const m of section("numFmts").matchAll(/<numFmt\b[^>]*>/g)) {
+    numFmts.set(xmlAttr(m[0], "numFmtId"), xmlAttr(m[0], "formatCode") || "");
+  }
+
+  const fonts = [...section("fonts").matchAll(/<font\b[^>]*?(?:\/>|>([\s\S]*?)<\/font>)/g)].map(
+    (m) => normalizeColor((m[1] || "").match(/<color\b[^>]*>/)?.[0]) || "000000"
+  );
+
+  const fills = [...section("fills").matchAll(/<fill\b[^>]*?(?:\/>|>([\s\S]*?)<\/fill>)/g)].map((m) => {
+    const pattern = (m[1] || "").match(/<patternFill\b[^>]*>/)?.[0];
+    const type = xmlAttr(pattern, "patternType") || "none";
+    if (type === "none") return "FFFFFF";
+    if (type === "solid") return normalizeColor((m[1] || "").match(/<fgColor\b[^>]*>/)?.[0]);
+    return null; // patterns / gradients: colour comparison is meaningless
+  });
+
+  return [...section("cellXfs").matchAll(/<xf\b[^>]*>/g)].map((m) => {
+    const code = (numFmts.get(xmlAttr(m[0], "numFmtId")) || "").replace(/""/g, "").replace(/\[[^\]]*\]/g, "").trim();
+    const fontColor = fonts[Number(xmlAttr(m[0], "fontId") || 0)] || "000000";
+    const fillColor = fills[Number(xmlAttr(m[0], "fillId") || 0)] ?? "FFFFFF";
+    return {
+      // ";;;" hides every value, ";;" numbers only (text falls through to General)
+      hiddenFormat: code === ";;;" ? "all" : code === ";;" ? "numbers" : null,
+      formatCode: code,
+      invisibleFont: !!fillColor && fontColor === fillColor,
+    };
+  });
+}
+
+// ---------- Worksheet parsing ----------
+const ROW_RE = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+const CELL_RE = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+
+function parseRows(xml) {
+  const rows = [];
+  let next = 1;
+  for (const m of xml.matchAll(ROW_RE)) {
+    const attrs = ` ${m[1]}`;
+    const r = Number(xmlAttr(attrs, "r")) || next;
+    next = r + 1;
+    const cells = [];
+    let col = 1;
+    for (const c of (m[2] || "").matchAll(CELL_RE)) {
+      const cattrs = ` ${c[1]}`;
+      const at = parseCellRef(xmlAttr(cattrs, "r"));
+      const cc = at ? at.col : col;
+      col = cc + 1;
+      cells.push({ row: r, col: cc, ref: `${numToCol(cc)}${r}`, s: Number(xmlAttr(cattrs, "s") || 0), t: xmlAttr(cattrs, "t"), inner: c[2] || "" });
+    }
+    rows.push({
+      r,
+      hidden: /^(1|true)$/.test(xmlAttr(attrs, "hidden") || ""),
+      outlineLevel: Number(xmlAttr(attrs, "outlineLevel") || 0),
+      ht: xmlAttr(attrs, "ht") !== null ? Number(xmlAttr(attrs, "ht")) : null,
+      customHeight: /^(1|true)$/.test(xmlAttr(attrs, "customHeight") || ""),
+      cells,
+    });
+  }
+  return rows;
+}
+
+function parseCols(xml) {
+  const colsXml = xml.match(/<cols\b[^>]*>([\s\S]*?)<\/cols>/)?.[1] || "";
+  return [...colsXml.matchAll(/<col\b[^>]*>/g)].map((m) => ({
+    min: Number(xmlAttr(m[0], "min")),
+    max: Number(xmlAttr(m[0], "max")),
+    width: xmlAttr(m[0], "width") !== null ? Number(xmlAttr(m[0], "width")) : null,
+    customWidth: /^(1|true)$/.test(xmlAttr(m[0], "customWidth") || ""),
+    hidden: /^(1|true)$/.test(xmlAttr(m[0], "hidden") || ""),
+    outlineLevel: Number(xmlAttr(m[0], "outlineLevel") || 0),
+  }));
+}
+
+function cellValue(cell, sharedStrings) {
+  const v = cell.inner.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+  if (cell.t === "s") return v !== undefined ? sharedStrings[Number(v)] ?? "" : "";
+  if (cell.t === "inlineStr") return richText(cell.inner.match(/<is>([\s\S]*?)<\/is>/)?.[1]);
+  if (cell.t === "b") return v === "1" ? "TRUE" : v === "0" ? "FALSE" : "";
+  if (v !== undefined) return decodeXml(v);
+  const f = cell.inner.match(/<f\b[^>]*>([\s\S]*?)<\/f>/)?.[1];
+  return f ? `=${decodeXml(f)}` : "";
+}
+
+function lineTechnique(line, axis) {
+  if (line.hidden) return line.outlineLevel > 0 ? "collapsed_outline" : axis === "row" ? "hidden_row" : "hidden_column";
+  if (axis === "row" && line.customHeight && line.ht !== null && line.ht <= TINY_ROW_HEIGHT) return "tiny_row_height";
+  if (axis === "column" && line.customWidth && line.width !== null && line.width <= TINY_COLUMN_WIDTH) return "tiny_column_width";
+  return null;
+}
+
+// [{ technique, first, last }] from line spans (adjacent spans with the same technique merge)
+function groupLines(spans) {
+  const blocks = [];
+  for (const { first, last, technique } of [...spans].sort((a, b) => a.first - b.first)) {
+    const prev = blocks[blocks.length - 1];
+    if (prev && prev.technique === technique && prev.last + 1 >= first) prev.last = Math.max(prev.last, last);
+    else blocks.push({ technique, first, last });
+  }
+  return blocks;
+}
+
+function summarizeCells(cells, sharedStrings) {
+  const withData = [];
+  for (const cell of cells) {
+    const value = cellValue(cell, sharedStrings);
+    if (value !== "") withData.push({ cell, value });
+  }
+  return {
+    cellCount: withData.length,
+    sample: withData.slice(0, SAMPLE_SIZE).map(({ cell, value }) => ({
+      ref: cell.ref,
+      value: value.length > SAMPLE_MAX_CHARS ? `${value.slice(0, SAMPLE_MAX_CHARS)}…` : value,
+    })),
+  };
+}
+
+/**
+ * Inventory of concealed data (JSZip instance), one finding per sheet + technique + range:
+ * [{ sheet, part, sheetState, technique, axis: row|column|cell, range, first, last, cells, cellCount, sample, formatCode }]
+ * Line techniques (axis row / column) cover whole rows or columns; cell techniques list the
+ * cells outside those lines whose value is invisible because of their format.
+ */
+export async function inspectConcealedCells(zip) {
+  const sheets = await workbookSheets(zip);
+  const sharedStrings = await readSharedStrings(zip);
+  const styles = await readCellStyles(zip);
+  const findings = [];
+
+  for (const sheet of sheets) {
+    const xml = await readPart(zip, sheet.part);
+    if (!xml) continue;
+    const rows = parseRows(xml);
+    const cols = parseCols(xml);
+    const base = { sheet: sheet.name, part: sheet.part, sheetState: sheet.state };
+
+    const rowSpans = rows.map((r) => ({ first: r.r, last: r.r, technique: lineTechnique(r, "row") })).filter((e) => e.technique);
+    const colSpans = cols
+      .map((c) => ({ first: c.min, last: c.max, technique: lineTechnique(c, "column") }))
+      .filter((e) => e.technique && e.first > 0 && e.last >= e.first);
+
+    const concealedRows = new Set(rowSpans.map((e) => e.first));
+    const colBlocks = groupLines(colSpans);
+    const inColBlock = (col) => colBlocks.some((b) => col >= b.first && col <= b.last);
+
+    for (const block of groupLines(rowSpans)) {
+      const cells = rows.filter((r) => r.r >= block.first && r.r <= block.last).flatMap((r) => r.cells);
+      findings.push({
+        ...base,
+        technique: block.technique,
+        axis: "row",
+        range: `${block.first}:${block.last}`,
+        first: block.first,
+        last: block.last,
+        ...summarizeCells(cells, sharedStrings),
+      });
+    }
+
+    for (const block of colBlocks) {
+      const cells = rows.flatMap((r) => r.cells).filter((c) => c.col >= block.first && c.col <= block.last);
+      findings.push({
+        ...base,
+        technique: block.technique,
+        axis: "column",
+        range: `${numToCol(block.first)}:${numToCol(block.last)}`,
+        first: block.first,
+        last: block.last,
+        ...summarizeCells(cells, sharedStrings),
+      });
+    }
+
+    // Formatting techniques, for cells not already inside a concealed line
+    const byTechnique = { hidden_number_format: [], invisible_font: [] };
+    const formatCodes = new Set();
+    for (const row of rows) {
+      if (concealedRows.has(row.r)) continue;
+      for (const cell of row.cells) {
+        const style = styles[cell.s];
+        if (!style || inColBlock(cell.col)) continue;
+        const numeric = !["s", "inlineStr", "str", "b", "e"].includes(cell.t);
+        if (style.hiddenFormat === "all" || (style.hiddenFormat === "numbers" && numeric)) {
+          byTechnique.hidden_number_format.push(cell);
+          formatCodes.add(style.formatCode);
+        } else if (style.invisibleFont) {
+          byTechnique.invisible_font.push(cell);
+        }
+      }
+    }
+
+    for (const [technique, cells] of Object.entries(byTechnique)) {
+      const { cellCount, sample } = summarizeCells(cells, sharedStrings);
+      if (!cellCount) continue;
+      const withData = cells.filter((c) => cellValue(c, sharedStrings) !== "");
+      const box = {
+        kind: "area",
+        r1: Math.min(...withData.map((c) => c.row)),
+        r2: Math.max(...withData.map((c) => c.row)),
+        c1: Math.min(...withData.map((c) => c.col)),
+        c2: Math.max(...withData.map((c) => c.col)),
+        abs: [false, false, false, false],
+      };
+      if (box.r1 === box.r2 && box.c1 === box.c2) box.kind = "cell";
+      findings.push({
+        ...base,
+        technique,
+        axis: "cell",
+        range: formatArea(box),
+        cells: withData.map((c) => c.ref),
+        cellCount,
+        sample,
+        formatCode: technique === "hidden_number_format" ? [...formatCodes].join(" ") : null,
+      });
+    }
+  }
+
+  return findings;
+}
+
+// ---------- Cleaning ----------
+function clearCellXml(cellXml) {
+  return cellXml
+    .replace(/<c\b([^>]*?)(\/?)>/, (tag, attrs, selfClosing) => `<c${attrs.replace(/\st="[^"]*"/, "")}${selfClosing}>`)
+    .replace(/<f\b[^>]*?(?:\/>|>[\s\S]*?<\/f>)|<v>[\s\S]*?<\/v>|<is>[\s\S]*?<\/is>/g, "");
+}
+
+function hasValue(cellXml) {
+  return /<v>|<is>|<f\b/.test(cellXml);
+}
+
+// Shared formulas become plain formulas so that clearing / deleting cells cannot orphan their children
+function expandSharedFormulas(xml) {
+  if (!/<f\b[^>]*t="shared"/.test(xml)) return { xml, expanded: 0 };
+  const cellRe = /<c\b([^>]*?)(?<!\/)>([\s\S]*?)<\/c>/g;
+  const masters = new Map();
+  for (const m of xml.matchAll(cellRe)) {
+    const f = m[2].match(/<f\b([^>]*)>([\s\S]+?)<\/f>/);
+    if (!f || xmlAttr(f[1], "t") !== "shared") continue;
+    const at = parseCellRef(xmlAttr(m[1], "r"));
+    if (at) masters.set(xmlAttr(f[1], "si"), { formula: decodeXml(f[2]), at });
+  }
+
+  let expanded = 0;
+  const out = xml.replace(cellRe, (all, attrs, inner) => {
+    const f = inner.match(/<f\b([^>]*?)(?:\/>|>([\s\S]*?)<\/f>)/);
+    if (!f || xmlAttr(f[1], "t") !== "shared") return all;
+    const master = masters.get(xmlAttr(f[1], "si"));
+    const at = parseCellRef(xmlAttr(attrs, "r"));
+    if (!master || !at) return all;
+    const formula = mapFormulaRefs(master.formula, (_, area) => shiftArea(area, at.row - master.at.row, at.col - master.at.col));
+    expanded++;
+    return `<c${attrs}>${inner.replace(f[0], () => `<f>${encodeXml(formula)}</f>`)}</c>`;
+  });
+  return { xml: out, expanded };
+}
+
+// Rewrite the text of every <tag>formula</tag> element
+function rewriteFormulaElements(xml, tag, fn) {
+  const re = new RegExp(`(<${tag}\\b[^>]*?(?<!\\/)>)([\\s\\S]*?)(<\\/${tag}>)`, "g");
+  return xml.replace(re, (all, open, text, close) => {
+    const before = decodeXml(text);
+    const after = mapFormulaRefs(before, fn);
+    return after === before ? all : `${open}${encodeXml(after)}${close}`;
+  });
+}
+
+// sqref="A1:B2 D4" lists: deleted pieces drop out; null when nothing is left
+function adjustSqref(sqref, rows, cols) {
+  const parts = String(sqref || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((p) => {
+      const area = parseArea(p);
+      if (!area) return p;
+      const next = adjustArea(area, rows, cols);
+      return next ? formatArea(next) : null;
+    })
+    .filter(Boolean);
+  return parts.length ? parts.join(" ") : null;
+}
+
+function adjustRefAttr(tag, name, rows, cols, fallback = null) {
+  const value = xmlAttr(tag, name);
+  if (value === null) return tag;
+  const area = parseArea(value);
+  if (!area) return tag;
+  const next = adjustArea(area, rows, cols);
+  return setAttr(tag, name, next ? formatArea(next) : fallback);
+}
+
+// Row / column renumbering inside the worksheet that owns the deleted lines
+function deleteLinesInSheet(xml, rows, cols) {
+  let out = xml.replace(ROW_RE, (rowXml, attrs, inner) => {
+    const r = Number(xmlAttr(` ${attrs}`, "r"));
+    if (!r) return rowXml;
+    const newRow = rows.point(r);
+    if (newRow === null) return "";
+    const cells = (inner || "").replace(CELL_RE, (cellXml, cattrs) => {
+      const at = parseCellRef(xmlAttr(` ${cattrs}`, "r"));
+      if (!at) return cellXml;
+      const newCol = cols.point(at.col);
+      if (newCol === null) return "";
+      return cellXml.replace(/^<c\b[^>]*?(\/?)>/, (tag) => setAttr(tag, "r", `${numToCol(newCol)}${newRow}`));
+    });
+    let open = setAttr(`<row ${attrs.trim()}>`, "r", String(newRow));
+    open = setAttr(open, "spans", null);
+    return inner === undefined ? open.replace(/>$/, "/>") : `${open}${cells}</row>`;
+  });
+
+  if (cols.size) {
+    out = out.replace(/<col\b[^>]*\/>/g, (tag) => {
+      const span = cols.span(Number(xmlAttr(tag, "min")), Number(xmlAttr(tag, "max")));
+      if (!span) return "";
+      return setAttr(setAttr(tag, "min", String(span[0])), "max", String(span[1]));
+    });
+    out = out.replace(/<cols>\s*<\/cols>/, "");
+  }
+
+  out = out.replace(/<dimension\b[^>]*\/>/, (tag) => adjustRefAttr(tag, "ref", rows, cols, "A1"));
+  out = out.replace(/<mergeCell\b[^>]*\/>/g, (tag) => {
+    const area = parseArea(xmlAttr(tag, "ref"));
+    const next = area && adjustArea(area, rows, cols);
+    return next && (next.r1 !== next.r2 || next.c1 !== next.c2) ? setAttr(tag, "ref", formatArea(next)) : "";
+  });
+  out = out.replace(/<mergeCells\b([^>]*)>([\s\S]*?)<\/mergeCells>/, (all, attrs, inner) => {
+    const n = (inner.match(/<mergeCell\b/g) || []).length;
+    return n ? `<mergeCells count="${n}">${inner}</mergeCells>` : "";
+  });
+
+  // Ranges that disappear entirely take their rule with them
+  out = out.replace(/<conditionalFormatting\b([^>]*)>([\s\S]*?)<\/conditionalFormatting>/g, (all, attrs) => {
+    const sqref = adjustSqref(xmlAttr(attrs, "sqref"), rows, cols);
+    return sqref ? all.replace(/^<conditionalFormatting\b[^>]*>/, (tag) => setAttr(tag, "sqref", sqref)) : "";
+  });
+  out = out.replace(/<dataValidation\b([^>]*?)(?:\/>|>([\s\S]*?)<\/dataValidation>)/g, (all, attrs) => {
+    const sqref = adjustSqref(xmlAttr(attrs, "sqref"), rows, cols);
+    return sqref ? all.replace(/^<dataValidation\b[^>]*?(\/?)>/, (tag) => setAttr(tag, "sqref", sqref)) : "";
+  });
+  out = out.replace(/<dataValidations\b([^>]*)>([\s\S]*?)<\/dataValidations>/, (all, attrs, inner) => {
+    const n = (inner.match(/<dataValidation\b/g) || []).length;
+    return n ? all.replace(/^<dataValidations\b[^>]*>/, (tag) => setAttr(tag, "count", String(n))) : "";
+  });
+  out = out.replace(/<hyperlink\b[^>]*\/>/g, (tag) => {
+    const area = parseArea(xmlAttr(tag, "ref"));
+    return area && !adjustArea(area, rows, cols) ? "" : adjustRefAttr(tag, "ref", rows, cols);
+  });
+  out = out.replace(/<hyperlinks>\s*<\/hyperlinks>/, "");
+  out = out.replace(/<autoFilter\b[^>]*>/g, (tag) => adjustRefAttr(tag, "ref", rows, cols, "A1"));
+  out = out.replace(/<f\b[^>]*\bref="[^"]*"[^>]*>/g, (tag) => adjustRefAttr(tag, "ref", rows, cols, "A1"));
+  out = out.replace(/<(selection|pane)\b[^>]*\/>/g, (tag) => {
+    let t = adjustRefAttr(tag, "activeCell", rows, cols, "A1");
+    t = adjustRefAttr(t, "topLeftCell", rows, cols, "A1");
+    if (xmlAttr(t, "sqref") !== null) t = setAttr(t, "sqref", adjustSqref(xmlAttr(t, "sqref"), rows, cols) || "A1");
+    return t;
+  });
+  out = out.replace(/<(ignoredError|protectedRange)\b[^>]*\/>/g, (tag) => {
+    const sqref = adjustSqref(xmlAttr(tag, "sqref"), rows, cols);
+    return sqref ? setAttr(tag, "sqref", sqref) : "";
+  });
+  out = out.replace(/<ignoredErrors>\s*<\/ignoredErrors>/, "").replace(/<protectedRanges>\s*<\/protectedRanges>/, "");
+  return out;
+}
+
+// 0-based anchors (drawings: <xdr:row>, notes: <x:Row> / <x:Anchor>)
+function adjustDrawingAnchors(xml, rows, cols) {
+  return xml
+    .replace(/<xdr:row>(\d+)<\/xdr:row>/g, (_, n) => `<xdr:row>${rows.anchor(Number(n) + 1) - 1}</xdr:row>`)
+    .replace(/<xdr:col>(\d+)<\/xdr:col>/g, (_, n) => `<xdr:col>${cols.anchor(Number(n) + 1) - 1}</xdr:col>`);
+}
+
+function adjustNoteShapes(xml, rows, cols) {
+  return xml.replace(/<v:shape\b[\s\S]*?<\/v:shape>/g, (shape) => {
+    if (!/ObjectType="Note"/.test(shape)) return shape;
+    const row = Number(shape.match(/<x:Row>(\d+)<\/x:Row>/)?.[1]);
+    const col = Number(shape.match(/<x:Column>(\d+)<\/x:Column>/)?.[1]);
+    if (Number.isFinite(row) && Number.isFinite(col) && (rows.has(row + 1) || cols.has(col + 1))) return "";
+    return shape
+      .replace(/<x:Row>(\d+)<\/x:Row>/, (_, n) => `<x:Row>${rows.point(Number(n) + 1) - 1}</x:Row>`)
+      .replace(/<x:Column>(\d+)<\/x:Column>/, (_, n) => `<x:Column>${cols.point(Number(n) + 1) - 1}</x:Column>`)
+      .replace(/<x:Anchor>([^<]*)<\/x:Anchor>/, (_, list) => {
+        const v = list.split(",").map((s) => Number(s.trim()));
+        if (v.length !== 8 || v.some((n) => !Number.isFinite(n))) return `<x:Anchor>${list}</x:Anchor>`;
+        [0, 4].forEach((i) => (v[i] = cols.anchor(v[i] + 1) - 1));
+        [2, 6].forEach((i) => (v[i] = rows.anchor(v[i] + 1) - 1));
+        return `<x:Anchor>${v.join(", ")}</x:Anchor>`;
+      });
+  });
+}
+
+async function sheetRelatedParts(zip, sheetPart) {
+  return parseRels(await readPart(zip, relsPathOf(sheetPart)))
+    .filter((r) => !r.external)
+    .map((r) => ({ type: r.type, part: resolvePartPath(sheetPart, r.target) }));
+}
+
+// Lines a deletion must not touch: table columns (table definitions list them) and pivot table bodies
+async function protectedLines(zip, sheetPart) {
+  const rows = new Set();
+  const cols = new Set();
+  for (const rel of await sheetRelatedParts(zip, sheetPart)) {
+    const xml = (await readPart(zip, rel.part)) || "";
+    if (/\/table$/.test(rel.type)) {
+      const area = parseArea(xmlAttr(xml.match(/<table\b[^>]*>/)?.[0], "ref"));
+      if (area) for (let c = area.c1; c <= area.c2; c++) cols.add(c);
+    } else if (/\/pivotTable$/.test(rel.type)) {
+      const area = parseArea(xmlAttr(xml.match(/<location\b[^>]*>/)?.[0], "ref"));
+      if (!area) continue;
+      for (let r = area.r1; r <= area.r2; r++) rows.add(r);
+      for (let c = area.c1; c <= area.c2; c++) cols.add(c);
+    }
+  }
+  return { rows, cols };
+}
+
+/**
+ * Delete rows / columns of one sheet and keep the workbook consistent: formulas on every sheet,
+ * defined names, chart series, tables, pivot sources, merged cells, validations, drawings and notes.
+ * References pointing only at deleted lines become #REF! (as when deleting in Excel).
+ */
+async function deleteLines(zip, sheets, target, rowList, colList, stats) {
+  const rows = axisMap(rowList);
+  const cols = axisMap(colList);
+  const same = (a, b) => String(a || "").toLowerCase() === String(b || "").toLowerCase();
+
+  const refMapper = (hostSheet) => (sheetName, area) => {
+    if (!same(sheetName ?? hostSheet, target.name)) return undefined;
+    const next = adjustArea(area, rows, cols);
+    if (!next) stats.concealedRefsInvalidated++;
+    return next;
+  };
+
+  for (const sheet of sheets) {
+    const xml = await readPart(zip, sheet.part);
+    if (!xml) continue;
+    // Deleted cells go first so their own formulas are not counted as invalidated references
+    let out = sheet.part === target.part ? deleteLinesInSheet(xml, rows, cols) : xml;
+    for (const tag of ["f", "formula", "formula1", "formula2"]) out = rewriteFormulaElements(out, tag, refMapper(sheet.name));
+    if (out !== xml) zip.file(sheet.part, out);
+  }
+
+  const workbook = await readPart(zip, "xl/workbook.xml");
+  if (workbook) zip.file("xl/workbook.xml", rewriteFormulaElements(workbook, "definedName", refMapper(null)));
+
+  for (const part of Object.keys(zip.files).filter((n) => /^xl\/charts\/[^/]+\.xml$/.test(n))) {
+    const xml = await readPart(zip, part);
+    const out = rewriteFormulaElements(xml, "c:f", refMapper(null));
+    if (out !== xml) zip.file(part, out);
+  }
+
+  for (const part of Object.keys(zip.files).filter((n) => /^xl\/pivotCache\/pivotCacheDefinition\d*\.xml$/.test(n))) {
+    const xml = await readPart(zip, part);
+    const out = xml.replace(/<worksheetSource\b[^>]*\/>/g, (tag) =>
+      same(xmlAttr(tag, "sheet"), target.name) ? adjustRefAttr(tag, "ref", rows, cols, "A1") : tag
+    );
+    if (out !== xml) zip.file(part, out);
+  }
+
+  for (const rel of await sheetRelatedParts(zip, target.part)) {
+    const xml = await readPart(zip, rel.part);
+    if (!xml) continue;
+    let out = xml;
+    if (/\/table$/.test(rel.type)) {
+      out = out.replace(/<(table|autoFilter)\b[^>]*>/g, (tag) => adjustRefAttr(tag, "ref", rows, cols, "A1"));
+    } else if (/\/pivotTable$/.test(rel.type)) {
+      out = out.replace(/<location\b[^>]*>/, (tag) => adjustRefAttr(tag, "ref", rows, cols, "A1"));
+    } else if (/\/drawing$/.test(rel.type)) {
+      out = adjustDrawingAnchors(out, rows, cols);
+    } else if (/\/vmlDrawing$/.test(rel.type)) {
+      out = adjustNoteShapes(out, rows, cols);
+    } else if (/\/(comments|threadedComment)$/.test(rel.type)) {
+      out = out.replace(/<(comment|threadedComment)\b[^>]*?(?:\/>|>[\s\S]*?<\/\1>)/g, (el) => {
+        const at = parseArea(xmlAttr(el.match(/^<[^>]*>/)[0], "ref"));
+        const next = at && adjustArea(at, rows, cols);
+        if (at && !next) return "";
+        return next ? el.replace(/^<[^>]*>/, (tag) => setAttr(tag, "ref", formatArea(next))) : el;
+      });
+    }
+    if (out !== xml) zip.file(rel.part, out);
+  }
+
+  stats.concealedRowsDeleted += rows.size;
+  stats.concealedColumnsDeleted += cols.size;
+}
+
+// Drop shared strings no cell points to any more (cleared / deleted values would otherwise stay in the package)
+async function pruneSharedStrings(zip) {
+  const xml = await readPart(zip, "xl/sharedStrings.xml");
+  if (!xml) return 0;
+  const items = xml.match(/<si\b[^>]*>[\s\S]*?<\/si>|<si\s*\/>/g) || [];
+
+  const used = new Set();
+  const sheetXml = new Map();
+  for (const part of Object.keys(zip.files).filter((n) => /^xl\/(worksheets|macrosheets|dialogsheets)\/[^/]+\.xml$/.test(n))) {
+    const s = await readPart(zip, part);
+    sheetXml.set(part, s);
+    for (const m of s.matchAll(CELL_RE)) {
+      if (xmlAttr(` ${m[1]}`, "t") !== "s") continue;
+      const v = (m[2] || "").match(/<v>(\d+)<\/v>/)?.[1];
+      if (v !== undefined) used.add(Number(v));
+    }
+  }
+  if (used.size === items.length) return 0;
+
+  const remap = new Map();
+  const kept = [];
+  items.forEach((si, i) => {
+    if (!used.has(i)) return;
+    remap.set(i, kept.length);
+    kept.push(si);
+  });
+
+  let refs = 0;
+  for (const [part, s] of sheetXml) {
+    zip.file(
+      part,
+      s.replace(CELL_RE, (cellXml, attrs) => {
+        if (xmlAttr(` ${attrs}`, "t") !== "s") return cellXml;
+        refs++;
+        return cellXml.replace(/<v>(\d+)<\/v>/, (_, n) => `<v>${remap.get(Number(n)) ?? n}</v>`);
+      })
+    );
+  }
+
+  let open = xml.match(/<sst\b[^>]*>/)?.[0] || "<sst>";
+  open = setAttr(setAttr(open, "count", String(refs)), "uniqueCount", String(kept.length));
+  zip.file("xl/sharedStrings.xml", xml.replace(/<sst\b[^>]*>[\s\S]*<\/sst>/, () => `${open}${kept.join("")}</sst>`));
+  return items.length - kept.length;
+}
+
+// Names whose definition points into one of the given sheets (formulas can reach the cleaned data through them)
+function namesReferencing(workbookXml, sheetNames) {
+  const names = [];
+  for (const m of String(workbookXml || "").matchAll(/<definedName\b([^>]*?)(?<!\/)>([\s\S]*?)<\/definedName>/g)) {
+    let hit = false;
+    mapFormulaRefs(decodeXml(m[2]), (sheetName) => {
+      if (sheetName && sheetNames.has(sheetName.toLowerCase())) hit = true;
+      return undefined;
+    });
+    const name = xmlAttr(m[1], "name");
+    if (hit && name) names.push(name);
+  }
+  return names;
+}
+
+/**
+ * Drop the cached <v> of formulas that may depend on the cleaned sheets: every formula on those sheets, and formulas
+ * elsewhere that reference them directly or through a defined name. Otherwise SUM(B2:B5) still shows the total that
+ * included the removed value until Excel recalculates. Formulas that only read other workbooks ([1]Rates!A1) keep
+ * theirs: it cannot include a cleaned value, and breakExternalLinks turns them into exactly that value.
+ */
+async function dropDependentFormulaCaches(zip, sheets, cleanedParts, stats) {
+  const cleanedNames = new Set(sheets.filter((s) => cleanedParts.has(s.part)).map((s) => String(s.name).toLowerCase()));
+  const names = namesReferencing(await readPart(zip, "xl/workbook.xml"), cleanedNames);
+  const escaped = names.map((n) => n.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const nameRe = names.length ? new RegExp(`(^|[^A-Za-z0-9_.])(${escaped.join("|")})(?![A-Za-z0-9_.(])`, "i") : null;
+  const dependsOnCleaned = (formula) => {
+    let hit = !!nameRe?.test(formula);
+    mapFormulaRefs(formula, (sheetName) => {
+      if (sheetName && cleanedNames.has(sheetName.toLowerCase())) hit = true;
+      return undefined;
+    });
+    return hit;
+  };
+  const externalOnly = (formula) => {
+    if (!externalLinkIndexes(formula).length || nameRe?.test(formula)) return false;
+    let local = false;
+    mapFormulaRefs(formula, (sheetName) => {
+      if (!sheetName?.startsWith("[")) local = true;
+      return undefined;
+    });
+    return !local;
+  };
+
+  for (const sheet of sheets) {
+    const xml = await readPart(zip, sheet.part);
+    if (!xml) continue;
+    const own = cleanedParts.has(sheet.part);
+    const out = xml.replace(CELL_RE, (cellXml, attrs, inner) => {
+      const f = (inner || "").match(/<f\b[^>]*?(?:\/>|>([\s\S]*?)<\/f>)/);
+      if (!f || !/<v>/.test(inner)) return cellXml;
+      const formula = decodeXml(f[1] || "");
+      if (own ? externalOnly(formula) : !dependsOnCleaned(formula)) return cellXml;
+      stats.formulaCachesDropped++;
+      return cellXml
+        .replace(/^<c\b[^>]*>/, (tag) => tag.replace(/\st="(?:str|b|e)"/, ""))
+        .replace(/<v>[\s\S]*?<\/v>/, "");
+    });
+    if (out !== xml) zip.file(sheet.part, out);
+  }
+}
+
+/**
+ * Clear or delete concealed data. mode "clear" empties the concealed cells (layout kept);
+ * "delete" removes concealed rows / columns and shifts the rest (formatting-only concealment is
+ * cleared, lines under a table column or a pivot table are cleared instead of deleted).
+ * Returns the removed part names (calcChain: its cell list no longer matches).
+ */
+export async function cleanConcealedCells(zip, mode, stats) {
+  if (!CONCEALED_CELLS_MODES.includes(mode) || mode === "keep") return [];
+
+  const findings = (await inspectConcealedCells(zip)).filter((f) => f.cellCount > 0 || (mode === "delete" && f.axis !== "cell"));
+  if (!findings.length) return [];
+
+  const sheets = await workbookSheets(zip);
+  for (const sheet of sheets) {
+    const xml = await readPart(zip, sheet.part);
+    if (!xml) continue;
+    const { xml: out, expanded } = expandSharedFormulas(xml);
+    if (expanded) zip.file(sheet.part, out);
+  }
+
+  for (const sheet of sheets) {
+    const own = findings.filter((f) => f.part === sheet.part);
+    if (!own.length) continue;
+
+    const guard = mode === "delete" ? await protectedLines(zip, sheet.part) : { rows: new Set(), cols: new Set() };
+    const deleteRows = [];
+    const deleteCols = [];
+    const clearRows = new Set();
+    const clearCols = new Set();
+    const clearCells = new Set();
+
+    for (const f of own) {
+      if (f.axis === "cell") {
+        f.cells.forEach((ref) => clearCells.add(ref));
+        continue;
+      }
+      for (let n = f.first; n <= f.last; n++) {
+        const guarded = f.axis === "row" ? guard.rows.has(n) : guard.cols.has(n);
+        if (mode === "delete" && !guarded) (f.axis === "row" ? deleteRows : deleteCols).push(n);
+        else (f.axis === "row" ? clearRows : clearCols).add(n);
+      }
+    }
+
+    if (clearRows.size || clearCols.size || clearCells.size) {
+      const xml = await readPart(zip, sheet.part);
+      zip.file(
+        sheet.part,
+        xml.replace(CELL_RE, (cellXml, attrs) => {
+          const at = parseCellRef(xmlAttr(` ${attrs}`, "r"));
+          if (!at || !hasValue(cellXml)) return cellXml;
+          if (!clearRows.has(at.row) && !clearCols.has(at.col) && !clearCells.has(`${numToCol(at.col)}${at.row}`)) return cellXml;
+          stats.concealedCellsCleared++;
+          return clearCellXml(cellXml);
+        })
+      );
+    }
+
+    if (deleteRows.length || deleteCols.length) await deleteLines(zip, sheets, sheet, deleteRows, deleteCols, stats);
+    stats.concealedRangesCleaned += own.length;
+  }
+
+  stats.sharedStringsPruned += await pruneSharedStrings(zip);
+
+  // Cached results of dependent formulas still reflect the removed values: drop them and recalculate on open
+  await dropDependentFormulaCaches(zip, sheets, new Set(findings.map((f) => f.part)), stats);
+  const workbook = await readPart(zip, "xl/workbook.xml");
+  if (workbook) {
+    zip.file(
+      "xl/workbook.xml",
+      /<calcPr\b/.test(workbook)
+        ? workbook.replace(/<calcPr\b[^>]*?(\/?)>/, (tag) => setAttr(tag, "fullCalcOnLoad", "1"))
+        : workbook.replace(/<\/sheets>(?:\s*<definedNames>[\s\S]*?<\/definedNames>)?/, (all) => `${all}<calcPr fullCalcOnLoad="1"/>`)
+    );
+  }
+
+  const removedParts = [];
+  if (zip.file("xl/calcChain.xml")) {
+    zip.remove("xl/calcChain.xml");
+    removedParts.push("xl/calcChain.xml");
+    const rels = await readPart(zip, "xl/_rels/workbook.xml.rels");
+    if (rels) zip.file("xl/_rels/workbook.xml.rels", rels.replace(/<Relationship\b[^>]*calcChain[^>]*\/>/g, ""));
+  }
+  return removedParts;
+}
+
+export default { inspectConcealedCells, cleanConcealedCells, CONCEALED_CELLS_MODES, LINE_TECHNIQUES };
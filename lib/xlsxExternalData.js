@@ -0,0 +1,238 @@
+// lib/xlsxExternalData.js
+// VERSION 1.0 - XLSX external workbook links, data connections and query tables (shared by analyzer + cleaner)
+
+const REL_TYPE_EXTERNAL_LINK = /\/externalLink$/;
+const REL_TYPE_CONNECTIONS = /\/connections$/;
+
+// <connection type="n"> (ECMA-376 Part 1, 18.13.1)
+const CONNECTION_TYPES = {
+  1: "ODBC",
+  2: "DAO",
+  3: "File",
+  4: "Web",
+  5: "OLE DB",
+  6: "Text",
+  7: "ADO",
+  8: "DSP",
+};
+
+const SECRET_KEYS = /^(password|pwd|passwd|user password|secret|access token|accountkey)$/i;
+const USER_KEYS = /^(user id|uid|user|username)$/i;
+const SERVER_KEYS = /^(data source|server|address|addr|network address|host|dsn|location)$/i;
+const DATABASE_KEYS = /^(initial catalog|database|dbq|default database)$/i;
+
+export function xmlAttr(tag, name) {
+  const m = String(tag || "").match(new RegExp(`(?:^|\\s)${name.replace(":", "\\:")}="([^"]*)"`));
+  return m ? decodeXml(m[1]) : null;
+}
+
+export function decodeXml(s) {
+  return String(s || "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(parseInt(n, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+// [n] workbook prefix in a formula ([1]Sheet1!A1, '[2]Prices'!B3, [1]!Name), not structured refs like Table1[2020]
+const EXTERNAL_FORMULA_REF = /(?:^|[^\w.\]])'?\[(\d+)\]/g;
+
+/**
+ * External link indexes referenced by a formula (decoded text of <f>)
+ */
+export function externalLinkIndexes(formula) {
+  return [...String(formula || "").matchAll(EXTERNAL_FORMULA_REF)].map((m) => Number(m[1]));
+}
+
+/**
+ * Parse a relationships part into [{ id, type, target, external }]
+ */
+export function parseRels(xml) {
+  return [...String(xml || "").matchAll(/<Relationship\b[^>]*>/g)].map((m) => ({
+    id: xmlAttr(m[0], "Id"),
+    type: xmlAttr(m[0], "Type") || "",
+    target: xmlAttr(m[0], "Target") || "",
+    external: xmlAttr(m[0], "TargetMode") === "External",
+    tag: m[0],
+  }));
+}
+
+/**
+ * Resolve an internal relationship target against the folder of its source part
+ */
+export function resolvePartPath(sourcePart, target) {
+  if (target.startsWith("/")) return target.slice(1);
+  const stack = sourcePart.split("/").slice(0, -1);
+  for (const seg of target.split("/")) {
+    if (seg === "..") stack.pop();
+    else if (seg && seg !== ".") stack.push(seg);
+  }
+  return stack.join("/");
+}
+
+export function relsPathOf(part) {
+  return part.replace(/([^/]+)$/, "_rels/$1.rels");
+}
+
+/**
+ * Kind of a link target: unc | local_path | web | relative
+ */
+export function classifyTarget(target) {
+  const t = String(target || "").replace(/^file:\/{2,3}/i, "");
+  if (/^(\\\\|\/\/)[^\\/]+[\\/]/.test(t)) return "unc";
+  if (/^[a-z]:[\\/]/i.test(t) || /^\/(Users|home|Volumes)\//.test(t)) return "local_path";
+  if (/^https?:\/\//i.test(target)) return "web";
+  return "relative";
+}
+
+/**
+ * Split an ODBC / OLE DB connection string into key/value pairs
+ */
+function parseConnectionString(str) {
+  const pairs = [];
+  for (const chunk of String(str || "").split(";")) {
+    const i = chunk.indexOf("=");
+    if (i <= 0) continue;
+    pairs.push([chunk.slice(0, i).trim(), chunk.slice(i + 1).trim()]);
+  }
+  return pairs;
+}
+
+/**
+ * Mask credential values (Password=..., PWD=...) so reports never echo them
+ */
+export function maskConnectionString(str) {
+  return parseConnectionString(str).length
+    ? String(str).replace(/(^|;)\s*([^=;]+)=([^;]*)/g, (all, sep, key, value) =>
+        SECRET_KEYS.test(key.trim()) && value ? `${sep}${key}=***` : all
+      )
+    : String(str || "");
+}
+
+function describeConnection(tag, body) {
+  const dbPr = body.match(/<dbPr\b[^>]*>/)?.[0] || "";
+  const webPr = body.match(/<webPr\b[^>]*>/)?.[0] || "";
+  const textPr = body.match(/<textPr\b[^>]*>/)?.[0] || "";
+  const connectionString = xmlAttr(dbPr, "connection") || "";
+  const pairs = parseConnectionString(connectionString);
+  const find = (re) => pairs.find(([k, v]) => re.test(k) && v)?.[1] || null;
+
+  const server = find(SERVER_KEYS);
+  const url = xmlAttr(webPr, "url");
+  const sourceFile = xmlAttr(textPr, "sourceFile") || xmlAttr(tag, "sourceFile") || xmlAttr(tag, "odcFile");
+
+  return {
+    id: xmlAttr(tag, "id"),
+    name: xmlAttr(tag, "name") || `Connection ${xmlAttr(tag, "id") || ""}`.trim(),
+    connectionType: CONNECTION_TYPES[xmlAttr(tag, "type")] || "Unknown",
+    server,
+    database: find(DATABASE_KEYS),
+    user: find(USER_KEYS),
+    hasCredentials: pairs.some(([k, v]) => SECRET_KEYS.test(k) && v) || xmlAttr(tag, "savePassword") === "1",
+    connectionString: maskConnectionString(connectionString),
+    command: (xmlAttr(dbPr, "command") || "").slice(0, 200) || null,
+    target: server || url || sourceFile || null,
+    targetKind: url ? "web" : sourceFile ? classifyTarget(sourceFile) : server ? "server" : null,
+  };
+}
+
+/**
+ * Inventory of external data in an XLSX package (JSZip instance).
+ * links: externalLink parts (index n = formula prefix [n]); connections: xl/connections.xml entries;
+ * queryTables: xl/queryTables parts with the sheet/table that owns them.
+ */
+export async function inspectExternalData(zip) {
+  const read = async (p) => (zip.file(p) ? zip.file(p).async("string") : null);
+  const workbookXml = (await read("xl/workbook.xml")) || "";
+  const workbookRels = parseRels(await read("xl/_rels/workbook.xml.rels"));
+
+  // ---- External workbook links ----
+  const links = [];
+  const refIds = [...workbookXml.matchAll(/<externalReference\b[^>]*>/g)].map((m) => xmlAttr(m[0], "r:id"));
+  for (const [i, relId] of refIds.entries()) {
+    const rel = workbookRels.find((r) => r.id === relId && REL_TYPE_EXTERNAL_LINK.test(r.type));
+    if (!rel) continue;
+    const part = resolvePartPath("xl/workbook.xml", rel.target);
+    const xml = (await read(part)) || "";
+    const linkRels = parseRels(await read(relsPathOf(part)));
+
+    let target = linkRels.find((r) => r.external)?.target || null;
+    let targetKind = target ? classifyTarget(target) : null;
+    const dde = xml.match(/<ddeLink\b[^>]*>/)?.[0];
+    if (dde) {
+      target = `${xmlAttr(dde, "ddeService") || ""}|${xmlAttr(dde, "ddeTopic") || ""}`;
+      targetKind = "dde";
+    } else if (/<oleLink\b/.test(xml)) {
+      targetKind = "ole";
+    }
+
+    links.push({
+      index: i + 1,
+      relId,
+      part,
+      target: target ? decodeTarget(target) : null,
+      targetKind,
+      sheetNames: [...xml.matchAll(/<sheetName\b[^>]*>/g)].map((m) => xmlAttr(m[0], "val")).filter(Boolean),
+      cachedValues: (xml.match(/<cell\b[^>]*>\s*<v>/g) || []).length,
+    });
+  }
+
+  // ---- Data connections ----
+  const connections = [];
+  const connectionsRel = workbookRels.find((r) => REL_TYPE_CONNECTIONS.test(r.type));
+  const connectionsPart = connectionsRel ? resolvePartPath("xl/workbook.xml", connectionsRel.target) : "xl/connections.xml";
+  const connectionsXml = (await read(connectionsPart)) || "";
+  for (const m of connectionsXml.matchAll(/<connection\b([^>]*?)(?:\/>|>([\s\S]*?)<\/connection>)/g)) {
+    connections.push({ ...describeConnection(`<connection ${m[1]}>`, m[2] || ""), part: connectionsPart });
+  }
+
+  // ---- Query tables (owned by a table part or, in older files, by the sheet) ----
+  const queryTables = [];
+  const owners = new Map();
+  for (const relsPart of Object.keys(zip.files).filter((n) => /^xl\/(worksheets|tables)\/_rels\/[^/]+\.rels$/.test(n))) {
+    const source = relsPart.replace(/_rels\/([^/]+)\.rels$/, "$1");
+    for (const rel of parseRels(await read(relsPart))) {
+      if (/\/queryTable$/.test(rel.type)) owners.set(resolvePartPath(source, rel.target), source);
+    }
+  }
+  for (const part of Object.keys(zip.files).filter((n) => /^xl\/queryTables\/[^/]+\.xml$/.test(n))) {
+    const tag = ((await read(part)) || "").match(/<queryTable\b[^>]*>/)?.[0] || "";
+    const connectionId = xmlAttr(tag, "connectionId");
+    const connection = connections.find((c) => c.id === connectionId) || null;
+    queryTables.push({
+      part,
+      name: xmlAttr(tag, "name") || part.split("/").pop(),
+      connectionId,
+      connectionName: connection?.name || null,
+      target: connection?.target || null,
+      owner: owners.get(part) || null,
+    });
+  }
+
+  return { links, connections, connectionsPart: connectionsXml ? connectionsPart : null, queryTables };
+}
+
+// Targets are stored URI-encoded ("Prices%20Q3.xlsx")
+export function decodeTarget(target) {
+  try {
+    return decodeURI(target);
+  } catch {
+    return target;
+  }
+}
+
+export default {
+  inspectExternalData,
+  externalLinkIndexes,
+  decodeXml,
+  maskConnectionString,
+  parseRels,
+  resolvePartPath,
+  relsPathOf,
+  xmlAttr,
+  classifyTarget,
+  decodeTarget,
+};
@@ -0,0 +1,266 @@
+// lib/xlsxPivotCaches.js
+// VERSION 1.1 - XLSX pivot caches: inventory (analyzer) + record stripping / static conversion (cleaner)
+// 1.1: drop-records also clears the shared items of fields off the pivot axes and the min / max of data fields
+
+import { parseRels, resolvePartPath, relsPathOf, xmlAttr } from "./xlsxExternalData.js";
+
+const REL_TYPE_PIVOT_CACHE = /\/pivotCacheDefinition$/;
+const REL_TYPE_PIVOT_RECORDS = /\/pivotCacheRecords$/;
+const REL_TYPE_PIVOT_TABLE = /\/pivotTable$/;
+
+export const PIVOT_CACHE_MODES = ["keep", "drop-records", "static"];
+
+async function readPart(zip, part) {
+  return zip.file(part) ? zip.file(part).async("string") : null;
+}
+
+/**
+ * Inventory of pivot caches (JSZip instance):
+ * [{ cacheId, relId, part, recordsPart, records, fields, source, pivotTables, slicers }]
+ * source: { type, sheet, ref, name, connectionId, sheetState: visible|hidden|veryHidden|missing|null }
+ */
+export async function inspectPivotCaches(zip) {
+  const workbookXml = (await readPart(zip, "xl/workbook.xml")) || "";
+  const workbookRels = parseRels(await readPart(zip, "xl/_rels/workbook.xml.rels"));
+
+  const sheetStates = new Map();
+  const sheetParts = new Map();
+  for (const m of workbookXml.matchAll(/<sheet\b[^>]*>/g)) {
+    const name = xmlAttr(m[0], "name");
+    sheetStates.set(name, xmlAttr(m[0], "state") || "visible");
+    const rel = workbookRels.find((r) => r.id === xmlAttr(m[0], "r:id"));
+    if (rel) sheetParts.set(resolvePartPath("xl/workbook.xml", rel.target), name);
+  }
+
+  // pivot table parts -> owning sheet name
+  const pivotTables = [];
+  for (const [sheetPart, sheetName] of sheetParts) {
+    for (const rel of parseRels(await readPart(zip, relsPathOf(sheetPart)))) {
+      if (!REL_TYPE_PIVOT_TABLE.test(rel.type)) continue;
+      const part = resolvePartPath(sheetPart, rel.target);
+      const tag = ((await readPart(zip, part)) || "").match(/<pivotTableDefinition\b[^>]*>/)?.[0] || "";
+      const cachePart = parseRels(await readPart(zip, relsPathOf(part)))
+        .filter((r) => REL_TYPE_PIVOT_CACHE.test(r.type))
+        .map((r) => resolvePartPath(part, r.target))[0];
+      pivotTables.push({ part, sheetPart, sheet: sheetName, name: xmlAttr(tag, "name"), cachePart });
+    }
+  }
+
+  // slicers / timelines bound to pivot tables (by pivot table name)
+  const slicedPivots = new Set();
+  for (const name of Object.keys(zip.files).filter((n) => /^xl\/(slicerCaches|timelineCaches)\/[^/]+\.xml$/.test(n))) {
+    const xml = (await readPart(zip, name)) || "";
+    for (const m of xml.matchAll(/<(?:x14:|x15:)?pivotTable\b[^>]*>/g)) slicedPivots.add(xmlAttr(m[0], "name"));
+  }
+
+  const caches = [];
+  for (const m of workbookXml.matchAll(/<pivotCache\b[^>]*>/g)) {
+    const cacheId = xmlAttr(m[0], "cacheId");
+    const relId = xmlAttr(m[0], "r:id");
+    const rel = workbookRels.find((r) => r.id === relId && REL_TYPE_PIVOT_CACHE.test(r.type));
+    if (!rel) continue;
+
+    const part = resolvePartPath("xl/workbook.xml", rel.target);
+    const def = (await readPart(zip, part)) || "";
+    const recordsRel = parseRels(await readPart(zip, relsPathOf(part))).find((r) => REL_TYPE_PIVOT_RECORDS.test(r.type));
+    const recordsPart = recordsRel ? resolvePartPath(part, recordsRel.target) : null;
+    const recordsXml = recordsPart ? (await readPart(zip, recordsPart)) || "" : "";
+    const recordsTag = recordsXml.match(/<pivotCacheRecords\b[^>]*>/)?.[0] || "";
+
+    const sourceTag = def.match(/<cacheSource\b[^>]*>/)?.[0] || "";
+    const wsTag = def.match(/<worksheetSource\b[^>]*>/)?.[0] || "";
+    const sheet = xmlAttr(wsTag, "sheet");
+    const source = {
+      type: xmlAttr(sourceTag, "type") || "worksheet",
+      sheet,
+      ref: xmlAttr(wsTag, "ref"),
+      name: xmlAttr(wsTag, "name"),
+      connectionId: xmlAttr(sourceTag, "connectionId"),
+      sheetState: sheet ? sheetStates.get(sheet) || "missing" : null,
+    };
+
+    const tables = pivotTables.filter((t) => t.cachePart === part);
+    caches.push({
+      cacheId,
+      relId,
+      part,
+      recordsPart: zip.file(recordsPart || "") ? recordsPart : null,
+      records: recordsXml
+        ? Number(xmlAttr(recordsTag, "count")) || (recordsXml.match(/<r>|<r\s*\/>/g) || []).length
+        : 0,
+      recordCountDeclared: Number(xmlAttr(def.match(/<pivotCacheDefinition\b[^>]*>/)?.[0], "recordCount")) || null,
+      fields: [...def.matchAll(/<cacheField\b[^>]*>/g)].map((f) => xmlAttr(f[0], "name")).filter(Boolean),
+      refreshOnLoad: /\brefreshOnLoad="(1|true)"/.test(def),
+      source,
+      pivotTables: tables.map(({ part: p, sheet: s, name }) => ({ part: p, sheet: s, name })),
+      tableParts: tables,
+      slicers: tables.some((t) => slicedPivots.has(t.name)),
+    });
+  }
+
+  return caches;
+}
+
+async function dropRelationships(zip, relsPath, predicate) {
+  const xml = await readPart(zip, relsPath);
+  if (!xml) return;
+  zip.file(
+    relsPath,
+    xml.replace(/<Relationship\b[^>]*?(?:\/>|>\s*<\/Relationship>)/g, (tag) => (predicate(parseRels(tag)[0]) ? "" : tag))
+  );
+}
+
+function setAttr(tag, name, value) {
+  const re = new RegExp(`\\s${name}="[^"]*"`);
+  if (value === null) return tag.replace(re, "");
+  return re.test(tag) ? tag.replace(re, ` ${name}="${value}"`) : tag.replace(/\s*(\/?)>$/, ` ${name}="${value}"$1>`);
+}
+
+const PIVOT_FIELD_RE = /<pivotField\b[^>]*?(?:\/>|>[\s\S]*?<\/pivotField>)/g;
+const CACHE_FIELD_RE = /<cacheField\b[^>]*?(?:\/>|>[\s\S]*?<\/cacheField>)/g;
+const SHARED_ITEMS_RE = /<sharedItems\b[^>]*?(?:\/>|>[\s\S]*?<\/sharedItems>)/;
+const RANGE_ATTRS = ["count", "minValue", "maxValue", "minDate", "maxDate"];
+
+// Cache field indexes the pivot tables show as row / column / page items
+async function axisFields(zip, tableParts) {
+  const axis = new Set();
+  for (const table of tableParts) {
+    const xml = (await readPart(zip, table.part)) || "";
+    [...xml.matchAll(PIVOT_FIELD_RE)].forEach((m, i) => {
+      if (xmlAttr(m[0].match(/^<pivotField\b[^>]*>/)[0], "axis")) axis.add(i);
+    });
+    for (const m of xml.matchAll(/<(?:rowFields|colFields)\b[\s\S]*?<\/(?:rowFields|colFields)>/g)) {
+      for (const f of m[0].matchAll(/<field\b[^>]*>/g)) axis.add(Number(xmlAttr(f[0], "x")));
+    }
+    for (const f of xml.matchAll(/<pageField\b[^>]*>/g)) axis.add(Number(xmlAttr(f[0], "fld")));
+  }
+  return axis;
+}
+
+/**
+ * Without records the definition still lists each field's distinct source values (sharedItems) and numeric / date
+ * ranges. Fields off every pivot axis (value / data fields included) lose their items, min / max and their
+ * pivotField item lists.
+ * Returns the number of fields cleared.
+ */
+async function clearUnusedSharedItems(zip, cache) {
+  const axis = await axisFields(zip, cache.tableParts);
+  const cleared = new Set();
+
+  const def = await readPart(zip, cache.part);
+  let index = -1;
+  const out = def.replace(CACHE_FIELD_RE, (field) => {
+    index++;
+    if (axis.has(index)) return field;
+    return field.replace(SHARED_ITEMS_RE, (items) => {
+      const tag = RANGE_ATTRS.reduce((t, name) => setAttr(t, name, null), items.match(/^<sharedItems\b[^>]*?(?=\/?>)/)[0]);
+      const next = `${tag}/>`;
+      if (next !== items) cleared.add(index);
+      return next;
+    });
+  });
+  if (out !== def) zip.file(cache.part, out);
+
+  // Item lists of cleared fields pointed into the removed shared items
+  for (const table of cache.tableParts) {
+    const xml = await readPart(zip, table.part);
+    if (!xml) continue;
+    let i = -1;
+    const next = xml.replace(PIVOT_FIELD_RE, (field) => {
+      i++;
+      if (!cleared.has(i)) return field;
+      return field.replace(/<items\b[^>]*?(?:\/>|>[\s\S]*?<\/items>)/, "");
+    });
+    if (next !== xml) zip.file(table.part, next);
+  }
+  return cleared.size;
+}
+
+async function dropRecords(zip, cache, removedParts) {
+  if (cache.recordsPart) {
+    zip.remove(cache.recordsPart);
+    removedParts.push(cache.recordsPart);
+  }
+  await dropRelationships(zip, relsPathOf(cache.part), (rel) => REL_TYPE_PIVOT_RECORDS.test(rel.type));
+
+  // No saved records: the pivot renders from the sheet cells; refresh is disabled so it
+  // cannot be re-filled from a source that may still be in the workbook
+  const def = await readPart(zip, cache.part);
+  zip.file(
+    cache.part,
+    def.replace(/<pivotCacheDefinition\b[^>]*>/, (tag) => {
+      let t = setAttr(tag, "r:id", null);
+      t = setAttr(t, "refreshOnLoad", null);
+      t = setAttr(t, "recordCount", null);
+      t = setAttr(t, "saveData", "0");
+      t = setAttr(t, "enableRefresh", "0");
+      return t;
+    })
+  );
+}
+
+async function convertToStatic(zip, cache, removedParts) {
+  for (const table of cache.tableParts) {
+    for (const part of [table.part, relsPathOf(table.part)]) {
+      if (zip.file(part)) {
+        zip.remove(part);
+        removedParts.push(part);
+      }
+    }
+    await dropRelationships(
+      zip,
+      relsPathOf(table.sheetPart),
+      (rel) => REL_TYPE_PIVOT_TABLE.test(rel.type) && resolvePartPath(table.sheetPart, rel.target) === table.part
+    );
+
+    // The rendered cells stay; selections pointing at the pivot go
+    const sheet = await readPart(zip, table.sheetPart);
+    if (sheet) zip.file(table.sheetPart, sheet.replace(/<pivotSelection\b[\s\S]*?<\/pivotSelection>|<pivotSelection\b[^>]*\/>/g, ""));
+  }
+
+  for (const part of [cache.part, relsPathOf(cache.part), cache.recordsPart].filter(Boolean)) {
+    if (zip.file(part)) {
+      zip.remove(part);
+      removedParts.push(part);
+    }
+  }
+
+  await dropRelationships(zip, "xl/_rels/workbook.xml.rels", (rel) => rel.id === cache.relId);
+  const wb = await readPart(zip, "xl/workbook.xml");
+  zip.file(
+    "xl/workbook.xml",
+    wb
+      .replace(new RegExp(`<pivotCache\\b[^>]*\\bcacheId="${cache.cacheId}"[^>]*/>`), "")
+      .replace(/<pivotCaches>\s*<\/pivotCaches>/, "")
+  );
+}
+
+/**
+ * Strip pivot cache data. mode: "drop-records" keeps the rendered pivot (no refresh),
+ * "static" removes pivot tables + caches and keeps the rendered cell values.
+ * Pivots driven by slicers/timelines are only stripped of records in static mode.
+ */
+export async function stripPivotCaches(zip, mode, stats) {
+  if (!PIVOT_CACHE_MODES.includes(mode) || mode === "keep") return [];
+
+  const caches = await inspectPivotCaches(zip);
+  const removedParts = [];
+
+  for (const cache of caches) {
+    if (mode === "static" && !cache.slicers) {
+      await convertToStatic(zip, cache, removedParts);
+      stats.pivotTablesConverted += cache.tableParts.length;
+    } else {
+      if (mode === "static") stats.pivotCachesKeptForSlicers++;
+      if (!cache.recordsPart) continue;
+      await dropRecords(zip, cache, removedParts);
+      stats.pivotSharedItemsCleared += await clearUnusedSharedItems(zip, cache);
+    }
+    stats.pivotCachesStripped++;
+    stats.pivotRecordsRemoved += cache.records;
+  }
+
+  return removedParts;
+}
+
+export default { inspectPivotCaches, stripPivotCaches, PIVOT_CACHE_MODES };
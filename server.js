@@ -15,19 +15,37 @@ import { v4 as uuidv4 } from "uuid";
 // ✅ NEW: cache imports
 import { getFileHash, getCachedAnalysis, setCachedAnalysis } from "./lib/cache.js";
 
+// Async job queue (/jobs)
+import { createJob, getJob, cancelJob, serializeJob } from "./lib/jobs.js";
+import { recordOverride, getOverrides } from "./lib/overrides.js";
+import {
+  resolveRulePack,
+  evaluateRulePack,
+  listRulePacks,
+  blockingRuleIds,
+  DEFAULT_RULE_PACK,
+} from "./lib/policy/rulePacks.js";
+import { PIVOT_CACHE_MODES } from "./lib/xlsxPivotCaches.js";
+import { CONCEALED_CELLS_MODES } from "./lib/xlsxConcealedCells.js";
+import { FIELD_UNLINK_MODES } from "./lib/docxFields.js";
+import { EMBEDDED_OBJECT_CLASSES, DEFAULT_EMBEDDED_OBJECT_CLASSES } from "./lib/officeEmbeddings.js";
+import { cleanEmbeddedDocuments, EMBEDDED_DOCUMENT_MODES } from "./lib/embeddedDocuments.js";
+
 // Imports existants
 import { cleanDOCX } from "./lib/docxCleaner.js";
 import { cleanPPTX } from "./lib/pptxCleaner.js";
 import { cleanPDF } from "./lib/pdfCleaner.js";
+import { redactPDF, removeCoveredText, removeHiddenText } from "./lib/pdfRedactor.js";
 import { correctDOCXText, correctPPTXText, correctXLSXText } from "./lib/officeCorrect.js";
 import { buildReportHtmlDetailed, buildReportData } from "./lib/report.js";
-import { extractPdfText, filterExtractedLines } from "./lib/pdfTools.js";
+import { extractPdfText, extractPdfLayout, filterExtractedLines } from "./lib/pdfTools.js";
 import { createDocxFromText } from "./lib/docxWriter.js";
 import { aiCorrectText } from "./lib/ai.js";
 import { cleanXLSX } from "./lib/xlsxCleaner.js";
+import { buildCleanManifest } from "./lib/cleanManifest.js";
 
 // Import de documentAnalyzer
-import { analyzeDocument } from "./lib/documentAnalyzer.js";
+import { analyzeDocument, calculateSummary } from "./lib/documentAnalyzer.js";
 
 // Import docStats
 import { extractDocStats } from "./lib/docStats.js";
@@ -61,7 +79,7 @@ app.use(
       /\.lovableproject\.com$/,
     ],
     credentials: true,
-    methods: ["GET", "POST"],
+    methods: ["GET", "POST", "DELETE"],
     allowedHeaders: ["Content-Type", "Authorization"],
   })
 );
@@ -451,295 +469,28 @@ async function getDeterministicText(ext, buffer, analysisResult) {
   return "";
 }
 
-const RULES = {
-  delivery: {
-    strongEngagement: [
-      /\bwe\s+will\b/gi,
-      /\bwe\s+commit\b/gi,
-      /\bwe\s+guarantee\b/gi,
-      /\bwe\s+ensure\b/gi,
-      /\bdeliver\s+by\b/gi,
-      /\bcommitment\b/gi,
-    ],
-    openEndedDeliverables: [
-      /\bas\s+needed\b/gi,
-      /\bunlimited\b/gi,
-      /\bongoing\b/gi,
-      /\bcontinuous\b/gi,
-      /\bsupport\s+until\b/gi,
-      /\bfull\s+ownership\b/gi,
-      /\bend-to-end\b/gi,
-    ],
-    fixedPriceNoBoundaries: [
-      /\bfixed\s+price\b/gi,
-      /\bflat\s+fee\b/gi,
-      /\ball-inclusive\b/gi,
-      /\bturnkey\b/gi,
-    ],
-    deadlinesNoDependencies: [
-      /\bby\s+(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/gi,
-      /\bby\s+\d{1,2}\/\d{1,2}(\/\d{2,4})?\b/gi,
-      /\bno\s+later\s+than\b/gi,
-      /\bdeadline\b/gi,
-    ],
-    dependencyMarkers: [
-      /\bsubject\s+to\b/gi,
-      /\bassuming\b/gi,
-      /\bdependent\s+on\b/gi,
-      /\bclient\s+to\s+provide\b/gi,
-      /\bprerequisite\b/gi,
-    ],
-  },
-  negotiation: {
-    internalAssumptions: [
-      /\binternal\s+assumption\b/gi,
-      /\bassumption\b/gi,
-      /\bworking\s+hypothesis\b/gi,
-      /\bnot\s+for\s+client\b/gi,
-      /\bdo\s+not\s+share\b/gi,
-    ],
-    optionsABC: [
-      /\boption\s+a\b/gi,
-      /\boption\s+b\b/gi,
-      /\boption\s+c\b/gi,
-      /\balternative\s+a\b/gi,
-      /\balternative\s+b\b/gi,
-    ],
-    clientDependency: [
-      /\bwe\s+need\s+this\s+deal\b/gi,
-      /\bstrategic\s+client\b/gi,
-      /\bmust-win\b/gi,
-      /\bpriority\s+account\b/gi,
-    ],
-    internalBenchmarks: [
-      /\bbenchmark\b/gi,
-      /\btarget\s+rate\b/gi,
-      /\bwalk-away\b/gi,
-      /\breservation\s+price\b/gi,
-      /\bmargin\s+target\b/gi,
-    ],
-  },
-  margin: {
-    pricingKeywords: [
-      /\brate\b/gi,
-      /\brate\s+card\b/gi,
-      /\bunit\s+cost\b/gi,
-      /\bcost\b/gi,
-      /\bmargin\b/gi,
-      /\bmarkup\b/gi,
-      /\bdiscount\b/gi,
-      /\bpricing\b/gi,
-    ],
-  },
-  compliance: {
-    confidentialMarkers: [
-      /\bconfidential\b/gi,
-      /\bproprietary\b/gi,
-      /\binternal\s+use\s+only\b/gi,
-      /\bnda\b/gi,
-      /\bexport\s+control\b/gi,
-      /\bitar\b/gi,
-      /\bear\b/gi,
-    ],
-    projectCodeLike: [
-      /\bproj[-_\s]?\d{3,}\b/gi,
-      /\bprj[-_\s]?\d{3,}\b/gi,
-      /\bpo[-_\s]?\d{4,}\b/gi,
-      /\bwo[-_\s]?\d{4,}\b/gi,
-      /\bso[-_\s]?\d{4,}\b/gi,
-    ],
-    emailLike: [/\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi],
-  },
-};
-
-function countHits(text, patterns, max = 50) {
-  if (!text || !patterns?.length) return 0;
-  let hits = 0;
-  for (const re of patterns) {
-    const m = text.match(re);
-    if (m?.length) hits += m.length;
-    if (hits >= max) return max;
-  }
-  return hits;
-}
-
-async function buildBusinessRiskFlags({ ext, buffer, analysisResult, detections }) {
-  const flags = [];
+async function buildBusinessRiskFlags({ ext, buffer, analysisResult, detections, rulePack = null }) {
+  const pack = rulePack || (await resolveRulePack());
   const text = await getDeterministicText(ext, buffer, analysisResult);
 
-  // Margin
-  const hasExcelLogic =
-    (detections?.sensitiveFormulas?.length || 0) > 0 ||
-    (detections?.excelHiddenData?.length || 0) > 0 ||
-    (detections?.hiddenSheets?.length || 0) > 0;
-
-  if (ext === "xlsx" && hasExcelLogic) {
-    const level = (detections?.hiddenSheets?.length || 0) > 0 ? BIZ_SEVERITY.HIGH : BIZ_SEVERITY.MEDIUM;
-    flags.push(
-      makeBizFlag({
-        category: "margin",
-        level,
-        ruleId: "MARGIN_EXCEL_PRICING_STRUCTURES",
-        reason: "Pricing-related spreadsheet structures detected that could allow a customer to infer margin logic.",
-        location: "Workbook",
-        evidence: {
-          hiddenSheets: detections?.hiddenSheets?.length || 0,
-          formulas: detections?.sensitiveFormulas?.length || 0,
-          excelHiddenData: detections?.excelHiddenData?.length || 0,
-        },
-        source: { group: "xlsx", signals: ["hiddenSheets", "sensitiveFormulas", "excelHiddenData"] },
-      })
-    );
-  }
-
-  const marginHits = countHits(text, RULES.margin.pricingKeywords, 30);
-  if (marginHits >= 6) {
-    flags.push(
-      makeBizFlag({
-        category: "margin",
-        level: BIZ_SEVERITY.MEDIUM,
-        ruleId: "MARGIN_PRICING_LANGUAGE",
-        reason: "Margin-related language detected that may require review before external sharing.",
-        location: "Document Text",
-        evidence: { hits: marginHits },
-        source: { group: "textRules", ruleSet: "margin.pricingKeywords" },
-      })
-    );
-  }
-
-  // Delivery
-  const strongHits = countHits(text, RULES.delivery.strongEngagement, 20);
-  const openHits = countHits(text, RULES.delivery.openEndedDeliverables, 20);
-  const fixedHits = countHits(text, RULES.delivery.fixedPriceNoBoundaries, 10);
-  const deadlineHits = countHits(text, RULES.delivery.deadlinesNoDependencies, 20);
-  const depHits = countHits(text, RULES.delivery.dependencyMarkers, 20);
-
-  if (strongHits + openHits + fixedHits + deadlineHits > 0) {
-    const escalator = depHits === 0 && (strongHits + fixedHits + deadlineHits) > 0;
-    const level =
-      escalator || fixedHits > 0
-        ? BIZ_SEVERITY.HIGH
-        : strongHits + openHits + deadlineHits >= 4
-        ? BIZ_SEVERITY.MEDIUM
-        : BIZ_SEVERITY.LOW;
-
-    flags.push(
-      makeBizFlag({
-        category: "delivery",
-        level,
-        ruleId: "DELIVERY_COMMITMENT_LANGUAGE",
-        reason: "Commitment language detected without clear delivery boundaries.",
-        location: "Document Text",
-        evidence: { strongHits, openHits, fixedHits, deadlineHits, dependencyMarkers: depHits },
-        source: { group: "textRules", ruleSet: "delivery.*" },
-      })
-    );
-  }
-
-  // Negotiation
-  const assumHits = countHits(text, RULES.negotiation.internalAssumptions, 15);
-  const optHits = countHits(text, RULES.negotiation.optionsABC, 15);
-  const depClientHits = countHits(text, RULES.negotiation.clientDependency, 10);
-  const benchHits = countHits(text, RULES.negotiation.internalBenchmarks, 15);
-
-  const metaCount = detections?.metadata?.length || 0;
-  const hiddenCount = detections?.hiddenContent?.length || 0;
-
-  if (assumHits + optHits + depClientHits + benchHits > 0 || metaCount > 0 || hiddenCount > 0) {
-    const level =
-      optHits > 0 || benchHits > 0
-        ? BIZ_SEVERITY.HIGH
-        : (assumHits + depClientHits >= 3) || hiddenCount > 0
-        ? BIZ_SEVERITY.MEDIUM
-        : BIZ_SEVERITY.LOW;
-
-    flags.push(
-      makeBizFlag({
-        category: "negotiation",
-        level,
-        ruleId: "NEGOTIATION_LEVERAGE_SIGNALS",
-        reason: "Internal assumptions or negotiation structures detected that could reduce negotiation leverage.",
-        location: "Document",
-        evidence: { assumHits, optHits, depClientHits, benchHits, metadata: metaCount, hiddenContent: hiddenCount },
-        source: { group: "textRules+struct", ruleSet: "negotiation.* + metadata/hiddenContent" },
-      })
-    );
-  }
-
-  // Compliance
-  const complianceDetected = (detections?.complianceRisks?.length || 0) > 0;
-  const piiDetected = (detections?.sensitiveData?.length || 0) > 0;
-
-  const confHits = countHits(text, RULES.compliance.confidentialMarkers, 15);
-  const codeHits = countHits(text, RULES.compliance.projectCodeLike, 20);
-  const emailHits = countHits(text, RULES.compliance.emailLike, 30);
-
-  if (complianceDetected || piiDetected || confHits > 0 || codeHits > 0 || emailHits > 0) {
-    const level =
-      complianceDetected || piiDetected
-        ? BIZ_SEVERITY.CRITICAL
-        : confHits + codeHits + emailHits >= 5
-        ? BIZ_SEVERITY.HIGH
-        : BIZ_SEVERITY.MEDIUM;
-
-    flags.push(
-      makeBizFlag({
-        category: "compliance",
-        level,
-        ruleId: "COMPLIANCE_IDENTIFIER_EXPOSURE",
-        reason: "Confidential identifiers detected in a client-facing document.",
-        location: "Document",
-        evidence: {
-          complianceRisks: detections?.complianceRisks?.length || 0,
-          sensitiveData: detections?.sensitiveData?.length || 0,
-          confHits,
-          projectCodeHits: codeHits,
-          emailHits,
-        },
-        source: { group: "detections+textRules", ruleSet: "compliance.*" },
-      })
-    );
-  }
-
-  // Credibility
-  const comments = detections?.comments?.length || 0;
-  const track = detections?.trackChanges?.length || 0;
-  const spell = detections?.spellingErrors?.length || 0;
-  const orphan = detections?.orphanData?.length || 0;
-  const hiddenStruct = (detections?.hiddenContent?.length || 0) + (detections?.hiddenSheets?.length || 0);
-
-  const credTotal = comments + track + spell + orphan + hiddenStruct;
-  if (credTotal > 0) {
-    const level =
-      comments + track > 0
-        ? BIZ_SEVERITY.HIGH
-        : credTotal >= 8
-        ? BIZ_SEVERITY.MEDIUM
-        : BIZ_SEVERITY.LOW;
-
-    flags.push(
-      makeBizFlag({
-        category: "credibility",
-        level,
-        ruleId: "CREDIBILITY_DRAFT_ARTIFACTS",
-        reason: "Internal draft artifacts detected that may impact professional credibility.",
-        location: "Document",
-        evidence: {
-          comments,
-          trackChanges: track,
-          spelling: spell,
-          formattingArtifacts: orphan,
-          hiddenStructural: hiddenStruct,
-        },
-        source: {
-          group: "detections",
-          signals: ["comments", "trackChanges", "spellingErrors", "orphanData", "hiddenContent/hiddenSheets"],
-        },
-      })
-    );
-  }
-
-  return flags;
+  // Patterns, thresholds and severity escalation come from the rule pack (lib/policy/rulePacks/)
+  return evaluateRulePack(pack, { ext, text, detections }).map(({ rule, level, escalation, evidence, firedSignals }) =>
+    makeBizFlag({
+      category: rule.category,
+      level,
+      ruleId: rule.id,
+      reason: rule.reason,
+      location: rule.location,
+      evidence,
+      source: {
+        rulePack: pack.id,
+        rulePackVersion: pack.version,
+        rule: rule.id,
+        escalation,
+        signals: firedSignals,
+      },
+    })
+  );
 }
 
 function summarizeBusinessRisk(flags) {
@@ -962,12 +713,19 @@ function calculateAfterScore(beforeScore, cleaningStats, correctionStats, riskBr
   let improvement = 0;
   const scoreImpacts = {};
 
-  if (cleaningStats?.metaRemoved > 0 && riskBreakdown.metadata) {
-    const impact = Math.min(cleaningStats.metaRemoved * 2, riskBreakdown.metadata);
+  // Thumbnails and editing-session fingerprints are scored with the metadata
+  const metaRemoved =
+    (cleaningStats?.metaRemoved || 0) +
+    (cleaningStats?.thumbnailsRemoved || 0) +
+    (cleaningStats?.rsidAttributesRemoved || cleaningStats?.rsidSessionsRemoved ? 1 : 0) +
+    (cleaningStats?.docVarsRemoved || 0) +
+    (cleaningStats?.peopleRemoved || 0);
+  if (metaRemoved > 0 && riskBreakdown.metadata) {
+    const impact = Math.min(metaRemoved * 2, riskBreakdown.metadata);
     improvement += impact;
     scoreImpacts.metadata = impact;
-  } else if (cleaningStats?.metaRemoved > 0) {
-    const impact = Math.min(cleaningStats.metaRemoved * 2, 10);
+  } else if (metaRemoved > 0) {
+    const impact = Math.min(metaRemoved * 2, 10);
     improvement += impact;
     scoreImpacts.metadata = impact;
   }
@@ -982,9 +740,21 @@ function calculateAfterScore(beforeScore, cleaningStats, correctionStats, riskBr
     scoreImpacts.comments = impact;
   }
 
+  // Speaker notes are scored as comments (speaker_note) by the analyzer
+  if (cleaningStats?.notesSlidesRemoved > 0) {
+    const commentsCap = riskBreakdown.comments ? riskBreakdown.comments : 15;
+    const impact = Math.max(
+      0,
+      Math.min(cleaningStats.notesSlidesRemoved * 3, commentsCap - (scoreImpacts.comments || 0))
+    );
+    improvement += impact;
+    scoreImpacts.speakerNotes = impact;
+  }
+
   const trackChangesTotal =
     (cleaningStats?.revisionsAccepted?.deletionsRemoved || 0) +
-    (cleaningStats?.revisionsAccepted?.insertionsUnwrapped || 0);
+    (cleaningStats?.revisionsAccepted?.insertionsUnwrapped || 0) +
+    (cleaningStats?.incrementalUpdatesRemoved || 0);
 
   if (trackChangesTotal > 0 && riskBreakdown.trackChanges) {
     const impact = Math.min(trackChangesTotal * 3, riskBreakdown.trackChanges);
@@ -1006,6 +776,57 @@ function calculateAfterScore(beforeScore, cleaningStats, correctionStats, riskBr
     scoreImpacts.hiddenContent = impact;
   }
 
+  if (cleaningStats?.hiddenSlidesRemoved > 0) {
+    const hiddenCap = riskBreakdown.hiddenContent ? riskBreakdown.hiddenContent : 24;
+    const impact = Math.max(
+      0,
+      Math.min(cleaningStats.hiddenSlidesRemoved * 8, hiddenCap - (scoreImpacts.hiddenContent || 0))
+    );
+    improvement += impact;
+    scoreImpacts.hiddenSlides = impact;
+  }
+
+  // XLSX external links / connections / query tables / pivot records / concealed ranges are scored as excelHiddenData (hidden bucket)
+  const externalDataRemoved =
+    (cleaningStats?.externalLinksRemoved || 0) +
+    (cleaningStats?.connectionsRemoved || 0) +
+    (cleaningStats?.queryTablesRemoved || 0) +
+    (cleaningStats?.pivotCachesStripped || 0) +
+    (cleaningStats?.concealedRangesCleaned || 0);
+  if (externalDataRemoved > 0) {
+    const hiddenCap = riskBreakdown.hiddenContent ? riskBreakdown.hiddenContent : 24;
+    const impact = Math.max(
+      0,
+      Math.min(
+        externalDataRemoved * 8,
+        hiddenCap - (scoreImpacts.hiddenContent || 0) - (scoreImpacts.hiddenSlides || 0)
+      )
+    );
+    improvement += impact;
+    scoreImpacts.externalData = impact;
+  }
+
+  // DOCX external relationships (remote template, beacons, internal paths)
+  if (cleaningStats?.externalResourcesNeutralized > 0) {
+    const impact = Math.min(cleaningStats.externalResourcesNeutralized * 10, 30);
+    improvement += impact;
+    scoreImpacts.externalResources = impact;
+  }
+
+  // PDF text recovered from under redaction boxes
+  if (cleaningStats?.unsafeRedactionsFixed > 0) {
+    const impact = Math.min(cleaningStats.unsafeRedactionsFixed * 25, 50);
+    improvement += impact;
+    scoreImpacts.unsafeRedactions = impact;
+  }
+
+  // DOCX fields unlinked to their result text (DDE / INCLUDE* / identity fields)
+  if (cleaningStats?.fieldsUnlinked > 0) {
+    const impact = Math.min(cleaningStats.fieldsUnlinked * 5, 25);
+    improvement += impact;
+    scoreImpacts.fieldCodes = impact;
+  }
+
   if (cleaningStats?.macrosRemoved > 0 && riskBreakdown.macros) {
     const impact = Math.min(cleaningStats.macrosRemoved * 15, riskBreakdown.macros);
     improvement += impact;
@@ -1016,7 +837,12 @@ function calculateAfterScore(beforeScore, cleaningStats, correctionStats, riskBr
     scoreImpacts.macros = impact;
   }
 
-  const embeddedTotal = (cleaningStats?.mediaDeleted || 0) + (cleaningStats?.picturesRemoved || 0);
+  const embeddedTotal =
+    (cleaningStats?.mediaDeleted || 0) +
+    (cleaningStats?.picturesRemoved || 0) +
+    (cleaningStats?.embeddedObjectsRemoved || 0) +
+    (cleaningStats?.embeddedDocumentsCleaned || 0) +
+    (cleaningStats?.embeddedWorkbooksRebuilt || 0);
   if (embeddedTotal > 0 && riskBreakdown.embeddedObjects) {
     const impact = Math.min(embeddedTotal * 5, riskBreakdown.embeddedObjects);
     improvement += impact;
@@ -1053,6 +879,38 @@ function calculateAfterScore(beforeScore, cleaningStats, correctionStats, riskBr
   return { score: afterScore, scoreImpacts, improvement };
 }
 
+// ===================================================================
+// OVERRIDES (acknowledged blocking flags, see lib/overrides.js)
+// ===================================================================
+async function loadOverrideSummary(documentId, businessSummary) {
+  try {
+    const { overrides, chain } = await getOverrides(documentId);
+    if (!overrides.length) return null;
+
+    const acknowledged = new Set(overrides.flatMap((o) => o.acknowledgedFlags || []));
+    const blocking = (businessSummary?.blockingFlags || []).map((fl) => fl.ruleId).filter(Boolean);
+
+    return {
+      documentId,
+      // Only when an override actually covers a blocking flag of this export
+      exportedUnderOverride: blocking.some((r) => acknowledged.has(r)),
+      chainValid: chain.valid,
+      overrides: overrides.map((o) => ({
+        overrideId: o.overrideId,
+        userId: o.userId,
+        reason: o.reason,
+        acknowledgedFlags: o.acknowledgedFlags,
+        timestamp: o.timestamp,
+        hash: o.hash,
+      })),
+      unacknowledgedFlags: [...new Set(blocking.filter((r) => !acknowledged.has(r)))],
+    };
+  } catch (e) {
+    console.warn("[OVERRIDES] Lookup failed:", e?.message || e);
+    return null;
+  }
+}
+
 // ===================================================================
 // ✅ Compatibility layer for optimized endpoint requirements
 //    If you have these functions in your project, they will be used.
@@ -1149,7 +1007,7 @@ app.get("/health", (_, res) =>
     ok: true,
     service: "Qualion-Doc Backend",
     version: "3.4.0",
-    endpoints: ["/analyze", "/analyze-stream", "/clean", "/rephrase"],
+    endpoints: ["/analyze", "/analyze-stream", "/clean", "/rephrase", "/jobs", "/overrides", "/rule-packs"],
     features: [
       "optimized-analyze-fast-full-cache",
       "sse-streaming",
@@ -1158,6 +1016,26 @@ app.get("/health", (_, res) =>
       "override-ready-payload",
       "non-breaking-output",
       "pptx-package-repair-always",
+      "async-jobs-queue",
+      "override-audit-log",
+      "business-risk-rule-packs",
+      "post-clean-verification",
+      "clean-dry-run-manifest",
+      "xlsx-external-links",
+      "xlsx-pivot-cache-stripping",
+      "xlsx-threaded-comments",
+      "xlsx-concealed-cells",
+      "office-thumbnail-removal",
+      "docx-external-resources",
+      "docx-field-unlink",
+      "docx-fingerprint-scrub",
+      "office-embedded-object-classes",
+      "embedded-document-recursion",
+      "pdf-unsafe-redaction-audit",
+      "pdf-interactive-content-inventory",
+      "pdf-revision-flattening",
+      "pdf-hidden-text-detection",
+      "pdf-text-only-unicode-rebuild",
     ],
     time: new Date().toISOString(),
   })
@@ -1185,13 +1063,15 @@ app.post("/analyze", upload.single("file"), async (req, res) => {
       });
     }
 
+    const rulePack = await resolveRulePack(req.body?.rulePack || req.query.rulePack);
+
     console.log(
-      `[ANALYZE] ${fastMode ? "FAST" : "FULL"} mode for ${file.originalname} (${(file.size / 1024 / 1024).toFixed(2)} MB)`
+      `[ANALYZE] ${fastMode ? "FAST" : "FULL"} mode for ${file.originalname} (${(file.size / 1024 / 1024).toFixed(2)} MB, rule pack: ${rulePack.id})`
     );
 
     // Cache (skip for fast mode)
     if (!fastMode) {
-      const fileHash = getFileHash(file.buffer);
+      const fileHash = analysisCacheKey(file.buffer, rulePack);
       const cached = getCachedAnalysis(fileHash);
       if (cached) {
         console.log(`[ANALYZE] Returning cached result for ${file.originalname}`);
@@ -1206,7 +1086,7 @@ app.post("/analyze", upload.single("file"), async (req, res) => {
 
     // FAST MODE
     if (fastMode) {
-      const result = await analyzeDocumentFastCompat(file);
+      const result = await analyzeDocumentFastCompat(file, { rulePack });
       return res.json({
         ...result,
         mode: "fast",
@@ -1215,10 +1095,10 @@ app.post("/analyze", upload.single("file"), async (req, res) => {
     }
 
     // FULL MODE
-    const result = await analyzeDocumentFullCompat(file);
+    const result = await analyzeDocumentFullCompat(file, { rulePack });
 
     // Store in cache
-    const fileHash = getFileHash(file.buffer);
+    const fileHash = analysisCacheKey(file.buffer, rulePack);
     setCachedAnalysis(fileHash, result);
 
     return res.json({
@@ -1229,13 +1109,20 @@ app.post("/analyze", upload.single("file"), async (req, res) => {
     });
   } catch (error) {
     console.error("[ANALYZE] Error:", error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
+// Flags depend on the rule pack, so non-default packs get their own cache entries
+function analysisCacheKey(buffer, rulePack) {
+  const fileHash = getFileHash(buffer);
+  return rulePack && rulePack.id !== DEFAULT_RULE_PACK ? `${fileHash}:${rulePack.id}@${rulePack.version}` : fileHash;
+}
+
 // ===== FAST ANALYSIS (regex only + technical detections via analyzer) =====
-async function analyzeDocumentFastCompat(file) {
+async function analyzeDocumentFastCompat(file, { rulePack = null } = {}) {
   const ext = getExt(file.originalname);
+  const pack = rulePack || (await resolveRulePack());
 
   // Extract minimal text (deterministic)
   const { text, metadata, fileType } = await extractDocumentCompat(file);
@@ -1251,6 +1138,7 @@ async function analyzeDocumentFastCompat(file) {
     buffer: file.buffer,
     analysisResult,
     detections,
+    rulePack: pack,
   });
   const businessSummary = summarizeBusinessRisk(businessFlags);
 
@@ -1297,7 +1185,14 @@ async function analyzeDocumentFastCompat(file) {
       trackChanges: detections.trackChanges || [],
       hiddenContent: detections.hiddenContent || [],
       hiddenSheets: detections.hiddenSheets || [],
+      hiddenColumns: detections.hiddenColumns || [],
+      concealedCells: detections.concealedCells || [],
       sensitiveFormulas: detections.sensitiveFormulas || [],
+      externalLinks: detections.externalLinks || [],
+      pivotCaches: detections.pivotCaches || [],
+      externalResources: detections.externalResources || [],
+      fieldCodes: detections.fieldCodes || [],
+      unsafeRedactions: detections.unsafeRedactions || [],
       embeddedObjects: detections.embeddedObjects || [],
       macros: detections.macros || [],
       sensitiveData: detections.sensitiveData || [],
@@ -1324,14 +1219,19 @@ async function analyzeDocumentFastCompat(file) {
       clientReady: null,
       summary: "Full AI analysis skipped in Fast Scan mode. Run full analysis for complete assessment.",
     },
-    businessRisk: { flags: businessFlags, summary: businessSummary },
+    businessRisk: {
+      flags: businessFlags,
+      summary: businessSummary,
+      rulePack: { id: pack.id, version: pack.version },
+    },
     qualionCleanV1,
   };
 }
 
 // ===== FULL ANALYSIS WITH PARALLEL AI (safe fallback) =====
-async function analyzeDocumentFullCompat(file) {
+async function analyzeDocumentFullCompat(file, { rulePack = null } = {}) {
   const ext = getExt(file.originalname);
+  const pack = rulePack || (await resolveRulePack());
   const documentId = uuidv4();
 
   const mime = getMimeFromExt(ext);
@@ -1362,6 +1262,7 @@ async function analyzeDocumentFullCompat(file) {
     buffer: file.buffer,
     analysisResult,
     detections,
+    rulePack: pack,
   });
   const businessSummary = summarizeBusinessRisk(businessFlags);
 
@@ -1396,7 +1297,14 @@ async function analyzeDocumentFullCompat(file) {
       trackChanges: detections.trackChanges || [],
       hiddenContent: detections.hiddenContent || [],
       hiddenSheets: detections.hiddenSheets || [],
+      hiddenColumns: detections.hiddenColumns || [],
+      concealedCells: detections.concealedCells || [],
       sensitiveFormulas: detections.sensitiveFormulas || [],
+      externalLinks: detections.externalLinks || [],
+      pivotCaches: detections.pivotCaches || [],
+      externalResources: detections.externalResources || [],
+      fieldCodes: detections.fieldCodes || [],
+      unsafeRedactions: detections.unsafeRedactions || [],
       embeddedObjects: detections.embeddedObjects || [],
       macros: detections.macros || [],
       sensitiveData: detections.sensitiveData || [],
@@ -1417,7 +1325,11 @@ async function analyzeDocumentFullCompat(file) {
     },
     spellingCorrections,
     businessRisks,
-    businessRisk: { flags: businessFlags, summary: businessSummary },
+    businessRisk: {
+      flags: businessFlags,
+      summary: businessSummary,
+      rulePack: { id: pack.id, version: pack.version },
+    },
     qualionCleanV1,
   };
 }
@@ -1455,7 +1367,8 @@ app.post("/analyze-stream", upload.single("file"), async (req, res) => {
 
     sendProgress("upload", 5, "File received");
 
-    const fileHash = getFileHash(file.buffer);
+    const rulePack = await resolveRulePack(req.body?.rulePack || req.query.rulePack);
+    const fileHash = analysisCacheKey(file.buffer, rulePack);
     const cached = getCachedAnalysis(fileHash);
     if (cached) {
       sendProgress("cache", 100, "Returning cached result");
@@ -1468,7 +1381,7 @@ app.post("/analyze-stream", upload.single("file"), async (req, res) => {
 
     sendProgress("detect", 25, "Scanning for hidden content...");
     // Use your analyzer (full compat)
-    const full = await analyzeDocumentFullCompat(file);
+    const full = await analyzeDocumentFullCompat(file, { rulePack });
 
     sendProgress("report", 85, "Generating executive report...");
     const result = {
@@ -1489,388 +1402,1057 @@ app.post("/analyze-stream", upload.single("file"), async (req, res) => {
 
 // ===================================================================
 // POST /clean - (kept exactly as your current 3.3.1 code)
+// Pipeline lives in runCleanBatch() so POST /jobs can run it in the background.
 // ===================================================================
-app.post("/clean", upload.any(), async (req, res) => {
-  try {
-    const files = req.files || [];
-    if (!files.length) return res.status(400).json({ error: "No files uploaded." });
+function parseCleanOptions(body = {}) {
+  const drawPolicy = (body.drawPolicy || "auto").toLowerCase();
+  const pdfMode = (body.pdfMode || "sanitize").toLowerCase();
+  const includePdfDocx = String(body.pdfDocx || "false") === "true";
+  // strict: fail the file when the post-clean re-analysis still finds items the policy should have removed
+  const strict = String(body.strict || "false") === "true";
+  const pivotCacheMode = String(body.pivotCacheMode || "keep").toLowerCase();
+  if (!PIVOT_CACHE_MODES.includes(pivotCacheMode)) {
+    const err = new Error(`Unsupported pivotCacheMode: ${pivotCacheMode}. Supported: ${PIVOT_CACHE_MODES.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+  const concealedCellsMode = String(body.concealedCellsMode || "keep").toLowerCase();
+  if (!CONCEALED_CELLS_MODES.includes(concealedCellsMode)) {
+    const err = new Error(
+      `Unsupported concealedCellsMode: ${concealedCellsMode}. Supported: ${CONCEALED_CELLS_MODES.join(", ")}`
+    );
+    err.status = 400;
+    throw err;
+  }
+  const fieldUnlinkMode = String(body.fieldUnlinkMode || "keep").toLowerCase();
+  if (!FIELD_UNLINK_MODES.includes(fieldUnlinkMode)) {
+    const err = new Error(`Unsupported fieldUnlinkMode: ${fieldUnlinkMode}. Supported: ${FIELD_UNLINK_MODES.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+  // Embedded object classes to remove: JSON array or comma list; default follows removeEmbeddedObjects
+  const embeddedObjectClassesInput = String(body.embeddedObjectClasses ?? "").trim();
+  const embeddedObjectClasses = embeddedObjectClassesInput
+    ? [
+        ...new Set(
+          (embeddedObjectClassesInput.startsWith("[")
+            ? safeJsonArray(embeddedObjectClassesInput, [])
+            : embeddedObjectClassesInput.split(",")
+          )
+            .map((c) => String(c).trim().toLowerCase())
+            .filter(Boolean)
+        ),
+      ]
+    : body.removeEmbeddedObjects !== "false"
+      ? DEFAULT_EMBEDDED_OBJECT_CLASSES
+      : [];
+  const unknownClass = embeddedObjectClasses.find((c) => !EMBEDDED_OBJECT_CLASSES.includes(c));
+  if (unknownClass) {
+    const err = new Error(
+      `Unsupported embeddedObjectClasses entry: ${unknownClass}. Supported: ${EMBEDDED_OBJECT_CLASSES.join(", ")}`
+    );
+    err.status = 400;
+    throw err;
+  }
+  const embeddedDocumentMode = String(body.embeddedDocumentMode || "keep").toLowerCase();
+  if (!EMBEDDED_DOCUMENT_MODES.includes(embeddedDocumentMode)) {
+    const err = new Error(
+      `Unsupported embeddedDocumentMode: ${embeddedDocumentMode}. Supported: ${EMBEDDED_DOCUMENT_MODES.join(", ")}`
+    );
+    err.status = 400;
+    throw err;
+  }
+  // dryRun: run the pipeline but return a JSON manifest of planned operations instead of files
+  const dryRun = String(body.dryRun || "false") === "true";
+
+  const cleaningOptions = {
+    removeMetadata: body.removeMetadata !== "false",
+    removeComments: body.removeComments !== "false",
+    acceptTrackChanges: body.acceptTrackChanges !== "false",
+    removeHiddenContent: body.removeHiddenContent !== "false",
+    removeEmbeddedObjects: body.removeEmbeddedObjects !== "false",
+    removeMacros: body.removeMacros !== "false",
+    correctSpelling: body.correctSpelling !== "false",
+    repairPptxPackage: body.repairPptxPackage !== "false",
+    // opt-in: speaker notes are often intentional presenter content
+    removeSpeakerNotes: String(body.removeSpeakerNotes || "false") === "true",
+    removeHiddenSlides: String(body.removeHiddenSlides || "false") === "true",
+    // opt-in (XLSX): external workbook links -> cached values, data connections / query tables removed
+    breakExternalLinks: String(body.breakExternalLinks || "false") === "true",
+    // XLSX pivot caches: keep | drop-records (pivot stays, no refresh) | static (values only)
+    pivotCacheMode,
+    // XLSX hidden rows / columns / invisible cells: keep | clear (values emptied) | delete (lines removed, refs shifted)
+    concealedCellsMode,
+    // opt-in (DOCX): remote templates / linked images / OLE links / frames (TargetMode="External", hyperlinks kept)
+    neutralizeExternalResources: String(body.neutralizeExternalResources || "false") === "true",
+    // DOCX field codes -> cached result text: keep | risky (DDE, INCLUDE*, AUTHOR, FILENAME \p, DATE...) | all
+    fieldUnlinkMode,
+    // opt-in (DOCX): rsid attributes, settings.xml rsids / docVars / proofState / docId, word/people.xml
+    scrubFingerprints: String(body.scrubFingerprints || "false") === "true",
+    // Office embedded objects removed by class: activex, executable, ole_package, office_document, pdf_document,
+    // chart_data, ole_object (default: all of them when removeEmbeddedObjects; omit chart_data to keep chart workbooks)
+    embeddedObjectClasses,
+    // Embedded Office / PDF documents and chart workbooks: keep | clean (same policy) | values (chart data from caches)
+    embeddedDocumentMode,
+    pdfRedactionFill: body.pdfRedactionFill !== "false",
+    // opt-in (PDF): invisible / background-colored / tiny / off-page text objects removed (fine print looks the same)
+    removeHiddenPdfText: String(body.removeHiddenPdfText || "false") === "true",
+    // opt-in (PDF): text left under black boxes / unapplied Redact annotations is removed (the boxes stay)
+    fixUnsafeRedactions: String(body.fixUnsafeRedactions || "false") === "true",
+  };
 
-    const drawPolicy = (req.body.drawPolicy || "auto").toLowerCase();
-    const pdfMode = (req.body.pdfMode || "sanitize").toLowerCase();
-    const includePdfDocx = String(req.body.pdfDocx || "false") === "true";
-
-    const cleaningOptions = {
-      removeMetadata: req.body.removeMetadata !== "false",
-      removeComments: req.body.removeComments !== "false",
-      acceptTrackChanges: req.body.acceptTrackChanges !== "false",
-      removeHiddenContent: req.body.removeHiddenContent !== "false",
-      removeEmbeddedObjects: req.body.removeEmbeddedObjects !== "false",
-      removeMacros: req.body.removeMacros !== "false",
-      correctSpelling: req.body.correctSpelling !== "false",
-      repairPptxPackage: req.body.repairPptxPackage !== "false",
+  const approvedSpellingErrors = safeJsonArray(body.approvedSpellingErrors, []);
+
+  // Links the export to acknowledgements recorded via POST /overrides (single-file requests)
+  const documentId = String(body.documentId || "").trim() || null;
+
+  const removeSensitiveDataRaw =
+    safeJsonArray(body.removeSensitiveData, null) ?? safeJsonArray(body.sensitiveDataToClean, []);
+
+  const hiddenContentToCleanRaw = safeJsonArray(body.hiddenContentToClean, []);
+  const visualObjectsToCleanRaw = safeJsonArray(body.visualObjectsToClean, []);
+
+  return {
+    drawPolicy,
+    pdfMode,
+    includePdfDocx,
+    strict,
+    dryRun,
+    cleaningOptions,
+    approvedSpellingErrors,
+    removeSensitiveDataRaw,
+    hiddenContentToCleanRaw,
+    visualObjectsToCleanRaw,
+    documentId,
+    hasSelectiveSensitive: Array.isArray(removeSensitiveDataRaw) && removeSensitiveDataRaw.length > 0,
+    hasSelectiveHidden: Array.isArray(hiddenContentToCleanRaw) && hiddenContentToCleanRaw.length > 0,
+    hasSelectiveVisual: Array.isArray(visualObjectsToCleanRaw) && visualObjectsToCleanRaw.length > 0,
+  };
+}
+
+// ===================================================================
+// POST-CLEAN VERIFICATION — re-analyze each output (deterministic, no AI)
+// ===================================================================
+// Same item can appear in two categories (excelHiddenData / comments); the first one listed wins
+const RESIDUAL_CATEGORIES = [
+  "metadata",
+  "trackChanges",
+  "comments",
+  "hiddenSheets",
+  "hiddenColumns",
+  "concealedCells",
+  "sensitiveFormulas",
+  "externalLinks",
+  "externalResources",
+  "fieldCodes",
+  "unsafeRedactions",
+  "hiddenContent",
+  "excelHiddenData",
+  "macros",
+  "embeddedObjects",
+  "sensitiveData",
+  "complianceRisks",
+  "brokenLinks",
+  "visualObjects",
+  "orphanData",
+  "businessInconsistencies",
+];
+
+// DOCX metadata items removed by scrubFingerprints
+const FINGERPRINT_TYPES = ["revision_fingerprint", "document_variable", "reviewer_identity", "document_id", "proof_state"];
+
+const CONCEALED_TYPES = [
+  "hidden_row",
+  "hidden_column",
+  "collapsed_outline",
+  "tiny_row_height",
+  "tiny_column_width",
+  "hidden_number_format",
+  "invisible_font",
+];
+
+/**
+ * A residual item is blocking when the cleaning policy asked for its removal
+ */
+function isBlockingResidual(category, item, cleaningOptions, removedSensitiveValues) {
+  // Findings inside an embedded document are only cleaned when embeddedDocumentMode asks for it;
+  // selected sensitive values are removed from the host document only
+  if (item.embeddedPart && (cleaningOptions.embeddedDocumentMode === "keep" || category === "sensitiveData")) return false;
+  switch (category) {
+    case "metadata":
+      if (item.type === "thumbnail") return true; // every Office cleaner drops it
+      if (FINGERPRINT_TYPES.includes(item.type)) return !!cleaningOptions.scrubFingerprints;
+      return !!cleaningOptions.removeMetadata;
+    case "comments":
+      if (item.type === "speaker_note") return !!cleaningOptions.removeSpeakerNotes;
+      if (item.type === "tracked_change") return !!cleaningOptions.acceptTrackChanges;
+      return !!cleaningOptions.removeComments;
+    case "trackChanges":
+      return !!cleaningOptions.acceptTrackChanges;
+    case "hiddenContent":
+      if (item.type === "hidden_slide") return !!cleaningOptions.removeHiddenSlides;
+      if (item.type === "embedded_file") return false; // blocking per class under embeddedObjects
+      if (item.type === "hidden_layer" || item.type === "optional_content_layer") return false; // PDF layers are kept
+      if (item.reason && item.page) return !!cleaningOptions.removeHiddenPdfText; // PDF hidden text runs
+      return !!cleaningOptions.removeHiddenContent;
+    case "hiddenSheets":
+      return !!cleaningOptions.removeHiddenContent;
+    case "hiddenColumns":
+    case "concealedCells":
+      return cleaningOptions.concealedCellsMode !== "keep" && item.cellCount > 0;
+    case "externalLinks":
+      return !!cleaningOptions.breakExternalLinks;
+    case "externalResources":
+      return !!cleaningOptions.neutralizeExternalResources;
+    case "unsafeRedactions":
+      return !!cleaningOptions.fixUnsafeRedactions;
+    case "fieldCodes":
+      if (cleaningOptions.fieldUnlinkMode === "all") return true;
+      return cleaningOptions.fieldUnlinkMode === "risky" && !!item.risky;
+    case "excelHiddenData":
+      if (["external_link", "data_connection", "query_table"].includes(item.type)) return !!cleaningOptions.breakExternalLinks;
+      if (item.type === "pivot_cache") return cleaningOptions.pivotCacheMode !== "keep";
+      if (item.type === "comment_author_directory") return !!cleaningOptions.removeComments;
+      if (CONCEALED_TYPES.includes(item.type)) return cleaningOptions.concealedCellsMode !== "keep" && item.hasData;
+      return false;
+    case "macros":
+      return !!cleaningOptions.removeMacros;
+    case "embeddedObjects":
+      return (cleaningOptions.embeddedObjectClasses || []).includes(item.objectClass || "ole_object");
+    case "sensitiveData":
+      return removedSensitiveValues.has(String(item.value || "").trim());
+    default:
+      return false;
+  }
+}
+
+function residualDetail(item) {
+  const raw = item.maskedValue || item.value || item.text || item.name || item.description || item.content || "";
+  const s = String(raw).replace(/\s+/g, " ").trim();
+  return s.length > 120 ? s.slice(0, 117) + "..." : s;
+}
+
+function strictVerificationError(message) {
+  const err = new Error(message);
+  err.status = 422;
+  return err;
+}
+
+/**
+ * Re-run analyzeDocument (no AI) on a cleaned output and compare with the cleaning policy.
+ * Returns the residual detections + measured score; with strict=true, throws (status 422)
+ * when blocking items survived (or the output cannot be verified).
+ */
+async function verifyCleanedOutput({
+  filename,
+  ext,
+  buffer,
+  cleaningOptions = {},
+  sensitiveDataToRemove = [],
+  spellingErrors = [],
+  estimatedAfterScore = null,
+  strict = false,
+}) {
+  let analysis;
+  try {
+    analysis = await analyzeDocument(buffer, getMimeFromExt(ext), { ai: false });
+  } catch (e) {
+    console.warn(`[VERIFY] Re-analysis failed for ${filename}:`, e?.message || e);
+    if (strict) throw strictVerificationError(`Strict verification failed for ${filename}: output could not be re-analyzed.`);
+    return {
+      status: "failed",
+      method: "reanalysis",
+      strict,
+      error: String(e?.message || e),
+      residualScore: null,
+      residualRiskLevel: null,
+      estimatedAfterScore,
+      counts: { total: 0, blocking: 0, byCategory: {} },
+      items: [],
     };
+  }
 
-    const approvedSpellingErrors = safeJsonArray(req.body.approvedSpellingErrors, []);
+  const detections = analysis.detections || {};
 
-    const removeSensitiveDataRaw =
-      safeJsonArray(req.body.removeSensitiveData, null) ?? safeJsonArray(req.body.sensitiveDataToClean, []);
+  // Spelling is not re-checked without AI: carry it over when no correction pass ran
+  if (!cleaningOptions.correctSpelling && spellingErrors.length) detections.spellingErrors = spellingErrors;
 
-    const hiddenContentToCleanRaw = safeJsonArray(req.body.hiddenContentToClean, []);
-    const visualObjectsToCleanRaw = safeJsonArray(req.body.visualObjectsToClean, []);
+  const rawSummary = calculateSummary(detections);
+  const { score } = calculateRiskScore(
+    {
+      totalIssues: rawSummary.totalIssues || 0,
+      critical: rawSummary.criticalIssues || 0,
+      high: rawSummary.highIssues || 0,
+      medium: rawSummary.mediumIssues || 0,
+      low: rawSummary.lowIssues || 0,
+    },
+    detections
+  );
 
-    const hasSelectiveSensitive = Array.isArray(removeSensitiveDataRaw) && removeSensitiveDataRaw.length > 0;
-    const hasSelectiveHidden = Array.isArray(hiddenContentToCleanRaw) && hiddenContentToCleanRaw.length > 0;
-    const hasSelectiveVisual = Array.isArray(visualObjectsToCleanRaw) && visualObjectsToCleanRaw.length > 0;
+  const removedSensitiveValues = new Set(
+    (sensitiveDataToRemove || []).map((d) => String(d?.value || "").trim()).filter(Boolean)
+  );
 
-    const single = files.length === 1;
-    const zip = new AdmZip();
+  const seen = new Set();
+  const items = [];
+  const byCategory = {};
+  for (const category of RESIDUAL_CATEGORIES) {
+    for (const item of detections[category] || []) {
+      if (!item || (item.id && seen.has(item.id))) continue;
+      if (item.id) seen.add(item.id);
+
+      byCategory[category] = (byCategory[category] || 0) + 1;
+      items.push({
+        id: item.id || null,
+        category,
+        type: item.type || null,
+        location: item.location || null,
+        detail: residualDetail(item),
+        severity: item.severity || null,
+        blocking: isBlockingResidual(category, item, cleaningOptions, removedSensitiveValues),
+      });
+    }
+  }
 
-    for (const f of files) {
-      const ext = getExt(f.originalname);
-      const base = path.parse(f.originalname).name;
+  const blocking = items.filter((i) => i.blocking);
+  const verification = {
+    status: blocking.length ? "blocking" : items.length ? "residual" : "clean",
+    method: "reanalysis",
+    aiSkipped: true,
+    strict,
+    residualScore: score,
+    residualRiskLevel: getRiskLevel(score),
+    estimatedAfterScore,
+    counts: { total: items.length, blocking: blocking.length, byCategory },
+    items,
+  };
 
-      const documentStatsBefore = await safeExtractDocStats(f.buffer, ext);
+  console.log(
+    `[VERIFY] ${filename}: ${verification.status} (residual=${items.length}, blocking=${blocking.length}, score=${score}, estimated=${estimatedAfterScore})`
+  );
 
-      let analysisResult = null;
-      let spellingErrors = [];
-      let beforeRiskScore = 100;
-      let riskBreakdown = {};
-      let detections = null;
-      let summary = null;
+  if (strict && blocking.length) {
+    const perCategory = {};
+    for (const b of blocking) perCategory[b.category] = (perCategory[b.category] || 0) + 1;
+    throw strictVerificationError(
+      `Strict verification failed for ${filename}: ${blocking.length} blocking item(s) survived cleaning (${Object.entries(perCategory)
+        .map(([k, v]) => `${k}: ${v}`)
+        .join(", ")}).`
+    );
+  }
 
-      let businessFlags = [];
-      let businessSummary = null;
-      let qualionCleanV1 = null;
+  return verification;
+}
 
-      try {
-        const fileType = getMimeFromExt(ext);
-        const fullAnalysis = await analyzeDocument(f.buffer, fileType);
-        detections = fullAnalysis.detections || {};
+// Selections that may name findings by ID (from /analyze), with the detection category each one resolves against
+const FINDING_SELECTIONS = [
+  { field: "removeSensitiveData", option: "removeSensitiveDataRaw", category: "sensitiveData" },
+  { field: "hiddenContentToClean", option: "hiddenContentToCleanRaw", category: "hiddenContent" },
+  { field: "visualObjectsToClean", option: "visualObjectsToCleanRaw", category: "visualObjects" },
+  { field: "approvedSpellingErrors", option: "approvedSpellingErrors", category: "spellingErrors" },
+];
+
+// Finding IDs of a selection (string entries; objects are full findings)
+function findingIdsOf(selection) {
+  return Array.isArray(selection) ? selection.filter((s) => s != null && typeof s !== "object").map(String) : [];
+}
 
-        const rawSummary = fullAnalysis.summary;
-        summary = {
-          totalIssues: rawSummary.totalIssues,
-          critical: rawSummary.criticalIssues,
-          high: rawSummary.highIssues,
-          medium: rawSummary.mediumIssues,
-          low: rawSummary.lowIssues,
-        };
+/**
+ * Resolve a selection against detections.
+ * String entries are finding IDs (from /analyze), matched IDs are recorded; objects are passed through as before.
+ * A selection may mix both.
+ */
+function selectFindings(items, selection, matchedIds = new Set()) {
+  if (!Array.isArray(selection)) return [];
+  const objects = selection.filter((s) => s && typeof s === "object");
+  const wanted = new Set(findingIdsOf(selection));
+  if (!wanted.size) return objects;
+  const picked = (items || []).filter((d) => d?.id && wanted.has(d.id));
+  for (const d of picked) matchedIds.add(d.id);
+  return [...picked, ...objects];
+}
 
-        const riskResult = calculateRiskScore(summary, detections);
-        beforeRiskScore = riskResult.score;
-        riskBreakdown = riskResult.breakdown;
+// Approved spelling fixes as correction objects (approvedSpellingErrors may list finding IDs)
+function resolveSpellingFixes(fixList, detected, matchedIds) {
+  return selectFindings(detected, fixList, matchedIds);
+}
 
-        spellingErrors = detections.spellingErrors || [];
+function assertFindingIdsResolved(opts, matchedIds) {
+  const unknown = [];
+  for (const { field, option } of FINDING_SELECTIONS) {
+    const missing = findingIdsOf(opts[option]).filter((id) => !matchedIds.has(id));
+    if (missing.length) unknown.push(`${field}: ${missing.join(", ")}`);
+  }
+  if (!unknown.length) return;
 
-        businessFlags = await buildBusinessRiskFlags({
-          ext,
-          buffer: f.buffer,
-          analysisResult: fullAnalysis,
-          detections,
-        });
-        businessSummary = summarizeBusinessRisk(businessFlags);
+  const err = new Error(
+    `Unknown finding ID(s) — ${unknown.join("; ")}. IDs are tied to the exact file analyzed; re-run /analyze on the file being cleaned.`
+  );
+  err.status = 400;
+  throw err;
+}
 
-        qualionCleanV1 = buildQualionCleanV1Report({
-          documentId: uuidv4(),
-          fileName: f.originalname,
-          ext,
-          detections,
-          businessFlags,
-          businessSummary,
-        });
+/**
+ * Selections by finding ID are checked against the whole upload before any file is cleaned (single files,
+ * batches and /jobs): each file is analyzed once here, cleanSingleFile reuses that analysis (opts.analyses).
+ * An ID must match in one of the files.
+ */
+async function resolveFindingSelections(files, opts, signal) {
+  if (!FINDING_SELECTIONS.some(({ option }) => findingIdsOf(opts[option]).length)) return;
+
+  opts.analyses = new Map();
+  const matchedIds = new Set();
+  for (const f of files) {
+    signal?.throwIfAborted();
+    let analysis = null;
+    try {
+      analysis = await analyzeDocument(f.buffer, getMimeFromExt(getExt(f.originalname)));
+    } catch (e) {
+      console.warn(`[CLEAN] Analysis failed for ${f.originalname}:`, e?.message || e);
+    }
+    opts.analyses.set(f, analysis);
+    for (const { option, category } of FINDING_SELECTIONS) {
+      selectFindings(analysis?.detections?.[category], opts[option], matchedIds);
+    }
+  }
+  assertFindingIdsResolved(opts, matchedIds);
+}
 
-        analysisResult = {
-          detections,
-          documentStats: documentStatsBefore,
-          summary: {
-            ...summary,
-            riskScore: beforeRiskScore,
-            beforeRiskScore,
-            riskBreakdown,
-            riskLevel: getRiskLevel(beforeRiskScore),
-            recommendations: generateRecommendations(detections),
-          },
-          businessRisk: { flags: businessFlags, summary: businessSummary },
-          qualionCleanV1,
-        };
-      } catch (analysisError) {
-        console.warn(`[CLEAN] Analysis failed, continuing without:`, analysisError?.message || analysisError);
-      }
+// Embedded documents / chart workbooks of a cleaned Office package (embeddedDocumentMode), stats merged
+async function cleanEmbeddedDocumentsInto(buffer, stats, cleaningOptions, drawPolicy) {
+  if (cleaningOptions.embeddedDocumentMode === "keep") return buffer;
+  const embedded = await cleanEmbeddedDocuments(buffer, {
+    mode: cleaningOptions.embeddedDocumentMode,
+    cleaningOptions,
+    drawPolicy,
+  });
+  Object.assign(stats, embedded.stats);
+  return embedded.outBuffer;
+}
 
-      let sensitiveDataToRemove = [];
-      if (hasSelectiveSensitive && detections?.sensitiveData) {
-        if (typeof removeSensitiveDataRaw[0] === "string") {
-          sensitiveDataToRemove = detections.sensitiveData.filter((d) => removeSensitiveDataRaw.includes(d.id));
-        } else {
-          sensitiveDataToRemove = removeSensitiveDataRaw;
-        }
-      }
+async function cleanSingleFile(zip, f, single, opts) {
+  const {
+    drawPolicy,
+    pdfMode,
+    includePdfDocx,
+    strict,
+    dryRun,
+    cleaningOptions,
+    approvedSpellingErrors,
+    removeSensitiveDataRaw,
+    hiddenContentToCleanRaw,
+    visualObjectsToCleanRaw,
+    hasSelectiveSensitive,
+    hasSelectiveHidden,
+    hasSelectiveVisual,
+    rulePack,
+  } = opts;
+
+  const ext = getExt(f.originalname);
+  const base = path.parse(f.originalname).name;
+  const documentId = (single && opts.documentId) || uuidv4();
+
+  const documentStatsBefore = await safeExtractDocStats(f.buffer, ext);
+
+  let analysisResult = null;
+  let spellingErrors = [];
+  let beforeRiskScore = 100;
+  let riskBreakdown = {};
+  let detections = null;
+  let summary = null;
+
+  let businessFlags = [];
+  let businessSummary = null;
+  let qualionCleanV1 = null;
 
-      let hiddenContentToRemove = [];
-      if (hasSelectiveHidden && detections?.hiddenContent) {
-        if (typeof hiddenContentToCleanRaw[0] === "string") {
-          hiddenContentToRemove = detections.hiddenContent.filter((d) => hiddenContentToCleanRaw.includes(d.id));
-        } else {
-          hiddenContentToRemove = hiddenContentToCleanRaw;
-        }
-      }
+  try {
+    const fileType = getMimeFromExt(ext);
+    const fullAnalysis = opts.analyses?.has(f) ? opts.analyses.get(f) : await analyzeDocument(f.buffer, fileType);
+    if (!fullAnalysis) throw new Error("analysis unavailable");
+    detections = fullAnalysis.detections || {};
+
+    const rawSummary = fullAnalysis.summary;
+    summary = {
+      totalIssues: rawSummary.totalIssues,
+      critical: rawSummary.criticalIssues,
+      high: rawSummary.highIssues,
+      medium: rawSummary.mediumIssues,
+      low: rawSummary.lowIssues,
+    };
 
-      let visualObjectsToRemove = [];
-      if (hasSelectiveVisual && detections?.visualObjects) {
-        if (typeof visualObjectsToCleanRaw[0] === "string") {
-          visualObjectsToRemove = detections.visualObjects.filter((d) => visualObjectsToCleanRaw.includes(d.id));
-        } else {
-          visualObjectsToRemove = visualObjectsToCleanRaw;
-        }
-      }
+    const riskResult = calculateRiskScore(summary, detections);
+    beforeRiskScore = riskResult.score;
+    riskBreakdown = riskResult.breakdown;
 
-      const spellingFixList =
-        Array.isArray(approvedSpellingErrors) && approvedSpellingErrors.length > 0
-          ? approvedSpellingErrors
-          : spellingErrors;
+    spellingErrors = detections.spellingErrors || [];
 
-      const extraRemovals = {
-        sensitiveDataRemoved: 0,
-        hiddenContentRemoved: 0,
-      };
+    businessFlags = await buildBusinessRiskFlags({
+      ext,
+      buffer: f.buffer,
+      analysisResult: fullAnalysis,
+      detections,
+      rulePack,
+    });
+    businessSummary = summarizeBusinessRisk(businessFlags);
+
+    qualionCleanV1 = buildQualionCleanV1Report({
+      documentId,
+      fileName: f.originalname,
+      ext,
+      detections,
+      businessFlags,
+      businessSummary,
+    });
+
+    analysisResult = {
+      detections,
+      documentStats: documentStatsBefore,
+      summary: {
+        ...summary,
+        riskScore: beforeRiskScore,
+        beforeRiskScore,
+        riskBreakdown,
+        riskLevel: getRiskLevel(beforeRiskScore),
+        recommendations: generateRecommendations(detections),
+      },
+      businessRisk: { flags: businessFlags, summary: businessSummary },
+      qualionCleanV1,
+    };
+  } catch (analysisError) {
+    console.warn(`[CLEAN] Analysis failed, continuing without:`, analysisError?.message || analysisError);
+  }
 
-      if (ext === "docx") {
-        let currentBuffer = f.buffer;
+  // Finding IDs were already validated against the upload (resolveFindingSelections)
+  const sensitiveDataToRemove = hasSelectiveSensitive
+    ? selectFindings(detections?.sensitiveData, removeSensitiveDataRaw)
+    : [];
 
-        const cleaned = await cleanDOCX(currentBuffer, { drawPolicy, ...cleaningOptions });
-        currentBuffer = cleaned.outBuffer;
+  const hiddenContentToRemove = hasSelectiveHidden
+    ? selectFindings(detections?.hiddenContent, hiddenContentToCleanRaw)
+    : [];
 
-        if (hasSelectiveSensitive && sensitiveDataToRemove.length > 0) {
-          const sensitiveResult = await removeSensitiveDataFromDOCX(currentBuffer, sensitiveDataToRemove);
-          currentBuffer = sensitiveResult.outBuffer;
-          extraRemovals.sensitiveDataRemoved = sensitiveResult.stats.removed;
-        }
+  const visualObjectsToRemove = hasSelectiveVisual
+    ? selectFindings(detections?.visualObjects, visualObjectsToCleanRaw)
+    : [];
 
-        if (hasSelectiveHidden && hiddenContentToRemove.length > 0) {
-          const hiddenResult = await removeHiddenContentFromDOCX(currentBuffer, hiddenContentToRemove);
-          currentBuffer = hiddenResult.outBuffer;
-          extraRemovals.hiddenContentRemoved = hiddenResult.stats.removed;
-        }
+  const override = single && opts.documentId ? await loadOverrideSummary(documentId, businessSummary) : null;
 
-        let correctionStats = null;
-        if (cleaningOptions.correctSpelling) {
-          const corrected = await correctDOCXText(currentBuffer, aiCorrectText, {
-            spellingErrors: spellingFixList,
-          });
-          currentBuffer = corrected.outBuffer;
-          correctionStats = corrected.stats;
-        }
+  // Approved IDs resolve to this file's detections, so correction always receives full objects
+  const spellingFixList =
+    Array.isArray(approvedSpellingErrors) && approvedSpellingErrors.length > 0
+      ? resolveSpellingFixes(approvedSpellingErrors, spellingErrors)
+      : spellingErrors;
 
-        const documentStatsAfter = await safeExtractDocStats(currentBuffer, ext);
+  const extraRemovals = {
+    sensitiveDataRemoved: 0,
+    hiddenContentRemoved: 0,
+  };
+
+  // Dry run: no correction pass (deterministic preview, no AI calls); the fixes export would apply are listed instead
+  const plannedSpellingFixes =
+    dryRun && cleaningOptions.correctSpelling ? spellingFixList : [];
+
+  // Dry run: findings the request asked the cleaner to act on (manifest maps operations to these)
+  const selectedFindingIds = [
+    ...sensitiveDataToRemove,
+    ...hiddenContentToRemove,
+    ...visualObjectsToRemove,
+    ...(cleaningOptions.correctSpelling ? spellingFixList : []),
+  ]
+    .map((item) => item?.id)
+    .filter(Boolean);
+
+  if (ext === "docx") {
+    let currentBuffer = f.buffer;
+
+    const cleaned = await cleanDOCX(currentBuffer, { drawPolicy, ...cleaningOptions });
+    currentBuffer = cleaned.outBuffer;
+    currentBuffer = await cleanEmbeddedDocumentsInto(currentBuffer, cleaned.stats, cleaningOptions, drawPolicy);
+
+    if (hasSelectiveSensitive && sensitiveDataToRemove.length > 0) {
+      const sensitiveResult = await removeSensitiveDataFromDOCX(currentBuffer, sensitiveDataToRemove);
+      currentBuffer = sensitiveResult.outBuffer;
+      extraRemovals.sensitiveDataRemoved = sensitiveResult.stats.removed;
+    }
 
-        zip.addFile(outName(single, base, "cleaned.docx"), currentBuffer);
+    if (hasSelectiveHidden && hiddenContentToRemove.length > 0) {
+      const hiddenResult = await removeHiddenContentFromDOCX(currentBuffer, hiddenContentToRemove);
+      currentBuffer = hiddenResult.outBuffer;
+      extraRemovals.hiddenContentRemoved = hiddenResult.stats.removed;
+    }
 
-        const afterResult = calculateAfterScore(beforeRiskScore, cleaned.stats, correctionStats, riskBreakdown, extraRemovals);
+    let correctionStats = null;
+    if (cleaningOptions.correctSpelling && !dryRun) {
+      const corrected = await correctDOCXText(currentBuffer, aiCorrectText, {
+        spellingErrors: spellingFixList,
+      });
+      currentBuffer = corrected.outBuffer;
+      correctionStats = corrected.stats;
+    }
 
-        addReportsToZip(zip, single, base, {
+    if (dryRun) {
+      opts.manifests.push(
+        await buildCleanManifest({
           filename: f.originalname,
           ext,
-          policy: { drawPolicy, ...cleaningOptions },
-          cleaning: {
-            ...cleaned.stats,
-            sensitiveDataRemoved: extraRemovals.sensitiveDataRemoved,
-            hiddenContentRemoved: extraRemovals.hiddenContentRemoved,
-          },
-          correction: correctionStats,
-          analysis: analysisResult,
-          spellingErrors,
-          approvedSpellingErrors,
-          beforeRiskScore,
-          afterRiskScore: afterResult.score,
-          scoreImpacts: afterResult.scoreImpacts,
-          documentStatsBefore,
-          documentStatsAfter,
-        });
+          before: f.buffer,
+          after: currentBuffer,
+          detections,
+          selectedIds: selectedFindingIds,
+          cleaning: cleaned.stats,
+          plannedSpellingFixes,
+        })
+      );
+      return;
+    }
 
-        continue;
-      }
+    const documentStatsAfter = await safeExtractDocStats(currentBuffer, ext);
+
+    const afterResult = calculateAfterScore(beforeRiskScore, cleaned.stats, correctionStats, riskBreakdown, extraRemovals);
+    const verification = await verifyCleanedOutput({
+      filename: f.originalname,
+      ext,
+      buffer: currentBuffer,
+      cleaningOptions,
+      sensitiveDataToRemove,
+      spellingErrors,
+      estimatedAfterScore: afterResult.score,
+      strict,
+    });
 
-      if (ext === "pptx") {
-        let currentBuffer = f.buffer;
+    zip.addFile(outName(single, base, "cleaned.docx"), currentBuffer);
 
-        const cleaned = await cleanPPTX(currentBuffer, { drawPolicy, ...cleaningOptions });
-        currentBuffer = cleaned.outBuffer;
+    addReportsToZip(zip, single, base, {
+      filename: f.originalname,
+      ext,
+      policy: { drawPolicy, ...cleaningOptions },
+      cleaning: {
+        ...cleaned.stats,
+        sensitiveDataRemoved: extraRemovals.sensitiveDataRemoved,
+        hiddenContentRemoved: extraRemovals.hiddenContentRemoved,
+      },
+      correction: correctionStats,
+      analysis: analysisResult,
+      spellingErrors,
+      approvedSpellingErrors,
+      beforeRiskScore,
+      afterRiskScore: verification.residualScore ?? afterResult.score,
+      scoreImpacts: afterResult.scoreImpacts,
+      documentStatsBefore,
+      documentStatsAfter,
+      override,
+      verification,
+    });
 
-        if (hasSelectiveSensitive && sensitiveDataToRemove.length > 0) {
-          const sensitiveResult = await removeSensitiveDataFromPPTX(currentBuffer, sensitiveDataToRemove);
-          currentBuffer = sensitiveResult.outBuffer;
-          extraRemovals.sensitiveDataRemoved = sensitiveResult.stats.removed;
-        }
+    return;
+  }
 
-        if (hasSelectiveHidden && hiddenContentToRemove.length > 0) {
-          const hiddenResult = await removeHiddenContentFromPPTX(currentBuffer, hiddenContentToRemove);
-          currentBuffer = hiddenResult.outBuffer;
-          extraRemovals.hiddenContentRemoved = hiddenResult.stats.removed;
-        }
+  if (ext === "pptx") {
+    let currentBuffer = f.buffer;
 
-        if (hasSelectiveVisual && visualObjectsToRemove.length > 0) {
-          const visualResult = await removeVisualObjectsFromPPTX(currentBuffer, visualObjectsToRemove);
-          currentBuffer = visualResult.outBuffer;
-        }
+    const cleaned = await cleanPPTX(currentBuffer, { drawPolicy, ...cleaningOptions });
+    currentBuffer = cleaned.outBuffer;
+    currentBuffer = await cleanEmbeddedDocumentsInto(currentBuffer, cleaned.stats, cleaningOptions, drawPolicy);
 
-        let correctionStats = null;
-        const shouldRepairPackage = cleaningOptions.repairPptxPackage !== false;
+    if (hasSelectiveSensitive && sensitiveDataToRemove.length > 0) {
+      const sensitiveResult = await removeSensitiveDataFromPPTX(currentBuffer, sensitiveDataToRemove);
+      currentBuffer = sensitiveResult.outBuffer;
+      extraRemovals.sensitiveDataRemoved = sensitiveResult.stats.removed;
+    }
 
-        if (shouldRepairPackage || cleaningOptions.correctSpelling) {
-          const corrected = await correctPPTXText(currentBuffer, aiCorrectText, {
-            spellingErrors: cleaningOptions.correctSpelling ? spellingFixList : [],
-          });
+    if (hasSelectiveHidden && hiddenContentToRemove.length > 0) {
+      const hiddenResult = await removeHiddenContentFromPPTX(currentBuffer, hiddenContentToRemove);
+      currentBuffer = hiddenResult.outBuffer;
+      extraRemovals.hiddenContentRemoved = hiddenResult.stats.removed;
+    }
 
-          currentBuffer = corrected.outBuffer;
-          correctionStats = cleaningOptions.correctSpelling ? corrected.stats : null;
-        }
+    if (hasSelectiveVisual && visualObjectsToRemove.length > 0) {
+      const visualResult = await removeVisualObjectsFromPPTX(currentBuffer, visualObjectsToRemove);
+      currentBuffer = visualResult.outBuffer;
+    }
 
-        const documentStatsAfter = await safeExtractDocStats(currentBuffer, ext);
+    let correctionStats = null;
+    const shouldRepairPackage = cleaningOptions.repairPptxPackage !== false;
 
-        zip.addFile(outName(single, base, "cleaned.pptx"), currentBuffer);
+    // Dry run: package repair only; spelling fixes are listed in the manifest, not applied
+    const applySpelling = cleaningOptions.correctSpelling && !dryRun;
+    if (shouldRepairPackage || applySpelling) {
+      const corrected = await correctPPTXText(currentBuffer, dryRun ? null : aiCorrectText, {
+        spellingErrors: applySpelling ? spellingFixList : [],
+      });
 
-        const afterResult = calculateAfterScore(beforeRiskScore, cleaned.stats, correctionStats, riskBreakdown, extraRemovals);
+      currentBuffer = corrected.outBuffer;
+      correctionStats = applySpelling ? corrected.stats : null;
+    }
 
-        addReportsToZip(zip, single, base, {
+    if (dryRun) {
+      opts.manifests.push(
+        await buildCleanManifest({
           filename: f.originalname,
           ext,
-          policy: { drawPolicy, ...cleaningOptions },
-          cleaning: {
-            ...cleaned.stats,
-            sensitiveDataRemoved: extraRemovals.sensitiveDataRemoved,
-            hiddenContentRemoved: extraRemovals.hiddenContentRemoved,
-          },
-          correction: correctionStats,
-          analysis: analysisResult,
-          spellingErrors,
-          approvedSpellingErrors,
-          beforeRiskScore,
-          afterRiskScore: afterResult.score,
-          scoreImpacts: afterResult.scoreImpacts,
-          documentStatsBefore,
-          documentStatsAfter,
-        });
+          before: f.buffer,
+          after: currentBuffer,
+          detections,
+          selectedIds: selectedFindingIds,
+          cleaning: cleaned.stats,
+          plannedSpellingFixes,
+        })
+      );
+      return;
+    }
 
-        continue;
-      }
+    const documentStatsAfter = await safeExtractDocStats(currentBuffer, ext);
+
+    const afterResult = calculateAfterScore(beforeRiskScore, cleaned.stats, correctionStats, riskBreakdown, extraRemovals);
+    const verification = await verifyCleanedOutput({
+      filename: f.originalname,
+      ext,
+      buffer: currentBuffer,
+      cleaningOptions,
+      sensitiveDataToRemove,
+      spellingErrors,
+      estimatedAfterScore: afterResult.score,
+      strict,
+    });
 
-      if (ext === "pdf") {
-        const cleaned = await cleanPDF(f.buffer, {
-          pdfMode: pdfMode === "text-only" ? "text-only" : "sanitize",
-          extractTextFn: async (b) => filterExtractedLines(await extractPdfText(b), { strictPdf: true }),
-        });
+    zip.addFile(outName(single, base, "cleaned.pptx"), currentBuffer);
 
-        zip.addFile(outName(single, base, pdfMode === "text-only" ? "text_only.pdf" : "sanitized.pdf"), cleaned.outBuffer);
-
-        let correctionStats = null;
-        if (includePdfDocx) {
-          const raw = await extractPdfText(cleaned.outBuffer);
-          const filtered = filterExtractedLines(raw, { strictPdf: true });
-          const correctedTxt = await aiCorrectText(filtered);
-          const docxFromPdf = await createDocxFromText(correctedTxt || filtered, base || "corrected");
-          zip.addFile(outName(single, base, "corrected_from_pdf.docx"), docxFromPdf);
-
-          correctionStats = {
-            totalTextNodes: 0,
-            changedTextNodes: correctedTxt && filtered ? (correctedTxt.trim() === filtered.trim() ? 0 : 1) : 0,
-            examples:
-              correctedTxt && filtered && correctedTxt.trim() !== filtered.trim()
-                ? [{ before: filtered.slice(0, 140), after: correctedTxt.slice(0, 140) }]
-                : [],
-          };
-        }
+    addReportsToZip(zip, single, base, {
+      filename: f.originalname,
+      ext,
+      policy: { drawPolicy, ...cleaningOptions },
+      cleaning: {
+        ...cleaned.stats,
+        sensitiveDataRemoved: extraRemovals.sensitiveDataRemoved,
+        hiddenContentRemoved: extraRemovals.hiddenContentRemoved,
+      },
+      correction: correctionStats,
+      analysis: analysisResult,
+      spellingErrors,
+      approvedSpellingErrors,
+      beforeRiskScore,
+      afterRiskScore: verification.residualScore ?? afterResult.score,
+      scoreImpacts: afterResult.scoreImpacts,
+      documentStatsBefore,
+      documentStatsAfter,
+      override,
+      verification,
+    });
 
-        const documentStatsAfter = await safeExtractDocStats(cleaned.outBuffer, ext);
+    return;
+  }
 
-        const afterResult = calculateAfterScore(beforeRiskScore, cleaned.stats, correctionStats, riskBreakdown, extraRemovals);
+  if (ext === "pdf") {
+    let currentBuffer = f.buffer;
+    let pdfRedaction = null;
+
+    // Content-stream redaction first, so sanitize / text-only never see the original glyphs
+    if (hasSelectiveSensitive && sensitiveDataToRemove.length > 0) {
+      const redacted = await redactPDF(currentBuffer, sensitiveDataToRemove, {
+        fillRect: cleaningOptions.pdfRedactionFill,
+        extractTextFn: extractPdfText,
+      });
+      currentBuffer = redacted.outBuffer;
+      pdfRedaction = redacted.stats;
+      extraRemovals.sensitiveDataRemoved = redacted.stats.occurrencesRemoved;
+    }
 
-        addReportsToZip(zip, single, base, {
+    // Unsafe redactions: glyphs still present under the boxes go before sanitize drops the annotations
+    let unsafeRedactionStats = null;
+    if (cleaningOptions.fixUnsafeRedactions) {
+      const fixed = await removeCoveredText(currentBuffer, { fillRect: cleaningOptions.pdfRedactionFill });
+      currentBuffer = fixed.outBuffer;
+      unsafeRedactionStats = fixed.stats;
+    }
+
+    // Hidden text (invisible / background-colored / tiny / off-page): all of it with removeHiddenPdfText, or only the
+    // selected page+reason groups
+    let hiddenTextStats = null;
+    const hiddenTextTargets = hasSelectiveHidden
+      ? hiddenContentToRemove.filter((h) => h.reason && h.page).map((h) => ({ page: h.page, reason: h.reason }))
+      : null;
+    if (hiddenTextTargets ? hiddenTextTargets.length > 0 : cleaningOptions.removeHiddenPdfText) {
+      const removed = await removeHiddenText(currentBuffer, { targets: hiddenTextTargets });
+      currentBuffer = removed.outBuffer;
+      hiddenTextStats = removed.stats;
+    }
+
+    const cleaned = await cleanPDF(currentBuffer, {
+      pdfMode: pdfMode === "text-only" ? "text-only" : "sanitize",
+      extractTextFn: async (b) => filterExtractedLines(await extractPdfText(b), { strictPdf: true }),
+      // Page numbers / running codes dropped per line; not strictPdf, which would also drop short uppercase headings
+      extractLayoutFn: async (b) =>
+        (await extractPdfLayout(b))?.map((p) => ({ ...p, lines: p.lines.filter((l) => filterExtractedLines(l.text)) })),
+      originalBuffer: f.buffer,
+    });
+    if (unsafeRedactionStats) Object.assign(cleaned.stats, unsafeRedactionStats);
+    if (hiddenTextStats) Object.assign(cleaned.stats, hiddenTextStats);
+
+    // Dry run stops before verification and the (AI) corrected_from_pdf.docx step
+    if (dryRun) {
+      opts.manifests.push(
+        await buildCleanManifest({
           filename: f.originalname,
           ext,
-          policy: { pdfMode, ...cleaningOptions },
+          before: f.buffer,
+          after: cleaned.outBuffer,
+          sanitizeInput: currentBuffer,
+          detections,
+          selectedIds: selectedFindingIds,
           cleaning: cleaned.stats,
-          correction: correctionStats,
-          analysis: analysisResult,
-          spellingErrors,
-          approvedSpellingErrors,
-          beforeRiskScore,
-          afterRiskScore: afterResult.score,
-          scoreImpacts: afterResult.scoreImpacts,
-          documentStatsBefore,
-          documentStatsAfter,
-        });
+          pdfMode: pdfMode === "text-only" ? "text-only" : "sanitize",
+          pdfRedaction,
+          sensitiveDataToRemove,
+        })
+      );
+      return;
+    }
 
-        continue;
-      }
+    // Verify before anything is added to the ZIP (strict mode fails the whole file)
+    const estimatedAfter = calculateAfterScore(beforeRiskScore, cleaned.stats, null, riskBreakdown, extraRemovals);
+    const verification = await verifyCleanedOutput({
+      filename: f.originalname,
+      ext,
+      buffer: cleaned.outBuffer,
+      cleaningOptions,
+      sensitiveDataToRemove,
+      spellingErrors,
+      estimatedAfterScore: estimatedAfter.score,
+      strict,
+    });
 
-      if (ext === "xlsx") {
-        let currentBuffer = f.buffer;
+    zip.addFile(outName(single, base, pdfMode === "text-only" ? "text_only.pdf" : "sanitized.pdf"), cleaned.outBuffer);
 
-        const cleaned = await cleanXLSX(currentBuffer, cleaningOptions);
-        currentBuffer = cleaned.outBuffer;
+    let correctionStats = null;
+    if (includePdfDocx) {
+      const raw = await extractPdfText(cleaned.outBuffer);
+      const filtered = filterExtractedLines(raw, { strictPdf: true });
+      const correctedTxt = await aiCorrectText(filtered);
+      const docxFromPdf = await createDocxFromText(correctedTxt || filtered, base || "corrected");
+      zip.addFile(outName(single, base, "corrected_from_pdf.docx"), docxFromPdf);
+
+      correctionStats = {
+        totalTextNodes: 0,
+        changedTextNodes: correctedTxt && filtered ? (correctedTxt.trim() === filtered.trim() ? 0 : 1) : 0,
+        examples:
+          correctedTxt && filtered && correctedTxt.trim() !== filtered.trim()
+            ? [{ before: filtered.slice(0, 140), after: correctedTxt.slice(0, 140) }]
+            : [],
+      };
+    }
 
-        if (hasSelectiveSensitive && sensitiveDataToRemove.length > 0) {
-          const sensitiveResult = await removeSensitiveDataFromXLSX(currentBuffer, sensitiveDataToRemove);
-          currentBuffer = sensitiveResult.outBuffer;
-          extraRemovals.sensitiveDataRemoved = sensitiveResult.stats.removed;
-        }
+    const documentStatsAfter = await safeExtractDocStats(cleaned.outBuffer, ext);
+
+    const afterResult = calculateAfterScore(beforeRiskScore, cleaned.stats, correctionStats, riskBreakdown, extraRemovals);
+
+    addReportsToZip(zip, single, base, {
+      filename: f.originalname,
+      ext,
+      policy: { pdfMode, ...cleaningOptions },
+      cleaning: { ...cleaned.stats, sensitiveDataRemoved: extraRemovals.sensitiveDataRemoved, pdfRedaction },
+      correction: correctionStats,
+      analysis: analysisResult,
+      spellingErrors,
+      approvedSpellingErrors,
+      beforeRiskScore,
+      afterRiskScore: verification.residualScore ?? afterResult.score,
+      scoreImpacts: afterResult.scoreImpacts,
+      documentStatsBefore,
+      documentStatsAfter,
+      override,
+      verification,
+    });
 
-        let correctionStats = null;
-        if (cleaningOptions.correctSpelling) {
-          const corrected = await correctXLSXText(currentBuffer, aiCorrectText, {
-            spellingErrors: spellingFixList,
-          });
-          currentBuffer = corrected.outBuffer;
-          correctionStats = corrected.stats;
-        }
+    return;
+  }
+
+  if (ext === "xlsx") {
+    let currentBuffer = f.buffer;
 
-        const documentStatsAfter = await safeExtractDocStats(currentBuffer, ext);
+    const cleaned = await cleanXLSX(currentBuffer, cleaningOptions);
+    currentBuffer = cleaned.outBuffer;
+    currentBuffer = await cleanEmbeddedDocumentsInto(currentBuffer, cleaned.stats, cleaningOptions, drawPolicy);
 
-        zip.addFile(outName(single, base, "cleaned.xlsx"), currentBuffer);
+    if (hasSelectiveSensitive && sensitiveDataToRemove.length > 0) {
+      const sensitiveResult = await removeSensitiveDataFromXLSX(currentBuffer, sensitiveDataToRemove);
+      currentBuffer = sensitiveResult.outBuffer;
+      extraRemovals.sensitiveDataRemoved = sensitiveResult.stats.removed;
+    }
 
-        const afterResult = calculateAfterScore(beforeRiskScore, cleaned.stats, correctionStats, riskBreakdown, extraRemovals);
+    let correctionStats = null;
+    if (cleaningOptions.correctSpelling && !dryRun) {
+      const corrected = await correctXLSXText(currentBuffer, aiCorrectText, {
+        spellingErrors: spellingFixList,
+      });
+      currentBuffer = corrected.outBuffer;
+      correctionStats = corrected.stats;
+    }
 
-        addReportsToZip(zip, single, base, {
+    if (dryRun) {
+      opts.manifests.push(
+        await buildCleanManifest({
           filename: f.originalname,
           ext,
-          policy: cleaningOptions,
-          cleaning: { ...cleaned.stats, sensitiveDataRemoved: extraRemovals.sensitiveDataRemoved },
-          correction: correctionStats,
-          analysis: analysisResult,
-          spellingErrors,
-          approvedSpellingErrors,
-          beforeRiskScore,
-          afterRiskScore: afterResult.score,
-          scoreImpacts: afterResult.scoreImpacts,
-          documentStatsBefore,
-          documentStatsAfter,
-        });
+          before: f.buffer,
+          after: currentBuffer,
+          detections,
+          selectedIds: selectedFindingIds,
+          cleaning: cleaned.stats,
+          plannedSpellingFixes,
+        })
+      );
+      return;
+    }
 
-        continue;
-      }
+    const documentStatsAfter = await safeExtractDocStats(currentBuffer, ext);
+
+    const afterResult = calculateAfterScore(beforeRiskScore, cleaned.stats, correctionStats, riskBreakdown, extraRemovals);
+    const verification = await verifyCleanedOutput({
+      filename: f.originalname,
+      ext,
+      buffer: currentBuffer,
+      cleaningOptions,
+      sensitiveDataToRemove,
+      spellingErrors,
+      estimatedAfterScore: afterResult.score,
+      strict,
+    });
 
-      zip.addFile(outName(single, base, f.originalname), f.buffer);
-
-      addReportsToZip(zip, single, base, {
-        filename: f.originalname,
-        ext,
-        policy: {},
-        cleaning: {},
-        correction: null,
-        analysis: null,
-        spellingErrors: [],
-        approvedSpellingErrors: [],
-        beforeRiskScore: 100,
-        afterRiskScore: 100,
-        scoreImpacts: {},
-        documentStatsBefore,
-        documentStatsAfter: documentStatsBefore,
-      });
+    zip.addFile(outName(single, base, "cleaned.xlsx"), currentBuffer);
+
+    addReportsToZip(zip, single, base, {
+      filename: f.originalname,
+      ext,
+      policy: cleaningOptions,
+      cleaning: { ...cleaned.stats, sensitiveDataRemoved: extraRemovals.sensitiveDataRemoved },
+      correction: correctionStats,
+      analysis: analysisResult,
+      spellingErrors,
+      approvedSpellingErrors,
+      beforeRiskScore,
+      afterRiskScore: verification.residualScore ?? afterResult.score,
+      scoreImpacts: afterResult.scoreImpacts,
+      documentStatsBefore,
+      documentStatsAfter,
+      override,
+      verification,
+    });
+
+    return;
+  }
+
+  if (dryRun) {
+    opts.manifests.push({
+      file: f.originalname,
+      ext,
+      unsupported: true,
+      operations: [],
+      summary: { totalOperations: 0, byKind: {}, unmappedOperations: 0, unreferencedObjectsRemoved: 0 },
+      detections: { planned: 0, untouched: [] },
+    });
+    return;
+  }
+
+  zip.addFile(outName(single, base, f.originalname), f.buffer);
+
+  addReportsToZip(zip, single, base, {
+    filename: f.originalname,
+    ext,
+    policy: {},
+    cleaning: {},
+    correction: null,
+    analysis: null,
+    spellingErrors: [],
+    approvedSpellingErrors: [],
+    beforeRiskScore: 100,
+    afterRiskScore: 100,
+    scoreImpacts: {},
+    documentStatsBefore,
+    documentStatsAfter: documentStatsBefore,
+    override,
+  });
+}
+
+/**
+ * Runs a per-file pipeline over a batch and collects outputs in one ZIP.
+ * hooks (optional): { signal, onFileStart, onFileDone, onFileError }
+ * Without onFileError, the first failing file aborts the batch.
+ */
+async function runBatch(files, processFile, hooks = {}) {
+  const single = files.length === 1;
+  const zip = new AdmZip();
+
+  for (let i = 0; i < files.length; i++) {
+    hooks.signal?.throwIfAborted();
+    hooks.onFileStart?.(i);
+
+    try {
+      await processFile(zip, files[i], single);
+      hooks.onFileDone?.(i);
+    } catch (e) {
+      if (!hooks.onFileError) throw e;
+      console.warn(`[BATCH] ${files[i].originalname} failed:`, e?.message || e);
+      hooks.onFileError(i, e);
     }
+  }
 
-    const zipName = files.length === 1 ? `${baseName(files[0].originalname)} cleaned.zip` : "qualion_doc_cleaned.zip";
+  return zip;
+}
+
+async function runCleanBatch(files, body = {}, hooks = {}) {
+  const opts = {
+    ...parseCleanOptions(body),
+    rulePack: await resolveRulePack(body.rulePack),
+    manifests: [],
+  };
+  await resolveFindingSelections(files, opts, hooks.signal);
+  // Multi-file batches mark a failing file (e.g. a strict-mode residual) as failed and keep going, like /jobs;
+  // a single file, or a batch where every file fails, still rejects with that file's error.
+  const failed = [];
+  const batchHooks =
+    hooks.onFileError || files.length > 1
+      ? {
+          ...hooks,
+          onFileError: (i, e) => {
+            failed.push({ file: files[i].originalname, status: e?.status || 500, error: String(e?.message || e) });
+            hooks.onFileError?.(i, e);
+          },
+        }
+      : hooks;
+  const zip = await runBatch(files, (zip, f, single) => cleanSingleFile(zip, f, single, opts), batchHooks);
+  if (!hooks.onFileError && failed.length === files.length) {
+    const err = new Error(
+      failed.length === 1
+        ? failed[0].error
+        : `All files failed to process: ${failed.map((x) => `${x.file}: ${x.error}`).join("; ")}`
+    );
+    err.status = failed.every((x) => x.status === failed[0].status) ? failed[0].status : 500;
+    throw err;
+  }
+
+  if (opts.dryRun) {
+    const failedFiles = failed.map((x) => ({ file: x.file, failed: true, error: x.error }));
+    return { manifest: { dryRun: true, generatedAt: new Date().toISOString(), files: [...opts.manifests, ...failedFiles] } };
+  }
+  if (failed.length) {
+    zip.addFile("failed_files.json", Buffer.from(JSON.stringify({ failed }, null, 2), "utf8"));
+  }
+  const zipName = files.length === 1 ? `${baseName(files[0].originalname)} cleaned.zip` : "qualion_doc_cleaned.zip";
+  return { zip, zipName };
+}
+
+app.post("/clean", upload.any(), async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (!files.length) return res.status(400).json({ error: "No files uploaded." });
+
+    // dryRun may come from the query string (POST /clean?dryRun=true) or the form body
+    const body = req.query.dryRun !== undefined ? { ...req.body, dryRun: req.query.dryRun } : req.body;
+    const { zip, zipName, manifest } = await runCleanBatch(files, body);
+    if (manifest) return res.json(manifest);
     sendZip(res, zip, zipName);
   } catch (e) {
+    if (e?.status === 400 || e?.status === 422) return res.status(e.status).json({ error: e.message });
     console.error("CLEAN ERROR", e);
     res.status(500).json({ error: String(e?.message || e) });
   }
@@ -1879,156 +2461,300 @@ app.post("/clean", upload.any(), async (req, res) => {
 // ===================================================================
 // POST /rephrase - (kept same behavior as your current 3.3.1)
 // ===================================================================
-app.post("/rephrase", upload.any(), async (req, res) => {
-  try {
-    const files = req.files || [];
-    if (!files.length) return res.status(400).json({ error: "No files uploaded." });
+async function rephraseSingleFile(zip, f, single, { drawPolicy, rulePack }) {
+  const ext = getExt(f.originalname);
+  const base = path.parse(f.originalname).name;
 
-    const drawPolicy = (req.body.drawPolicy || "auto").toLowerCase();
-    const single = files.length === 1;
-    const zip = new AdmZip();
+  if (ext === "pdf") {
+    const err = new Error("Rephrase for PDF is disabled. Convert to DOCX/PPTX first.");
+    err.status = 400;
+    throw err;
+  }
+  if (ext !== "docx" && ext !== "pptx") {
+    const err = new Error(`Unsupported file for rephrase: .${ext}`);
+    err.status = 400;
+    throw err;
+  }
 
-    for (const f of files) {
-      const ext = getExt(f.originalname);
-      const base = path.parse(f.originalname).name;
+  const documentStatsBefore = await safeExtractDocStats(f.buffer, ext);
 
-      const documentStatsBefore = await safeExtractDocStats(f.buffer, ext);
+  let analysisResult = null;
+  let spellingErrors = [];
+  let beforeRiskScore = 100;
+  let riskBreakdown = {};
+  let detections = null;
+  let summary = null;
 
-      let analysisResult = null;
-      let spellingErrors = [];
-      let beforeRiskScore = 100;
-      let riskBreakdown = {};
-      let detections = null;
-      let summary = null;
+  let businessFlags = [];
+  let businessSummary = null;
+  let qualionCleanV1 = null;
 
-      let businessFlags = [];
-      let businessSummary = null;
-      let qualionCleanV1 = null;
+  try {
+    const fileType = getMimeFromExt(ext);
+    const fullAnalysis = opts.analyses?.has(f) ? opts.analyses.get(f) : await analyzeDocument(f.buffer, fileType);
+    if (!fullAnalysis) throw new Error("analysis unavailable");
+    detections = fullAnalysis.detections || {};
+
+    const rawSummary = fullAnalysis.summary;
+    summary = {
+      totalIssues: rawSummary.totalIssues,
+      critical: rawSummary.criticalIssues,
+      high: rawSummary.highIssues,
+      medium: rawSummary.mediumIssues,
+      low: rawSummary.lowIssues,
+    };
 
-      try {
-        const fileType = getMimeFromExt(ext);
-        const fullAnalysis = await analyzeDocument(f.buffer, fileType);
-        detections = fullAnalysis.detections || {};
+    const riskResult = calculateRiskScore(summary, detections);
+    beforeRiskScore = riskResult.score;
+    riskBreakdown = riskResult.breakdown;
 
-        const rawSummary = fullAnalysis.summary;
-        summary = {
-          totalIssues: rawSummary.totalIssues,
-          critical: rawSummary.criticalIssues,
-          high: rawSummary.highIssues,
-          medium: rawSummary.mediumIssues,
-          low: rawSummary.lowIssues,
-        };
+    spellingErrors = detections.spellingErrors || [];
 
-        const riskResult = calculateRiskScore(summary, detections);
-        beforeRiskScore = riskResult.score;
-        riskBreakdown = riskResult.breakdown;
+    businessFlags = await buildBusinessRiskFlags({
+      ext,
+      buffer: f.buffer,
+      analysisResult: fullAnalysis,
+      detections,
+      rulePack,
+    });
+    businessSummary = summarizeBusinessRisk(businessFlags);
+
+    qualionCleanV1 = buildQualionCleanV1Report({
+      documentId: uuidv4(),
+      fileName: f.originalname,
+      ext,
+      detections,
+      businessFlags,
+      businessSummary,
+    });
 
-        spellingErrors = detections.spellingErrors || [];
+    analysisResult = {
+      detections,
+      documentStats: documentStatsBefore,
+      summary: {
+        ...summary,
+        riskScore: beforeRiskScore,
+        beforeRiskScore,
+        riskBreakdown,
+        riskLevel: getRiskLevel(beforeRiskScore),
+        recommendations: generateRecommendations(detections),
+      },
+      businessRisk: { flags: businessFlags, summary: businessSummary },
+      qualionCleanV1,
+    };
+  } catch (analysisError) {
+    console.warn(`[REPHRASE] Analysis failed:`, analysisError?.message || analysisError);
+  }
 
-        businessFlags = await buildBusinessRiskFlags({
-          ext,
-          buffer: f.buffer,
-          analysisResult: fullAnalysis,
-          detections,
-        });
-        businessSummary = summarizeBusinessRisk(businessFlags);
+  if (ext === "docx") {
+    const cleaned = await cleanDOCX(f.buffer, { drawPolicy });
 
-        qualionCleanV1 = buildQualionCleanV1Report({
-          documentId: uuidv4(),
-          fileName: f.originalname,
-          ext,
-          detections,
-          businessFlags,
-          businessSummary,
-        });
+    const rephrased = await correctDOCXText(cleaned.outBuffer, aiCorrectText, {
+      mode: "rephrase",
+      spellingErrors,
+    });
 
-        analysisResult = {
-          detections,
-          documentStats: documentStatsBefore,
-          summary: {
-            ...summary,
-            riskScore: beforeRiskScore,
-            beforeRiskScore,
-            riskBreakdown,
-            riskLevel: getRiskLevel(beforeRiskScore),
-            recommendations: generateRecommendations(detections),
-          },
-          businessRisk: { flags: businessFlags, summary: businessSummary },
-          qualionCleanV1,
-        };
-      } catch (analysisError) {
-        console.warn(`[REPHRASE] Analysis failed:`, analysisError?.message || analysisError);
-      }
+    const documentStatsAfter = await safeExtractDocStats(rephrased.outBuffer, ext);
+
+    zip.addFile(outName(single, base, "rephrased.docx"), rephrased.outBuffer);
+
+    const afterResult = calculateAfterScore(beforeRiskScore, cleaned.stats, rephrased.stats, riskBreakdown, {});
+
+    addReportsToZip(zip, single, base, {
+      filename: f.originalname,
+      ext,
+      policy: { drawPolicy, mode: "rephrase" },
+      cleaning: cleaned.stats,
+      correction: rephrased.stats,
+      analysis: analysisResult,
+      spellingErrors,
+      beforeRiskScore,
+      afterRiskScore: afterResult.score,
+      scoreImpacts: afterResult.scoreImpacts,
+      documentStatsBefore,
+      documentStatsAfter,
+    });
+  } else {
+    const cleaned = await cleanPPTX(f.buffer, { drawPolicy });
 
-      if (ext === "docx") {
-        const cleaned = await cleanDOCX(f.buffer, { drawPolicy });
+    const rephrased = await correctPPTXText(cleaned.outBuffer, aiCorrectText, {
+      mode: "rephrase",
+      spellingErrors,
+    });
 
-        const rephrased = await correctDOCXText(cleaned.outBuffer, aiCorrectText, {
-          mode: "rephrase",
-          spellingErrors,
-        });
+    const documentStatsAfter = await safeExtractDocStats(rephrased.outBuffer, ext);
+
+    zip.addFile(outName(single, base, "rephrased.pptx"), rephrased.outBuffer);
+
+    const afterResult = calculateAfterScore(beforeRiskScore, cleaned.stats, rephrased.stats, riskBreakdown, {});
+
+    addReportsToZip(zip, single, base, {
+      filename: f.originalname,
+      ext,
+      policy: { drawPolicy, mode: "rephrase" },
+      cleaning: cleaned.stats,
+      correction: rephrased.stats,
+      analysis: analysisResult,
+      spellingErrors,
+      beforeRiskScore,
+      afterRiskScore: afterResult.score,
+      scoreImpacts: afterResult.scoreImpacts,
+      documentStatsBefore,
+      documentStatsAfter,
+    });
+  }
+}
 
-        const documentStatsAfter = await safeExtractDocStats(rephrased.outBuffer, ext);
+async function runRephraseBatch(files, body = {}, hooks = {}) {
+  const opts = {
+    drawPolicy: (body.drawPolicy || "auto").toLowerCase(),
+    rulePack: await resolveRulePack(body.rulePack),
+  };
+  const zip = await runBatch(files, (zip, f, single) => rephraseSingleFile(zip, f, single, opts), hooks);
+  const zipName = files.length === 1 ? `${baseName(files[0].originalname)} rephrased.zip` : "qualion_doc_rephrased.zip";
+  return { zip, zipName };
+}
 
-        zip.addFile(outName(single, base, "rephrased.docx"), rephrased.outBuffer);
+app.post("/rephrase", upload.any(), async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (!files.length) return res.status(400).json({ error: "No files uploaded." });
 
-        const afterResult = calculateAfterScore(beforeRiskScore, cleaned.stats, rephrased.stats, riskBreakdown, {});
+    const { zip, zipName } = await runRephraseBatch(files, req.body);
+    sendZip(res, zip, zipName);
+  } catch (e) {
+    if (e?.status === 400) return res.status(400).json({ error: e.message });
+    console.error("REPHRASE ERROR", e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
 
-        addReportsToZip(zip, single, base, {
-          filename: f.originalname,
-          ext,
-          policy: { drawPolicy, mode: "rephrase" },
-          cleaning: cleaned.stats,
-          correction: rephrased.stats,
-          analysis: analysisResult,
-          spellingErrors,
-          beforeRiskScore,
-          afterRiskScore: afterResult.score,
-          scoreImpacts: afterResult.scoreImpacts,
-          documentStatsBefore,
-          documentStatsAfter,
-        });
-      } else if (ext === "pptx") {
-        const cleaned = await cleanPPTX(f.buffer, { drawPolicy });
+// ===================================================================
+// ✅ ASYNC JOBS (/jobs) — same multipart fields as /clean and /rephrase
+// - POST /jobs (mode=clean|rephrase) -> 202 { jobId }
+// - GET /jobs/:id -> status + per-file progress/errors
+// - GET /jobs/:id/result -> ZIP (when completed)
+// - DELETE /jobs/:id -> cancel (queued: immediate, running: at next file)
+// ===================================================================
+const JOB_RUNNERS = {
+  clean: runCleanBatch,
+  rephrase: runRephraseBatch,
+};
 
-        const rephrased = await correctPPTXText(cleaned.outBuffer, aiCorrectText, {
-          mode: "rephrase",
-          spellingErrors,
-        });
+app.post("/jobs", upload.any(), async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (!files.length) return res.status(400).json({ error: "No files uploaded." });
 
-        const documentStatsAfter = await safeExtractDocStats(rephrased.outBuffer, ext);
+    const mode = String(req.body.mode || req.query.mode || "clean").toLowerCase();
+    const runner = JOB_RUNNERS[mode];
+    if (!runner) {
+      return res.status(400).json({ error: `Unsupported job mode: ${mode}. Supported: ${Object.keys(JOB_RUNNERS).join(", ")}` });
+    }
 
-        zip.addFile(outName(single, base, "rephrased.pptx"), rephrased.outBuffer);
+    // Fail fast on an unknown rule pack instead of queuing a job that can only fail
+    await resolveRulePack(req.body.rulePack);
 
-        const afterResult = calculateAfterScore(beforeRiskScore, cleaned.stats, rephrased.stats, riskBreakdown, {});
+    // Same option validation as the sync endpoint (e.g. pivotCacheMode)
+    if (mode === "clean") parseCleanOptions(req.body);
 
-        addReportsToZip(zip, single, base, {
-          filename: f.originalname,
-          ext,
-          policy: { drawPolicy, mode: "rephrase" },
-          cleaning: cleaned.stats,
-          correction: rephrased.stats,
-          analysis: analysisResult,
-          spellingErrors,
-          beforeRiskScore,
-          afterRiskScore: afterResult.score,
-          scoreImpacts: afterResult.scoreImpacts,
-          documentStatsBefore,
-          documentStatsAfter,
-        });
-      } else if (ext === "pdf") {
-        return res.status(400).json({
-          error: "Rephrase for PDF is disabled. Convert to DOCX/PPTX first.",
-        });
-      } else {
-        return res.status(400).json({ error: `Unsupported file for rephrase: .${ext}` });
-      }
+    if (String(req.body.dryRun || req.query.dryRun || "false") === "true") {
+      return res.status(400).json({ error: "dryRun is only supported on POST /clean (the manifest is returned synchronously)." });
     }
 
-    const zipName = files.length === 1 ? `${baseName(files[0].originalname)} rephrased.zip` : "qualion_doc_rephrased.zip";
-    sendZip(res, zip, zipName);
+    const body = { ...req.body };
+    const job = createJob({
+      kind: mode,
+      files: files.map((f) => ({ name: f.originalname, size: f.size })),
+      run: async (hooks) => {
+        const { zip, zipName } = await runner(files, body, hooks);
+        return { buffer: zip.toBuffer(), zipName };
+      },
+    });
+
+    res.status(202).json({
+      ...serializeJob(job),
+      statusUrl: `/jobs/${job.id}`,
+      resultUrl: `/jobs/${job.id}/result`,
+    });
   } catch (e) {
-    console.error("REPHRASE ERROR", e);
+    if (e?.status === 400 || e?.status === 503) return res.status(e.status).json({ error: e.message });
+    console.error("JOBS ERROR", e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.get("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found." });
+  res.json(serializeJob(job));
+});
+
+app.get("/jobs/:id/result", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found." });
+  if (job.status !== "completed" || !job.result) {
+    return res.status(409).json({ error: `Job is ${job.status}; result not available.`, status: job.status });
+  }
+
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", `attachment; filename="${job.result.zipName}"`);
+  res.send(job.result.buffer);
+});
+
+app.delete("/jobs/:id", (req, res) => {
+  const job = cancelJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found." });
+  res.json(serializeJob(job));
+});
+
+// ===================================================================
+// OVERRIDES — acknowledge blocking business-risk flags (append-only audit log)
+// ===================================================================
+app.post("/overrides", async (req, res) => {
+  try {
+    const body = req.body || {};
+    // JSON array, or comma-separated ruleIds (form posts)
+    const acknowledgedFlags = safeJsonArray(body.acknowledgedFlags, String(body.acknowledgedFlags || "").split(","));
+    // Acknowledged ruleIds must be rules of the pack the document is checked with that can block export
+    const rulePack = await resolveRulePack(body.rulePack);
+
+    const entry = await recordOverride({
+      documentId: body.documentId,
+      userId: body.userId,
+      reason: body.reason,
+      acknowledgedFlags,
+      knownFlags: blockingRuleIds(rulePack),
+    });
+    res.status(201).json(entry);
+  } catch (e) {
+    if (e?.status === 400) return res.status(400).json({ error: e.message });
+    console.error("OVERRIDES ERROR", e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.get("/overrides", async (req, res) => {
+  try {
+    const documentId = String(req.query.documentId || "").trim();
+    if (!documentId) return res.status(400).json({ error: "documentId query parameter is required." });
+    res.json(await getOverrides(documentId));
+  } catch (e) {
+    console.error("OVERRIDES ERROR", e);
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ===================================================================
+// ✅ RULE PACKS (/rule-packs) — business risk rules per tenant
+// - JSON/YAML packs from lib/policy/rulePacks/ + RULE_PACKS_DIR
+// - select with `rulePack` on /analyze, /analyze-stream, /clean, /rephrase, /jobs
+// ===================================================================
+app.get("/rule-packs", async (_, res) => {
+  try {
+    res.json({ defaultRulePack: DEFAULT_RULE_PACK, rulePacks: await listRulePacks() });
+  } catch (e) {
+    console.error("RULE PACKS ERROR", e);
     res.status(500).json({ error: String(e?.message || e) });
   }
 });
@@ -2037,6 +2763,6 @@ app.post("/rephrase", upload.any(), async (req, res) => {
 const PORT = process.env.PORT || 10000;
 app.listen(PORT, () => {
   console.log(`✅ Qualion-Doc Backend v3.4.0 listening on port ${PORT}`);
-  console.log(`   Endpoints: GET /health, POST /analyze, POST /analyze-stream, POST /clean, POST /rephrase`);
+  console.log(`   Endpoints: GET /health, POST /analyze, POST /analyze-stream, POST /clean, POST /rephrase, POST|GET|DELETE /jobs, POST|GET /overrides, GET /rule-packs`);
   console.log(`   Features: optimized analyze (fast/full/cache) + SSE streaming + Qualion Clean V1 Part2`);
 });